@@ -1,15 +1,17 @@
 import { chromium } from 'playwright';
 import { fileURLToPath } from 'url';
 import { resolve } from 'path';
+import ContextGenerator from '../context_mapping/context-generator.js';
 
 /**
  * Local Browser Use automation using Playwright
  * This version can access localhost directly without needing a tunnel
  * @param {string} theme - The shopping theme (e.g., "buy a watch", "find a blazer")
- * @param {number} port - The local port where your app is running (default: 8080)
+ * @param {string} environment - Environment profile from the website graph (default: local)
  */
-export async function chatWithAssistantLocal(theme = "buy a watch", port = 8080) {
-  const url = `http://localhost:${port}/men`;
+export async function chatWithAssistantLocal(theme = "buy a watch", environment = "local") {
+  const generator = new ContextGenerator(null, { environment });
+  const url = generator.resolveUrl(generator.findNode('men').route);
   
   console.log(`🤖 Starting LOCAL Browser Use automation with theme: "${theme}"`);
   console.log(`🌐 Navigating to ${url}...`);
@@ -256,9 +258,9 @@ const isMainModule = process.argv[1] && resolve(process.argv[1]) === __filename;
 
 if (isMainModule) {
   const theme = process.argv[2] || "buy a watch";
-  const port = parseInt(process.argv[3]) || 8080;
+  const environment = process.argv[3] || "local";
   
-  chatWithAssistantLocal(theme, port)
+  chatWithAssistantLocal(theme, environment)
     .then(() => {
       console.log("\n✨ Local automation completed successfully!");
       process.exit(0);
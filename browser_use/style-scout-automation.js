@@ -3,6 +3,8 @@ import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import ContextGenerator from "../context_mapping/context-generator.js";
+import GraphHistory from "../context_mapping/graph-history.js";
 
 // Load environment variables
 dotenv.config();
@@ -14,15 +16,23 @@ const __dirname = path.dirname(__filename);
  * Browser agent to automate Style Sparkle Assistant website
  * 
  * Tasks:
- * 1. Navigate to https://style-sparkle-assistant.lovable.app/
- * 2. Login with username "admin" and password "admin"
+ * 1. Navigate to the site (URL from the website graph's environment profile)
+ * 2. Login with the graph's default credentials (resolved from env/secrets at task creation)
  * 3. Click on "Men shopping"
  * 4. Click on assistant at bottom right
  * 5. Say "Hi" to the assistant
+ *
+ * @param {string} environment - Environment profile from the website graph
+ *   (production, local or tunnel); defaults to the graph's defaultEnvironment
  */
-async function automateStyleScout() {
+async function automateStyleScout(environment = null) {
   console.log("🤖 Starting Browser Use automation for Style Sparkle Assistant\n");
 
+  // Resolve the start URL before creating a task so a missing tunnel URL fails fast
+  const generator = new ContextGenerator(null, { environment });
+  const startUrl = generator.resolveUrl("/");
+  console.log(`🌐 Environment: ${generator.environment || "default"} (${startUrl})\n`);
+
   // Initialize Browser Use client
   const apiKey = process.env.BROWSER_USE_API_KEY;
   
@@ -45,11 +55,13 @@ async function automateStyleScout() {
     try {
       if (fs.existsSync(contextPath)) {
         const contextContent = fs.readFileSync(contextPath, 'utf8');
-        // Extract the navigation flow map section (lines 175-244)
-        const lines = contextContent.split('\n');
-        const startLine = 174; // 0-indexed, so line 175 is index 174
-        const endLine = 244;
-        const navigationContext = lines.slice(startLine, endLine).join('\n');
+        // Extract the navigation flow map section by its heading, so edits
+        // elsewhere in the file (e.g. a regenerated tree) don't shift it
+        const start = contextContent.indexOf('Complete Navigation Flow Map:');
+        const end = contextContent.indexOf('Action Summary by Page:', start);
+        const navigationContext = start === -1
+          ? contextContent
+          : contextContent.slice(start, end === -1 ? undefined : end).trimEnd();
         websiteContext = `
 
 === WEBSITE CONTEXT & NAVIGATION MAP ===
@@ -66,12 +78,12 @@ ${navigationContext}
     // Create a task with detailed instructions
     const taskDescription = `
 ${websiteContext}
-Navigate to https://8882370d3c9c.ngrok-free.app/
+Navigate to ${startUrl}
 
 Main instruction: Wait atleast 3-5 seconds before performing next step
 
 Chat with assistant (bottom right) after logging in and Type "Hi, can you show me new watch collections for men" in the chat input field
-username: "admin" and password: "admin"
+username: "{{credentials.username}}" and password: "{{credentials.password}}"
 
 Make sure to wait for each page to fully load before proceeding to the next step.
 
@@ -81,11 +93,16 @@ Use the website context map above to understand the navigation structure and ava
     console.log("📋 Creating browser automation task...");
     
     // Create the task first
+    // Credentials are only filled in here; the template above keeps placeholders
     const task = await client.tasks.create({
-      task: taskDescription,
+      task: generator.fillCredentials(taskDescription),
     });
 
     console.log(`✅ Task created with ID: ${task.id}`);
+
+    // Keep the exact graph the agent was given, so `context-map checkout <task-result.json>` restores it
+    const graphRecord = GraphHistory.recordRun(path.join(__dirname, 'downloads', task.id), generator.getGraph());
+    console.log(`🏷️  Graph v${graphRecord.graphVersion} (sha256 ${graphRecord.sha256.slice(0, 12)}) saved with the run`);
     console.log("⏳ Monitoring task progress...\n");
 
     // Manually poll until task completes (avoiding stream/watch which has bug with 'created' status)
@@ -124,10 +141,10 @@ Use the website context map above to understand the navigation structure and ava
     }
 
     console.log("\n📊 Task Output:");
-    console.log(currentTask.doneOutput || currentTask.output || JSON.stringify(currentTask, null, 2));
+    console.log(generator.redact(currentTask.doneOutput || currentTask.output || JSON.stringify(currentTask, null, 2)));
 
     // Download logs and files locally
-    await downloadTaskArtifacts(client, task.id, currentTask);
+    await downloadTaskArtifacts(client, task.id, currentTask, generator);
 
   } catch (error) {
     console.error("\n❌ Error during automation:", error.message);
@@ -141,7 +158,7 @@ Use the website context map above to understand the navigation structure and ava
 /**
  * Download logs and output files (screenshots, etc.) from Browser Use Cloud to local directory
  */
-async function downloadTaskArtifacts(client, taskId, taskResult) {
+async function downloadTaskArtifacts(client, taskId, taskResult, generator) {
   try {
     // Create downloads directory
     const downloadsDir = path.join(__dirname, 'downloads', taskId);
@@ -163,7 +180,7 @@ async function downloadTaskArtifacts(client, taskId, taskResult) {
         const logsResponse_fetch = await fetch(logUrl);
         const logsContent = await logsResponse_fetch.text();
         const logsPath = path.join(downloadsDir, 'execution-logs.log');
-        fs.writeFileSync(logsPath, logsContent);
+        fs.writeFileSync(logsPath, generator.redact(logsContent));
         console.log(`   ✅ Logs saved to: ${logsPath}`);
       } else {
         console.log(`   ⚠️  Logs URL not available: ${JSON.stringify(logsResponse)}`);
@@ -174,7 +191,7 @@ async function downloadTaskArtifacts(client, taskId, taskResult) {
 
     // Save full task result for inspection
     const taskResultPath = path.join(downloadsDir, 'task-result.json');
-    fs.writeFileSync(taskResultPath, JSON.stringify(taskResult, null, 2));
+    fs.writeFileSync(taskResultPath, generator.redact(JSON.stringify(taskResult, null, 2)));
     console.log(`📄 Full task result saved to: task-result.json`);
 
     // Download output files (screenshots, etc.)
@@ -309,8 +326,8 @@ async function downloadTaskArtifacts(client, taskId, taskResult) {
   }
 }
 
-// Run the automation
-automateStyleScout()
+// Run the automation (optional argument: environment profile, e.g. "tunnel")
+automateStyleScout(process.argv[2] || process.env.STYLE_SCOUT_ENV || null)
   .then(() => {
     console.log("\n✨ Automation completed successfully!");
     process.exit(0);
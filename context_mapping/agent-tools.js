@@ -0,0 +1,364 @@
+// Element types offered to click() and fill()
+const CLICKABLE_TYPES = ['button', 'link', 'checkbox', 'radio', 'tab'];
+const FILLABLE_TYPES = ['input', 'textarea'];
+
+export const TOOL_FORMATS = ['openai', 'anthropic'];
+
+/**
+ * Agent Tools
+ *
+ * Turns the website graph into function-calling tools, so an agent can only
+ * take actions the map knows about:
+ *   - navigate_to(pageId)          open a page by its route
+ *   - click(elementId)             click a known button, link, checkbox, ...
+ *   - fill(elementId, text)        type into a known input
+ *   - open_component(componentId)  bring a stateful component (the chat) into
+ *                                  its non-default state, if it is not already
+ * Every id parameter is an enum of graph ids. Element ids that occur on more
+ * than one node are qualified with their owner (men/page-title).
+ *
+ * ToolExecutor runs the calls with Playwright using the graph's selectors and
+ * rejects elements that are not on the current page.
+ */
+
+/**
+ * Collect what the tools can act on
+ * @param {ContextGenerator} generator - Generator holding the graph
+ * @returns {{pages: Map, elements: Map, components: Map}} Pages by id, elements by tool id
+ *   ({owner, element}) and stateful components by id ({node, state, hint, selector})
+ */
+export function collectToolTargets(generator) {
+  const graph = generator.getGraph();
+  const pages = new Map(graph.nodes
+    .filter(node => node.type === 'page' && node.route)
+    .map(node => [node.id, node]));
+
+  const owned = [];
+  graph.nodes.forEach(node => {
+    (node.elements || []).forEach(element => {
+      if (element.selector) owned.push({ owner: node, element });
+    });
+  });
+  const counts = new Map();
+  owned.forEach(({ element }) => counts.set(element.id, (counts.get(element.id) || 0) + 1));
+  const elements = new Map(owned.map(entry => [
+    counts.get(entry.element.id) > 1 ? `${entry.owner.id}/${entry.element.id}` : entry.element.id,
+    entry
+  ]));
+
+  const components = new Map();
+  graph.nodes
+    .filter(node => node.type === 'component')
+    .forEach(node => {
+      const hint = generator.getStateHints(node).find(candidate => candidate.selector);
+      if (hint) components.set(node.id, { node, ...hint });
+    });
+
+  return { pages, elements, components };
+}
+
+/**
+ * Build the tool definitions in a provider-neutral shape
+ * @param {ContextGenerator} generator - Generator holding the graph
+ * @returns {Array<{name: string, description: string, parameters: Object}>} Tools with JSON Schema parameters
+ */
+export function buildAgentTools(generator) {
+  const { pages, elements, components } = collectToolTargets(generator);
+  const loginPage = generator.findLoginPage();
+  const tools = [];
+
+  if (pages.size > 0) {
+    const list = [...pages.values()]
+      .map(page => `${page.id} (${page.route}${page.requiresAuth ? ', requires login' : ''})`)
+      .join(', ');
+    let description = 'Open a page of the site by its URL.';
+    if (loginPage && [...pages.values()].some(page => page.requiresAuth)) {
+      description += ` Pages that require login redirect to ${loginPage.id} until you log in there.`;
+    }
+    tools.push({
+      name: 'navigate_to',
+      description,
+      parameters: objectSchema({
+        pageId: { type: 'string', enum: [...pages.keys()], description: `Page to open: ${list}` }
+      })
+    });
+  }
+
+  const clickable = [...elements].filter(([, { element }]) => CLICKABLE_TYPES.includes(element.type));
+  if (clickable.length > 0) {
+    tools.push({
+      name: 'click',
+      description: 'Click an element of the current page. Only elements on the page you are on can be clicked.',
+      parameters: objectSchema({
+        elementId: {
+          type: 'string',
+          enum: clickable.map(([id]) => id),
+          description: `Element to click:\n${clickable.map(entry => describeTarget(generator, entry)).join('\n')}`
+        }
+      })
+    });
+  }
+
+  const fillable = [...elements].filter(([, { element }]) => FILLABLE_TYPES.includes(element.type));
+  if (fillable.length > 0) {
+    let textDescription = 'Text to type. It replaces the current value.';
+    const credentials = generator.describeCredentials();
+    if (credentials) {
+      const placeholders = Object.keys(credentials).map(key => `{{credentials.${key}}}`).join(', ');
+      textDescription += ` Use ${placeholders} for the login credentials; they are filled in when the action runs.`;
+    }
+    tools.push({
+      name: 'fill',
+      description: 'Type text into an input of the current page.',
+      parameters: objectSchema({
+        elementId: {
+          type: 'string',
+          enum: fillable.map(([id]) => id),
+          description: `Input to fill:\n${fillable.map(entry => describeTarget(generator, entry)).join('\n')}`
+        },
+        text: { type: 'string', description: textDescription }
+      })
+    });
+  }
+
+  if (components.size > 0) {
+    const list = [...components.values()]
+      .map(({ node, hint }) => `${node.id}: ${hint}`)
+      .join('\n');
+    tools.push({
+      name: 'open_component',
+      description: 'Open a component that hides its elements until opened. Does nothing if it is already open.',
+      parameters: objectSchema({
+        componentId: { type: 'string', enum: [...components.keys()], description: `Component to open:\n${list}` }
+      })
+    });
+  }
+
+  return tools;
+}
+
+/**
+ * Convert neutral tool definitions to a provider's function-calling format
+ * @param {Array<Object>} tools - Result of buildAgentTools()
+ * @param {string} format - openai (Chat Completions tools) or anthropic (Messages API tools)
+ * @returns {Array<Object>} Tool definitions to send with the request
+ */
+export function formatTools(tools, format = 'openai') {
+  switch (format) {
+    case 'openai':
+      return tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+      }));
+    case 'anthropic':
+      return tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        input_schema: parameters
+      }));
+    default:
+      throw new Error(`Unknown tool format "${format}". Available: ${TOOL_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Tool Executor
+ *
+ * Runs tool calls against a Playwright page. Every call returns a result
+ * object instead of throwing, so it can go straight back to the model:
+ * { ok: true, page, url, message } or { ok: false, error, page, url }.
+ */
+class ToolExecutor {
+  /**
+   * @param {ContextGenerator} generator - Generator holding the graph
+   * @param {import('playwright').Page} page - Playwright page to act on
+   * @param {Object} options - Executor options
+   * @param {string} options.baseUrl - Override the generator's environment base URL
+   * @param {number} options.timeout - Timeout of each action in milliseconds
+   * @param {string} options.secretsFile - Secrets file for {{credentials.*}} placeholders
+   */
+  constructor(generator, page, options = {}) {
+    const { baseUrl = null, timeout = 10000, secretsFile } = options;
+    this.generator = generator;
+    this.page = page;
+    this.baseUrl = (baseUrl || generator.getBaseUrl()).replace(/\/$/, '');
+    this.timeout = timeout;
+    this.secretsFile = secretsFile;
+    this.targets = collectToolTargets(generator);
+  }
+
+  /**
+   * Run a tool call in either provider's format: an OpenAI tool call
+   * ({ function: { name, arguments } }, arguments as a JSON string) or an
+   * Anthropic tool_use block ({ name, input })
+   * @param {Object} call - Tool call from the model response
+   * @returns {Promise<Object>} Tool result
+   */
+  async executeCall(call) {
+    if (call.function) {
+      let args;
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        return this.failure(`Arguments of ${call.function.name} are not valid JSON: ${error.message}`);
+      }
+      return this.execute(call.function.name, args);
+    }
+    return this.execute(call.name, call.input || {});
+  }
+
+  /**
+   * Run one tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} Tool result
+   */
+  async execute(name, args = {}) {
+    try {
+      switch (name) {
+        case 'navigate_to':
+          return await this.navigateTo(args.pageId);
+        case 'click':
+          return await this.click(args.elementId);
+        case 'fill':
+          return await this.fill(args.elementId, args.text);
+        case 'open_component':
+          return await this.openComponent(args.componentId);
+        default:
+          return this.failure(`Unknown tool "${name}"`);
+      }
+    } catch (error) {
+      return this.failure(error.message.split('\n')[0]);
+    }
+  }
+
+  async navigateTo(pageId) {
+    const target = this.targets.pages.get(pageId);
+    if (!target) return this.failure(`Unknown page "${pageId}"`);
+    if (target.route.includes(':')) {
+      return this.failure(`Page "${pageId}" has a parameterised route (${target.route}); reach it by clicking a link`);
+    }
+
+    await this.page.goto(this.baseUrl + target.route, { timeout: this.timeout });
+    const current = this.currentPage();
+    if (current && current.id !== pageId) {
+      return this.success(`Opened ${target.route} but was redirected to ${current.id} (${current.route})`);
+    }
+    return this.success(`Opened ${pageId}`);
+  }
+
+  async click(elementId) {
+    const target = this.resolveElement(elementId, CLICKABLE_TYPES);
+    if (target.error) return this.failure(target.error);
+
+    await this.page.click(target.element.selector, { timeout: this.timeout });
+    // Links and submit buttons may navigate; give the route a moment to settle
+    await this.page.waitForLoadState('domcontentloaded', { timeout: this.timeout }).catch(() => {});
+    return this.success(`Clicked ${elementId}`);
+  }
+
+  async fill(elementId, text) {
+    if (typeof text !== 'string') return this.failure('fill needs a text argument');
+    const target = this.resolveElement(elementId, FILLABLE_TYPES);
+    if (target.error) return this.failure(target.error);
+
+    const value = this.generator.fillCredentials(text, { secretsFile: this.secretsFile });
+    await this.page.fill(target.element.selector, value, { timeout: this.timeout });
+    // Report the text as the model wrote it, so resolved credentials never reach the transcript
+    return this.success(`Filled ${elementId} with "${text}"`);
+  }
+
+  async openComponent(componentId) {
+    const target = this.targets.components.get(componentId);
+    if (!target) return this.failure(`Unknown component "${componentId}"`);
+    const { node, state, selector } = target;
+    const current = this.currentPage();
+    if (current && node.appearsOn && !node.appearsOn.includes(current.id)) {
+      return this.failure(`${componentId} is not on ${current.id}; it appears on ${node.appearsOn.join(', ')}`);
+    }
+
+    // The state may be persisted, so look before clicking: a toggle would close it again
+    if (await this.isInState(node, state)) {
+      return this.success(`${componentId} is already ${state}`);
+    }
+    await this.page.click(selector, { timeout: this.timeout });
+    return this.success(`${componentId} is now ${state}`);
+  }
+
+  /**
+   * Whether an element shown only in the given state is visible
+   */
+  async isInState(node, stateId) {
+    const shown = (node.states || []).find(state => state.id === stateId)?.elements || [];
+    const elsewhere = new Set((node.states || [])
+      .filter(state => state.id !== stateId)
+      .flatMap(state => state.elements || []));
+    const marker = (node.elements || []).find(element =>
+      shown.includes(element.id) && !elsewhere.has(element.id) && element.selector);
+    if (!marker) return false;
+    return this.page.locator(marker.selector).first().isVisible().catch(() => false);
+  }
+
+  /**
+   * Look up an element by tool id and check that it can be used on the current page
+   * @returns {{owner: Object, element: Object}|{error: string}}
+   */
+  resolveElement(elementId, types) {
+    const target = this.targets.elements.get(elementId);
+    if (!target || !types.includes(target.element.type)) {
+      return { error: `Unknown element "${elementId}"` };
+    }
+
+    const current = this.currentPage();
+    if (!current) return target;
+    const { owner } = target;
+    if (owner.type === 'page' && owner.id !== current.id) {
+      return { error: `${elementId} is on ${owner.id}, but the browser is on ${current.id}. Navigate first.` };
+    }
+    if (owner.type !== 'page' && owner.appearsOn && !owner.appearsOn.includes(current.id)) {
+      return { error: `${elementId} belongs to ${owner.id}, which is not on ${current.id}` };
+    }
+    return target;
+  }
+
+  /**
+   * Page node matching the browser's URL. Route parameters (/product/:id) match any segment.
+   * @returns {Object|null} Page node, or null when the URL is not in the graph
+   */
+  currentPage() {
+    return this.generator.matchRoute(this.page.url());
+  }
+
+  success(message) {
+    const current = this.currentPage();
+    return { ok: true, message, page: current ? current.id : null, url: this.page.url() };
+  }
+
+  failure(error) {
+    const current = this.currentPage();
+    return { ok: false, error, page: current ? current.id : null, url: this.page.url() };
+  }
+}
+
+function objectSchema(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+/**
+ * One line of an id enum's description: "chat-input: Chat message input field (chat-assistant on home, men; when open)"
+ */
+function describeTarget(generator, [id, { owner, element }]) {
+  const where = owner.type === 'page'
+    ? `on ${owner.id}`
+    : `${owner.id}${owner.appearsOn ? ` on ${owner.appearsOn.join(', ')}` : ''}`;
+  const states = generator.getElementStates(owner, element.id);
+  const when = states.length > 0 && states.length < owner.states.length ? `; when ${states.join(' or ')}` : '';
+  return `${id}: ${element.description} (${where}${when})`;
+}
+
+export default ToolExecutor;
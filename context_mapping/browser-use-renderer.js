@@ -0,0 +1,33 @@
+/**
+ * browser-use renderer
+ *
+ * The markdown prose the context generator has always produced for
+ * browser-use agents. It is the only renderer that honours a token budget
+ * (maxTokens, see ContextGenerator.generateBudgetedContext()).
+ */
+class BrowserUseRenderer {
+  constructor() {
+    this.name = 'browser-use';
+    this.extension = '.md';
+    this.description = 'Markdown prose with selectors for browser-use agents (default)';
+  }
+
+  renderFull(generator, options = {}) {
+    return generator.generateFullContext({
+      includeAuth: true,
+      includeComponents: true,
+      includeFlows: true,
+      ...options
+    });
+  }
+
+  renderTask(generator, taskDescription, options = {}) {
+    return generator.generateTaskContext(taskDescription, options);
+  }
+
+  renderQuickReference(generator) {
+    return generator.generateQuickReference();
+  }
+}
+
+export default BrowserUseRenderer;
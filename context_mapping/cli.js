@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractFlag, extractSiteFlag } from './graph-registry.js';
+import { main as explore } from './explore-graph.js';
+import { main as generateContext } from './generate-context.js';
+import { main as generateVisual } from './generate-visual.js';
+import { main as generatePng } from './generate-png-visualization.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const PROGRAM = 'context-map';
+
+/**
+ * context-map CLI
+ *
+ * One binary over the per-tool scripts. generate, visual and png run
+ * generate-context.js, generate-visual.js and generate-png-visualization.js;
+ * every other command is a Graph Explorer command (validate, route, crawl,
+ * codegen, ...), also reachable as `context-map explore <command>`.
+ * --site and --env may appear anywhere on the command line.
+ *
+ * @param {Array<string>} argv - Arguments after the program name
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv = process.argv.slice(2)) {
+  const { site, args: siteArgs } = extractSiteFlag(argv);
+  const { value: environment, args } = extractFlag(siteArgs, 'env');
+  const siteFlag = site ? ['--site', site] : [];
+  const envFlag = environment ? ['--env', environment] : [];
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case undefined:
+    case 'help':
+    case '--help':
+    case '-h':
+      console.log(`
+Context Map - graph-based website context for browser agents
+
+Usage:
+  ${PROGRAM} <command> [options] [--site <name|url>] [--env <profile>]
+
+Commands:
+  generate          Write full-context.md, quick-reference.md, context.json,
+                    tree-structure.txt and tree-map.html to output/
+  visual [format]   Write Mermaid, DOT, SVG and text tree diagrams, or print
+                    one format (mermaid, dot, svg, tree)
+  png               Render graph.png [--engine auto|resvg|builtin] [--scale <n>]
+  explore [command] Graph explorer; without a command it lists its commands
+
+Every explorer command also runs directly, for example:
+  ${PROGRAM} validate --json
+  ${PROGRAM} route login men --env local
+  ${PROGRAM} task "Open the chat on the men's page"
+  ${PROGRAM} codegen --site shop-demo
+
+Run "${PROGRAM} explore" for the full list and "${PROGRAM} <command> --help"
+for generate and png options.
+  `);
+      return 0;
+
+    case 'generate':
+      return generateContext([...rest, ...siteFlag, ...envFlag], `${PROGRAM} generate`);
+
+    case 'visual':
+      return generateVisual([...rest, ...siteFlag, ...envFlag], `${PROGRAM} visual`);
+
+    case 'png':
+      return generatePng([...rest, ...siteFlag, ...envFlag], `${PROGRAM} png`);
+
+    case 'explore':
+      return explore([...rest, ...siteFlag, ...envFlag], `${PROGRAM} explore`);
+
+    default:
+      return explore([...args, ...siteFlag, ...envFlag], PROGRAM);
+  }
+}
+
+// Compare real paths: npm links the binary into node_modules/.bin
+function isMainModule() {
+  try {
+    return !!process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+if (isMainModule()) {
+  process.exitCode = await run();
+}
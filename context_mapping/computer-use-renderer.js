@@ -0,0 +1,152 @@
+// Words for element types as they look on screen
+const ELEMENT_NOUNS = {
+  button: 'button',
+  link: 'link',
+  input: 'field',
+  heading: 'heading',
+  image: 'image',
+  text: 'text',
+  container: 'area'
+};
+
+/**
+ * Computer-use renderer
+ *
+ * A system prompt for screenshot-driven agents in the style of OpenAI's
+ * computer-use model. These agents click screen coordinates and cannot use
+ * selectors, so pages and components are described by visible text,
+ * placement and what they lead to.
+ */
+class ComputerUseRenderer {
+  constructor() {
+    this.name = 'computer-use';
+    this.extension = '.txt';
+    this.description = 'System prompt for screenshot-driven computer-use agents (no selectors)';
+  }
+
+  renderFull(generator, options = {}) {
+    return this.render(generator.buildContextModel(options));
+  }
+
+  renderTask(generator, taskDescription, options = {}) {
+    return this.render(generator.buildContextModel({ ...options, task: taskDescription }));
+  }
+
+  renderQuickReference(generator, options = {}) {
+    return this.render(generator.buildContextModel(options), { quick: true });
+  }
+
+  /**
+   * Render a context model (see ContextGenerator.buildContextModel())
+   * @param {Object} model - Context model
+   * @param {Object} options - Render options
+   * @param {boolean} options.quick - Only pages, their URLs and visible controls
+   * @returns {string} System prompt
+   */
+  render(model, options = {}) {
+    const { quick = false } = options;
+    const names = new Map([...model.pages, ...model.reachable].map(page => [page.id, page.name]));
+    const pageName = id => names.get(id) || id;
+
+    let text = `You are operating a web browser to complete tasks on the website at ${model.site.baseUrl}. `;
+    text += `You see the screen through screenshots and act by clicking, typing, scrolling and pressing keys. `;
+    text += `The map below describes what you will see; identify controls by their visible text and position.\n\n`;
+    if (model.task) {
+      text += `TASK\n${model.task}\n\n`;
+    }
+
+    text += `PAGES\n`;
+    model.pages.forEach(page => {
+      text += `- ${page.name}: ${page.url}${page.requiresAuth ? ' (requires sign-in)' : ''}`;
+      text += quick ? '\n' : `. ${page.description}\n`;
+      const controls = page.elements.filter(element => this.isVisibleControl(element)).map(element => this.describe(element));
+      if (controls.length > 0) {
+        text += `  You will see: ${controls.join(', ')}.\n`;
+      }
+      if (!quick && page.links.length > 0) {
+        text += `  From here you can reach: ${[...new Set(page.links.map(link => pageName(link.to)))].join(', ')}.\n`;
+      }
+    });
+    text += `\n`;
+
+    if (model.components.length > 0) {
+      text += `ON-SCREEN COMPONENTS\n`;
+      model.components.forEach(component => {
+        const where = this.describePosition(component.position);
+        text += `- ${component.name}${where ? `, ${where}` : ''}`;
+        text += component.appearsOn.length > 0 ? `, shown on ${component.appearsOn.map(pageName).join(', ')}` : '';
+        text += quick ? '.\n' : `. ${component.description}.\n`;
+        if (component.defaultState) {
+          text += `  It starts ${component.defaultState} and may stay open or closed between pages. `;
+          text += `${component.hints.map(({ hint }) => `${hint}.`).join(' ')}\n`;
+        }
+        const controls = component.elements.filter(element => this.isVisibleControl(element)).map(element => this.describe(element));
+        if (!quick && controls.length > 0) {
+          text += `  You will see: ${controls.join(', ')}.\n`;
+        }
+      });
+      text += `\n`;
+    }
+
+    if (model.reachable.length > 0) {
+      text += `NEARBY PAGES\n`;
+      model.reachable.forEach(page => {
+        text += `- ${page.name} (${page.route}), ${page.hops} step${page.hops > 1 ? 's' : ''} away from ${pageName(page.from)}\n`;
+      });
+      text += `\n`;
+    }
+
+    if (model.auth && model.auth.credentials) {
+      text += `SIGNING IN\n`;
+      text += `Protected pages redirect to ${model.auth.loginUrl}. Sign in there with username ${model.auth.credentials.username} `;
+      text += `and password ${model.auth.credentials.password}. Type credentials only into the sign-in form.\n\n`;
+    }
+
+    if (!quick && model.flows.length > 0) {
+      text += `COMMON FLOWS\n`;
+      model.flows.forEach(flow => {
+        text += `- ${flow.name}: ${flow.steps.join('; ')}\n`;
+      });
+      text += `\n`;
+    }
+
+    text += `RULES\n`;
+    text += `- Take a new screenshot after every click that loads a page or opens a panel, and wait until it has finished loading.\n`;
+    text += `- Prefer clicking visible links and buttons; type a URL from the list above only when no link leads there.\n`;
+    text += `- If a control described here is not visible, scroll or check the component's state before deciding it is missing.\n`;
+    return text;
+  }
+
+  /**
+   * Elements worth pointing out on a screenshot: labelled ones and icon buttons
+   */
+  isVisibleControl(element) {
+    return !!(element.text || element.placeholder) || element.type === 'button';
+  }
+
+  /**
+   * Visible description of an element, e.g. "Sign In" button, field showing
+   * "Enter username", or the graph description for icon buttons
+   */
+  describe(element) {
+    const noun = ELEMENT_NOUNS[element.type] || 'element';
+    const states = element.states.length > 0 ? ` (when ${element.states.join(' or ')})` : '';
+    if (element.text) return `"${element.text}" ${noun}${states}`;
+    if (element.placeholder) return `${noun} showing "${element.placeholder}"${states}`;
+    return `${element.description.charAt(0).toLowerCase()}${element.description.slice(1)}${states}`;
+  }
+
+  /**
+   * Screen placement from a CSS position such as "fixed bottom-6 right-6"
+   */
+  describePosition(position) {
+    if (!position) return null;
+    const vertical = /\bbottom\b|\bbottom-/.test(position) ? 'bottom' : /\btop\b|\btop-/.test(position) ? 'top' : null;
+    const horizontal = /\bright\b|\bright-/.test(position) ? 'right' : /\bleft\b|\bleft-/.test(position) ? 'left' : null;
+    if (!vertical && !horizontal) return null;
+    const corner = [vertical, horizontal].filter(Boolean).join('-');
+    return `${/\bfixed\b/.test(position) ? 'floating ' : ''}at the ${corner}${vertical && horizontal ? ' corner' : ' edge'} of the screen`;
+  }
+}
+
+export default ComputerUseRenderer;
@@ -1,10 +1,76 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  credentialPlaceholder,
+  describeCredential,
+  fillCredentials,
+  redactCredentials,
+  resolveCredential
+} from './credentials.js';
+import { buildAgentTools, formatTools } from './agent-tools.js';
+import { getContextRenderer } from './context-renderers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Rough token estimate (about 4 characters per token for English text and markdown)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Count prune labels by kind: ["products of men", "products of women", "flow \"Login\""] → "2 products, 1 flow"
+ */
+function countLabels(labels) {
+  const counts = new Map();
+  labels.forEach(label => {
+    const kind = label.split(' ')[0];
+    counts.set(kind, (counts.get(kind) || 0) + 1);
+  });
+  return [...counts.entries()].map(([kind, count]) => `${count} ${kind}${count > 1 && !kind.endsWith('s') ? 's' : ''}`).join(', ');
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'go', 'has', 'i',
+  'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'page', 'please', 'some', 'the',
+  'then', 'there', 'this', 'to', 'up', 'use', 'user', 'users', 'want', 'with', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase search terms without stop-words. Possessives and
+ * plural "s" are stripped so "Men's" and "men" (or "products" and "product") match.
+ */
+export function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Whether a URL path matches a graph route. `:param` segments match any one
+ * segment; a trailing slash, query string and hash are ignored. The page
+ * object and flow test generators copy this function into the code they
+ * write, so it must not reference anything outside its body.
+ * @param {string} pathname - URL path such as /product/42
+ * @param {string} route - Route such as /product/:id
+ * @returns {boolean}
+ */
+export function matchesRoute(pathname, route) {
+  const pattern = route
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern}/?$`).test(pathname.split(/[?#]/)[0]);
+}
+
 /**
  * Context Generator for Style Scout AI Website
  * 
@@ -12,9 +78,72 @@ const __dirname = path.dirname(__filename);
  * that can be provided to the agent before performing tasks.
  */
 class ContextGenerator {
-  constructor(graphPath = null) {
+  /**
+   * @param {string} graphPath - Graph file, defaults to website-graph.json next to this module
+   * @param {Object} options - Generator options
+   * @param {string} options.environment - Environment profile from metadata.environments (e.g. local, tunnel)
+   */
+  constructor(graphPath = null, options = {}) {
     const graphFilePath = graphPath || path.join(__dirname, 'website-graph.json');
     this.graph = JSON.parse(fs.readFileSync(graphFilePath, 'utf-8'));
+    this.environment = options.environment || this.graph.metadata.defaultEnvironment || null;
+    // Fail early on unknown profiles or unset tunnel variables
+    this.getBaseUrl();
+  }
+
+  /**
+   * List the environment profiles declared in metadata.environments
+   * @returns {Array<{name: string, baseUrl: string|null, baseUrlEnv: string|null, description: string}>}
+   */
+  listEnvironments() {
+    const environments = this.graph.metadata.environments || {};
+    return Object.keys(environments).map(name => ({
+      name,
+      baseUrl: environments[name].baseUrl || null,
+      baseUrlEnv: environments[name].baseUrlEnv || null,
+      description: environments[name].description || ''
+    }));
+  }
+
+  /**
+   * Base URL of the selected environment profile. A profile can name an
+   * environment variable (`baseUrlEnv`) for URLs that change between runs,
+   * such as tunnels; `baseUrl` is the fallback when the variable is unset.
+   * Without a profile this is metadata.baseUrl.
+   * @returns {string} Base URL without a trailing slash
+   */
+  getBaseUrl() {
+    if (!this.environment) {
+      return this.graph.metadata.baseUrl.replace(/\/$/, '');
+    }
+
+    const environments = this.graph.metadata.environments || {};
+    const profile = environments[this.environment];
+    if (!profile) {
+      const available = Object.keys(environments).join(', ') || 'none';
+      throw new Error(`Unknown environment "${this.environment}". Available environments: ${available}`);
+    }
+
+    const baseUrl = (profile.baseUrlEnv && process.env[profile.baseUrlEnv]) || profile.baseUrl;
+    if (!baseUrl) {
+      throw new Error(`Environment "${this.environment}" needs ${profile.baseUrlEnv} to be set to its base URL`);
+    }
+    return baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Switch to another environment profile
+   * @param {string} environment - Profile name, or null for metadata.baseUrl
+   */
+  setEnvironment(environment) {
+    const previous = this.environment;
+    this.environment = environment;
+    try {
+      this.getBaseUrl();
+    } catch (error) {
+      this.environment = previous;
+      throw error;
+    }
   }
 
   /**
@@ -23,76 +152,197 @@ class ContextGenerator {
    * @param {boolean} options.includeAuth - Include authentication details
    * @param {boolean} options.includeComponents - Include component details
    * @param {boolean} options.includeFlows - Include user flow patterns
+   * @param {number} options.maxTokens - Token budget; lower-priority sections are summarised or dropped to fit
+   * @param {string} options.task - Task description used to prioritise pages when pruning
+   * @param {Function} options.countTokens - Token counter, defaults to estimateTokens()
    * @returns {string} Formatted context string
    */
   generateFullContext(options = {}) {
+    return this.generateBudgetedContext(options).context;
+  }
+
+  /**
+   * Generate full context within a token budget and report what was pruned.
+   * Priority, highest first: task-relevant pages, the auth section when they
+   * need it, their neighbours, global components, remaining pages, user
+   * flows, then descriptions and product lists. Blocks are summarised as
+   * one-liners before they are dropped.
+   * @param {Object} options - Same options as generateFullContext()
+   * @returns {{context: string, tokens: number, maxTokens: number|null, summarized: Array<string>, dropped: Array<string>}}
+   */
+  generateBudgetedContext(options = {}) {
+    const {
+      maxTokens = null,
+      countTokens = estimateTokens
+    } = options;
+
+    const blocks = this.buildContextBlocks(options);
+    // Section headings are only rendered while something in their section
+    // survives, and page details only while their page title is shown in full
+    const visible = block => block.state !== 'dropped' && (!block.parent || block.parent.state === 'full');
+    const render = () => blocks
+      .filter(block => visible(block) && (!block.heading || blocks.some(other =>
+        other.section === block.section && !other.heading && visible(other)
+      )))
+      .map(block => (block.state === 'summarized' ? block.summary : block.text))
+      .reduce((output, text) => {
+        // Keep a blank line before headings when the block above was summarised
+        const gap = text.startsWith('#') && output.length > 0 && !output.endsWith('\n\n') ? '\n' : '';
+        return output + gap + text;
+      }, '');
+
+    const report = { maxTokens, summarized: [], dropped: [] };
+    const withNote = () => {
+      const output = render();
+      const note = this.formatPruneNote(report, maxTokens);
+      return note && !output.endsWith('\n\n') ? `${output}\n${note}` : output + note;
+    };
+    const fits = () => countTokens(withNote()) <= maxTokens;
+
+    if (maxTokens !== null && !fits()) {
+      // Ties are pruned from the bottom of the document up
+      const prunable = blocks
+        .map((block, index) => ({ block, index }))
+        .filter(({ block }) => block.priority !== Infinity)
+        .sort((a, b) => a.block.priority - b.block.priority || b.index - a.index)
+        .map(({ block }) => block);
+
+      // First pass: summarise (or drop when there is no summary), lowest priority first
+      for (const block of prunable) {
+        if (fits()) break;
+        if (block.summary) {
+          block.state = 'summarized';
+          report.summarized.push(block.label);
+        } else {
+          block.state = 'dropped';
+          report.dropped.push(block.label);
+        }
+      }
+
+      // Second pass: drop the one-liners too
+      for (const block of prunable) {
+        if (fits()) break;
+        if (block.state === 'summarized') {
+          block.state = 'dropped';
+          report.summarized.splice(report.summarized.indexOf(block.label), 1);
+          report.dropped.push(block.label);
+        }
+      }
+    }
+
+    let context = maxTokens !== null ? withNote() : render();
+    if (maxTokens !== null) {
+      // The header alone can exceed a tiny budget
+      while (countTokens(context) > maxTokens && context.length > 0) {
+        const cut = context.lastIndexOf('\n', context.length - 2);
+        context = cut > 0 ? context.slice(0, cut + 1) : context.slice(0, Math.max(0, context.length - 4));
+      }
+    }
+
+    return { context, tokens: countTokens(context), ...report };
+  }
+
+  /**
+   * Split the full context into ordered blocks with a priority and an optional one-line summary
+   */
+  buildContextBlocks(options = {}) {
     const {
       includeAuth = true,
       includeComponents = true,
-      includeFlows = true
+      includeFlows = true,
+      task = null
     } = options;
 
-    let context = `# Website Context Map: ${this.graph.metadata.name}\n\n`;
-    context += `Base URL: ${this.graph.metadata.baseUrl}\n`;
-    context += `Version: ${this.graph.metadata.version}\n\n`;
+    const blocks = [];
+    let section = null;
+    const add = (text, priority, label, summary = null, parent = null) => {
+      const block = { text, priority, label, summary, section, heading: false, parent, state: 'full' };
+      blocks.push(block);
+      return block;
+    };
+    const addHeading = (text, name) => {
+      section = name;
+      blocks.push({ text, priority: Infinity, label: name, summary: null, section, heading: true, state: 'full' });
+    };
+
+    let header = `# Website Context Map: ${this.graph.metadata.name}\n\n`;
+    header += `Base URL: ${this.getBaseUrl()}\n`;
+    header += `Version: ${this.graph.metadata.version}\n\n`;
+    add(header, Infinity, 'header');
+
+    const pagePriority = this.rankPagesForBudget(task);
 
     // Pages overview
-    context += `## Pages Structure\n\n`;
+    addHeading(`## Pages Structure\n\n`, 'pages');
     const pages = this.graph.nodes.filter(node => node.type === 'page');
     pages.forEach(page => {
-      context += `### ${page.name} (${page.route})\n`;
-      context += `- **Description**: ${page.description}\n`;
-      context += `- **Requires Auth**: ${page.requiresAuth ? 'Yes' : 'No'}\n`;
-      
+      const priority = pagePriority.get(page.id);
+      const title = add(`### ${page.name} (${page.route})\n`, priority, `page ${page.id}`,
+        `- ${page.name} (${page.route})${page.requiresAuth ? ' [auth]' : ''}\n`);
+      add(`- **Description**: ${page.description}\n`, 20, `description of ${page.id}`);
+
+      let details = `- **Requires Auth**: ${page.requiresAuth ? 'Yes' : 'No'}\n`;
       if (page.elements && page.elements.length > 0) {
-        context += `- **Key Elements**:\n`;
+        details += `- **Key Elements**:\n`;
         page.elements.forEach(element => {
-          context += `  - ${element.description} (${element.type})\n`;
+          details += `  - ${element.description} (${element.type})\n`;
           if (element.selector) {
-            context += `    - Selector: \`${element.selector}\`\n`;
+            details += `    - Selector: \`${element.selector}\`\n`;
           }
         });
       }
+      add(details, Infinity, `elements of ${page.id}`, null, title);
 
       if (page.products && page.products.length > 0) {
-        context += `- **Products Available**: ${page.products.length} items\n`;
-        context += `  - Categories: ${[...new Set(page.products.map(p => p.category))].join(', ')}\n`;
+        let products = `- **Products Available**: ${page.products.length} items\n`;
+        products += `  - Categories: ${[...new Set(page.products.map(p => p.category))].join(', ')}\n`;
+        add(products, 10, `products of ${page.id}`);
       }
 
+      let tail = '';
       if (page.userFlow && page.userFlow.nextSteps) {
-        context += `- **Navigation Options**: ${page.userFlow.nextSteps.join(', ')}\n`;
+        tail += `- **Navigation Options**: ${page.userFlow.nextSteps.join(', ')}\n`;
       }
-      context += `\n`;
+      tail += `\n`;
+      add(tail, Infinity, `navigation options of ${page.id}`, null, title);
     });
 
     // Components overview
     if (includeComponents) {
-      context += `## Global Components\n\n`;
+      addHeading(`## Global Components\n\n`, 'components');
       const components = this.graph.nodes.filter(node => node.type === 'component');
       components.forEach(component => {
-        context += `### ${component.name}\n`;
-        context += `- **Description**: ${component.description}\n`;
+        let text = `### ${component.name}\n`;
+        const description = `- **Description**: ${component.description}\n`;
+        let details = '';
         if (component.appearsOn) {
-          context += `- **Appears On**: ${component.appearsOn.join(', ')}\n`;
+          details += `- **Appears On**: ${component.appearsOn.join(', ')}\n`;
         }
         if (component.position) {
-          context += `- **Position**: ${component.position}\n`;
+          details += `- **Position**: ${component.position}\n`;
         }
         if (component.elements && component.elements.length > 0) {
-          context += `- **Key Elements**:\n`;
+          details += `- **Key Elements**:\n`;
           component.elements.forEach(element => {
-            context += `  - ${element.description}\n`;
+            details += `  - ${element.description}${this.formatElementStates(component, element)}\n`;
             if (element.selector) {
-              context += `    - Selector: \`${element.selector}\`\n`;
+              details += `    - Selector: \`${element.selector}\`\n`;
             }
           });
         }
-        context += `\n`;
+        details += this.formatStates(component);
+        details += `\n`;
+        // The hint survives pruning: without it agents look for elements that are not rendered yet
+        const hints = this.getStateHints(component).map(({ hint }) => ` - ${hint}`).join('');
+        const summary = `- ${component.name}${component.appearsOn ? ` (on ${component.appearsOn.join(', ')})` : ''}${hints}\n`;
+        const title = add(text, 60, `component ${component.id}`, summary);
+        add(description, 20, `description of ${component.id}`);
+        add(details, Infinity, `elements of ${component.id}`, null, title);
       });
     }
 
     // Navigation graph
-    context += `## Navigation Flow\n\n`;
+    addHeading(`## Navigation Flow\n\n`, 'navigation');
     const navigationEdges = this.graph.edges.filter(edge => edge.type === 'navigation');
     const navigationMap = {};
     navigationEdges.forEach(edge => {
@@ -108,60 +358,102 @@ class ContextGenerator {
 
     Object.keys(navigationMap).forEach(from => {
       const page = this.graph.nodes.find(n => n.id === from);
-      context += `**From ${page.name}**:\n`;
+      let text = `**From ${page.name}**:\n`;
       navigationMap[from].forEach(nav => {
         const toPage = this.graph.nodes.find(n => n.id === nav.to);
-        context += `- ${nav.description}\n`;
-        context += `  - Route: ${toPage.route}\n`;
+        text += `- ${nav.description}\n`;
+        text += `  - Route: ${toPage.route}\n`;
       });
-      context += `\n`;
+      text += `\n`;
+      const routes = navigationMap[from].map(nav => this.graph.nodes.find(n => n.id === nav.to).route);
+      add(text, (pagePriority.get(from) || 50) - 2, `routes from ${from}`,
+        `- From ${page.name}: ${[...new Set(routes)].join(', ')}\n`);
     });
 
     // Authentication
+    section = null;
     if (includeAuth && this.graph.authentication) {
-      context += `## Authentication\n\n`;
-      context += `- **Required**: ${this.graph.authentication.required ? 'Yes' : 'No'}\n`;
-      context += `- **Public Pages**: ${this.graph.authentication.publicPages.join(', ')}\n`;
-      context += `- **Protected Pages**: ${this.graph.authentication.protectedPages.join(', ')}\n`;
+      let text = `## Authentication\n\n`;
+      text += `- **Required**: ${this.graph.authentication.required ? 'Yes' : 'No'}\n`;
+      text += `- **Public Pages**: ${this.graph.authentication.publicPages.join(', ')}\n`;
+      text += `- **Protected Pages**: ${this.graph.authentication.protectedPages.join(', ')}\n`;
       if (this.graph.authentication.defaultCredentials) {
-        context += `- **Default Credentials**:\n`;
-        context += `  - Username: ${this.graph.authentication.defaultCredentials.username}\n`;
-        context += `  - Password: ${this.graph.authentication.defaultCredentials.password}\n`;
+        text += `- **Default Credentials**:\n`;
+        text += `  - Username: ${credentialPlaceholder('username')}\n`;
+        text += `  - Password: ${credentialPlaceholder('password')}\n`;
       }
-      context += `\n`;
+      text += `\n`;
+      const authNeeded = pages.some(page => page.requiresAuth && pagePriority.get(page.id) >= 70);
+      add(text, authNeeded ? 80 : 45, 'authentication',
+        `## Authentication\n\n- Protected pages: ${this.graph.authentication.protectedPages.join(', ')} (log in at ${this.findLoginPage()?.route || 'the login page'})\n\n`);
     }
 
     // Common patterns/flows
     if (includeFlows && this.graph.commonPatterns) {
-      context += `## Common User Flows\n\n`;
+      addHeading(`## Common User Flows\n\n`, 'flows');
       this.graph.commonPatterns.forEach(pattern => {
-        context += `### ${pattern.name}\n`;
+        let text = `### ${pattern.name}\n`;
         pattern.steps.forEach((step, index) => {
-          context += `${index + 1}. ${step}\n`;
+          text += `${index + 1}. ${step}\n`;
         });
-        context += `\n`;
+        text += `\n`;
+        add(text, 30, `flow "${pattern.name}"`, `- ${pattern.name} (${pattern.steps.length} steps)\n`);
       });
     }
 
-    return context;
+    return blocks;
+  }
+
+  /**
+   * Priority of each page for budgeted context: task-relevant pages 90,
+   * their navigation neighbours 70, everything else 50 (70 without a task)
+   */
+  rankPagesForBudget(task) {
+    const pages = this.graph.nodes.filter(node => node.type === 'page');
+    const priorities = new Map(pages.map(page => [page.id, task ? 50 : 70]));
+    if (!task) return priorities;
+
+    const relevant = new Set(this.findRelevantPages(task).map(page => page.id));
+    this.graph.edges
+      .filter(edge => edge.type === 'navigation' && (relevant.has(edge.from) || relevant.has(edge.to)))
+      .forEach(edge => {
+        [edge.from, edge.to].forEach(id => {
+          if (priorities.has(id)) priorities.set(id, 70);
+        });
+      });
+    relevant.forEach(id => priorities.set(id, 90));
+    return priorities;
+  }
+
+  formatPruneNote(report, maxTokens) {
+    if (report.summarized.length === 0 && report.dropped.length === 0) {
+      return '';
+    }
+    let note = `## Pruned to fit ${maxTokens} tokens\n`;
+    if (report.summarized.length > 0) {
+      note += `- Summarised: ${countLabels(report.summarized)}\n`;
+    }
+    if (report.dropped.length > 0) {
+      note += `- Omitted: ${countLabels(report.dropped)}\n`;
+    }
+    return note;
   }
 
   /**
    * Generate context for a specific task
    * @param {string} taskDescription - Description of the task to perform
+   * @param {Object} options - Task context options
+   * @param {number} options.maxPages - Maximum number of relevant pages
+   * @param {number} options.maxHops - How many navigation hops to look ahead from the relevant pages
    * @returns {string} Task-specific context
    */
-  generateTaskContext(taskDescription) {
+  generateTaskContext(taskDescription, options = {}) {
+    const { maxPages = 3, maxHops = 2 } = options;
     let context = `# Task Context\n\n`;
     context += `**Task**: ${taskDescription}\n\n`;
 
-    // Identify relevant pages based on task keywords
-    const taskLower = taskDescription.toLowerCase();
-    const relevantPages = this.graph.nodes.filter(node => {
-      if (node.type !== 'page') return false;
-      const pageText = `${node.name} ${node.description} ${node.route}`.toLowerCase();
-      return taskLower.split(' ').some(keyword => pageText.includes(keyword));
-    });
+    const relevantPages = this.findRelevantPages(taskDescription, { maxPages });
+    const relevantComponents = this.findRelevantComponents(taskDescription);
 
     if (relevantPages.length > 0) {
       context += `## Relevant Pages\n\n`;
@@ -191,19 +483,211 @@ class ContextGenerator {
       });
     }
 
+    if (relevantComponents.length > 0) {
+      context += `## Relevant Components\n\n`;
+      relevantComponents.forEach(component => {
+        context += `### ${component.name}\n`;
+        context += `- ${component.description}\n`;
+        if (component.appearsOn) {
+          context += `- Appears on: ${component.appearsOn.join(', ')}\n`;
+        }
+        if (component.position) {
+          context += `- Position: ${component.position}\n`;
+        }
+        if (component.elements && component.elements.length > 0) {
+          context += `- **Interactive Elements**:\n`;
+          component.elements.forEach(element => {
+            context += `  - ${element.description}${this.formatElementStates(component, element)}`;
+            if (element.selector) {
+              context += ` (\`${element.selector}\`)`;
+            }
+            context += `\n`;
+          });
+        }
+        context += this.formatStates(component);
+        context += `\n`;
+      });
+    }
+
+    // Look ahead: pages the agent can reach from the relevant pages
+    const nearby = this.findNearbyPages(relevantPages.map(page => page.id), maxHops);
+    if (nearby.length > 0) {
+      context += `## Reachable From Here\n\n`;
+      nearby.forEach(({ page, hops, via }) => {
+        const from = this.findNode(via.from);
+        context += `- ${page.name} (${page.route}) - ${hops} hop${hops > 1 ? 's' : ''}, from ${from.name} via ${via.trigger}\n`;
+      });
+      context += `\n`;
+    }
+
     // Add authentication requirements if needed
-    const needsAuth = relevantPages.some(page => page.requiresAuth);
-    if (needsAuth) {
+    const needsAuth = this.taskNeedsAuth(relevantPages, nearby.map(({ page }) => page), relevantComponents);
+    if (needsAuth && this.graph.authentication && this.graph.authentication.defaultCredentials) {
       context += `## Authentication Required\n\n`;
       context += `This task requires authentication. Use the following credentials:\n`;
-      context += `- Username: ${this.graph.authentication.defaultCredentials.username}\n`;
-      context += `- Password: ${this.graph.authentication.defaultCredentials.password}\n`;
-      context += `- Login page: ${this.graph.metadata.baseUrl}/login\n\n`;
+      context += `- Username: ${credentialPlaceholder('username')}\n`;
+      context += `- Password: ${credentialPlaceholder('password')}\n`;
+      context += `- Login page: ${this.resolveUrl(this.findLoginPage()?.route || '/login')}\n\n`;
     }
 
     return context;
   }
 
+  /**
+   * Whether a task touching these pages and components needs a login: any
+   * of the pages is protected, or a component only appears on protected pages
+   */
+  taskNeedsAuth(pages, nearbyPages, components) {
+    return [...pages, ...nearbyPages].some(page => page.requiresAuth)
+      || components.some(component => (component.appearsOn || [])
+        .every(pageId => this.findNode(pageId)?.requiresAuth));
+  }
+
+  /**
+   * Build (once) a BM25 index over every node. Pages are indexed by name,
+   * route, description, element descriptions, actions and products;
+   * components by name, description, position and element descriptions.
+   */
+  getSearchIndex() {
+    if (this.searchIndex) return this.searchIndex;
+
+    const documents = this.graph.nodes.map(node => {
+      const fields = [
+        // Names and routes count three and two times: a term there is a strong signal
+        node.name, node.name, node.name,
+        node.route || '', node.route || '',
+        node.description,
+        node.position || '',
+        node.initialMessage || '',
+        ...(node.elements || []).map(element => element.description),
+        ...(node.states || []).map(state => state.description),
+        ...((node.userFlow && node.userFlow.actions) || []),
+        ...(node.products || []).map(product => `${product.name} ${product.category || ''}`)
+      ];
+      const terms = tokenize(fields.join(' '));
+      const frequencies = new Map();
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { node, length: terms.length, frequencies };
+    });
+
+    const documentFrequency = new Map();
+    documents.forEach(document => {
+      document.frequencies.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      });
+    });
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / (documents.length || 1);
+
+    this.searchIndex = { documents, documentFrequency, averageLength };
+    return this.searchIndex;
+  }
+
+  /**
+   * Rank nodes against a task with BM25
+   * @param {string} taskDescription - Description of the task to perform
+   * @returns {Array<{node: Object, score: number}>} Nodes with a positive score, best first
+   */
+  rankNodes(taskDescription) {
+    const k1 = 1.2;
+    const b = 0.75;
+    const { documents, documentFrequency, averageLength } = this.getSearchIndex();
+    const queryTerms = [...new Set(tokenize(taskDescription))];
+
+    return documents
+      .map(document => {
+        const score = queryTerms.reduce((sum, term) => {
+          const frequency = document.frequencies.get(term) || 0;
+          if (frequency === 0) return sum;
+          const df = documentFrequency.get(term);
+          const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+          const norm = frequency + k1 * (1 - b + b * document.length / averageLength);
+          return sum + idf * (frequency * (k1 + 1)) / norm;
+        }, 0);
+        return { node: document.node, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Identify pages relevant to a task. Pages scoring at least half of the
+   * best match are kept; when only a component matches, the pages it appears
+   * on are used instead.
+   * @param {string} taskDescription - Description of the task to perform
+   * @param {Object} options - Options
+   * @param {number} options.maxPages - Maximum number of pages to return
+   * @returns {Array} Relevant page nodes, best first
+   */
+  findRelevantPages(taskDescription, options = {}) {
+    const { maxPages = 3 } = options;
+    const ranked = this.rankNodes(taskDescription);
+    const pages = ranked.filter(result => result.node.type === 'page');
+
+    if (pages.length === 0) {
+      const appearsOn = this.findRelevantComponents(taskDescription)
+        .flatMap(component => component.appearsOn || []);
+      return [...new Set(appearsOn)]
+        .map(pageId => this.findNode(pageId))
+        .filter(page => page && page.type === 'page')
+        .slice(0, maxPages);
+    }
+
+    return pages
+      .filter(result => result.score >= pages[0].score / 2)
+      .slice(0, maxPages)
+      .map(result => result.node);
+  }
+
+  /**
+   * Identify components a task mentions (e.g. "open the chat" → Chat Assistant).
+   * Components are ranked against each other, not against pages, so a task
+   * that is mostly about a page still gets the component it names; one whose
+   * name or id appears in the task is always included.
+   * @param {string} taskDescription - Description of the task to perform
+   * @returns {Array} Component nodes, best first
+   */
+  findRelevantComponents(taskDescription) {
+    const task = String(taskDescription).toLowerCase();
+    const components = this.rankNodes(taskDescription).filter(result => result.node.type === 'component');
+    const named = this.graph.nodes.filter(node => node.type === 'component'
+      && [node.name, node.id, node.id.replace(/-/g, ' ')].some(label => label && task.includes(label.toLowerCase())));
+
+    const relevant = components
+      .filter(result => result.score >= components[0].score / 2 || named.includes(result.node))
+      .map(result => result.node);
+    return [...relevant, ...named.filter(node => !relevant.includes(node))];
+  }
+
+  /**
+   * Pages reachable from the given pages within maxHops navigation edges
+   * @param {Array<string>} pageIds - Start page ids
+   * @param {number} maxHops - Maximum number of hops
+   * @returns {Array<{page: Object, hops: number, via: Object}>} Reachable pages with the edge that first reaches them
+   */
+  findNearbyPages(pageIds, maxHops = 2) {
+    const seen = new Set(pageIds);
+    const nearby = [];
+    let frontier = [...pageIds];
+
+    for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+      const next = [];
+      frontier.forEach(fromId => {
+        this.graph.edges
+          .filter(edge => edge.type === 'navigation' && edge.from === fromId && !seen.has(edge.to))
+          .forEach(edge => {
+            const page = this.findNode(edge.to);
+            if (!page) return;
+            seen.add(edge.to);
+            nearby.push({ page, hops, via: edge });
+            next.push(edge.to);
+          });
+      });
+      frontier = next;
+    }
+
+    return nearby;
+  }
+
   /**
    * Generate simplified context for quick reference
    * @returns {string} Simplified context
@@ -236,9 +720,12 @@ class ContextGenerator {
         context += `### ${component.name}\n`;
         component.elements.forEach(element => {
           if (element.selector) {
-            context += `- ${element.description}: \`${element.selector}\`\n`;
+            context += `- ${element.description}${this.formatElementStates(component, element)}: \`${element.selector}\`\n`;
           }
         });
+        this.getStateHints(component).forEach(({ hint }) => {
+          context += `- ${hint}\n`;
+        });
         context += `\n`;
       }
     });
@@ -246,6 +733,142 @@ class ContextGenerator {
     return context;
   }
 
+  /**
+   * Generate function-calling tool definitions (navigate_to, click, fill,
+   * open_component) whose id parameters are enums of graph ids. Run the
+   * resulting calls with ToolExecutor from agent-tools.js.
+   * @param {Object} options - Options
+   * @param {string} options.format - openai or anthropic
+   * @returns {Array<Object>} Tool definitions in the provider's format
+   */
+  generateToolDefinitions(options = {}) {
+    const { format = 'openai' } = options;
+    return formatTools(buildAgentTools(this), format);
+  }
+
+  /**
+   * Render context with a registered renderer (see context-renderers.js),
+   * e.g. `renderContext('agent-sitemap', { task: 'Open the chat' })`.
+   * The browser-use renderer produces the same markdown as
+   * generateFullContext(), generateTaskContext() and generateQuickReference().
+   * @param {string} rendererName - Renderer name (browser-use, agent-sitemap, playwright-mcp, computer-use, or a registered plugin)
+   * @param {Object} options - Render options
+   * @param {string} options.mode - full, task or quick; defaults to task when options.task is set, else full
+   * @param {string} options.task - Task description for task mode
+   * @returns {string} Rendered context
+   */
+  renderContext(rendererName = 'browser-use', options = {}) {
+    const { mode = options.task ? 'task' : 'full', task = null, ...renderOptions } = options;
+    const renderer = getContextRenderer(rendererName);
+    if (mode === 'task') {
+      if (!task) {
+        throw new Error('Task mode needs a task description');
+      }
+      return renderer.renderTask(this, task, renderOptions);
+    }
+    if (mode === 'quick') {
+      return renderer.renderQuickReference(this, renderOptions);
+    }
+    if (mode === 'full') {
+      return renderer.renderFull(this, renderOptions);
+    }
+    throw new Error(`Unknown render mode "${mode}". Use full, task or quick`);
+  }
+
+  /**
+   * Collect what an agent needs to know as plain data, so every renderer
+   * describes the same pages, elements and components. With a task, the
+   * selection matches generateTaskContext(): relevant pages and components,
+   * pages reachable from them, and authentication only when needed.
+   * @param {Object} options - Model options
+   * @param {string} options.task - Task description; the whole graph is used without one
+   * @param {number} options.maxPages - Maximum number of relevant pages
+   * @param {number} options.maxHops - How many navigation hops to look ahead from the relevant pages
+   * @returns {Object} Context model: site, task, auth, pages, components, reachable and flows
+   */
+  buildContextModel(options = {}) {
+    const { task = null, maxPages = 3, maxHops = 2 } = options;
+    const { metadata, authentication } = this.graph;
+
+    let pages = this.graph.nodes.filter(node => node.type === 'page');
+    let components = this.graph.nodes.filter(node => node.type === 'component');
+    let reachable = [];
+    let needsAuth = !!authentication;
+    if (task) {
+      pages = this.findRelevantPages(task, { maxPages });
+      components = this.findRelevantComponents(task);
+      reachable = this.findNearbyPages(pages.map(page => page.id), maxHops);
+      needsAuth = this.taskNeedsAuth(pages, reachable.map(({ page }) => page), components);
+    }
+
+    const describeElement = (node, element) => {
+      const states = this.getElementStates(node, element.id);
+      return {
+        id: element.id,
+        type: element.type,
+        description: element.description,
+        selector: element.selector || null,
+        text: element.text || element.title || null,
+        placeholder: element.placeholder || null,
+        states: states.length > 0 && states.length < node.states.length ? states : []
+      };
+    };
+
+    return {
+      site: {
+        name: metadata.name,
+        description: metadata.description || null,
+        baseUrl: this.getBaseUrl(),
+        version: metadata.version,
+        environment: this.environment
+      },
+      task,
+      auth: needsAuth && authentication ? {
+        loginUrl: this.resolveUrl(this.findLoginPage()?.route || '/login'),
+        publicPages: authentication.publicPages || [],
+        protectedPages: authentication.protectedPages || [],
+        credentials: authentication.defaultCredentials
+          ? { username: credentialPlaceholder('username'), password: credentialPlaceholder('password') }
+          : null
+      } : null,
+      pages: pages.map(page => ({
+        id: page.id,
+        name: page.name,
+        route: page.route,
+        url: this.resolveUrl(page.route),
+        description: page.description,
+        requiresAuth: !!page.requiresAuth,
+        actions: (page.userFlow && page.userFlow.actions) || [],
+        elements: (page.elements || []).map(element => describeElement(page, element)),
+        products: (page.products || []).map(({ name, price, category }) => ({ name, price, category })),
+        links: this.graph.edges
+          .filter(edge => edge.type === 'navigation' && edge.from === page.id)
+          .map(edge => ({ to: edge.to, route: this.findNode(edge.to)?.route || null, trigger: edge.trigger, description: edge.description }))
+      })),
+      components: components.map(component => ({
+        id: component.id,
+        name: component.name,
+        description: component.description,
+        position: component.position || null,
+        appearsOn: component.appearsOn || [],
+        elements: (component.elements || []).map(element => describeElement(component, element)),
+        defaultState: this.getDefaultState(component)?.id || null,
+        states: (component.states || []).map(({ id, description }) => ({ id, description })),
+        persistence: component.statePersistence || null,
+        hints: this.getStateHints(component)
+      })),
+      reachable: reachable.map(({ page, hops, via }) => ({
+        id: page.id,
+        name: page.name,
+        route: page.route,
+        hops,
+        from: via.from,
+        trigger: via.trigger
+      })),
+      flows: task ? [] : (this.graph.commonPatterns || []).map(({ name, steps }) => ({ name, steps }))
+    };
+  }
+
   /**
    * Get graph structure as JSON
    * @returns {Object} Graph structure
@@ -263,6 +886,406 @@ class ContextGenerator {
     return this.graph.nodes.find(node => node.id === nodeId) || null;
   }
 
+  /**
+   * State a stateful component starts in: the one marked default, else the first
+   * @param {Object} node - Component node
+   * @returns {Object|null} State, or null when the node has no states
+   */
+  getDefaultState(node) {
+    const states = node.states || [];
+    return states.find(state => state.default) || states[0] || null;
+  }
+
+  /**
+   * States in which an element is rendered
+   * @param {Object} node - Node owning the element
+   * @param {string} elementId - Element id
+   * @returns {Array<string>} State ids, empty when the element is always rendered
+   */
+  getElementStates(node, elementId) {
+    return (node.states || [])
+      .filter(state => (state.elements || []).includes(elementId))
+      .map(state => state.id);
+  }
+
+  /**
+   * What to do before using the elements of a non-default state, e.g.
+   * "Open the chat first if it is closed". The state may be persisted, so
+   * the hint is conditional rather than a fixed first step.
+   * @param {Object} node - Component node
+   * @returns {Array<{state: string, hint: string, selector: string|null}>} One hint per reachable non-default state
+   */
+  getStateHints(node) {
+    const initial = this.getDefaultState(node);
+    if (!initial) return [];
+
+    return node.states
+      .filter(state => state !== initial)
+      .map(state => {
+        const transitions = (node.stateTransitions || []).filter(transition => transition.to === state.id);
+        const transition = transitions.find(candidate => candidate.from === initial.id) || transitions[0];
+        if (!transition) return null;
+        const element = (node.elements || []).find(candidate => candidate.id === transition.element);
+        const action = transition.action
+          || (element ? `Click the ${element.description.charAt(0).toLowerCase()}${element.description.slice(1)}` : transition.trigger.replace(/_/g, ' '));
+        const from = [...new Set(transitions.map(candidate => candidate.from))].join(' or ');
+        return { state: state.id, hint: `${action} first if it is ${from}`, selector: element?.selector || null };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * " (when open)" for elements rendered only in some states, else ""
+   */
+  formatElementStates(node, element) {
+    const states = this.getElementStates(node, element.id);
+    return states.length > 0 && states.length < node.states.length ? ` (when ${states.join(' or ')})` : '';
+  }
+
+  /**
+   * Markdown lines describing a component's states, how to change them,
+   * where the state is persisted and what to do before using it
+   */
+  formatStates(node) {
+    const initial = this.getDefaultState(node);
+    if (!initial) return '';
+
+    let text = `- **States** (default: ${initial.id}):\n`;
+    node.states.forEach(state => {
+      text += `  - ${state.id}: ${state.description}\n`;
+    });
+    if (node.stateTransitions && node.stateTransitions.length > 0) {
+      text += `- **State Changes**:\n`;
+      node.stateTransitions.forEach(transition => {
+        const element = (node.elements || []).find(candidate => candidate.id === transition.element);
+        text += `  - ${transition.from} → ${transition.to}: ${transition.description || transition.action || transition.trigger}`;
+        text += element && element.selector ? ` (\`${element.selector}\`)\n` : '\n';
+      });
+    }
+    if (node.statePersistence) {
+      const { storage, key, values = {}, description } = node.statePersistence;
+      const mapping = Object.entries(values).map(([value, stateId]) => `"${value}" = ${stateId}`).join(', ');
+      text += `- **Persisted State**: ${storage} \`${key}\`${mapping ? ` (${mapping})` : ''}${description ? `. ${description}` : ''}\n`;
+    }
+    this.getStateHints(node).forEach(({ hint, selector }) => {
+      text += `- **Before Use**: ${hint}${selector ? ` (click \`${selector}\`)` : ''}\n`;
+    });
+    return text;
+  }
+
+  /**
+   * Where each default credential comes from, safe to print
+   * @returns {Object|null} e.g. { username: 'env STYLE_SCOUT_USERNAME', ... }, or null without credentials
+   */
+  describeCredentials() {
+    const credentials = this.graph.authentication && this.graph.authentication.defaultCredentials;
+    if (!credentials) return null;
+    return Object.fromEntries(Object.entries(credentials).map(([key, value]) => [key, describeCredential(value)]));
+  }
+
+  /**
+   * Resolve authentication.defaultCredentials references to real values.
+   * Call this only when a task is created; never write the result to disk.
+   * @param {Object} options - Options
+   * @param {string} options.secretsFile - Secrets file for {secret} references
+   * @returns {Object|null} Credentials by key, or null when the graph has none
+   */
+  resolveCredentials(options = {}) {
+    const credentials = this.graph.authentication && this.graph.authentication.defaultCredentials;
+    if (!credentials) return null;
+    return Object.fromEntries(Object.entries(credentials).map(([key, value]) => {
+      try {
+        return [key, resolveCredential(value, options)];
+      } catch (error) {
+        throw new Error(`Cannot resolve credential "${key}": ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Replace {{credentials.*}} placeholders in generated context with real values
+   * @param {string} text - Context or task prompt
+   * @param {Object} options - Same options as resolveCredentials()
+   * @returns {string} Text ready to hand to the agent
+   */
+  fillCredentials(text, options = {}) {
+    return fillCredentials(text, this.resolveCredentials(options) || {});
+  }
+
+  /**
+   * Replace credential values with placeholders before text is logged or saved.
+   * Credentials that cannot be resolved here cannot appear in the text either.
+   * @param {string} text - Text such as an agent transcript
+   * @param {Object} options - Same options as resolveCredentials()
+   * @returns {string} Redacted text
+   */
+  redact(text, options = {}) {
+    const credentials = this.graph.authentication && this.graph.authentication.defaultCredentials;
+    if (!credentials) return text;
+    const known = {};
+    Object.entries(credentials).forEach(([key, value]) => {
+      try {
+        known[key] = resolveCredential(value, options);
+      } catch (error) {
+        // Unresolvable here, so nothing to scrub for this key
+      }
+    });
+    return redactCredentials(text, known);
+  }
+
+  /**
+   * Find the login page: the page with a password input, falling back to id "login"
+   * @returns {Object|null} Login page node or null
+   */
+  findLoginPage() {
+    const pages = this.graph.nodes.filter(node => node.type === 'page');
+    return pages.find(page =>
+      (page.elements || []).some(element => element.inputType === 'password')
+    ) || pages.find(page => page.id === 'login') || null;
+  }
+
+  /**
+   * Plan the shortest route between two pages over navigation edges.
+   * When the target requires auth and the start page does not, the login
+   * flow is inserted automatically.
+   * @param {string} fromId - Page the agent starts on
+   * @param {string} toId - Page the task ends on
+   * @param {Object} options - Planning options
+   * @param {boolean} options.authenticated - Whether the agent is already logged in
+   * @returns {Object|null} Plan with ordered steps, or null when no route exists
+   */
+  planRoute(fromId, toId, options = {}) {
+    const fromNode = this.findNode(fromId);
+    const toNode = this.findNode(toId);
+    if (!fromNode || fromNode.type !== 'page') {
+      throw new Error(`Page with ID "${fromId}" not found`);
+    }
+    if (!toNode || toNode.type !== 'page') {
+      throw new Error(`Page with ID "${toId}" not found`);
+    }
+
+    const loginPage = this.findLoginPage();
+    const startAuthenticated = options.authenticated !== undefined
+      ? options.authenticated
+      : !!fromNode.requiresAuth;
+
+    // Breadth-first search over (page, logged in) states
+    const startKey = `${fromId}|${startAuthenticated}`;
+    const previous = new Map([[startKey, null]]);
+    const queue = [{ nodeId: fromId, authenticated: startAuthenticated }];
+    let goalKey = null;
+
+    while (queue.length > 0) {
+      const state = queue.shift();
+      if (state.nodeId === toId) {
+        goalKey = `${state.nodeId}|${state.authenticated}`;
+        break;
+      }
+
+      const moves = this.getNavigationPaths(state.nodeId).map(edge => ({ edge, nodeId: edge.to }));
+      // The login page can always be reached by URL when logged out
+      if (!state.authenticated && loginPage && state.nodeId !== loginPage.id) {
+        moves.push({ edge: null, nodeId: loginPage.id });
+      }
+
+      moves.forEach(move => {
+        const target = this.findNode(move.nodeId);
+        if (!target || target.type !== 'page') return;
+
+        let authenticated = state.authenticated;
+        if (move.edge && move.edge.trigger === 'successful_login') {
+          authenticated = true;
+        } else if (move.edge && move.edge.trigger === 'logout') {
+          authenticated = false;
+        } else if (target.requiresAuth && !authenticated) {
+          return;
+        }
+
+        const key = `${move.nodeId}|${authenticated}`;
+        if (previous.has(key)) return;
+        previous.set(key, { key: `${state.nodeId}|${state.authenticated}`, move });
+        queue.push({ nodeId: move.nodeId, authenticated });
+      });
+    }
+
+    if (!goalKey) {
+      return null;
+    }
+
+    const moves = [];
+    for (let key = goalKey; previous.get(key); key = previous.get(key).key) {
+      moves.unshift({ fromId: previous.get(key).key.split('|')[0], ...previous.get(key).move });
+    }
+
+    const steps = [{
+      action: 'navigate',
+      from: null,
+      to: fromId,
+      trigger: 'start',
+      selector: null,
+      expectedUrl: this.resolveUrl(fromNode.route),
+      description: `Start at ${fromNode.name}`
+    }];
+    moves.forEach(move => steps.push(...this.buildRouteSteps(move)));
+    steps.forEach((step, index) => {
+      step.step = index + 1;
+    });
+
+    return {
+      from: fromId,
+      to: toId,
+      requiresLogin: moves.some(move => move.edge && move.edge.trigger === 'successful_login'),
+      hops: moves.length,
+      steps
+    };
+  }
+
+  /**
+   * Expand one hop of a route into executable steps
+   */
+  buildRouteSteps(move) {
+    const target = this.findNode(move.nodeId);
+    const expectedUrl = this.resolveUrl(target.route);
+
+    if (!move.edge) {
+      return [{
+        action: 'navigate',
+        from: move.fromId,
+        to: target.id,
+        trigger: 'direct_url',
+        selector: null,
+        expectedUrl,
+        description: `Go to ${target.name}`
+      }];
+    }
+
+    if (move.edge.trigger === 'successful_login') {
+      const loginPage = this.findNode(move.edge.from);
+      const inputs = (loginPage.elements || []).filter(element => element.type === 'input');
+      const passwordInput = inputs.find(element => element.inputType === 'password');
+      const usernameInput = inputs.find(element => element !== passwordInput);
+      const submitButton = (loginPage.elements || []).find(element => element.type === 'button');
+
+      const steps = [];
+      if (usernameInput) {
+        steps.push({
+          action: 'fill', from: loginPage.id, to: loginPage.id, trigger: 'enter_username',
+          selector: usernameInput.selector || null, value: credentialPlaceholder('username'),
+          expectedUrl: this.resolveUrl(loginPage.route), description: `Enter the username in the ${usernameInput.description}`
+        });
+      }
+      if (passwordInput) {
+        steps.push({
+          action: 'fill', from: loginPage.id, to: loginPage.id, trigger: 'enter_password',
+          selector: passwordInput.selector || null, value: credentialPlaceholder('password'),
+          expectedUrl: this.resolveUrl(loginPage.route), description: `Enter the password in the ${passwordInput.description}`
+        });
+      }
+      steps.push({
+        action: 'click', from: loginPage.id, to: target.id, trigger: move.edge.trigger,
+        selector: submitButton ? submitButton.selector : null,
+        expectedUrl, description: submitButton ? `Click the ${submitButton.description}` : 'Submit the login form'
+      });
+      return steps;
+    }
+
+    const element = this.findEdgeElement(move.edge);
+    return [{
+      action: 'click',
+      from: move.edge.from,
+      to: target.id,
+      trigger: move.edge.trigger,
+      selector: move.edge.selector || (element ? element.selector : null),
+      expectedUrl,
+      description: move.edge.description || `Go to ${target.name}`
+    }];
+  }
+
+  /**
+   * Find the element that triggers an edge: explicit edge.selector first,
+   * then an element of the page (or its components) named after the trigger
+   * ("click_shop_men_button" → "shop-men-button", "logout" → "logout-button"),
+   * then a link to the target route.
+   * @param {Object} edge - Navigation edge
+   * @returns {Object|null} Element or null
+   */
+  findEdgeElement(edge) {
+    const fromNode = this.findNode(edge.from);
+    if (!fromNode) return null;
+    const target = this.findNode(edge.to);
+
+    const candidates = [...(fromNode.elements || [])];
+    this.graph.nodes
+      .filter(node => node.type === 'component' && (node.appearsOn || []).includes(fromNode.id))
+      .forEach(component => candidates.push(...(component.elements || [])));
+
+    if (edge.selector) {
+      return candidates.find(element => element.selector === edge.selector) || { selector: edge.selector };
+    }
+
+    const triggerId = edge.trigger.replace(/^click_/, '').replace(/_/g, '-');
+    return candidates.find(element => element.id === triggerId)
+      || candidates.find(element => element.id.startsWith(`${triggerId}-`))
+      || (target && target.route
+        ? candidates.find(element => element.selector === `a[href='${target.route}']`)
+        : null)
+      || null;
+  }
+
+  /**
+   * Resolve a route against the base URL of the selected environment
+   * @param {string} route - Route such as /men
+   * @returns {string} Absolute URL
+   */
+  resolveUrl(route) {
+    return this.getBaseUrl() + route;
+  }
+
+  /**
+   * Page node whose route matches a URL
+   * @param {string} url - Absolute URL or path such as /product/42
+   * @returns {Object|null} Page node, or null when no page route matches
+   */
+  matchRoute(url) {
+    if (!url) return null;
+    let pathname;
+    try {
+      pathname = new URL(url, 'http://localhost').pathname;
+    } catch {
+      return null;
+    }
+    return this.graph.nodes.find(node => node.type === 'page' && node.route && matchesRoute(pathname, node.route)) || null;
+  }
+
+  /**
+   * Render a route plan as numbered instructions for a browser-use task prompt
+   * @param {Object} plan - Result of planRoute()
+   * @returns {string} Instruction block
+   */
+  formatRoutePlan(plan) {
+    const fromNode = this.findNode(plan.from);
+    const toNode = this.findNode(plan.to);
+    let text = `Route: ${fromNode.name} → ${toNode.name}`;
+    text += plan.requiresLogin ? ' (includes login)\n' : '\n';
+
+    plan.steps.forEach(step => {
+      let line = `${step.step}. `;
+      if (step.action === 'navigate') {
+        line += `${step.description}: open ${step.expectedUrl}`;
+      } else if (step.action === 'fill') {
+        line += `${step.description}`;
+        if (step.selector) line += ` (\`${step.selector}\`)`;
+        if (step.value !== undefined) line += `: type "${step.value}"`;
+      } else {
+        line += `${step.description}`;
+        if (step.selector) line += ` (\`${step.selector}\`)`;
+        line += ` - expect ${step.expectedUrl}`;
+      }
+      text += `${line}\n`;
+    });
+    return text;
+  }
+
   /**
    * Get all navigation paths from a node
    * @param {string} nodeId - Starting node ID
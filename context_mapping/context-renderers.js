@@ -0,0 +1,92 @@
+import BrowserUseRenderer from './browser-use-renderer.js';
+import SitemapRenderer from './sitemap-renderer.js';
+import PlaywrightMcpRenderer from './playwright-mcp-renderer.js';
+import ComputerUseRenderer from './computer-use-renderer.js';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const RENDERER_METHODS = ['renderFull', 'renderTask', 'renderQuickReference'];
+
+/**
+ * Context renderers
+ *
+ * A renderer turns the website graph into context for one agent framework.
+ * It is an object with a `name`, a file `extension`, a one-line
+ * `description` and three methods that receive the ContextGenerator:
+ *
+ *   renderFull(generator, options)                 whole-site context
+ *   renderTask(generator, taskDescription, options) context for one task
+ *   renderQuickReference(generator, options)       routes and selectors only
+ *
+ * Renderers other than browser-use format generator.buildContextModel(), so
+ * every framework is told about the same pages, elements and components.
+ * Register more with registerContextRenderer() or a --plugin module.
+ */
+const RENDERERS = new Map(
+  [new BrowserUseRenderer(), new SitemapRenderer(), new PlaywrightMcpRenderer(), new ComputerUseRenderer()]
+    .map(renderer => [renderer.name, renderer])
+);
+
+/**
+ * List the registered renderers
+ * @returns {Array<{name: string, extension: string, description: string}>}
+ */
+export function listContextRenderers() {
+  return [...RENDERERS.values()].map(({ name, extension, description }) => ({ name, extension, description }));
+}
+
+/**
+ * Find a renderer by name
+ * @param {string} name - Renderer name (browser-use, agent-sitemap, playwright-mcp, computer-use, ...)
+ * @returns {Object} Renderer with renderFull(), renderTask() and renderQuickReference()
+ */
+export function getContextRenderer(name) {
+  const renderer = RENDERERS.get(String(name).toLowerCase());
+  if (!renderer) {
+    throw new Error(`Unknown renderer "${name}". Registered renderers: ${[...RENDERERS.keys()].join(', ')}`);
+  }
+  return renderer;
+}
+
+/**
+ * Add a renderer for another agent framework
+ * @param {Object} renderer - Renderer (see the module description)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.replace - Replace a renderer already registered under the same name
+ * @returns {Object} The registered renderer
+ */
+export function registerContextRenderer(renderer, options = {}) {
+  if (!renderer || typeof renderer.name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(renderer.name)) {
+    throw new Error('A renderer needs a lowercase name (letters, digits and dashes)');
+  }
+  const missing = RENDERER_METHODS.filter(method => typeof renderer[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Renderer "${renderer.name}" is missing ${missing.join(', ')}`);
+  }
+  if (RENDERERS.has(renderer.name) && !options.replace) {
+    throw new Error(`A renderer named "${renderer.name}" is already registered`);
+  }
+  RENDERERS.set(renderer.name, {
+    extension: '.md',
+    description: '',
+    ...renderer,
+    // Keep prototype methods when the renderer is a class instance
+    ...Object.fromEntries(RENDERER_METHODS.map(method => [method, renderer[method].bind(renderer)]))
+  });
+  return RENDERERS.get(renderer.name);
+}
+
+/**
+ * Import a plugin module and register the renderers it exports as default
+ * (a renderer or an array of renderers)
+ * @param {string} modulePath - Path to the plugin module
+ * @returns {Promise<Array<string>>} Names of the registered renderers
+ */
+export async function loadContextRendererPlugin(modulePath) {
+  const plugin = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const renderers = [].concat(plugin.default || []);
+  if (renderers.length === 0) {
+    throw new Error(`${modulePath} has no default export; export a renderer or an array of renderers`);
+  }
+  return renderers.map(renderer => registerContextRenderer(renderer).name);
+}
@@ -0,0 +1,528 @@
+import { tokenize } from './context-generator.js';
+import TreeRenderer from './tree-renderer.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_RUNS_DIR = path.join(__dirname, '..', 'browser_use', 'downloads');
+
+// Only these element types can be clicked or typed into, so only they count towards coverage
+const CLICKABLE_TYPES = ['button', 'link', 'checkbox', 'radio', 'tab'];
+const TYPEABLE_TYPES = ['input', 'textarea', 'select'];
+
+/**
+ * Coverage Analyzer
+ *
+ * Replays browser-use run artifacts (downloads/<taskId>/task-result.json)
+ * against the website graph to show which pages, elements and edges the
+ * runs actually exercised:
+ *   - each step URL is matched to a page by its route (the origin is ignored,
+ *     so production, local and tunnel runs all count)
+ *   - a page change between two steps is a transition caused by the earlier
+ *     step; it covers the navigation edge triggered by the element the step
+ *     clicked, or is reported as missing from the graph (as RunLearner
+ *     proposes it). Transitions made with a `navigate` action are direct
+ *     navigations and cover no edge.
+ *   - browser-use refers to elements by DOM index only, so clicked and typed
+ *     targets are matched on the step's goal text (the clause mentioning the
+ *     index), the transition edge they caused, and for inputs their order on
+ *     the page. Each match records how it was made (goal-text, transition,
+ *     order, repeat, ambiguous) so doubtful ones can be reviewed.
+ *   - using an element of a component covers that component's interaction
+ *     edge to the page it was used on
+ */
+class CoverageAnalyzer {
+  /**
+   * @param {ContextGenerator} generator - Generator for the graph to measure
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.graph = generator.getGraph();
+  }
+
+  /**
+   * Find task-result.json files
+   * @param {Array<string>} sources - Run directories, directories of runs or task-result.json files
+   *                                  (defaults to browser_use/downloads)
+   * @returns {Array<string>} Files, sorted within each directory
+   */
+  findRunFiles(sources = []) {
+    const files = [];
+    (sources.length > 0 ? sources : [DEFAULT_RUNS_DIR]).forEach(source => {
+      if (!fs.existsSync(source)) {
+        throw new Error(`Run artifacts not found: ${source}`);
+      }
+      if (fs.statSync(source).isFile()) {
+        files.push(source);
+        return;
+      }
+      const ownResult = path.join(source, 'task-result.json');
+      if (fs.existsSync(ownResult)) {
+        files.push(ownResult);
+        return;
+      }
+      fs.readdirSync(source).sort().forEach(entry => {
+        const file = path.join(source, entry, 'task-result.json');
+        if (fs.existsSync(file)) files.push(file);
+      });
+    });
+    return files;
+  }
+
+  /**
+   * Measure coverage of a set of runs
+   * @param {Array<string>} sources - See findRunFiles()
+   * @returns {Object} Coverage report
+   */
+  analyze(sources = []) {
+    const files = this.findRunFiles(sources);
+    if (files.length === 0) {
+      throw new Error(`No task-result.json files found in ${(sources.length > 0 ? sources : [DEFAULT_RUNS_DIR]).join(', ')}`);
+    }
+
+    const coverage = {
+      pages: new Map(),
+      elements: new Map(),
+      edges: new Map(),
+      unmatchedUrls: new Map(),
+      missingTransitions: [],
+      directNavigations: [],
+      unmatchedActions: []
+    };
+    const runs = files.map(file => {
+      const result = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const run = {
+        id: result.id || path.basename(path.dirname(file)),
+        file: path.relative(process.cwd(), file),
+        status: result.status || null,
+        isSuccess: result.isSuccess ?? null,
+        steps: (result.steps || []).length
+      };
+      this.analyzeRun(run, result.steps || [], coverage);
+      return run;
+    });
+
+    return this.buildReport(runs, coverage);
+  }
+
+  /**
+   * Walk one run's steps and record what they touched
+   */
+  analyzeRun(run, steps, coverage) {
+    const ordered = steps.slice().sort((a, b) => a.number - b.number);
+    // DOM indices are only stable while the page stays the same, so they are keyed per page
+    const resolvedIndices = new Map();
+    const inputOrder = new Map();
+
+    ordered.forEach((step, position) => {
+      const page = this.generator.matchRoute(step.url);
+      if (!page) {
+        const count = coverage.unmatchedUrls.get(step.url) || 0;
+        coverage.unmatchedUrls.set(step.url, count + 1);
+      } else {
+        this.record(coverage.pages, page.id, run.id);
+      }
+
+      const actions = this.parseActions(step.actions)
+        .filter(action => ['click', 'input', 'navigate'].includes(action.type));
+      const next = ordered[position + 1];
+      const nextPage = next ? this.generator.matchRoute(next.url) : null;
+      // Resolve the targets first: the element that was clicked decides which edge a page change used
+      const targets = actions.map(action => (page && action.type !== 'navigate' && action.params.index !== undefined
+        ? this.resolveTarget(page, action, step.nextGoal, { run, resolvedIndices, inputOrder })
+        : null));
+      const clicked = targets.filter((target, index) => target && actions[index].type === 'click');
+
+      if (page && nextPage && nextPage.id !== page.id) {
+        const transition = { run: run.id, step: step.number, from: page.id, to: nextPage.id };
+        if (actions.some(action => action.type === 'navigate')) {
+          coverage.directNavigations.push(transition);
+        } else {
+          const lastClick = clicked[clicked.length - 1];
+          if (lastClick) transition.element = `${lastClick.owner}/${lastClick.element.id}`;
+          const transitionEdge = this.findTransitionEdge(page.id, nextPage.id, step.nextGoal, clicked);
+          if (transitionEdge) {
+            this.record(coverage.edges, this.edgeKey(transitionEdge), run.id);
+            // A click the goal text did not identify is taken to be the edge's trigger
+            actions.forEach((action, index) => {
+              if (!targets[index] && clicked.length === 0 && action.type === 'click' && action.params.index !== undefined) {
+                targets[index] = this.transitionTarget(page, action, transitionEdge, resolvedIndices);
+              }
+            });
+          } else {
+            coverage.missingTransitions.push(transition);
+          }
+        }
+      }
+
+      actions
+        .forEach((action, actionIndex) => {
+          if (action.type === 'navigate') return;
+          const index = action.params.index;
+          const target = targets[actionIndex];
+          if (!target) {
+            coverage.unmatchedActions.push({ run: run.id, step: step.number, page: page ? page.id : null, action: action.type, index: index ?? null });
+            return;
+          }
+
+          const key = `${target.owner}/${target.element.id}`;
+          this.record(coverage.elements, key, run.id, target.method);
+          if (target.owner !== page.id) {
+            const edge = this.graph.edges.find(candidate =>
+              candidate.type === 'interaction' && candidate.from === target.owner && candidate.to === page.id
+            );
+            if (edge) this.record(coverage.edges, this.edgeKey(edge), run.id);
+          }
+        });
+    });
+  }
+
+  /**
+   * Parse browser-use actions, which are stored as JSON strings like {"click": {"index": 10}}
+   * @returns {Array<{type: string, params: Object}>}
+   */
+  parseActions(actions = []) {
+    return actions.map(action => {
+      const parsed = typeof action === 'string' ? JSON.parse(action) : action;
+      const [type] = Object.keys(parsed);
+      return { type, params: parsed[type] || {} };
+    });
+  }
+
+  /**
+   * Navigation edge that explains a page change. When the step's clicked
+   * elements are known, only an edge triggered by one of them counts, or
+   * failing that an edge with no trigger element of its own
+   * (successful_login, redirects); a click on anything else is a transition
+   * the graph is missing. Among several candidates, the edge whose trigger
+   * best matches the step goal wins.
+   * @param {string} fromId - Page the step was on
+   * @param {string} toId - Page the next step was on
+   * @param {string} goal - The step's nextGoal
+   * @param {Array<{element: Object}>} clicked - Resolved click targets of the step
+   * @returns {Object|null} Edge
+   */
+  findTransitionEdge(fromId, toId, goal, clicked = []) {
+    let edges = this.graph.edges.filter(edge => edge.type === 'navigation' && edge.from === fromId && edge.to === toId);
+    if (clicked.length > 0) {
+      const triggered = edges.filter(edge => clicked.some(target => target.element === this.generator.findEdgeElement(edge)));
+      edges = triggered.length > 0 ? triggered : edges.filter(edge => !this.generator.findEdgeElement(edge));
+    }
+    if (edges.length <= 1) return edges[0] || null;
+    const goalTerms = new Set(tokenize(goal || ''));
+    const score = edge => tokenize(`${edge.trigger.replace(/_/g, ' ')} ${edge.description || ''}`)
+      .filter(term => goalTerms.has(term)).length;
+    return edges.reduce((best, edge) => (score(edge) > score(best) ? edge : best));
+  }
+
+  /**
+   * Work out which graph element a click or input targeted
+   * @returns {{owner: string, element: Object, method: string}|null}
+   */
+  resolveTarget(page, action, goal, state) {
+    const indexKey = `${page.id}:${action.params.index}`;
+    if (state.resolvedIndices.has(indexKey)) {
+      return { ...state.resolvedIndices.get(indexKey), method: 'repeat' };
+    }
+
+    const types = action.type === 'input' ? TYPEABLE_TYPES : CLICKABLE_TYPES;
+    const candidates = this.candidateElements(page.id).filter(candidate => types.includes(candidate.element.type));
+    if (candidates.length === 0) return null;
+
+    // Prefer the clause that names this index ("...click the send button [354]")
+    const clause = this.goalClause(goal, action.params.index);
+    const scored = candidates.map(candidate => ({ candidate, score: this.scoreElement(candidate.element, clause || goal) }));
+    const top = Math.max(...scored.map(entry => entry.score));
+    const best = scored.filter(entry => entry.score === top);
+
+    let target = null;
+    if (top > 0 && best.length === 1) {
+      target = { ...best[0].candidate, method: 'goal-text' };
+    } else if (top > 1 && action.type === 'click') {
+      // Several elements fit the goal equally well; take the first in graph order and say so
+      target = { ...best[0].candidate, method: 'ambiguous' };
+    } else if (action.type === 'input') {
+      // Inputs the goal does not tell apart are assumed to be filled in page order
+      const seen = state.inputOrder.get(page.id) || [];
+      if (!seen.includes(action.params.index)) seen.push(action.params.index);
+      state.inputOrder.set(page.id, seen);
+      const candidate = candidates[seen.indexOf(action.params.index)];
+      if (candidate) target = { ...candidate, method: 'order' };
+    }
+
+    if (target) {
+      state.resolvedIndices.set(indexKey, { owner: target.owner, element: target.element });
+    }
+    return target;
+  }
+
+  /**
+   * Target of a click the goal text did not identify, taken from the edge
+   * the step's page change used
+   * @returns {{owner: string, element: Object, method: string}|null}
+   */
+  transitionTarget(page, action, edge, resolvedIndices) {
+    const edgeElement = this.generator.findEdgeElement(edge);
+    const candidate = this.candidateElements(page.id)
+      .find(entry => entry.element === edgeElement && CLICKABLE_TYPES.includes(entry.element.type));
+    if (!candidate) return null;
+    resolvedIndices.set(`${page.id}:${action.params.index}`, { owner: candidate.owner, element: candidate.element });
+    return { ...candidate, method: 'transition' };
+  }
+
+  /**
+   * Elements on a page: its own plus those of components that appear on it
+   * @returns {Array<{owner: string, element: Object}>}
+   */
+  candidateElements(pageId) {
+    const page = this.generator.findNode(pageId);
+    const candidates = (page.elements || []).map(element => ({ owner: page.id, element }));
+    this.graph.nodes
+      .filter(node => node.type === 'component' && (node.appearsOn || []).includes(pageId))
+      .forEach(component => {
+        (component.elements || []).forEach(element => candidates.push({ owner: component.id, element }));
+      });
+    return candidates;
+  }
+
+  /**
+   * Part of a goal between separators that mentions the DOM index, if any
+   */
+  goalClause(goal, index) {
+    if (!goal || index === undefined) return null;
+    const clauses = String(goal).split(/,|;|\.\s|\band\b|\bthen\b/);
+    return clauses.find(clause => new RegExp(`\\b${index}\\b`).test(clause)) || null;
+  }
+
+  scoreElement(element, text) {
+    const terms = new Set(tokenize(text || ''));
+    const elementTerms = new Set(tokenize([element.id, element.description, element.text, element.placeholder].filter(Boolean).join(' ')));
+    return [...elementTerms].filter(term => terms.has(term)).length;
+  }
+
+  edgeKey(edge) {
+    return String(this.graph.edges.indexOf(edge));
+  }
+
+  record(map, key, runId, method = null) {
+    const entry = map.get(key) || { count: 0, runs: new Set(), methods: new Set() };
+    entry.count++;
+    entry.runs.add(runId);
+    if (method) entry.methods.add(method);
+    map.set(key, entry);
+  }
+
+  /**
+   * Turn the collected maps into a JSON-friendly report
+   */
+  buildReport(runs, coverage) {
+    const pages = this.graph.nodes
+      .filter(node => node.type === 'page')
+      .map(page => {
+        const entry = coverage.pages.get(page.id);
+        return { id: page.id, name: page.name, route: page.route, covered: !!entry, visits: entry ? entry.count : 0, runs: entry ? [...entry.runs] : [] };
+      });
+
+    const elements = [];
+    this.graph.nodes.forEach(node => {
+      (node.elements || [])
+        .filter(element => CLICKABLE_TYPES.includes(element.type) || TYPEABLE_TYPES.includes(element.type))
+        .forEach(element => {
+          const entry = coverage.elements.get(`${node.id}/${element.id}`);
+          elements.push({
+            owner: node.id,
+            id: element.id,
+            type: element.type,
+            selector: element.selector,
+            covered: !!entry,
+            actions: entry ? entry.count : 0,
+            matchedBy: entry ? [...entry.methods] : [],
+            runs: entry ? [...entry.runs] : []
+          });
+        });
+    });
+
+    const edges = this.graph.edges.map(edge => {
+      const entry = coverage.edges.get(this.edgeKey(edge));
+      return {
+        from: edge.from,
+        to: edge.to,
+        type: edge.type,
+        trigger: edge.trigger,
+        covered: !!entry,
+        traversals: entry ? entry.count : 0,
+        runs: entry ? [...entry.runs] : []
+      };
+    });
+
+    const percent = (items) => ({
+      covered: items.filter(item => item.covered).length,
+      total: items.length,
+      percent: items.length > 0 ? Math.round((items.filter(item => item.covered).length / items.length) * 100) : 100
+    });
+
+    return {
+      graph: this.graph.metadata.name,
+      version: this.graph.metadata.version,
+      generatedAt: new Date().toISOString(),
+      runs,
+      summary: {
+        pages: percent(pages),
+        elements: percent(elements),
+        edges: percent(edges)
+      },
+      pages,
+      elements,
+      edges,
+      gaps: {
+        unmatchedUrls: [...coverage.unmatchedUrls].map(([url, count]) => ({ url, count })),
+        missingTransitions: coverage.missingTransitions,
+        directNavigations: coverage.directNavigations,
+        unmatchedActions: coverage.unmatchedActions
+      }
+    };
+  }
+
+  /**
+   * Render a report as human-readable text
+   * @param {Object} report - Result of analyze()
+   * @returns {string} Text report
+   */
+  formatText(report) {
+    let text = '';
+    const section = (title, lines) => {
+      if (lines.length === 0) return;
+      text += `${title}:\n`;
+      lines.forEach(line => {
+        text += `  ${line}\n`;
+      });
+      text += '\n';
+    };
+    const ratio = (part) => `${part.covered}/${part.total} (${part.percent}%)`;
+
+    text += `Runs: ${report.runs.length}\n`;
+    text += `Pages covered: ${ratio(report.summary.pages)}\n`;
+    text += `Elements covered: ${ratio(report.summary.elements)}\n`;
+    text += `Edges covered: ${ratio(report.summary.edges)}\n\n`;
+
+    section('Pages', report.pages.map(page =>
+      `${page.covered ? '✅' : '❌'} ${page.id} (${page.route})${page.covered ? ` - ${page.visits} step(s) in ${page.runs.length} run(s)` : ' - never visited'}`
+    ));
+    section('Edges', report.edges.map(edge =>
+      `${edge.covered ? '✅' : '❌'} ${edge.from} → ${edge.to} [${edge.type}] (${edge.trigger})${edge.covered ? ` - ${edge.traversals}x` : ''}`
+    ));
+    section('Elements never exercised', report.elements
+      .filter(element => !element.covered)
+      .map(element => `${element.owner}/${element.id}: ${element.selector}`));
+    section('Transitions missing from the graph', report.gaps.missingTransitions.map(transition =>
+      `${transition.from} → ${transition.to}${transition.element ? ` via ${transition.element}` : ''} (run ${transition.run.slice(0, 8)}, step ${transition.step})`
+    ));
+    section('Direct navigations (no edge covered)', report.gaps.directNavigations.map(transition =>
+      `${transition.from} → ${transition.to} (run ${transition.run.slice(0, 8)}, step ${transition.step})`
+    ));
+    section('URLs matching no page', report.gaps.unmatchedUrls.map(entry => `${entry.url} (${entry.count} step(s))`));
+    section('Actions matching no element', report.gaps.unmatchedActions.map(entry =>
+      `${entry.action} index ${entry.index} on ${entry.page || 'unknown page'} (run ${entry.run.slice(0, 8)}, step ${entry.step})`
+    ));
+
+    return text;
+  }
+
+  /**
+   * Render a report as an HTML page: the navigation tree with covered and
+   * never-tested pages and transitions highlighted, followed by the other gaps
+   * @param {Object} report - Result of analyze()
+   * @returns {string} HTML document
+   */
+  formatHtml(report) {
+    const edgeReports = new Map(this.graph.edges.map((edge, index) => [edge, report.edges[index]]));
+    const pageReports = new Map(report.pages.map(page => [page.id, page]));
+    const state = covered => (covered ? 'covered' : 'uncovered');
+
+    const renderBranches = branches => {
+      if (branches.length === 0) return '';
+      return `<ul>${branches.map(branch => {
+        const edge = edgeReports.get(branch.edge);
+        const page = pageReports.get(branch.page.id);
+        const edgeLabel = `<span class="edge ${state(edge.covered)}">${escapeHtml(branch.edge.trigger)}${edge.covered ? ` ×${edge.traversals}` : ''}</span>`;
+        if (branch.marker) {
+          const marker = branch.marker === 'back' ? '↺ back to' : '↪ see';
+          return `<li>${edgeLabel} <span class="marker">${marker} ${escapeHtml(branch.page.name)}</span></li>`;
+        }
+        return `<li>${edgeLabel} ${renderPage(page)}${renderBranches(branch.children)}</li>`;
+      }).join('')}</ul>`;
+    };
+    const renderPage = page =>
+      `<span class="page ${state(page.covered)}">${escapeHtml(page.name)} <code>${escapeHtml(page.route)}</code>${page.covered ? ` · ${page.visits} step(s)` : ' · never visited'}</span>`;
+
+    const tree = new TreeRenderer().buildTree(this.graph)
+      .map(root => `<ul class="tree"><li>${renderPage(pageReports.get(root.page.id))}${renderBranches(root.children)}</li></ul>`)
+      .join('');
+
+    const list = (title, items) => (items.length === 0 ? '' :
+      `<h2>${title}</h2><ul class="gaps">${items.map(item => `<li>${item}</li>`).join('')}</ul>`);
+    const interactionEdges = report.edges.filter(edge => edge.type !== 'navigation');
+    const stat = (label, part) =>
+      `<div class="stat"><div class="value">${part.percent}%</div><div>${label} ${part.covered}/${part.total}</div></div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(report.graph)} - Run Coverage</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 30px; color: #333; }
+        h1 { margin-bottom: 5px; }
+        .meta { color: #666; margin-bottom: 20px; }
+        .stats { display: flex; gap: 15px; margin-bottom: 25px; }
+        .stat { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 25px; border-radius: 8px; text-align: center; }
+        .stat .value { font-size: 1.8em; font-weight: bold; }
+        ul.tree, ul.tree ul { list-style: none; padding-left: 24px; border-left: 2px dashed #ccc; }
+        ul.tree li { margin: 8px 0; }
+        .page { padding: 4px 10px; border-radius: 6px; font-weight: 600; }
+        .page.covered { background: #d4edda; color: #155724; }
+        .page.uncovered { background: #f8d7da; color: #721c24; }
+        .edge { font-size: 0.85em; padding: 2px 6px; border-radius: 4px; }
+        .edge.covered { background: #e2f0e5; color: #155724; }
+        .edge.uncovered { background: #fbe3e4; color: #721c24; border: 1px dashed #dc3545; }
+        .marker { color: #888; }
+        .legend span { margin-right: 15px; }
+        ul.gaps li { margin: 4px 0; font-family: monospace; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(report.graph)} - Run Coverage</h1>
+    <div class="meta">${report.runs.length} run(s) · graph v${escapeHtml(report.version)} · generated ${escapeHtml(report.generatedAt)}</div>
+    <div class="stats">
+        ${stat('Pages', report.summary.pages)}
+        ${stat('Elements', report.summary.elements)}
+        ${stat('Edges', report.summary.edges)}
+    </div>
+    <div class="legend"><span class="page covered">exercised</span><span class="page uncovered">never tested</span></div>
+    <h2>Navigation Tree</h2>
+    ${tree}
+    ${list('Interaction Edges', interactionEdges.map(edge =>
+      `<span class="edge ${state(edge.covered)}">${escapeHtml(edge.from)} → ${escapeHtml(edge.to)} (${escapeHtml(edge.trigger)})${edge.covered ? ` ×${edge.traversals}` : ''}</span>`))}
+    ${list('Elements Never Exercised', report.elements.filter(element => !element.covered).map(element =>
+      `${escapeHtml(element.owner)}/${escapeHtml(element.id)} <code>${escapeHtml(element.selector)}</code>`))}
+    ${list('Transitions Missing from the Graph', report.gaps.missingTransitions.map(transition =>
+      `${escapeHtml(transition.from)} → ${escapeHtml(transition.to)}${transition.element ? ` via ${escapeHtml(transition.element)}` : ''} (run ${escapeHtml(transition.run)}, step ${transition.step})`))}
+    ${list('URLs Matching No Page', report.gaps.unmatchedUrls.map(entry => `${escapeHtml(entry.url)} (${entry.count} step(s))`))}
+</body>
+</html>
+`;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default CoverageAnalyzer;
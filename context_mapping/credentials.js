@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Credentials
+ *
+ * Graph credentials are references, not values:
+ *   { "env": "STYLE_SCOUT_PASSWORD" }        read from an environment variable
+ *   { "secret": "style-scout.password" }     read from a local secrets file
+ *
+ * Generated context only ever contains placeholders such as
+ * `{{credentials.password}}`. Real values are resolved when a task is
+ * created (fillCredentials) and scrubbed from anything written back out
+ * (redactCredentials).
+ */
+
+/**
+ * Default secrets file: $CONTEXT_SECRETS_FILE or secrets.local.json next to this module
+ */
+export function defaultSecretsFile() {
+  return process.env.CONTEXT_SECRETS_FILE || path.join(__dirname, 'secrets.local.json');
+}
+
+export function isSecretReference(value) {
+  return !!value && typeof value === 'object' && (typeof value.env === 'string' || typeof value.secret === 'string');
+}
+
+/**
+ * Placeholder written into generated context instead of a credential
+ * @param {string} key - Credential field (username, password)
+ */
+export function credentialPlaceholder(key) {
+  return `{{credentials.${key}}}`;
+}
+
+/**
+ * Human-readable source of a credential, safe to print
+ */
+export function describeCredential(value) {
+  if (value && value.env) return `env ${value.env}`;
+  if (value && value.secret) return `secrets file key ${value.secret}`;
+  return 'plaintext in graph';
+}
+
+/**
+ * Resolve one credential reference to its value
+ * @param {string|Object} value - Reference ({env} or {secret}) or a legacy plaintext string
+ * @param {Object} options - Options
+ * @param {string} options.secretsFile - JSON file for {secret} references
+ * @returns {string} Credential value
+ */
+export function resolveCredential(value, options = {}) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (!isSecretReference(value)) {
+    throw new Error('Credential must be a string, {"env": "NAME"} or {"secret": "key"}');
+  }
+
+  if (value.env) {
+    if (process.env[value.env] === undefined) {
+      throw new Error(`Environment variable ${value.env} is not set`);
+    }
+    return process.env[value.env];
+  }
+
+  const secretsFile = options.secretsFile || defaultSecretsFile();
+  if (!fs.existsSync(secretsFile)) {
+    throw new Error(`Secrets file ${secretsFile} not found (needed for "${value.secret}")`);
+  }
+  // Keys are dotted paths into the file: "style-scout.password" → { "style-scout": { "password": ... } }
+  const secrets = JSON.parse(fs.readFileSync(secretsFile, 'utf-8'));
+  const resolved = value.secret.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), secrets);
+  if (typeof resolved !== 'string') {
+    throw new Error(`Secret "${value.secret}" not found in ${secretsFile}`);
+  }
+  return resolved;
+}
+
+/**
+ * Replace credential placeholders with real values
+ * @param {string} text - Text containing {{credentials.<key>}} placeholders
+ * @param {Object} credentials - Resolved credentials by key
+ */
+export function fillCredentials(text, credentials) {
+  return String(text).replace(/\{\{credentials\.(\w+)\}\}/g, (placeholder, key) =>
+    (credentials[key] !== undefined ? credentials[key] : placeholder)
+  );
+}
+
+/**
+ * Replace credential values with their placeholders
+ * @param {string} text - Text that may contain credential values
+ * @param {Object} credentials - Resolved credentials by key
+ */
+export function redactCredentials(text, credentials) {
+  // Longest first so a password containing the username is scrubbed whole
+  return Object.entries(credentials)
+    .filter(([, value]) => typeof value === 'string' && value.length > 0)
+    .sort((a, b) => b[1].length - a[1].length)
+    .reduce((output, [key, value]) => output.replace(credentialPattern(value), credentialPlaceholder(key)), String(text));
+}
+
+/**
+ * Match a credential value only as a whole token, so a short value such as
+ * "admin" doesn't also rewrite "administrator"
+ */
+function credentialPattern(value) {
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<!\\w)${escaped}(?!\\w)`, 'g');
+}
@@ -0,0 +1,405 @@
+// Labels and properties APOC adds to plain-format exports for matching
+const IMPORT_LABELS = new Set(['UNIQUE IMPORT LABEL']);
+const IMPORT_PROPERTIES = new Set(['UNIQUE IMPORT ID']);
+
+/**
+ * Cypher Format
+ *
+ * Converts a website graph to a Neo4j Cypher script, and back.
+ * The script is one query of CREATE clauses:
+ *   (:Site)               metadata properties, plus authentication and
+ *                         commonPatterns (named in its _sections list)
+ *   (:Page), (:Component) one node per graph node, labelled by its type
+ *   -[:NAVIGATION]->      one relationship per edge, typed by the edge type
+ * Lists of strings, numbers or booleans stay native Cypher lists. Nested
+ * values (elements, products, userFlow) are JSON strings named in the
+ * entity's _json list.
+ *
+ * The importer reads the scripts written here and Neo4j exports in the same
+ * style, including `apoc.export.cypher.all(null, {format: 'plain'})`
+ * (MATCH ... CREATE relationship statements).
+ */
+class CypherFormat {
+  constructor() {
+    this.name = 'cypher';
+    this.extension = '.cypher';
+  }
+
+  /**
+   * Serialize a graph to a Cypher CREATE script
+   * @param {Object} graph - Website graph
+   * @returns {string} Cypher script
+   */
+  serialize(graph) {
+    const { metadata = {}, nodes, edges, ...sections } = graph;
+    const lines = [
+      `// ${metadata.name || 'Website graph'}${metadata.version ? ` v${metadata.version}` : ''}`,
+      '// Import into Neo4j, then import back with: node explore-graph.js import <file>.cypher',
+      `CREATE (:Site ${formatMap({ ...metadata, ...sections }, Object.keys(sections))})`
+    ];
+
+    const variables = new Map(nodes.map(node => [node.id, quoteName(node.id)]));
+    nodes.forEach(node => {
+      const { type, ...properties } = node;
+      lines.push(`CREATE (${variables.get(node.id)}:${quoteName(capitalize(type))} ${formatMap(properties)})`);
+    });
+
+    edges.forEach(edge => {
+      const { from, to, type, ...properties } = edge;
+      [from, to].forEach(id => {
+        if (!variables.has(id)) {
+          throw new Error(`Edge ${from} → ${to} references unknown node "${id}"`);
+        }
+      });
+      const map = Object.keys(properties).length > 0 ? ` ${formatMap(properties)}` : '';
+      lines.push(`CREATE (${variables.get(from)})-[:${quoteName(type.toUpperCase())}${map}]->(${variables.get(to)})`);
+    });
+
+    return lines.join('\n') + ';\n';
+  }
+
+  /**
+   * Parse a Cypher script back into a website graph
+   * @param {string} text - Cypher script
+   * @returns {Object} Website graph
+   */
+  parse(text) {
+    const entities = { nodes: [], relationships: [] };
+    splitStatements(tokenize(text)).forEach(statement => runStatement(statement, entities));
+
+    const site = entities.nodes.find(node => node.labels.includes('Site'));
+    const graphNodes = entities.nodes.filter(node => node !== site);
+    const nodes = graphNodes.map(node => {
+      const { id, ...properties } = decodeProperties(node.properties);
+      if (id === undefined) {
+        throw new Error(`Node :${node.labels.join(':')} has no id property`);
+      }
+      const label = node.labels.find(name => name !== 'Site' && !IMPORT_LABELS.has(name));
+      return { id, type: properties.type || uncapitalize(label || 'page'), ...properties };
+    });
+
+    const edges = entities.relationships.map(relationship => {
+      const from = relationship.from.properties.id;
+      const to = relationship.to.properties.id;
+      const properties = decodeProperties(relationship.properties);
+      return { from, to, type: properties.type || relationship.type.toLowerCase(), ...properties };
+    });
+
+    const graph = { metadata: {}, nodes, edges };
+    if (site) {
+      const { _sections: sectionNames = [], ...properties } = site.properties;
+      const decoded = decodeProperties(properties);
+      Object.entries(decoded).forEach(([key, value]) => {
+        if (sectionNames.includes(key)) {
+          graph[key] = value;
+        } else {
+          graph.metadata[key] = value;
+        }
+      });
+    }
+    return graph;
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function uncapitalize(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function quoteName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : '`' + name.replace(/`/g, '``') + '`';
+}
+
+function quoteString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `'${escaped}'`;
+}
+
+function isPrimitive(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Property map literal; nested values become JSON strings listed in _json
+ */
+function formatMap(properties, sectionNames = []) {
+  const jsonKeys = [];
+  const entries = Object.entries(properties).map(([key, value]) => {
+    let literal;
+    if (isPrimitive(value)) {
+      literal = formatPrimitive(value);
+    } else if (Array.isArray(value) && value.every(item => isPrimitive(item))
+      && new Set(value.map(item => typeof item)).size <= 1) {
+      literal = `[${value.map(formatPrimitive).join(', ')}]`;
+    } else {
+      jsonKeys.push(key);
+      literal = quoteString(JSON.stringify(value));
+    }
+    return `${quoteName(key)}: ${literal}`;
+  });
+  if (jsonKeys.length > 0) {
+    entries.push(`_json: [${jsonKeys.map(quoteString).join(', ')}]`);
+  }
+  if (sectionNames.length > 0) {
+    entries.push(`_sections: [${sectionNames.map(quoteString).join(', ')}]`);
+  }
+  return `{${entries.join(', ')}}`;
+}
+
+function formatPrimitive(value) {
+  return typeof value === 'string' ? quoteString(value) : String(value);
+}
+
+function decodeProperties(properties) {
+  const { _json: jsonKeys = [], ...rest } = properties;
+  const decoded = {};
+  Object.entries(rest).forEach(([key, value]) => {
+    if (IMPORT_PROPERTIES.has(key)) return;
+    decoded[key] = jsonKeys.includes(key) ? JSON.parse(value) : value;
+  });
+  return decoded;
+}
+
+/**
+ * Split Cypher text into string, number, name and punctuation tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+    } else if (char === "'" || char === '"') {
+      const { value, end } = readString(text, i);
+      tokens.push({ kind: 'string', value });
+      i = end;
+    } else if (char === '`') {
+      let value = '';
+      i++;
+      while (i < text.length) {
+        if (text[i] === '`' && text[i + 1] === '`') {
+          value += '`';
+          i += 2;
+        } else if (text[i] === '`') {
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      tokens.push({ kind: 'name', value, quoted: true });
+      i++;
+    } else if (/[0-9]/.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(text.slice(i));
+      tokens.push({ kind: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(text.slice(i));
+      tokens.push({ kind: 'name', value: match[0], quoted: false });
+      i += match[0].length;
+    } else {
+      tokens.push({ kind: 'punct', value: char });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+function readString(text, start) {
+  const quote = text[start];
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '\\': '\\', "'": "'", '"': '"' };
+  let value = '';
+  let i = start + 1;
+  while (i < text.length && text[i] !== quote) {
+    if (text[i] === '\\') {
+      const next = text[i + 1];
+      if (next === 'u') {
+        value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+        i += 6;
+        continue;
+      }
+      value += escapes[next] ?? next;
+      i += 2;
+      continue;
+    }
+    value += text[i++];
+  }
+  if (i >= text.length) {
+    throw new Error('Unterminated string in Cypher script');
+  }
+  return { value, end: i + 1 };
+}
+
+function splitStatements(tokens) {
+  const statements = [[]];
+  tokens.forEach(token => {
+    if (token.kind === 'punct' && token.value === ';') {
+      statements.push([]);
+    } else {
+      statements[statements.length - 1].push(token);
+    }
+  });
+  return statements.filter(statement => statement.length > 0);
+}
+
+function isKeyword(token, ...keywords) {
+  return !!token && token.kind === 'name' && !token.quoted && keywords.includes(token.value.toUpperCase());
+}
+
+function isPunct(token, value) {
+  return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Apply the CREATE, MERGE and MATCH clauses of one statement; other clauses
+ * (schema commands, SET, REMOVE, RETURN) carry no graph data and are skipped
+ */
+function runStatement(tokens, entities) {
+  const variables = new Map();
+  let position = 0;
+
+  const expect = value => {
+    if (!isPunct(tokens[position], value)) {
+      const found = tokens[position] ? String(tokens[position].value) : 'end of statement';
+      throw new Error(`Cypher parse error: expected "${value}" but found "${found}"`);
+    }
+    position++;
+  };
+
+  const parseValue = () => {
+    const token = tokens[position];
+    if (!token) throw new Error('Cypher parse error: unexpected end of statement');
+    if (token.kind === 'string' || token.kind === 'number') {
+      position++;
+      return token.value;
+    }
+    if (isPunct(token, '-') && tokens[position + 1]?.kind === 'number') {
+      position += 2;
+      return -tokens[position - 1].value;
+    }
+    if (isKeyword(token, 'TRUE', 'FALSE', 'NULL')) {
+      position++;
+      return { TRUE: true, FALSE: false, NULL: null }[token.value.toUpperCase()];
+    }
+    if (isPunct(token, '[')) {
+      position++;
+      const items = [];
+      while (!isPunct(tokens[position], ']')) {
+        items.push(parseValue());
+        if (isPunct(tokens[position], ',')) position++;
+      }
+      position++;
+      return items;
+    }
+    throw new Error(`Cypher parse error: unsupported value "${token.value}"`);
+  };
+
+  const parseMap = () => {
+    const map = {};
+    expect('{');
+    while (!isPunct(tokens[position], '}')) {
+      const key = tokens[position++];
+      if (!key || (key.kind !== 'name' && key.kind !== 'string')) {
+        throw new Error('Cypher parse error: expected a property name');
+      }
+      expect(':');
+      map[key.value] = parseValue();
+      if (isPunct(tokens[position], ',')) position++;
+    }
+    position++;
+    return map;
+  };
+
+  const parseNode = () => {
+    expect('(');
+    let variable = null;
+    if (tokens[position]?.kind === 'name') {
+      variable = tokens[position++].value;
+    }
+    const labels = [];
+    while (isPunct(tokens[position], ':')) {
+      position++;
+      labels.push(tokens[position++].value);
+    }
+    const properties = isPunct(tokens[position], '{') ? parseMap() : null;
+    expect(')');
+    return { variable, labels, properties };
+  };
+
+  const parseRelationship = () => {
+    let reverse = false;
+    if (isPunct(tokens[position], '<')) {
+      reverse = true;
+      position++;
+    }
+    expect('-');
+    expect('[');
+    if (tokens[position]?.kind === 'name') position++;
+    expect(':');
+    const type = tokens[position++].value;
+    const properties = isPunct(tokens[position], '{') ? parseMap() : {};
+    expect(']');
+    expect('-');
+    if (!reverse) expect('>');
+    return { type, properties, reverse };
+  };
+
+  const findNode = (labels, properties) => entities.nodes.find(node =>
+    labels.every(label => IMPORT_LABELS.has(label) || node.labels.includes(label))
+    && Object.entries(properties || {}).every(([key, value]) => node.properties[key] === value)
+  );
+
+  const resolveNode = (pattern, clause) => {
+    if (pattern.variable && variables.has(pattern.variable) && !pattern.properties && pattern.labels.length === 0) {
+      return variables.get(pattern.variable);
+    }
+    let node = clause === 'CREATE' ? null : findNode(pattern.labels, pattern.properties);
+    if (!node && clause === 'MATCH') {
+      throw new Error(`Cypher MATCH found no node for (${pattern.variable || ''}:${pattern.labels.join(':')})`);
+    }
+    if (!node) {
+      node = { labels: pattern.labels.filter(label => !IMPORT_LABELS.has(label)), properties: pattern.properties || {} };
+      entities.nodes.push(node);
+    }
+    if (pattern.variable) variables.set(pattern.variable, node);
+    return node;
+  };
+
+  while (position < tokens.length) {
+    const token = tokens[position];
+    const clause = isKeyword(token, 'CREATE', 'MERGE', 'MATCH') ? token.value.toUpperCase() : null;
+    position++;
+    // CREATE CONSTRAINT / INDEX and ON CREATE SET are not patterns
+    if (!clause || !isPunct(tokens[position], '(')) continue;
+
+    do {
+      if (isPunct(tokens[position], ',')) position++;
+      let left = resolveNode(parseNode(), clause);
+      while (isPunct(tokens[position], '-') || isPunct(tokens[position], '<')) {
+        const relationship = parseRelationship();
+        const right = resolveNode(parseNode(), clause);
+        if (clause !== 'MATCH') {
+          const [from, to] = relationship.reverse ? [right, left] : [left, right];
+          entities.relationships.push({ type: relationship.type, properties: relationship.properties, from, to });
+        }
+        left = right;
+      }
+    } while (isPunct(tokens[position], ','));
+  }
+}
+
+export default CypherFormat;
@@ -1,4 +1,19 @@
 import ContextGenerator from './context-generator.js';
+import SiteCrawler from './site-crawler.js';
+import GraphValidator from './graph-validator.js';
+import GraphDiff from './graph-diff.js';
+import SelectorVerifier from './selector-verifier.js';
+import CoverageAnalyzer from './coverage-analyzer.js';
+import RunLearner, { unifiedDiff } from './run-learner.js';
+import PageObjectGenerator from './page-object-generator.js';
+import FlowTestGenerator from './flow-test-generator.js';
+import GraphQuery from './graph-query.js';
+import TreeMapRenderer from './tree-map-renderer.js';
+import GraphHistory from './graph-history.js';
+import { listContextRenderers, loadContextRendererPlugin } from './context-renderers.js';
+import SourceAnalyzer, { formatGraphJson } from './source-analyzer.js';
+import GraphRegistry, { extractFlag, extractSiteFlag } from './graph-registry.js';
+import { getGraphFormat, detectGraphFormat, listGraphFormats } from './graph-formats.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -6,14 +21,34 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// CLI flags that are switches and never consume the following argument
+const BOOLEAN_FLAGS = new Set(['json', 'authenticated', 'headed', 'no-buttons', 'dry-run', 'apply', 'default']);
+// CLI flags whose value must be a positive integer
+const NUMERIC_FLAGS = new Set(['max-pages']);
+
 /**
  * Graph Explorer Utility
  * 
  * Provides CLI tools to explore and visualize the website graph structure
  */
 class GraphExplorer {
-  constructor() {
-    this.generator = new ContextGenerator();
+  /**
+   * @param {Object} options - Explorer options
+   * @param {string} options.site - Registered site name or URL (see GraphRegistry)
+   * @param {string} options.environment - Environment profile used to resolve URLs
+   */
+  constructor(options = {}) {
+    const { site = null, environment = null } = options;
+    this.registry = new GraphRegistry();
+    if (site) {
+      const entry = this.registry.resolve(site);
+      this.graphPath = entry.graph;
+      this.outputDir = this.registry.outputDir(entry.site);
+    } else {
+      this.graphPath = path.join(__dirname, 'website-graph.json');
+      this.outputDir = path.join(__dirname, 'output');
+    }
+    this.generator = new ContextGenerator(this.graphPath, { environment });
   }
 
   /**
@@ -27,7 +62,7 @@ class GraphExplorer {
     const graph = this.generator.getGraph();
     
     console.log(`Website: ${graph.metadata.name}`);
-    console.log(`Base URL: ${graph.metadata.baseUrl}`);
+    console.log(`Base URL: ${this.generator.getBaseUrl()}`);
     console.log(`Version: ${graph.metadata.version}\n`);
 
     // Display nodes
@@ -61,7 +96,7 @@ class GraphExplorer {
     graph.edges.forEach((edge, index) => {
       const fromNode = graph.nodes.find(n => n.id === edge.from);
       const toNode = graph.nodes.find(n => n.id === edge.to);
-      console.log(`\n${index + 1}. ${fromNode.name} → ${toNode.name}`);
+      console.log(`\n${index + 1}. ${fromNode ? fromNode.name : `<missing: ${edge.from}>`} → ${toNode ? toNode.name : `<missing: ${edge.to}>`}`);
       console.log(`   Type: ${edge.type}`);
       console.log(`   Trigger: ${edge.trigger}`);
       console.log(`   Description: ${edge.description}`);
@@ -75,9 +110,11 @@ class GraphExplorer {
     console.log(`Public Pages: ${auth.publicPages.join(', ')}`);
     console.log(`Protected Pages: ${auth.protectedPages.join(', ')}`);
     if (auth.defaultCredentials) {
+      // Only the source of each credential is printed, never its value
       console.log(`Default Credentials:`);
-      console.log(`  Username: ${auth.defaultCredentials.username}`);
-      console.log(`  Password: ${auth.defaultCredentials.password}`);
+      Object.entries(this.generator.describeCredentials()).forEach(([key, source]) => {
+        console.log(`  ${key.charAt(0).toUpperCase() + key.slice(1)}: {{credentials.${key}}} (${source})`);
+      });
     }
   }
 
@@ -88,7 +125,7 @@ class GraphExplorer {
     const node = this.generator.findNode(pageId);
     if (!node) {
       console.log(`\n❌ Page with ID "${pageId}" not found`);
-      return;
+      return false;
     }
 
     console.log(`\n${'='.repeat(80)}`);
@@ -98,15 +135,38 @@ class GraphExplorer {
     const paths = this.generator.getNavigationPaths(pageId);
     if (paths.length === 0) {
       console.log('No navigation paths found from this page.');
-      return;
+      return true;
     }
 
     paths.forEach((path, index) => {
       const toNode = this.generator.findNode(path.to);
       console.log(`${index + 1}. ${path.description}`);
-      console.log(`   → Navigate to: ${toNode.name} (${toNode.route})`);
+      console.log(`   → Navigate to: ${toNode ? `${toNode.name} (${toNode.route})` : `<missing: ${path.to}>`}`);
       console.log(`   Trigger: ${path.trigger}\n`);
     });
+    return true;
+  }
+
+  /**
+   * Display the shortest route between two pages as numbered instructions
+   */
+  displayRoute(fromId, toId, options = {}) {
+    const plan = this.generator.planRoute(fromId, toId, { authenticated: options.authenticated });
+    if (!plan) {
+      console.log(`\n❌ No route found from "${fromId}" to "${toId}"`);
+      return false;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(plan, null, 2));
+      return true;
+    }
+
+    console.log(`\n${'='.repeat(80)}`);
+    console.log(`ROUTE: ${fromId} → ${toId} (${plan.hops} hop${plan.hops === 1 ? '' : 's'})`);
+    console.log('='.repeat(80) + '\n');
+    console.log(this.generator.formatRoutePlan(plan));
+    return true;
   }
 
   /**
@@ -173,6 +233,24 @@ class GraphExplorer {
     }
   }
 
+  /**
+   * Run a query (see GraphQuery) and print the result as a table or JSON
+   * @param {string} text - Query, e.g. "elements where type = button select owner, id"
+   * @param {Object} options - Output options
+   * @param {boolean} options.json - Print the rows as JSON
+   * @returns {Object} Query result
+   */
+  runQuery(text, options = {}) {
+    const query = new GraphQuery(this.generator);
+    const result = query.run(text);
+    if (options.json) {
+      console.log(JSON.stringify(result.rows, null, 2));
+    } else {
+      console.log('\n' + query.formatTable(result));
+    }
+    return result;
+  }
+
   /**
    * Generate context and save to file (deprecated - use generate-context.js instead)
    */
@@ -184,7 +262,7 @@ class GraphExplorer {
       includeFlows: true
     });
 
-    const outputFile = outputPath || path.join(__dirname, 'output', 'context.txt');
+    const outputFile = outputPath || path.join(this.outputDir, 'context.txt');
     const outputDir = path.dirname(outputFile);
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
@@ -197,9 +275,12 @@ class GraphExplorer {
 
   /**
    * Generate task-specific context
+   * @param {string} taskDescription - Task to build context for
+   * @param {string} outputPath - Also save the context to this file
+   * @param {string} renderer - Context renderer (see context-renderers.js)
    */
-  generateTaskContext(taskDescription, outputPath = null) {
-    const context = this.generator.generateTaskContext(taskDescription);
+  generateTaskContext(taskDescription, outputPath = null, renderer = 'browser-use') {
+    const context = this.generator.renderContext(renderer, { task: taskDescription });
     
     if (outputPath) {
       fs.writeFileSync(outputPath, context, 'utf-8');
@@ -207,11 +288,508 @@ class GraphExplorer {
     }
     
     console.log('\n' + '='.repeat(80));
-    console.log('TASK-SPECIFIC CONTEXT');
+    console.log(`TASK-SPECIFIC CONTEXT${renderer === 'browser-use' ? '' : ` (${renderer})`}`);
     console.log('='.repeat(80));
     console.log(context);
   }
 
+  /**
+   * List the context renderers, including any loaded with --plugin
+   */
+  listRenderers() {
+    console.log('\n' + '='.repeat(80));
+    console.log('CONTEXT RENDERERS');
+    console.log('='.repeat(80) + '\n');
+    listContextRenderers().forEach(renderer => {
+      console.log(`${renderer.name.padEnd(16)} ${renderer.extension.padEnd(6)} ${renderer.description}`);
+    });
+    console.log('\nUse one with: task "<description>" --renderer <name>, or generate --renderer <name|all>');
+  }
+
+  /**
+   * Crawl a running site and save the discovered graph
+   * @param {string} startUrl - URL to start crawling from
+   * @param {Object} options - Crawler options (see SiteCrawler), plus output path
+   */
+  async crawlSite(startUrl, options = {}) {
+    const { output = path.join(this.outputDir, 'crawled-graph.json'), ...crawlerOptions } = options;
+
+    console.log(`\n🕷️  Crawling ${startUrl}...\n`);
+    const crawler = new SiteCrawler({
+      seedGraph: this.generator.getGraph(),
+      ...crawlerOptions
+    });
+    const graph = await crawler.crawl(startUrl);
+    const snapshot = new GraphHistory(output).save(graph, { reason: `crawl ${startUrl}` });
+
+    const pages = graph.nodes.filter(node => node.type === 'page');
+    const components = graph.nodes.filter(node => node.type === 'component');
+    console.log(`\n✅ Crawled graph saved to: ${output}`);
+    console.log(`   Pages: ${pages.length}, Components: ${components.length}, Edges: ${graph.edges.length}`);
+    console.log(`   ${this.formatSnapshot(snapshot, graph)}`);
+  }
+
+  /**
+   * Derive pages, requiresAuth, appearsOn and navigation edges from a React
+   * app's source and merge them into the graph. The merged graph is
+   * validated and only written when it passes.
+   * @param {string} srcDir - App source directory (defaults to style-scout-ai-main/src)
+   * @param {Object} options - Analyzer options (see SourceAnalyzer), plus output options
+   * @param {string} options.output - Graph JSON to write, defaults to the current graph file
+   * @param {boolean} options.dryRun - Report the changes without writing
+   * @param {boolean} options.json - Print the extraction and changes as JSON
+   * @returns {boolean} Whether the merged graph was valid
+   */
+  analyzeSource(srcDir = null, options = {}) {
+    const { output = this.graphPath, dryRun = false, json = false, ...analyzerOptions } = options;
+    const analyzer = new SourceAnalyzer({ ...analyzerOptions, ...(srcDir ? { srcDir } : {}) });
+    const extraction = analyzer.analyze();
+    const result = analyzer.merge(this.generator.getGraph(), extraction);
+    const validation = new GraphValidator().validate(result.graph);
+
+    if (json) {
+      console.log(JSON.stringify({ extraction, changes: result.changes, warnings: result.warnings, valid: validation.valid }, null, 2));
+    } else {
+      console.log('\n' + '='.repeat(80));
+      console.log('SOURCE ANALYSIS');
+      console.log('='.repeat(80) + '\n');
+      console.log(analyzer.formatText(extraction, result));
+    }
+
+    if (!validation.valid) {
+      if (!json) {
+        console.log(`❌ Merged graph has ${validation.errors.length} error(s), nothing written:\n`);
+        validation.errors.forEach(error => {
+          console.log(`  ${error.path}  [${error.rule}]`);
+          console.log(`     ${error.message}`);
+        });
+        console.log('');
+      }
+      return false;
+    }
+    if (dryRun || (result.changes.length === 0 && output === this.graphPath)) {
+      return true;
+    }
+
+    const snapshot = new GraphHistory(output).save(result.graph, {
+      reason: `analyze-source (${result.changes.length} change(s))`
+    });
+    if (!json) {
+      console.log(`✅ Merged ${result.changes.length} change(s) into: ${output}`);
+      console.log(`   ${this.formatSnapshot(snapshot, result.graph)}\n`);
+    }
+    return true;
+  }
+
+  /**
+   * Validate a graph file against the schema and its cross-references
+   * @param {string} graphPath - Graph file to validate (defaults to the current site graph)
+   * @param {Object} options - Output options
+   * @param {boolean} options.json - Print machine-readable JSON instead of text
+   * @returns {boolean} Whether the graph is valid
+   */
+  validateGraph(graphPath = null, options = {}) {
+    const file = graphPath || this.graphPath;
+    const result = new GraphValidator().validateFile(file);
+
+    if (options.json) {
+      console.log(JSON.stringify({ file, ...result }, null, 2));
+      return result.valid;
+    }
+
+    if (result.valid) {
+      console.log(`\n✅ ${file} is valid\n`);
+      return true;
+    }
+
+    console.log(`\n❌ ${file} has ${result.errors.length} error(s):\n`);
+    result.errors.forEach(error => {
+      console.log(`  ${error.path}  [${error.rule}]`);
+      console.log(`     ${error.message}`);
+    });
+    console.log('');
+    return false;
+  }
+
+  /**
+   * Display how the graph changed between two files
+   * @param {string} oldPath - Previous graph file
+   * @param {string} newPath - Current graph file
+   * @param {Object} options - Output options
+   * @param {boolean} options.json - Print the diff as JSON
+   */
+  displayGraphDiff(oldPath, newPath, options = {}) {
+    const oldGraph = new ContextGenerator(oldPath).getGraph();
+    const newGraph = new ContextGenerator(newPath).getGraph();
+    const differ = new GraphDiff();
+    const result = differ.diff(oldGraph, newGraph);
+
+    if (options.json) {
+      console.log(JSON.stringify({ old: oldPath, new: newPath, ...result }, null, 2));
+      return;
+    }
+
+    console.log(`\n${'='.repeat(80)}`);
+    console.log('GRAPH DIFF');
+    console.log('='.repeat(80) + '\n');
+    console.log(`Old: ${oldPath} (v${oldGraph.metadata.version})`);
+    console.log(`New: ${newPath} (v${newGraph.metadata.version})\n`);
+    console.log(differ.formatText(result));
+  }
+
+  /**
+   * Check every element selector against the running site
+   * @param {Object} options - Verifier options (see SelectorVerifier), plus output options
+   * @param {Array<string>} options.pages - Page ids to check, defaults to all pages
+   * @param {boolean} options.json - Print the report as JSON
+   * @returns {Promise<boolean>} Whether no selector is missing or invalid
+   */
+  async verifySelectors(options = {}) {
+    const { pages = null, json = false, ...verifierOptions } = options;
+    const verifier = new SelectorVerifier(this.generator, verifierOptions);
+
+    if (!json) {
+      console.log(`\n🔬 Verifying selectors against ${verifier.baseUrl}...\n`);
+    }
+    const report = await verifier.verify(pages);
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(verifier.formatText(report));
+    }
+    return report.summary.healthy;
+  }
+
+  /**
+   * Report which pages, elements and edges recorded agent runs exercised.
+   * coverage.json and coverage.html are written to the output directory.
+   * @param {Array<string>} sources - Run directories or task-result.json files (defaults to browser_use/downloads)
+   * @param {Object} options - Output options
+   * @param {boolean} options.json - Print the report as JSON
+   * @returns {Object} Coverage report
+   */
+  displayCoverage(sources = [], options = {}) {
+    const analyzer = new CoverageAnalyzer(this.generator);
+    const report = analyzer.analyze(sources);
+
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const jsonPath = path.join(this.outputDir, 'coverage.json');
+    const htmlPath = path.join(this.outputDir, 'coverage.html');
+    const treeMapPath = path.join(this.outputDir, 'tree-map.html');
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2), 'utf-8');
+    fs.writeFileSync(htmlPath, analyzer.formatHtml(report), 'utf-8');
+    fs.writeFileSync(treeMapPath, new TreeMapRenderer().render(this.generator.getGraph(), { baseUrl: this.generator.getBaseUrl(), coverage: report }), 'utf-8');
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return report;
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log('RUN COVERAGE');
+    console.log('='.repeat(80) + '\n');
+    console.log(analyzer.formatText(report));
+    console.log(`✅ Coverage report saved: ${jsonPath}`);
+    console.log(`✅ Coverage map saved: ${htmlPath}`);
+    console.log(`✅ Tree map with coverage layer saved: ${treeMapPath}\n`);
+    return report;
+  }
+
+  /**
+   * Learn from recorded agent runs: propose the navigation edges they used
+   * that the graph is missing, attach observed success rates and step counts
+   * to edges and flag edges agents failed to use. The changes are written as
+   * a patch to the graph file for review and only merged with apply.
+   * @param {Array<string>} sources - Run directories or task-result.json files (defaults to browser_use/downloads)
+   * @param {Object} options - Output options
+   * @param {string} options.output - Patch file, defaults to output/learned-graph.patch
+   * @param {boolean} options.apply - Merge the changes into the graph file (recording a new version)
+   * @param {boolean} options.json - Print the report as JSON
+   * @returns {boolean} Whether the learned graph was valid
+   */
+  learnFromRuns(sources = [], options = {}) {
+    const { output = null, apply = false, json = false } = options;
+    const learner = new RunLearner(this.generator);
+    const report = learner.learn(sources);
+    const graph = learner.buildGraph(report);
+    const validation = new GraphValidator().validate(graph);
+
+    const label = path.relative(process.cwd(), this.graphPath).split(path.sep).join('/');
+    const patch = unifiedDiff(fs.readFileSync(this.graphPath, 'utf-8'), formatGraphJson(graph), {
+      fromFile: `a/${label}`,
+      toFile: `b/${label}`
+    });
+    const patchPath = output || path.join(this.outputDir, 'learned-graph.patch');
+    if (patch && validation.valid) {
+      fs.mkdirSync(path.dirname(patchPath), { recursive: true });
+      fs.writeFileSync(patchPath, patch, 'utf-8');
+    }
+
+    if (json) {
+      console.log(JSON.stringify({ ...report, patch: patch ? patchPath : null, valid: validation.valid }, null, 2));
+    } else {
+      console.log('\n' + '='.repeat(80));
+      console.log('LEARNED FROM RUNS');
+      console.log('='.repeat(80) + '\n');
+      console.log(learner.formatText(report));
+    }
+
+    if (!validation.valid) {
+      if (!json) {
+        console.log(`❌ Learned graph has ${validation.errors.length} error(s), nothing written:\n`);
+        validation.errors.forEach(error => {
+          console.log(`  ${error.path}  [${error.rule}]`);
+          console.log(`     ${error.message}`);
+        });
+        console.log('');
+      }
+      return false;
+    }
+    if (!patch) {
+      if (!json) console.log('✅ Nothing to change: the graph already reflects these runs\n');
+      return true;
+    }
+
+    if (apply) {
+      const snapshot = new GraphHistory(this.graphPath).save(graph, { reason: `learn from ${report.runs.length} run(s)` });
+      if (!json) {
+        console.log(`✅ Applied to: ${this.graphPath}`);
+        console.log(`   ${this.formatSnapshot(snapshot, graph)}\n`);
+      }
+    } else if (!json) {
+      console.log(`✅ Patch for review saved: ${patchPath}`);
+      console.log(`   Apply it from this directory with: git apply ${patchPath} (or rerun with --apply to record a new version)\n`);
+    }
+    return true;
+  }
+
+  /**
+   * Export the graph for other graph tools
+   * @param {string} formatName - graphml (yEd, Gephi), cypher (Neo4j) or jsonld (schema.org)
+   * @param {string} outputPath - Output file, defaults to output/website-graph.<ext>
+   * @returns {string} Path of the written file
+   */
+  exportGraph(formatName, outputPath = null) {
+    const format = getGraphFormat(formatName);
+    const output = outputPath || path.join(this.outputDir, `website-graph${format.extension}`);
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, format.serialize(this.generator.getGraph()), 'utf-8');
+    console.log(`✅ Exported ${format.name} to: ${output}`);
+    return output;
+  }
+
+  /**
+   * Write agent tool definitions for a function-calling API
+   * @param {string} format - openai or anthropic
+   * @param {string} outputPath - Output file, defaults to output/agent-tools.<format>.json
+   * @returns {string} Path of the written file
+   */
+  exportAgentTools(format = 'openai', outputPath = null) {
+    const tools = this.generator.generateToolDefinitions({ format });
+    const output = outputPath || path.join(this.outputDir, `agent-tools.${format}.json`);
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(tools, null, 2) + '\n', 'utf-8');
+    console.log(`✅ Wrote ${tools.length} ${format} tool definitions to: ${output}`);
+    tools.forEach(tool => console.log(`   ${tool.name || tool.function.name}`));
+    return output;
+  }
+
+  /**
+   * Import a graph edited in another tool. The result is validated and only
+   * written when it passes, so a broken edit never replaces a good graph.
+   * @param {string} inputPath - GraphML, Cypher or JSON-LD file
+   * @param {Object} options - Import options
+   * @param {string} options.format - Format name, defaults to the file extension
+   * @param {string} options.output - Graph JSON to write, defaults to output/imported-graph.json
+   * @returns {boolean} Whether the imported graph was valid and written
+   */
+  importGraph(inputPath, options = {}) {
+    const format = options.format ? getGraphFormat(options.format) : detectGraphFormat(inputPath);
+    const output = options.output || path.join(this.outputDir, 'imported-graph.json');
+    const graph = format.parse(fs.readFileSync(inputPath, 'utf-8'));
+
+    const result = new GraphValidator().validate(graph);
+    if (!result.valid) {
+      console.log(`\n❌ Imported graph has ${result.errors.length} error(s), nothing written:\n`);
+      result.errors.forEach(error => {
+        console.log(`  ${error.path}  [${error.rule}]`);
+        console.log(`     ${error.message}`);
+      });
+      console.log('');
+      return false;
+    }
+
+    const snapshot = new GraphHistory(output).save(graph, { reason: `import ${path.basename(inputPath)}` });
+    const pages = graph.nodes.filter(node => node.type === 'page');
+    console.log(`✅ Imported ${format.name} graph saved to: ${output}`);
+    console.log(`   Pages: ${pages.length}, Components: ${graph.nodes.length - pages.length}, Edges: ${graph.edges.length}`);
+    console.log(`   ${this.formatSnapshot(snapshot, graph)}`);
+    return true;
+  }
+
+  /**
+   * Generate Playwright page objects, one module per page and component
+   * @param {string} outputDir - Target directory, defaults to output/page-objects
+   * @returns {Array<string>} Written files
+   */
+  generatePageObjects(outputDir = null) {
+    const dir = outputDir || path.join(this.outputDir, 'page-objects');
+    fs.mkdirSync(dir, { recursive: true });
+    const files = new PageObjectGenerator(this.generator).generate().map(({ file, content }) => {
+      const filePath = path.join(dir, file);
+      fs.writeFileSync(filePath, content, 'utf-8');
+      return filePath;
+    });
+    console.log(`✅ Generated ${files.length} page-object modules in: ${dir}`);
+    files.forEach(file => console.log(`   ${path.basename(file)}`));
+    return files;
+  }
+
+  /**
+   * Generate Playwright smoke tests from commonPatterns, one file per pattern
+   * @param {string} outputDir - Target directory, defaults to output/flow-tests
+   * @returns {Array<Object>} Compiled flows with per-step resolution
+   */
+  generateFlowTests(outputDir = null) {
+    const dir = outputDir || path.join(this.outputDir, 'flow-tests');
+    const { files, flows } = new FlowTestGenerator(this.generator).generate(dir);
+    fs.mkdirSync(dir, { recursive: true });
+    files.forEach(({ file, content }) => fs.writeFileSync(path.join(dir, file), content, 'utf-8'));
+
+    console.log(`✅ Generated ${flows.length} flow test(s) in: ${dir}\n`);
+    flows.forEach(flow => {
+      const todos = flow.steps.filter(step => !step.resolved);
+      console.log(`${todos.length === 0 ? '✅' : '⚠️ '} ${flow.file} - ${flow.steps.length - todos.length}/${flow.steps.length} steps resolved`);
+      todos.forEach(step => console.log(`     TODO step ${step.number} "${step.text}": ${step.reason}`));
+    });
+    console.log(`\nRun with: node --test ${path.relative(process.cwd(), dir) || '.'}/`);
+    return flows;
+  }
+
+  /**
+   * List the recorded versions of the graph, newest first
+   * @param {Object} options - Output options
+   * @param {boolean} options.json - Print the snapshot index as JSON
+   */
+  displayHistory(options = {}) {
+    const history = new GraphHistory(this.graphPath);
+    const current = this.generator.getGraph().metadata.version;
+
+    if (options.json) {
+      console.log(JSON.stringify({ graph: this.graphPath, current, snapshots: history.list() }, null, 2));
+      return;
+    }
+
+    console.log('\n' + '='.repeat(80));
+    console.log('GRAPH HISTORY');
+    console.log('='.repeat(80) + '\n');
+    console.log(`Graph: ${path.relative(process.cwd(), this.graphPath)} (v${current})`);
+    console.log(`Snapshots: ${path.relative(process.cwd(), history.historyDir)}\n`);
+    console.log(history.formatText(current));
+    if (history.list().length > 0) {
+      console.log('* = version of the current graph file');
+    }
+  }
+
+  /**
+   * Write the graph exactly as it was at a recorded version, or as a browser
+   * agent run was given it (see GraphHistory.loadRun())
+   * @param {string} ref - Version, `latest`, ISO date/time, or a browser agent task-result.json
+   * @param {string} outputPath - Target file, defaults to output/<graph>@<version>.json
+   * @returns {Object} Snapshot entry that was checked out, or the loadRun() result for a run
+   */
+  checkoutVersion(ref, outputPath = null) {
+    const history = new GraphHistory(this.graphPath);
+    const isRun = ref.endsWith('.json') && fs.existsSync(ref);
+    const run = isRun ? history.loadRun(ref) : null;
+    const entry = isRun ? run.entry : history.resolve(ref);
+    const version = isRun ? run.version : entry.version;
+    const output = outputPath
+      || path.join(this.outputDir, `${path.basename(this.graphPath, '.json')}@${version}.json`);
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    if (isRun) {
+      fs.writeFileSync(output, formatGraphJson(run.graph), 'utf-8');
+      console.log(`✅ Checked out the graph the run was given: v${version} from ${path.relative(process.cwd(), run.source)}`);
+      if (!run.verified) {
+        console.log('⚠️  The run recorded no graph hash, so this is the snapshot for its version or date and may differ from what the agent saw');
+      }
+    } else {
+      fs.copyFileSync(path.join(history.historyDir, entry.file), output);
+      console.log(`✅ Checked out v${version} (${entry.timestamp}, ${entry.reason})`);
+    }
+    console.log(`   Saved to: ${output}`);
+    if (path.resolve(output) !== path.resolve(this.graphPath)) {
+      const relative = file => path.relative(process.cwd(), file);
+      console.log(`   Compare with: node explore-graph.js diff ${relative(output)} ${relative(this.graphPath)}`);
+    }
+    return run || entry;
+  }
+
+  /**
+   * Snapshot hand edits to the graph file as a new version
+   * @param {string} reason - Changelog reason
+   * @returns {Object|null} New snapshot entry, or null when nothing changed
+   */
+  snapshotGraph(reason = 'manual edit') {
+    const graph = this.generator.getGraph();
+    const history = new GraphHistory(this.graphPath);
+    const snapshot = history.record(graph, { reason });
+    if (snapshot) {
+      history.write(graph);
+    }
+    console.log(`✅ ${this.formatSnapshot(snapshot, graph)}`);
+    return snapshot;
+  }
+
+  /**
+   * Describe the outcome of GraphHistory.record() in one line
+   * @param {Object|null} snapshot - New snapshot entry, or null when nothing changed
+   * @param {Object} graph - Written graph
+   * @returns {string} Summary line
+   */
+  formatSnapshot(snapshot, graph) {
+    return snapshot
+      ? `Version: v${snapshot.version} (${snapshot.bump}), snapshot ${snapshot.file}`
+      : `Version: v${graph.metadata.version} (unchanged, no new snapshot)`;
+  }
+
+  /**
+   * List the sites in the graph registry
+   */
+  listSites() {
+    const sites = this.registry.list();
+    console.log('\n' + '='.repeat(80));
+    console.log('REGISTERED SITES');
+    console.log('='.repeat(80) + '\n');
+
+    if (sites.length === 0) {
+      console.log('No sites registered. Add one with: node explore-graph.js register <site> <graph.json>');
+      return;
+    }
+    sites.forEach(entry => {
+      console.log(`${entry.site}${entry.isDefault ? ' (default)' : ''}`);
+      console.log(`   Name: ${entry.name}`);
+      console.log(`   Base URL: ${entry.baseUrl}`);
+      console.log(`   Graph: ${path.relative(process.cwd(), entry.graph)}`);
+      console.log('');
+    });
+  }
+
+  /**
+   * Add a graph file to the registry
+   * @param {string} site - Site name
+   * @param {string} graphFile - Graph JSON file
+   * @param {Object} options - Registry options (see GraphRegistry.register)
+   */
+  registerSite(site, graphFile, options = {}) {
+    const entry = this.registry.register(site, graphFile, options);
+    console.log(`✅ Registered "${entry.site}" (${entry.baseUrl})`);
+    console.log(`   Graph: ${path.relative(process.cwd(), entry.graph)}`);
+    console.log(`   Use it with: --site ${entry.site}`);
+  }
+
   /**
    * List all pages
    */
@@ -233,83 +811,401 @@ class GraphExplorer {
   }
 }
 
-// CLI interface
-const args = process.argv.slice(2);
-const explorer = new GraphExplorer();
+/**
+ * Split CLI arguments into positional arguments and --flag options. Boolean
+ * flags never take a value; every other flag takes the next argument (or
+ * --flag=value), and numeric flags must be positive integers.
+ */
+function parseOptions(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inlineValue] = arg.slice(2).split('=');
+    if (BOOLEAN_FLAGS.has(key)) {
+      if (inlineValue !== undefined) {
+        throw new Error(`--${key} does not take a value`);
+      }
+      flags[key] = true;
+      continue;
+    }
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`--${key} needs a value`);
+    }
+    if (NUMERIC_FLAGS.has(key)) {
+      if (!/^[1-9]\d*$/.test(value)) {
+        throw new Error(`--${key} must be a positive integer, got "${value}"`);
+      }
+      flags[key] = parseInt(value, 10);
+    } else {
+      flags[key] = value;
+    }
+  }
+  return { positional, flags };
+}
+
+/**
+ * Run the explorer CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {string} program - Program name shown in the help text
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv = process.argv.slice(2), program = 'node explore-graph.js') {
+  const { site, args: siteArgs } = extractSiteFlag(argv);
+  const { value: environment, args: envArgs } = extractFlag(siteArgs, 'env');
+  const { value: plugins, args } = extractFlag(envArgs, 'plugin');
+  let explorer;
+  try {
+    explorer = new GraphExplorer({ site, environment });
+    for (const plugin of plugins ? plugins.split(',') : []) {
+      await loadContextRendererPlugin(plugin);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
 
-if (args.length === 0) {
-  console.log(`
+  if (args.length === 0) {
+    console.log(`
 Graph Explorer - Style Scout AI Context Mapping
 
 Usage:
-  node explore-graph.js [command] [options]
+  ${program} [command] [options] [--site <name|url>] [--env <profile>]
 
 Commands:
   full              Display full graph structure
   pages             List all pages
   page <id>         Display details for a specific page
   paths <id>        Display navigation paths from a page
+  route <from> <to> Plan the shortest route between two pages [--json] [--authenticated]
   context           Generate browser_use context file
-  task <description> Generate task-specific context
+  task <description> Generate task-specific context [--renderer <name>]
+  renderers         List context renderers (browser-use, agent-sitemap,
+                    playwright-mcp, computer-use and plugins)
+  query <query>     Filter nodes, pages, components, elements, products or
+                    edges: <source> [where ...] [select ...] [sort ...] [limit n]
+                    [--json]
+  validate [file]   Validate a graph file (schema and references) [--json]
+  diff <old> <new>  Show changes between two graph files [--json]
+  history           List recorded graph versions, newest first [--json]
+  checkout <version> Write the graph as it was at a version, a date or a
+                    browser agent run (task-result.json) [--out <file>]
+  snapshot          Record hand edits to the graph as a new version
+                    [--reason <text>]
+  verify-selectors  Check graph selectors against the running site
+                    [--base-url <url>] [--page <id>] [--json] [--headed]
+  crawl <startUrl>  Crawl a running site and generate a website graph
+                    [--out <file>] [--max-pages <n>] [--headed] [--no-buttons]
+  analyze-source [srcDir]  Derive pages, requiresAuth, appearsOn and
+                    navigation edges from React Router source and merge them
+                    into the graph [--entry <file>] [--out <file>] [--dry-run] [--json]
+  coverage [runs...] Map recorded runs (task-result.json) onto the graph and
+                    report untested pages, elements and edges [--json]
+  learn [runs...]   Propose missing edges, attach observed success rates and
+                    step counts and flag failing edges from recorded runs, as
+                    a patch to the graph [--out <patch>] [--apply] [--json]
+  export <format>   Export the graph as graphml (yEd, Gephi), cypher (Neo4j)
+                    or jsonld (schema.org) [--out <file>]
+  import <file>     Convert an exported file back to a validated graph JSON
+                    [--format <name>] [--out <file>]
+  tools [format]    Write agent tool definitions (navigate_to, click, fill,
+                    open_component) for openai or anthropic [--out <file>]
+  codegen           Generate Playwright page objects (one per page and
+                    component) [--out <dir>]
+  flow-tests        Generate Playwright smoke tests from commonPatterns
+                    (unresolved steps fail as TODO) [--out <dir>]
+  sites             List registered site graphs
+  register <site> <file>  Add a graph file to the registry [--default]
+
+Regenerating or merging a graph (crawl, analyze-source, import, learn --apply,
+generate-context.js --snapshot) snapshots it in history/<graph>/, bumps metadata.version (major for
+removed or changed selectors, pages and edges, minor for additions, patch
+otherwise) and adds a CHANGELOG.md entry.
+
+Every command accepts --site to pick a registered graph by name or baseUrl.
+Its generated files go to output/<site>/. --env picks an environment profile
+from metadata.environments (e.g. production, local, tunnel) for absolute URLs.
+--plugin <module[,module]> registers the context renderers a module exports
+as default, e.g. for task --renderer.
 
 Examples:
-  node explore-graph.js full
-  node explore-graph.js pages
-  node explore-graph.js page login
-  node explore-graph.js paths home
-  node explore-graph.js context
-  node explore-graph.js task "Navigate to men's collection and open chat"
+  ${program} full
+  ${program} pages
+  ${program} page login
+  ${program} paths home
+  ${program} route login men
+  ${program} route login men --env local
+  ${program} context
+  ${program} task "Navigate to men's collection and open chat"
+  ${program} task "Open the chat on the men's page" --renderer agent-sitemap
+  ${program} renderers --plugin ./my-renderer.js
+  ${program} query "elements where type = button and pages.requiresAuth = true"
+  ${program} query "pages where hops(home) <= 2 and components = chat-assistant" --json
+  ${program} validate website-graph.json --json
+  ${program} diff website-graph.json output/crawled-graph.json
+  ${program} history
+  ${program} checkout 1.0.0
+  ${program} checkout ../browser_use/downloads/<task-id>/task-result.json
+  ${program} snapshot --reason "Add wishlist button"
+  ${program} verify-selectors --base-url http://localhost:8080
+  ${program} crawl http://localhost:8080/ --out output/crawled-graph.json
+  ${program} analyze-source ../style-scout-ai-main/src --dry-run
+  ${program} coverage ../browser_use/downloads
+  ${program} learn
+  ${program} learn ../browser_use/downloads/<task-id> --apply
+  ${program} tools anthropic
+  ${program} codegen --env local
+  ${program} flow-tests --env local
+  ${program} export graphml
+  ${program} import output/website-graph.graphml --out website-graph.json
+  ${program} register shop-demo output/crawled-graph.json
+  ${program} pages --site shop-demo
   `);
-  process.exit(0);
-}
+    return 0;
+  }
 
-const command = args[0];
+  const command = args[0];
 
-try {
-  switch (command) {
-    case 'full':
-      explorer.displayFullGraph();
-      break;
-    
-    case 'pages':
-      explorer.listPages();
-      break;
-    
-    case 'page':
-      if (!args[1]) {
-        console.log('❌ Please provide a page ID');
-        process.exit(1);
+  try {
+    switch (command) {
+      case 'full':
+        explorer.displayFullGraph();
+        break;
+
+      case 'pages':
+        explorer.listPages();
+        break;
+
+      case 'page':
+        if (!args[1]) {
+          console.log('❌ Please provide a page ID');
+          return 1;
+        }
+        explorer.displayPageDetails(args[1]);
+        break;
+
+      case 'paths':
+        if (!args[1]) {
+          console.log('❌ Please provide a page ID');
+          return 1;
+        }
+        if (!explorer.displayNavigationPaths(args[1])) return 1;
+        break;
+
+      case 'route': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0] || !positional[1]) {
+          console.log('❌ Please provide the start and target page IDs');
+          return 1;
+        }
+        const found = explorer.displayRoute(positional[0], positional[1], {
+          json: !!flags.json,
+          authenticated: flags.authenticated ? true : undefined
+        });
+        if (!found) return 1;
+        break;
       }
-      explorer.displayPageDetails(args[1]);
-      break;
-    
-    case 'paths':
-      if (!args[1]) {
-        console.log('❌ Please provide a page ID');
-        process.exit(1);
+
+      case 'context':
+        explorer.generateBrowserUseContext();
+        break;
+
+      case 'task': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (positional.length === 0) {
+          console.log('❌ Please provide a task description');
+          return 1;
+        }
+        const taskDescription = positional.join(' ');
+        explorer.generateTaskContext(taskDescription, null, typeof flags.renderer === 'string' ? flags.renderer : undefined);
+        break;
       }
-      explorer.displayNavigationPaths(args[1]);
-      break;
-    
-    case 'context':
-      explorer.generateBrowserUseContext();
-      break;
-    
-    case 'task':
-      if (!args[1]) {
-        console.log('❌ Please provide a task description');
-        process.exit(1);
+
+      case 'renderers':
+        explorer.listRenderers();
+        break;
+
+      case 'query': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (positional.length === 0) {
+          console.log('❌ Please provide a query, e.g. "pages where requiresAuth = true"');
+          return 1;
+        }
+        explorer.runQuery(positional.join(' '), { json: !!flags.json });
+        break;
       }
-      const taskDescription = args.slice(1).join(' ');
-      explorer.generateTaskContext(taskDescription);
-      break;
-    
-    default:
-      console.log(`❌ Unknown command: ${command}`);
-      process.exit(1);
+
+      case 'validate': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        const valid = explorer.validateGraph(positional[0] ? path.resolve(positional[0]) : null, { json: !!flags.json });
+        return valid ? 0 : 1;
+      }
+
+      case 'diff': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0] || !positional[1]) {
+          console.log('❌ Please provide the old and new graph files');
+          return 1;
+        }
+        explorer.displayGraphDiff(path.resolve(positional[0]), path.resolve(positional[1]), { json: !!flags.json });
+        break;
+      }
+
+      case 'history': {
+        const { flags } = parseOptions(args.slice(1));
+        explorer.displayHistory({ json: !!flags.json });
+        break;
+      }
+
+      case 'checkout': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0]) {
+          console.log('❌ Please provide a version, date or task-result.json');
+          return 1;
+        }
+        const ref = positional[0].endsWith('.json') ? path.resolve(positional[0]) : positional[0];
+        explorer.checkoutVersion(ref, flags.out ? path.resolve(flags.out) : null);
+        break;
+      }
+
+      case 'snapshot': {
+        const { flags } = parseOptions(args.slice(1));
+        explorer.snapshotGraph(typeof flags.reason === 'string' ? flags.reason : undefined);
+        break;
+      }
+
+      case 'verify-selectors': {
+        const { flags } = parseOptions(args.slice(1));
+        const healthy = await explorer.verifySelectors({
+          baseUrl: typeof flags['base-url'] === 'string' ? flags['base-url'] : undefined,
+          pages: typeof flags.page === 'string' ? flags.page.split(',') : null,
+          json: !!flags.json,
+          headless: !flags.headed
+        });
+        return healthy ? 0 : 1;
+      }
+
+      case 'crawl': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0]) {
+          console.log('❌ Please provide a start URL');
+          return 1;
+        }
+        await explorer.crawlSite(positional[0], {
+          output: flags.out ? path.resolve(flags.out) : undefined,
+          maxPages: flags['max-pages'],
+          headless: !flags.headed,
+          probeButtons: !flags['no-buttons']
+        });
+        break;
+      }
+
+      case 'analyze-source': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        const merged = explorer.analyzeSource(positional[0] ? path.resolve(positional[0]) : null, {
+          entry: typeof flags.entry === 'string' ? flags.entry : undefined,
+          output: flags.out ? path.resolve(flags.out) : undefined,
+          dryRun: !!flags['dry-run'],
+          json: !!flags.json
+        });
+        if (!merged) return 1;
+        break;
+      }
+
+      case 'coverage': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        explorer.displayCoverage(positional.map(source => path.resolve(source)), { json: !!flags.json });
+        break;
+      }
+
+      case 'learn': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        const learned = explorer.learnFromRuns(positional.map(source => path.resolve(source)), {
+          output: flags.out ? path.resolve(flags.out) : null,
+          apply: !!flags.apply,
+          json: !!flags.json
+        });
+        if (!learned) return 1;
+        break;
+      }
+
+      case 'export': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0]) {
+          console.log(`❌ Please provide a format: ${listGraphFormats().map(format => format.name).join(', ')}`);
+          return 1;
+        }
+        explorer.exportGraph(positional[0], flags.out ? path.resolve(flags.out) : null);
+        break;
+      }
+
+      case 'tools': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        explorer.exportAgentTools(positional[0] || 'openai', flags.out ? path.resolve(flags.out) : null);
+        break;
+      }
+
+      case 'import': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0]) {
+          console.log('❌ Please provide a file to import');
+          return 1;
+        }
+        const imported = explorer.importGraph(path.resolve(positional[0]), {
+          format: typeof flags.format === 'string' ? flags.format : undefined,
+          output: flags.out ? path.resolve(flags.out) : undefined
+        });
+        if (!imported) return 1;
+        break;
+      }
+
+      case 'codegen': {
+        const { flags } = parseOptions(args.slice(1));
+        explorer.generatePageObjects(flags.out ? path.resolve(flags.out) : null);
+        break;
+      }
+
+      case 'flow-tests': {
+        const { flags } = parseOptions(args.slice(1));
+        explorer.generateFlowTests(flags.out ? path.resolve(flags.out) : null);
+        break;
+      }
+
+      case 'sites':
+        explorer.listSites();
+        break;
+
+      case 'register': {
+        const { positional, flags } = parseOptions(args.slice(1));
+        if (!positional[0] || !positional[1]) {
+          console.log('❌ Please provide a site name and a graph file');
+          return 1;
+        }
+        explorer.registerSite(positional[0], path.resolve(positional[1]), { makeDefault: !!flags.default });
+        break;
+      }
+
+      default:
+        console.log(`❌ Unknown command: ${command}`);
+        return 1;
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
   }
-} catch (error) {
-  console.error('❌ Error:', error.message);
-  process.exit(1);
 }
 
+// CLI interface (only when run directly, so the module can be imported)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  process.exitCode = await main();
+}
+
+export default GraphExplorer;
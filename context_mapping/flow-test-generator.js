@@ -0,0 +1,369 @@
+import { matchesRoute, tokenize } from './context-generator.js';
+import { actionVerb } from './page-object-generator.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CLICKABLE_TYPES = ['button', 'link', 'checkbox', 'radio', 'tab'];
+const FILLABLE_TYPES = ['input', 'textarea'];
+
+// First word of a step → what it does
+const STEP_ACTIONS = {
+  navigate: ['navigate', 'go', 'visit', 'open'],
+  fill: ['enter', 'type', 'fill', 'input'],
+  click: ['click', 'tap', 'press', 'select', 'submit'],
+  wait: ['wait'],
+  verify: ['view', 'see', 'find', 'check', 'verify', 'confirm', 'each', 'look']
+};
+
+// Typed into inputs whose step gives no quoted text
+const SAMPLE_TEXT = 'Hello from the smoke test';
+
+/**
+ * Flow Test Generator
+ *
+ * Turns the graph's commonPatterns into Playwright smoke tests, one
+ * `node:test` file per pattern. Each free-text step is resolved against
+ * the graph:
+ *   - "Navigate to /men"        page.goto plus a route assertion
+ *   - "Ensure logged in"        the login edge (fill credentials, submit)
+ *   - "Enter username in ..."   fill the best-matching input; credentials
+ *                               come from authentication.defaultCredentials
+ *   - "Click Sign In button"    click the best-matching element; when the
+ *                               click follows a navigation edge, assert the
+ *                               target route
+ *   - "Wait for ... home page"  assert the page's route
+ *   - "View product grid ..."   assert the matching elements are visible
+ * "A or B" steps use the first alternative that resolves. A step that
+ * matches nothing, or several elements equally well, becomes a TODO
+ * failure naming the step, so gaps in the graph show up as red tests.
+ */
+class FlowTestGenerator {
+  /**
+   * @param {ContextGenerator} generator - Generator for the graph to compile
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.graph = generator.getGraph();
+  }
+
+  /**
+   * Generate the helper module and one test file per pattern
+   * @param {string} outputDir - Directory the files will be written to (for the credentials import)
+   * @returns {{files: Array<{file: string, content: string}>, flows: Array<Object>}} Files and compiled flows
+   */
+  generate(outputDir) {
+    const flows = (this.graph.commonPatterns || []).map(pattern => this.compile(pattern));
+    const files = [{ file: 'flow-helpers.js', content: this.generateHelpers(outputDir) }];
+    const used = new Set();
+    flows.forEach(flow => {
+      let file = `${slug(flow.name)}.test.js`;
+      for (let index = 2; used.has(file); index++) {
+        file = `${slug(flow.name)}-${index}.test.js`;
+      }
+      used.add(file);
+      flow.file = file;
+      files.push({ file, content: this.generateTest(flow) });
+    });
+    return { files, flows };
+  }
+
+  /**
+   * Resolve the steps of one pattern
+   * @param {Object} pattern - commonPatterns entry ({ name, steps })
+   * @returns {Object} Flow with per-step code and resolution notes
+   */
+  compile(pattern) {
+    const state = { page: null };
+    const steps = pattern.steps.map((text, index) => {
+      const alternatives = text.split(/\s+or\s+/i);
+      let result = null;
+      for (const alternative of alternatives) {
+        result = this.compileStep(alternative, state);
+        if (result.resolved) {
+          if (alternatives.length > 1) {
+            result.note = `using "${alternative.trim()}"`;
+          }
+          break;
+        }
+      }
+      if (!result.resolved && alternatives.length > 1) {
+        result.reason = alternatives.map(alternative => this.compileStep(alternative, { ...state }).reason).join('; ');
+      }
+      return { number: index + 1, text, ...result };
+    });
+    return { name: pattern.name, steps };
+  }
+
+  /**
+   * Resolve one step phrase. Updates state.page when the step changes page.
+   * @returns {{resolved: boolean, action: string, code: Array<string>, reason: string}}
+   */
+  compileStep(text, state) {
+    const action = stepAction(text);
+    const unresolved = reason => ({ resolved: false, action, code: [], reason });
+
+    if (/\blogged in\b|\blog in\b/i.test(text) && (action === null || /^(ensure|be|make sure)\b/i.test(text.trim()))) {
+      return this.compileLogin(state) || unresolved('the graph has no login edge (trigger successful_login)');
+    }
+
+    if (action === 'navigate') {
+      const page = this.findMentionedPage(text);
+      if (!page) return unresolved('no page route or name in the step');
+      state.page = page;
+      return {
+        resolved: true,
+        action,
+        code: [`await page.goto(BASE_URL + ${JSON.stringify(page.route)});`, `await expectRoute(page, ${JSON.stringify(page.route)});`]
+      };
+    }
+
+    if (action === 'click' && /\bpress\s+(enter|tab|escape)\b/i.test(text)) {
+      const key = text.match(/\bpress\s+(enter|tab|escape)\b/i)[1];
+      return { resolved: true, action, code: [`await page.keyboard.press(${JSON.stringify(key.charAt(0).toUpperCase() + key.slice(1).toLowerCase())});`] };
+    }
+
+    if (action === 'wait') {
+      const target = this.findMentionedPage(text);
+      if (target) {
+        state.page = target;
+        return { resolved: true, action, code: [`await expectRoute(page, ${JSON.stringify(target.route)});`] };
+      }
+    }
+
+    const types = action === 'fill' ? FILLABLE_TYPES : action === 'click' ? CLICKABLE_TYPES : null;
+    const { matches, score } = this.matchElements(text, state.page, types);
+    if (matches.length === 0) {
+      const kind = types ? `${types.join('/')} element` : 'element';
+      return unresolved(`no ${kind}${state.page ? ` on ${state.page.id}` : ''} matches "${text}"`);
+    }
+
+    if (action === 'fill' || action === 'click') {
+      if (matches.length > 1 || score < 2) {
+        const ids = matches.map(match => match.element.id).join(', ');
+        return unresolved(matches.length > 1 ? `ambiguous, equally good matches: ${ids}` : `weak match only (${ids})`);
+      }
+      const { element } = matches[0];
+      const locator = `page.locator(${JSON.stringify(element.selector)}).first()`;
+      if (action === 'fill') {
+        return { resolved: true, action, element: element.id, code: [`await ${locator}.fill(${this.fillValue(text, element)});`] };
+      }
+
+      const code = [`await ${locator}.click();`];
+      const edge = state.page ? this.findClickEdge(state.page, element) : null;
+      if (edge) {
+        const target = this.generator.findNode(edge.to);
+        code.push(`await expectRoute(page, ${JSON.stringify(target.route)}); // ${edge.trigger} → ${target.id}`);
+        state.page = target;
+      }
+      return { resolved: true, action, element: element.id, code };
+    }
+
+    // View, find, wait for: every element tied for the best match must be visible
+    const code = [];
+    matches.forEach(({ element }) => {
+      const locator = `page.locator(${JSON.stringify(element.selector)})`;
+      code.push(`await ${locator}.first().waitFor({ state: 'visible' });`);
+      const count = element.childCount;
+      if (count !== undefined && new RegExp(`\\b${count}\\b`).test(text)) {
+        code.push(`assert.equal(await ${locator}.first().locator(':scope > *').count(), ${count});`);
+      }
+    });
+    return { resolved: true, action: action || 'verify', element: matches.map(match => match.element.id).join(', '), code };
+  }
+
+  /**
+   * Steps of the login edge, starting from the login page
+   */
+  compileLogin(state) {
+    const edge = this.graph.edges.find(candidate => candidate.trigger === 'successful_login');
+    if (!edge) return null;
+    const loginPage = this.generator.findNode(edge.from);
+    const target = this.generator.findNode(edge.to);
+    const code = [`await page.goto(BASE_URL + ${JSON.stringify(loginPage.route)});`];
+    this.generator.buildRouteSteps({ edge, nodeId: edge.to, fromId: edge.from }).forEach(step => {
+      if (!step.selector) {
+        code.push(`todo(${JSON.stringify(`login step "${step.description}" has no selector in the graph`)});`);
+      } else if (step.action === 'fill') {
+        const key = step.trigger.replace(/^enter_/, '');
+        code.push(`await page.locator(${JSON.stringify(step.selector)}).first().fill(credential(${JSON.stringify(key)}));`);
+      } else {
+        code.push(`await page.locator(${JSON.stringify(step.selector)}).first().click();`);
+      }
+    });
+    code.push(`await expectRoute(page, ${JSON.stringify(target.route)});`);
+    state.page = target;
+    return { resolved: true, action: 'login', code };
+  }
+
+  /**
+   * Page named by a route in the step ("/men") or by its id ("home page")
+   */
+  findMentionedPage(text) {
+    const pages = this.graph.nodes.filter(node => node.type === 'page');
+    const routes = text.match(/(?:^|\s)(\/[\w\-/:]*)/);
+    if (routes) {
+      const page = pages.find(candidate => candidate.route === routes[1]);
+      if (page) return page;
+    }
+    const terms = new Set(tokenize(text));
+    const mentioned = pages.filter(page => {
+      const idTerms = tokenize(page.id);
+      return idTerms.length > 0 && idTerms.every(term => terms.has(term));
+    });
+    return mentioned.length === 1 ? mentioned[0] : null;
+  }
+
+  /**
+   * Elements that best match the step's words, limited to the current page
+   * and its components (every node when the page is unknown)
+   * @returns {{matches: Array<{element: Object, owner: Object}>, score: number}}
+   */
+  matchElements(text, page, types) {
+    const owners = page
+      ? [page, ...this.graph.nodes.filter(node => node.type !== 'page' && (node.appearsOn || []).includes(page.id))]
+      : this.graph.nodes;
+    const verbs = Object.values(STEP_ACTIONS).flat();
+    const terms = new Set(tokenize(text).filter(term => !verbs.includes(term)));
+    const lowerText = text.toLowerCase();
+
+    let best = 0;
+    let matches = [];
+    owners.forEach(owner => {
+      (owner.elements || []).forEach(element => {
+        if (!element.selector || (types && !types.includes(element.type))) return;
+        const elementTerms = new Set(tokenize([element.id, element.description, element.text, element.placeholder].filter(Boolean).join(' ')));
+        let score = [...terms].filter(term => elementTerms.has(term)).length;
+        if (element.text && lowerText.includes(String(element.text).toLowerCase())) score += 2;
+        const verb = actionVerb(element);
+        if (verb && tokenize(text).includes(verb)) score += 2;
+        if (score === 0) return;
+        if (score > best) {
+          best = score;
+          matches = [];
+        }
+        if (score === best) matches.push({ element, owner });
+      });
+    });
+    return { matches, score: best };
+  }
+
+  /**
+   * Navigation edge from a page whose click step uses the element's selector
+   */
+  findClickEdge(page, element) {
+    return this.generator.getNavigationPaths(page.id).find(edge => {
+      const steps = this.generator.buildRouteSteps({ edge, nodeId: edge.to, fromId: page.id });
+      const click = steps[steps.length - 1];
+      return click.action === 'click' && click.selector === element.selector;
+    }) || null;
+  }
+
+  /**
+   * Value typed into an input: a credential when the step names one, the
+   * step's quoted text, or sample text
+   */
+  fillValue(text, element) {
+    const credentials = Object.keys((this.graph.authentication || {}).defaultCredentials || {});
+    const terms = tokenize(text);
+    const key = credentials.find(name => terms.includes(name))
+      || (element.inputType === 'password' && credentials.includes('password') ? 'password' : null);
+    if (key) return `credential(${JSON.stringify(key)})`;
+    const quoted = text.match(/["“]([^"”]+)["”]/);
+    return JSON.stringify(quoted ? quoted[1] : SAMPLE_TEXT);
+  }
+
+  header() {
+    const { name, version } = this.graph.metadata;
+    return [
+      `// Generated by \`npm run flow-tests\` from ${name} v${version} (commonPatterns).`,
+      '// Do not edit: change website-graph.json and regenerate.'
+    ].join('\n');
+  }
+
+  generateHelpers(outputDir) {
+    const credentialsModule = path.relative(outputDir, path.join(__dirname, 'credentials.js')).split(path.sep).join('/');
+    const credentials = (this.graph.authentication || {}).defaultCredentials || {};
+    return `${this.header()}
+
+import assert from 'node:assert/strict';
+import { chromium } from 'playwright';
+import { resolveCredential } from '${credentialsModule.startsWith('.') ? credentialsModule : `./${credentialsModule}`}';
+
+// FLOW_BASE_URL overrides the environment the tests were generated for
+export const BASE_URL = (process.env.FLOW_BASE_URL || ${JSON.stringify(this.generator.getBaseUrl())}).replace(/\\/$/, '');
+
+const CREDENTIALS = ${JSON.stringify(credentials)};
+
+export function credential(key) {
+  return resolveCredential(CREDENTIALS[key]);
+}
+
+/**
+ * Launch a browser page; HEADED=1 shows the browser
+ */
+export async function openPage() {
+  const browser = await chromium.launch({ headless: process.env.HEADED !== '1' });
+  const page = await browser.newPage({ viewport: { width: 1280, height: 720 } });
+  page.setDefaultTimeout(15000);
+  return { browser, page };
+}
+
+export ${matchesRoute}
+
+export async function expectRoute(page, route) {
+  try {
+    await page.waitForURL(url => matchesRoute(url.pathname, route), { timeout: 10000 });
+  } catch (error) {
+    assert.fail(\`Expected route \${route}, but the browser is on \${new URL(page.url()).pathname}\`);
+  }
+}
+
+export function todo(message) {
+  assert.fail(\`TODO: \${message}\`);
+}
+`;
+  }
+
+  generateTest(flow) {
+    const lines = [];
+    flow.steps.forEach(step => {
+      lines.push(`    // ${step.number}. ${step.text}${step.note ? ` (${step.note})` : ''}`);
+      if (step.resolved) {
+        step.code.forEach(line => lines.push(`    ${line}`));
+      } else {
+        lines.push(`    todo(${JSON.stringify(`step ${step.number} "${step.text}" could not be resolved: ${step.reason}`)});`);
+      }
+    });
+    const body = lines.join('\n');
+    const helpers = ['BASE_URL', 'credential', 'expectRoute', 'todo'].filter(name => new RegExp(`\\b${name}\\b`).test(body));
+
+    return `${this.header()}
+
+import { test } from 'node:test';
+${body.includes('assert.') ? `import assert from 'node:assert/strict';\n` : ''}import { ${[...helpers, 'openPage'].sort().join(', ')} } from './flow-helpers.js';
+
+test(${JSON.stringify(flow.name)}, async () => {
+  const { browser, page } = await openPage();
+  try {
+${body}
+  } finally {
+    await browser.close();
+  }
+});
+`;
+  }
+}
+
+function stepAction(text) {
+  const first = String(text).trim().split(/\s+/)[0].toLowerCase();
+  return Object.keys(STEP_ACTIONS).find(action => STEP_ACTIONS[action].includes(first)) || null;
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/'s\b/g, 's').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'flow';
+}
+
+export default FlowTestGenerator;
@@ -1,4 +1,9 @@
 import ContextGenerator from './context-generator.js';
+import GraphRegistry, { extractFlag, extractSiteFlag } from './graph-registry.js';
+import TreeRenderer from './tree-renderer.js';
+import TreeMapRenderer from './tree-map-renderer.js';
+import GraphHistory from './graph-history.js';
+import { getContextRenderer, listContextRenderers, loadContextRendererPlugin } from './context-renderers.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -12,9 +17,22 @@ const __dirname = path.dirname(__filename);
  * Generates and saves context files in various formats
  */
 class ContextFileGenerator {
-  constructor() {
-    this.generator = new ContextGenerator();
-    this.outputDir = path.join(__dirname, 'output');
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.site - Registered site name or URL; its files go to output/<site>/
+   * @param {string} options.environment - Environment profile used for the base URL
+   */
+  constructor(options = {}) {
+    const { site = null, environment = null } = options;
+    if (site) {
+      const registry = new GraphRegistry();
+      this.graphPath = registry.resolve(site).graph;
+      this.outputDir = registry.outputDir(site);
+    } else {
+      this.graphPath = path.join(__dirname, 'website-graph.json');
+      this.outputDir = path.join(__dirname, 'output');
+    }
+    this.generator = new ContextGenerator(this.graphPath, { environment });
     
     // Ensure output directory exists
     if (!fs.existsSync(this.outputDir)) {
@@ -23,11 +41,26 @@ class ContextFileGenerator {
   }
 
   /**
-   * Generate and save all context files
+   * Generate and save all context files. The graph file is only read; with
+   * the snapshot option, hand edits since its last snapshot are recorded as a
+   * new version first, so the files state the version an agent is given.
+   * @param {Object} options - Generation options
+   * @param {boolean} options.snapshot - Record (and write) a new graph version if the graph changed
    */
-  generateAll() {
+  generateAll(options = {}) {
+    const { snapshot: recordSnapshot = false } = options;
     console.log('📝 Generating context files...\n');
 
+    const graph = this.generator.getGraph();
+    const history = new GraphHistory(this.graphPath);
+    const snapshot = recordSnapshot ? history.record(graph, { reason: 'context regeneration' }) : null;
+    if (snapshot) {
+      history.write(graph);
+      console.log(`🏷️  Graph changed since its last snapshot: now v${snapshot.version} (${snapshot.bump})\n`);
+    } else {
+      console.log(`🏷️  Graph v${graph.metadata.version}\n`);
+    }
+
     // Generate full context
     const fullContext = this.generator.generateFullContext({
       includeAuth: true,
@@ -66,6 +99,37 @@ class ContextFileGenerator {
     console.log(`\n📁 All files saved to: ${this.outputDir}\n`);
   }
 
+  /**
+   * Write full, quick-reference and (with a task) task context in each
+   * renderer's dialect to output/renderers/<name>/, so agent stacks can be
+   * compared on the same pages, elements and components
+   * @param {Array<string>} names - Renderer names, or ['all']
+   * @param {Object} options - Render options
+   * @param {string} options.task - Task description for task-context files
+   * @returns {Array<string>} Written files
+   */
+  generateRendererContexts(names, options = {}) {
+    const { task = null } = options;
+    const renderers = names.includes('all')
+      ? listContextRenderers().map(renderer => getContextRenderer(renderer.name))
+      : names.map(name => getContextRenderer(name));
+    const files = [];
+
+    console.log(`\n🧩 Rendering context for: ${renderers.map(renderer => renderer.name).join(', ')}\n`);
+    renderers.forEach(renderer => {
+      const dir = path.join(this.outputDir, 'renderers', renderer.name);
+      fs.mkdirSync(dir, { recursive: true });
+      const modes = [['full-context', 'full'], ['quick-reference', 'quick'], ...(task ? [['task-context', 'task']] : [])];
+      modes.forEach(([file, mode]) => {
+        const filePath = path.join(dir, `${file}${renderer.extension}`);
+        fs.writeFileSync(filePath, this.generator.renderContext(renderer.name, { mode, task }), 'utf-8');
+        files.push(filePath);
+        console.log(`✅ ${renderer.name} ${mode} context saved: ${filePath}`);
+      });
+    });
+    return files;
+  }
+
   /**
    * Generate tree structure text
    */
@@ -74,18 +138,16 @@ class ContextFileGenerator {
     let tree = '='.repeat(80) + '\n';
     tree += `Website Context Tree: ${graph.metadata.name}\n`;
     tree += '='.repeat(80) + '\n\n';
-    tree += `Base URL: ${graph.metadata.baseUrl}\n`;
+    tree += `Base URL: ${this.generator.getBaseUrl()}\n`;
     tree += `Version: ${graph.metadata.version}\n\n`;
 
-    // Find entry point
-    const entryPoint = graph.nodes.find(node => 
-      node.userFlow && node.userFlow.entryPoint
-    ) || graph.nodes.find(node => !node.requiresAuth);
-
-    if (entryPoint) {
+    const renderer = new TreeRenderer();
+    const navigationTree = renderer.render(graph);
+    if (navigationTree) {
       tree += 'Website Structure Tree:\n';
       tree += '-'.repeat(80) + '\n\n';
-      this.buildTreeText(tree, entryPoint.id, graph, new Set(), 0, '');
+      tree += navigationTree;
+      tree += '\n' + renderer.legend();
     }
 
     // Add all pages
@@ -119,343 +181,46 @@ class ContextFileGenerator {
     return tree;
   }
 
-  buildTreeText(tree, nodeId, graph, visited, depth, prefix) {
-    if (visited.has(nodeId)) {
-      return;
-    }
-    visited.add(nodeId);
-
-    const node = graph.nodes.find(n => n.id === nodeId);
-    if (!node || node.type !== 'page') {
-      return;
-    }
-
-    const isLast = depth === 0;
-    const connector = depth === 0 ? '' : (isLast ? '└── ' : '├── ');
-    tree += prefix + connector + `${node.name} (${node.route})\n`;
-
-    // Find children
-    const children = graph.edges
-      .filter(edge => edge.from === nodeId && edge.type === 'navigation')
-      .map(edge => {
-        const toNode = graph.nodes.find(n => n.id === edge.to);
-        return { id: edge.to, trigger: edge.trigger, node: toNode };
-      });
-
-    children.forEach((child, index) => {
-      const isLastChild = index === children.length - 1;
-      const newPrefix = prefix + (depth === 0 ? '' : (isLast ? '    ' : '│   '));
-      this.buildTreeText(tree, child.id, graph, visited, depth + 1, newPrefix);
-    });
-  }
-
   /**
-   * Generate HTML tree map with interactive visualization
+   * Generate the interactive HTML tree map (force-directed graph, see TreeMapRenderer).
+   * A coverage.json left in the output directory by the coverage command is
+   * offered as a coverage layer, but only when it was measured against the
+   * current graph version; a stale report is skipped with a warning.
    */
   generateHTMLTreeMap() {
     const graph = this.generator.getGraph();
-    
-    const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${graph.metadata.name} - Context Tree Map</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            padding: 20px;
-            min-height: 100vh;
-        }
-        
-        .container {
-            max-width: 1400px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 12px;
-            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-            padding: 30px;
-        }
-        
-        h1 {
-            color: #333;
-            margin-bottom: 10px;
-            font-size: 2.5em;
-        }
-        
-        .metadata {
-            color: #666;
-            margin-bottom: 30px;
-            padding-bottom: 20px;
-            border-bottom: 2px solid #eee;
-        }
-        
-        .tree-container {
-            display: flex;
-            flex-direction: column;
-            gap: 20px;
-        }
-        
-        .tree-section {
-            margin-bottom: 30px;
-        }
-        
-        .tree-section h2 {
-            color: #667eea;
-            margin-bottom: 15px;
-            font-size: 1.5em;
-        }
-        
-        .tree {
-            display: flex;
-            flex-direction: column;
-            gap: 15px;
-        }
-        
-        .node {
-            background: #f8f9fa;
-            border-left: 4px solid #667eea;
-            padding: 15px 20px;
-            border-radius: 8px;
-            transition: all 0.3s ease;
-            cursor: pointer;
-        }
-        
-        .node:hover {
-            background: #e9ecef;
-            transform: translateX(5px);
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-        }
-        
-        .node.page {
-            border-left-color: #28a745;
-        }
-        
-        .node.component {
-            border-left-color: #ffc107;
-        }
-        
-        .node.protected {
-            border-left-color: #dc3545;
-        }
-        
-        .node-header {
-            display: flex;
-            align-items: center;
-            gap: 10px;
-            margin-bottom: 8px;
-        }
-        
-        .node-title {
-            font-weight: 600;
-            color: #333;
-            font-size: 1.1em;
-        }
-        
-        .node-badge {
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 0.75em;
-            font-weight: 600;
-        }
-        
-        .badge-page {
-            background: #d4edda;
-            color: #155724;
-        }
-        
-        .badge-component {
-            background: #fff3cd;
-            color: #856404;
-        }
-        
-        .badge-auth {
-            background: #f8d7da;
-            color: #721c24;
-        }
-        
-        .node-details {
-            margin-top: 10px;
-            padding-top: 10px;
-            border-top: 1px solid #dee2e6;
-            display: none;
-        }
-        
-        .node.expanded .node-details {
-            display: block;
-        }
-        
-        .node-detail-item {
-            margin: 5px 0;
-            color: #666;
-            font-size: 0.9em;
-        }
-        
-        .node-detail-item strong {
-            color: #333;
-        }
-        
-        .connection {
-            margin-left: 20px;
-            padding-left: 20px;
-            border-left: 2px dashed #ccc;
-            margin-top: 10px;
-        }
-        
-        .connection-item {
-            color: #666;
-            font-size: 0.9em;
-            margin: 5px 0;
-        }
-        
-        .stats {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 15px;
-            margin-bottom: 30px;
-        }
-        
-        .stat-card {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 20px;
-            border-radius: 8px;
-            text-align: center;
-        }
-        
-        .stat-value {
-            font-size: 2em;
-            font-weight: bold;
-            margin-bottom: 5px;
-        }
-        
-        .stat-label {
-            font-size: 0.9em;
-            opacity: 0.9;
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>${graph.metadata.name}</h1>
-        <div class="metadata">
-            <strong>Base URL:</strong> ${graph.metadata.baseUrl}<br>
-            <strong>Version:</strong> ${graph.metadata.version}
-        </div>
-        
-        <div class="stats">
-            <div class="stat-card">
-                <div class="stat-value">${graph.nodes.filter(n => n.type === 'page').length}</div>
-                <div class="stat-label">Pages</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${graph.nodes.filter(n => n.type === 'component').length}</div>
-                <div class="stat-label">Components</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${graph.edges.length}</div>
-                <div class="stat-label">Connections</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${graph.nodes.filter(n => n.requiresAuth).length}</div>
-                <div class="stat-label">Protected Pages</div>
-            </div>
-        </div>
-        
-        <div class="tree-section">
-            <h2>📄 Pages</h2>
-            <div class="tree">
-                ${this.generateNodeHTML(graph.nodes.filter(n => n.type === 'page'), graph)}
-            </div>
-        </div>
-        
-        <div class="tree-section">
-            <h2>🧩 Components</h2>
-            <div class="tree">
-                ${this.generateNodeHTML(graph.nodes.filter(n => n.type === 'component'), graph)}
-            </div>
-        </div>
-    </div>
-    
-    <script>
-        document.querySelectorAll('.node').forEach(node => {
-            node.addEventListener('click', function() {
-                this.classList.toggle('expanded');
-            });
-        });
-    </script>
-</body>
-</html>`;
-
-    return html;
-  }
-
-  generateNodeHTML(nodes, graph) {
-    return nodes.map(node => {
-      const isProtected = node.requiresAuth;
-      const nodeClass = `node ${node.type}${isProtected ? ' protected' : ''}`;
-      
-      let html = `<div class="${nodeClass}">`;
-      html += `<div class="node-header">`;
-      html += `<span class="node-title">${node.name}</span>`;
-      html += `<span class="node-badge badge-${node.type}">${node.type.toUpperCase()}</span>`;
-      if (isProtected) {
-        html += `<span class="node-badge badge-auth">AUTH REQUIRED</span>`;
-      }
-      html += `</div>`;
-      
-      if (node.route) {
-        html += `<div class="node-detail-item"><strong>Route:</strong> ${node.route}</div>`;
-      }
-      
-      html += `<div class="node-details">`;
-      html += `<div class="node-detail-item"><strong>Description:</strong> ${node.description}</div>`;
-      
-      if (node.elements && node.elements.length > 0) {
-        html += `<div class="node-detail-item"><strong>Elements:</strong> ${node.elements.length}</div>`;
-        node.elements.forEach(el => {
-          html += `<div class="connection-item">• ${el.description} (${el.type})</div>`;
-        });
-      }
-      
-      if (node.products && node.products.length > 0) {
-        html += `<div class="node-detail-item"><strong>Products:</strong> ${node.products.length}</div>`;
-      }
-      
-      // Show connections
-      const connections = graph.edges.filter(e => e.from === node.id);
-      if (connections.length > 0) {
-        html += `<div class="connection">`;
-        html += `<div class="node-detail-item"><strong>Connections:</strong></div>`;
-        connections.forEach(conn => {
-          const toNode = graph.nodes.find(n => n.id === conn.to);
-          html += `<div class="connection-item">→ ${toNode.name} (${conn.trigger})</div>`;
-        });
-        html += `</div>`;
-      }
-      
-      html += `</div></div>`;
-      return html;
-    }).join('');
+    const coveragePath = path.join(this.outputDir, 'coverage.json');
+    let coverage = fs.existsSync(coveragePath) ? JSON.parse(fs.readFileSync(coveragePath, 'utf-8')) : null;
+    if (coverage && coverage.version !== graph.metadata.version) {
+      console.log(`⚠️  Skipping the coverage layer: ${coveragePath} is for graph v${coverage.version}, not v${graph.metadata.version}. Run the coverage command again to refresh it.`);
+      coverage = null;
+    }
+    return new TreeMapRenderer().render(graph, { baseUrl: this.generator.getBaseUrl(), coverage });
   }
 }
 
-// CLI interface
-const generator = new ContextFileGenerator();
+/**
+ * Run the context file CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {string} program - Program name shown in the help text
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv = process.argv.slice(2), program = 'node generate-context.js') {
+  const { site, args: siteArgs } = extractSiteFlag(argv);
+  const { value: environment, args: envArgs } = extractFlag(siteArgs, 'env');
+  const { value: renderers, args: rendererArgs } = extractFlag(envArgs, 'renderer');
+  const { value: task, args: taskArgs } = extractFlag(rendererArgs, 'task');
+  const { value: plugins } = extractFlag(taskArgs, 'plugin');
+  const snapshot = argv.includes('--snapshot');
 
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(`
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(`
 Context File Generator
 
 Usage:
-  node generate-context.js
+  ${program} [--site <name|url>] [--env <profile>]
+      [--renderer <name[,name]|all> [--task "<description>"]] [--plugin <module>]
+      [--snapshot]
 
 Generates:
   - full-context.md        Complete context documentation
@@ -464,19 +229,43 @@ Generates:
   - context.json          JSON format
   - tree-map.html         Interactive HTML tree map
 
-All files are saved to the 'output' directory.
+All files are saved to the 'output' directory, or to 'output/<site>'
+when a registered site is selected with --site. --env resolves URLs for an
+environment profile (production, local, tunnel) from the graph metadata.
+
+--renderer also writes full-context, quick-reference and (with --task)
+task-context files for each named renderer (browser-use, agent-sitemap,
+playwright-mcp, computer-use, or all) to output/renderers/<name>/.
+--plugin <module[,module]> registers the renderers a module exports as default.
+--snapshot first records hand edits to the graph as a new version (see
+'node explore-graph.js history'); without it the graph file is only read.
   `);
-  process.exit(0);
+    return 0;
+  }
+
+  try {
+    for (const plugin of plugins ? plugins.split(',') : []) {
+      await loadContextRendererPlugin(plugin);
+    }
+    const generator = new ContextFileGenerator({ site, environment });
+    generator.generateAll({ snapshot });
+    if (renderers) {
+      generator.generateRendererContexts(renderers.split(','), { task });
+    }
+    console.log('✨ Context generation complete!\n');
+    console.log('💡 Open tree-map.html in your browser for interactive visualization');
+    return 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
 }
 
-try {
-  generator.generateAll();
-  console.log('✨ Context generation complete!\n');
-  console.log('💡 Open tree-map.html in your browser for interactive visualization');
-} catch (error) {
-  console.error('❌ Error:', error.message);
-  process.exit(1);
+// CLI interface (only when run directly, so the class can be imported)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
+
+if (isMainModule) {
+  process.exitCode = await main();
 }
 
 export default ContextFileGenerator;
-
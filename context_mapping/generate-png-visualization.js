@@ -2,6 +2,10 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import GraphRegistry, { extractFlag, extractSiteFlag } from './graph-registry.js';
+import VisualGraphGenerator from './generate-visual.js';
+import SvgGraphRenderer from './svg-renderer.js';
+import PngRasterizer from './png-rasterizer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,17 +13,69 @@ const __dirname = path.dirname(__filename);
 /**
  * PNG Visualization Generator
  * 
- * Generates PNG images from the graph structure using various methods
+ * Generates PNG images from the graph structure. graph.png is always drawn
+ * by the built-in SVG renderer and rasterizer; Mermaid CLI, Graphviz and
+ * Puppeteer images are added when those tools are installed.
  */
 class PNGVisualizationGenerator {
-  constructor() {
-    this.outputDir = path.join(__dirname, 'output');
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.site - Registered site name or URL; reads and writes output/<site>/
+   * @param {string} options.environment - Environment profile used for the base URL
+   * @param {number} options.scale - Pixels per SVG unit for graph.png
+   * @param {string} options.engine - Rasterizer: 'auto', 'resvg' or 'builtin' (see PngRasterizer)
+   */
+  constructor(options = {}) {
+    const { site = null, environment = null, scale = 2, engine = 'auto' } = options;
+    this.outputDir = site ? new GraphRegistry().outputDir(site) : path.join(__dirname, 'output');
+    // generate-visual.js writes graph.mermaid and graph.dot next to the scripts unless a site is selected
+    this.visualDir = site ? this.outputDir : __dirname;
+    this.visual = new VisualGraphGenerator({ site, environment });
+    this.rasterizer = new PngRasterizer({ scale, engine });
     
     if (!fs.existsSync(this.outputDir)) {
       fs.mkdirSync(this.outputDir, { recursive: true });
     }
   }
 
+  /**
+   * Write graph.mermaid, graph.dot and graph.svg, the inputs of every PNG method
+   */
+  generateSourceFiles() {
+    if (!fs.existsSync(this.visualDir)) {
+      fs.mkdirSync(this.visualDir, { recursive: true });
+    }
+    const files = [
+      ['graph.mermaid', this.visual.generateMermaidDiagram()],
+      ['graph.dot', this.visual.generateDotFormat()],
+      ['graph.svg', this.visual.generateSvg()]
+    ];
+    files.forEach(([name, content]) => {
+      const file = path.join(this.visualDir, name);
+      fs.writeFileSync(file, content, 'utf-8');
+      console.log(`✅ ${name} saved: ${file}`);
+    });
+  }
+
+  /**
+   * Generate graph.png with the built-in renderer (no external tools needed)
+   * @returns {Promise<boolean>} Whether the PNG was written
+   */
+  async generateBuiltin() {
+    try {
+      const renderer = new SvgGraphRenderer();
+      const scene = renderer.layout(this.visual.generator.getGraph());
+      const { png, engine } = await this.rasterizer.rasterize(scene, renderer.toSvg(scene));
+      const pngFile = path.join(this.outputDir, 'graph.png');
+      fs.writeFileSync(pngFile, png);
+      console.log(`✅ Built-in PNG saved: ${pngFile} (${engine})`);
+      return true;
+    } catch (error) {
+      console.log(`⚠️  Built-in PNG rendering failed: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Generate PNG using Mermaid CLI (if available)
    */
@@ -28,7 +84,7 @@ class PNGVisualizationGenerator {
       // Check if mermaid-cli is available
       execSync('which mmdc', { stdio: 'ignore' });
       
-      const mermaidFile = path.join(__dirname, 'graph.mermaid');
+      const mermaidFile = path.join(this.visualDir, 'graph.mermaid');
       const pngFile = path.join(this.outputDir, 'graph-mermaid.png');
       
       if (fs.existsSync(mermaidFile)) {
@@ -50,7 +106,7 @@ class PNGVisualizationGenerator {
       // Check if dot (Graphviz) is available
       execSync('which dot', { stdio: 'ignore' });
       
-      const dotFile = path.join(__dirname, 'graph.dot');
+      const dotFile = path.join(this.visualDir, 'graph.dot');
       const pngFile = path.join(this.outputDir, 'graph-dot.png');
       
       if (fs.existsSync(dotFile)) {
@@ -156,7 +212,15 @@ All generated files will be in the 'output' directory.
   async generateAll() {
     console.log('🎨 Generating PNG visualizations...\n');
     
+    this.generateSourceFiles();
+    console.log('');
+
     let successCount = 0;
+
+    // Built-in renderer, always available
+    if (await this.generateBuiltin()) {
+      successCount++;
+    }
     
     // Try Mermaid
     if (this.generateFromMermaid()) {
@@ -184,33 +248,63 @@ All generated files will be in the 'output' directory.
   }
 }
 
-// CLI interface
-const generator = new PNGVisualizationGenerator();
-
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-  console.log(`
+/**
+ * Run the PNG CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {string} program - Program name shown in the help text
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv = process.argv.slice(2), program = 'node generate-png-visualization.js') {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(`
 PNG Visualization Generator
 
 Usage:
-  node generate-png-visualization.js
+  ${program} [--site <name|url>] [--env <profile>] [--engine auto|resvg|builtin] [--scale <n>]
 
-This script attempts to generate PNG images from the graph structure.
-It tries multiple methods:
-  1. Mermaid CLI (if installed)
-  2. Graphviz DOT (if installed)
-  3. Puppeteer screenshot from HTML (if installed)
+This script writes graph.mermaid, graph.dot and graph.svg, then generates PNG
+images from them:
+  1. Built-in SVG renderer → output/graph.png (always; uses @resvg/resvg-js
+     for anti-aliased output when installed, otherwise a pure-JS rasterizer)
+  2. Mermaid CLI (if installed)
+  3. Graphviz DOT (if installed)
+  4. Puppeteer screenshot from HTML (if installed)
 
-Installation:
+Installation (all optional):
+  - resvg: npm install @resvg/resvg-js
   - Mermaid: npm install -g @mermaid-js/mermaid-cli
   - Graphviz: brew install graphviz (macOS)
   - Puppeteer: npm install puppeteer
 
 Note: Make sure to run 'node generate-context.js' first to generate the HTML file.
   `);
-  process.exit(0);
+    return 0;
+  }
+
+  const { site, args: siteArgs } = extractSiteFlag(argv);
+  const { value: environment, args: envArgs } = extractFlag(siteArgs, 'env');
+  const { value: engine, args: engineArgs } = extractFlag(envArgs, 'engine');
+  const { value: scale } = extractFlag(engineArgs, 'scale');
+  try {
+    const generator = new PNGVisualizationGenerator({
+      site,
+      environment,
+      engine: engine || undefined,
+      scale: scale ? parseFloat(scale) : undefined
+    });
+    await generator.generateAll();
+    return 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
 }
 
-generator.generateAll().catch(console.error);
+// CLI interface (only when run directly, so the class can be imported)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
-export default PNGVisualizationGenerator;
+if (isMainModule) {
+  process.exitCode = await main();
+}
 
+export default PNGVisualizationGenerator;
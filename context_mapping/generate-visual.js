@@ -1,4 +1,7 @@
 import ContextGenerator from './context-generator.js';
+import GraphRegistry, { extractFlag, extractSiteFlag } from './graph-registry.js';
+import TreeRenderer from './tree-renderer.js';
+import SvgGraphRenderer from './svg-renderer.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -12,12 +15,26 @@ const __dirname = path.dirname(__filename);
  * Generates visual representations of the website graph in various formats:
  * - Mermaid diagram syntax
  * - DOT/Graphviz format
+ * - SVG (built-in layered layout, no external tools)
  * - Simple text tree
  */
 
 class VisualGraphGenerator {
-  constructor() {
-    this.generator = new ContextGenerator();
+  /**
+   * @param {Object} options - Generator options
+   * @param {string} options.site - Registered site name or URL; its files go to output/<site>/
+   * @param {string} options.environment - Environment profile used for the base URL
+   */
+  constructor(options = {}) {
+    const { site = null, environment = null } = options;
+    if (site) {
+      const registry = new GraphRegistry();
+      this.generator = registry.createGenerator(site, { environment });
+      this.outputDir = registry.outputDir(site);
+    } else {
+      this.generator = new ContextGenerator(null, { environment });
+      this.outputDir = __dirname;
+    }
   }
 
   /**
@@ -99,6 +116,14 @@ class VisualGraphGenerator {
     return dot;
   }
 
+  /**
+   * Generate an SVG drawing with the built-in layered layout
+   * @returns {string} SVG markup
+   */
+  generateSvg() {
+    return new SvgGraphRenderer().render(this.generator.getGraph());
+  }
+
   /**
    * Generate text tree representation
    * @returns {string} Text tree
@@ -108,13 +133,11 @@ class VisualGraphGenerator {
     let tree = 'Style Scout AI Website Structure\n';
     tree += '='.repeat(60) + '\n\n';
 
-    // Start from entry point
-    const entryPoint = graph.nodes.find(node => 
-      node.userFlow && node.userFlow.entryPoint
-    ) || graph.nodes.find(node => !node.requiresAuth);
-
-    if (entryPoint) {
-      this.buildTreeRecursive(tree, entryPoint.id, graph, new Set(), 0);
+    const renderer = new TreeRenderer();
+    const navigationTree = renderer.render(graph);
+    if (navigationTree) {
+      tree += navigationTree;
+      tree += '\n' + renderer.legend();
     } else {
       // Fallback: show all pages
       graph.nodes.forEach(node => {
@@ -131,38 +154,14 @@ class VisualGraphGenerator {
     return tree;
   }
 
-  buildTreeRecursive(tree, nodeId, graph, visited, depth) {
-    if (visited.has(nodeId)) {
-      return;
-    }
-    visited.add(nodeId);
-
-    const node = graph.nodes.find(n => n.id === nodeId);
-    if (!node || node.type !== 'page') {
-      return;
-    }
-
-    const indent = '  '.repeat(depth);
-    tree += `${indent}${node.name} (${node.route})\n`;
-    if (node.requiresAuth) {
-      tree += `${indent}  [Auth Required]\n`;
-    }
-
-    // Find children
-    const children = graph.edges
-      .filter(edge => edge.from === nodeId && edge.type === 'navigation')
-      .map(edge => edge.to);
-
-    children.forEach(childId => {
-      this.buildTreeRecursive(tree, childId, graph, visited, depth + 1);
-    });
-  }
-
   /**
    * Save all visual formats to files
    */
   saveAllFormats() {
-    const outputDir = __dirname;
+    const outputDir = this.outputDir;
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
 
     // Mermaid
     const mermaid = this.generateMermaidDiagram();
@@ -176,6 +175,12 @@ class VisualGraphGenerator {
     fs.writeFileSync(dotPath, dot, 'utf-8');
     console.log(`✅ DOT format saved to: ${dotPath}`);
 
+    // SVG
+    const svg = this.generateSvg();
+    const svgPath = path.join(outputDir, 'graph.svg');
+    fs.writeFileSync(svgPath, svg, 'utf-8');
+    console.log(`✅ SVG diagram saved to: ${svgPath}`);
+
     // Text tree
     const tree = this.generateTextTree();
     const treePath = path.join(outputDir, 'graph-tree.txt');
@@ -189,36 +194,61 @@ class VisualGraphGenerator {
   }
 }
 
-// CLI interface
-const args = process.argv.slice(2);
-const generator = new VisualGraphGenerator();
-
-if (args.length === 0 || args[0] === 'all') {
-  generator.saveAllFormats();
-} else if (args[0] === 'mermaid') {
-  console.log(generator.generateMermaidDiagram());
-} else if (args[0] === 'dot') {
-  console.log(generator.generateDotFormat());
-} else if (args[0] === 'tree') {
-  console.log(generator.generateTextTree());
-} else {
-  console.log(`
+/**
+ * Run the visual CLI
+ * @param {Array<string>} argv - Arguments after the program name
+ * @param {string} program - Program name shown in the help text
+ * @returns {number} Exit code
+ */
+export function main(argv = process.argv.slice(2), program = 'node generate-visual.js') {
+  const { site, args: siteArgs } = extractSiteFlag(argv);
+  const { value: environment, args } = extractFlag(siteArgs, 'env');
+  let generator;
+  try {
+    generator = new VisualGraphGenerator({ site, environment });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
+
+  if (args.length === 0 || args[0] === 'all') {
+    generator.saveAllFormats();
+  } else if (args[0] === 'mermaid') {
+    console.log(generator.generateMermaidDiagram());
+  } else if (args[0] === 'dot') {
+    console.log(generator.generateDotFormat());
+  } else if (args[0] === 'svg') {
+    console.log(generator.generateSvg());
+  } else if (args[0] === 'tree') {
+    console.log(generator.generateTextTree());
+  } else {
+    console.log(`
 Visual Graph Generator
 
 Usage:
-  node generate-visual.js [format]
+  ${program} [format] [--site <name|url>] [--env <profile>]
 
 Formats:
   all      Generate all formats and save to files (default)
   mermaid  Output Mermaid diagram syntax
   dot      Output Graphviz DOT format
+  svg      Output SVG drawn with the built-in layout
   tree     Output text tree representation
 
 Examples:
-  node generate-visual.js all
-  node generate-visual.js mermaid
+  ${program} all
+  ${program} mermaid
+  ${program} all --site shop-demo   (saves to output/shop-demo/)
   `);
+  }
+  return 0;
 }
 
-export default VisualGraphGenerator;
+// CLI interface (only when run directly, so the class can be imported)
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
+if (isMainModule) {
+  process.exitCode = main();
+}
+
+export default VisualGraphGenerator;
@@ -0,0 +1,174 @@
+/**
+ * Graph Diff
+ *
+ * Compares two versions of a website graph and reports how the map changed:
+ * pages and components, routes, element selectors, navigation edges and
+ * authentication requirements.
+ */
+class GraphDiff {
+  /**
+   * Compare two graphs
+   * @param {Object} oldGraph - Previous graph
+   * @param {Object} newGraph - Current graph
+   * @returns {Object} Structured diff
+   */
+  diff(oldGraph, newGraph) {
+    const oldNodes = new Map(oldGraph.nodes.map(node => [node.id, node]));
+    const newNodes = new Map(newGraph.nodes.map(node => [node.id, node]));
+
+    // Pages renamed between versions are matched on their route
+    const renamed = [];
+    const removedPages = oldGraph.nodes.filter(node => node.type === 'page' && !newNodes.has(node.id));
+    const addedPages = newGraph.nodes.filter(node => node.type === 'page' && !oldNodes.has(node.id));
+    removedPages.slice().forEach(oldPage => {
+      const match = addedPages.find(newPage => newPage.route === oldPage.route);
+      if (!match) return;
+      renamed.push({ from: oldPage.id, to: match.id, route: oldPage.route });
+      removedPages.splice(removedPages.indexOf(oldPage), 1);
+      addedPages.splice(addedPages.indexOf(match), 1);
+    });
+    const renameMap = new Map(renamed.map(rename => [rename.from, rename.to]));
+
+    const result = {
+      pages: {
+        added: addedPages.map(page => ({ id: page.id, route: page.route, name: page.name })),
+        removed: removedPages.map(page => ({ id: page.id, route: page.route, name: page.name })),
+        renamed
+      },
+      components: {
+        added: newGraph.nodes
+          .filter(node => node.type === 'component' && !oldNodes.has(node.id))
+          .map(node => ({ id: node.id, name: node.name })),
+        removed: oldGraph.nodes
+          .filter(node => node.type === 'component' && !newNodes.has(node.id))
+          .map(node => ({ id: node.id, name: node.name }))
+      },
+      routes: [],
+      auth: [],
+      elements: { added: [], removed: [], selectorChanged: [] },
+      edges: { added: [], removed: [] }
+    };
+
+    oldGraph.nodes.forEach(oldNode => {
+      const newNode = newNodes.get(renameMap.get(oldNode.id) || oldNode.id);
+      if (!newNode) return;
+
+      if (oldNode.route !== newNode.route) {
+        result.routes.push({ id: newNode.id, from: oldNode.route, to: newNode.route });
+      }
+      if (oldNode.type === 'page' && !!oldNode.requiresAuth !== !!newNode.requiresAuth) {
+        result.auth.push({ id: newNode.id, from: !!oldNode.requiresAuth, to: !!newNode.requiresAuth });
+      }
+
+      const oldElements = new Map((oldNode.elements || []).map(el => [el.id, el]));
+      const newElements = new Map((newNode.elements || []).map(el => [el.id, el]));
+      oldElements.forEach((oldElement, elementId) => {
+        const newElement = newElements.get(elementId);
+        if (!newElement) {
+          result.elements.removed.push({ node: newNode.id, element: elementId, selector: oldElement.selector });
+        } else if (oldElement.selector !== newElement.selector) {
+          result.elements.selectorChanged.push({
+            node: newNode.id,
+            element: elementId,
+            from: oldElement.selector,
+            to: newElement.selector
+          });
+        }
+      });
+      newElements.forEach((newElement, elementId) => {
+        if (!oldElements.has(elementId)) {
+          result.elements.added.push({ node: newNode.id, element: elementId, selector: newElement.selector });
+        }
+      });
+    });
+
+    const edgeKey = edge => `${edge.from}|${edge.to}|${edge.type}|${edge.trigger}`;
+    const renameEdge = edge => ({
+      ...edge,
+      from: renameMap.get(edge.from) || edge.from,
+      to: renameMap.get(edge.to) || edge.to
+    });
+    const oldEdges = new Map(oldGraph.edges.map(renameEdge).map(edge => [edgeKey(edge), edge]));
+    const newEdges = new Map(newGraph.edges.map(edge => [edgeKey(edge), edge]));
+    newEdges.forEach((edge, key) => {
+      if (!oldEdges.has(key)) result.edges.added.push(this.summarizeEdge(edge));
+    });
+    oldEdges.forEach((edge, key) => {
+      if (!newEdges.has(key)) result.edges.removed.push(this.summarizeEdge(edge));
+    });
+
+    result.summary = {
+      pagesAdded: result.pages.added.length,
+      pagesRemoved: result.pages.removed.length,
+      pagesRenamed: result.pages.renamed.length,
+      componentsAdded: result.components.added.length,
+      componentsRemoved: result.components.removed.length,
+      routesChanged: result.routes.length,
+      authFlips: result.auth.length,
+      elementsAdded: result.elements.added.length,
+      elementsRemoved: result.elements.removed.length,
+      selectorsChanged: result.elements.selectorChanged.length,
+      edgesAdded: result.edges.added.length,
+      edgesRemoved: result.edges.removed.length
+    };
+    result.hasChanges = Object.values(result.summary).some(count => count > 0);
+
+    return result;
+  }
+
+  summarizeEdge(edge) {
+    return { from: edge.from, to: edge.to, type: edge.type, trigger: edge.trigger };
+  }
+
+  /**
+   * Render a diff as human-readable text
+   * @param {Object} result - Result of diff()
+   * @returns {string} Text report
+   */
+  formatText(result) {
+    if (!result.hasChanges) {
+      return 'No changes between graphs.\n';
+    }
+
+    let text = '';
+    const section = (title, lines) => {
+      if (lines.length === 0) return;
+      text += `${title}:\n`;
+      lines.forEach(line => {
+        text += `  ${line}\n`;
+      });
+      text += '\n';
+    };
+
+    section('Pages', [
+      ...result.pages.added.map(page => `+ ${page.id} (${page.route})`),
+      ...result.pages.removed.map(page => `- ${page.id} (${page.route})`),
+      ...result.pages.renamed.map(rename => `~ ${rename.from} → ${rename.to} (${rename.route})`)
+    ]);
+    section('Components', [
+      ...result.components.added.map(component => `+ ${component.id}`),
+      ...result.components.removed.map(component => `- ${component.id}`)
+    ]);
+    section('Routes', result.routes.map(change => `~ ${change.id}: ${change.from} → ${change.to}`));
+    section('Authentication', result.auth.map(flip =>
+      `~ ${flip.id}: ${flip.from ? 'requires auth' : 'public'} → ${flip.to ? 'requires auth' : 'public'}`
+    ));
+    section('Selectors', [
+      ...result.elements.selectorChanged.map(change => `~ ${change.node}/${change.element}: ${change.from} → ${change.to}`),
+      ...result.elements.removed.map(el => `- ${el.node}/${el.element}: ${el.selector}`),
+      ...result.elements.added.map(el => `+ ${el.node}/${el.element}: ${el.selector}`)
+    ]);
+    section('Edges', [
+      ...result.edges.added.map(edge => `+ ${edge.from} → ${edge.to} [${edge.type}] (${edge.trigger})`),
+      ...result.edges.removed.map(edge => `- ${edge.from} → ${edge.to} [${edge.type}] (${edge.trigger})`)
+    ]);
+
+    const { summary } = result;
+    text += `Summary: ${summary.pagesAdded} page(s) added, ${summary.pagesRemoved} removed, `;
+    text += `${summary.selectorsChanged + summary.elementsRemoved} selector(s) changed or removed, `;
+    text += `${summary.edgesAdded} edge(s) added, ${summary.edgesRemoved} dropped\n`;
+    return text;
+  }
+}
+
+export default GraphDiff;
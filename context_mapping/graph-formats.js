@@ -0,0 +1,48 @@
+import GraphMLFormat from './graphml-format.js';
+import CypherFormat from './cypher-format.js';
+import JsonLdFormat from './jsonld-format.js';
+import path from 'path';
+
+/**
+ * Graph exchange formats
+ *
+ * Each format converts a website graph to text with serialize(graph) and
+ * back with parse(text), so a graph can be edited in another tool and
+ * imported again without losing properties.
+ */
+const FORMATS = [new GraphMLFormat(), new CypherFormat(), new JsonLdFormat()];
+
+/**
+ * List the supported formats
+ * @returns {Array<{name: string, extension: string}>}
+ */
+export function listGraphFormats() {
+  return FORMATS.map(format => ({ name: format.name, extension: format.extension }));
+}
+
+/**
+ * Find a format by name
+ * @param {string} name - Format name (graphml, cypher, jsonld)
+ * @returns {Object} Format with serialize() and parse()
+ */
+export function getGraphFormat(name) {
+  const format = FORMATS.find(candidate => candidate.name === String(name).toLowerCase());
+  if (!format) {
+    throw new Error(`Unknown format "${name}". Supported formats: ${FORMATS.map(candidate => candidate.name).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Find a format from a file extension
+ * @param {string} filePath - File to import
+ * @returns {Object} Format with serialize() and parse()
+ */
+export function detectGraphFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = FORMATS.find(candidate => candidate.extension === extension);
+  if (!format) {
+    throw new Error(`Cannot tell the format of ${path.basename(filePath)}; pass --format (${FORMATS.map(candidate => candidate.name).join(', ')})`);
+  }
+  return format;
+}
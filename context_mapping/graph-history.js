@@ -0,0 +1,401 @@
+import GraphDiff from './graph-diff.js';
+import { formatGraphJson } from './source-analyzer.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Diff counts that break agents holding an older map (a selector or page they
+// rely on is gone or moved) versus counts that only add to it
+const BREAKING_CHANGES = [
+  'pagesRemoved', 'pagesRenamed', 'componentsRemoved', 'routesChanged',
+  'authFlips', 'elementsRemoved', 'selectorsChanged', 'edgesRemoved'
+];
+const ADDITIVE_CHANGES = ['pagesAdded', 'componentsAdded', 'elementsAdded', 'edgesAdded'];
+// Files written next to a browser agent run's task-result.json (see recordRun())
+const RUN_GRAPH_FILE = 'graph.json';
+const RUN_VERSION_FILE = 'graph-version.json';
+const BUMP_LABELS = {
+  initial: 'Initial snapshot',
+  major: 'Breaking',
+  minor: 'Additive',
+  patch: 'Patch'
+};
+
+/**
+ * Graph History
+ *
+ * Keeps a versioned snapshot of a graph file every time it is regenerated or
+ * merged. Each snapshot bumps metadata.version by the kind of change since the
+ * previous one (major for removed or changed selectors, pages and edges, minor
+ * for additions, patch for anything else), stamps metadata.lastUpdated and
+ * adds an entry to a generated CHANGELOG.md. Snapshots live next to the graph
+ * in `history/<graph name>/`, so any version can be checked out again.
+ *
+ * Snapshots are local to a checkout and hand edits only get a version when
+ * snapshotted, so a version number alone does not pin down the graph an agent
+ * run was given. Runs therefore keep their own copy of the graph plus its
+ * content hash (recordRun()), and loadRun() only returns a graph whose hash
+ * matches.
+ */
+class GraphHistory {
+  /**
+   * @param {string} graphPath - Graph JSON file whose history is kept
+   * @param {Object} options - History options
+   * @param {string} options.historyDir - Snapshot directory, defaults to history/<graph name>/ next to the graph
+   */
+  constructor(graphPath, options = {}) {
+    this.graphPath = graphPath;
+    this.historyDir = options.historyDir
+      || path.join(path.dirname(graphPath), 'history', path.basename(graphPath, '.json'));
+    this.indexPath = path.join(this.historyDir, 'index.json');
+    this.changelogPath = path.join(this.historyDir, 'CHANGELOG.md');
+    this.index = fs.existsSync(this.indexPath)
+      ? JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'))
+      : { graph: path.basename(graphPath), snapshots: [] };
+  }
+
+  /**
+   * List recorded snapshots, oldest first
+   * @returns {Array<{version: string, timestamp: string, bump: string, reason: string, file: string, summary: Object}>}
+   */
+  list() {
+    return this.index.snapshots;
+  }
+
+  /**
+   * Most recent snapshot, or null before the first one is recorded
+   * @returns {Object|null} Snapshot entry (see list())
+   */
+  latest() {
+    return this.index.snapshots[this.index.snapshots.length - 1] || null;
+  }
+
+  /**
+   * Read the graph stored in a snapshot
+   * @param {Object} entry - Snapshot entry (see list())
+   * @returns {Object} Graph exactly as it was written
+   */
+  load(entry) {
+    return JSON.parse(fs.readFileSync(path.join(this.historyDir, entry.file), 'utf-8'));
+  }
+
+  /**
+   * Find the snapshot for a version, `latest`, or a date/time (the last
+   * snapshot taken at or before it)
+   * @param {string} ref - Version (1.2.0 or v1.2.0), `latest`, or ISO date/time
+   * @returns {Object} Snapshot entry
+   */
+  resolve(ref) {
+    const snapshots = this.index.snapshots;
+    if (snapshots.length === 0) {
+      throw new Error(`No snapshots recorded for ${this.index.graph} yet`);
+    }
+    if (ref === 'latest') {
+      return this.latest();
+    }
+
+    const version = String(ref).replace(/^v/, '');
+    const exact = snapshots.find(entry => entry.version === version);
+    if (exact) return exact;
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(ref) && !Number.isNaN(Date.parse(ref))) {
+      const time = Date.parse(ref);
+      const before = snapshots.filter(entry => Date.parse(entry.timestamp) <= time);
+      if (before.length > 0) return before[before.length - 1];
+      throw new Error(`No snapshot of ${this.index.graph} existed at ${ref} (first is v${snapshots[0].version} from ${snapshots[0].timestamp})`);
+    }
+
+    const known = snapshots.map(entry => entry.version).join(', ');
+    throw new Error(`Unknown version "${ref}". Recorded versions: ${known}`);
+  }
+
+  /**
+   * Record the graph a browser agent run is given: a copy of the graph and
+   * graph-version.json with its version and content hash, both in the run's
+   * artifact directory. Call it when the task is created.
+   * @param {string} runDir - Run artifact directory (downloads/<taskId>/)
+   * @param {Object} graph - Graph the agent's context was generated from
+   * @returns {{graphVersion: string, sha256: string, file: string}} Contents of graph-version.json
+   */
+  static recordRun(runDir, graph) {
+    const record = { graphVersion: graph.metadata.version, sha256: graphHash(graph), file: RUN_GRAPH_FILE };
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, RUN_GRAPH_FILE), formatGraphJson(graph), 'utf-8');
+    fs.writeFileSync(path.join(runDir, RUN_VERSION_FILE), JSON.stringify(record, null, 2) + '\n', 'utf-8');
+    return record;
+  }
+
+  /**
+   * Load the graph a browser agent run was given. A run recorded with
+   * recordRun() is restored from its own graph copy, or else from a snapshot
+   * with the same content hash; either way the hash is checked, and a
+   * mismatch is an error rather than a different graph. Older runs without
+   * a hash fall back to their recorded version or, failing that, the last
+   * snapshot before the task was created, and are returned unverified.
+   * @param {string} taskResultPath - Path to a run's task-result.json
+   * @returns {{graph: Object, version: string, source: string, verified: boolean, entry: Object|null}}
+   *          source is the file the graph was read from; entry is the snapshot used, if any
+   */
+  loadRun(taskResultPath) {
+    const runDir = path.dirname(taskResultPath);
+    const versionPath = path.join(runDir, RUN_VERSION_FILE);
+    const record = fs.existsSync(versionPath) ? JSON.parse(fs.readFileSync(versionPath, 'utf-8')) : {};
+
+    if (record.sha256) {
+      const copyPath = path.join(runDir, record.file || RUN_GRAPH_FILE);
+      if (fs.existsSync(copyPath)) {
+        const graph = JSON.parse(fs.readFileSync(copyPath, 'utf-8'));
+        if (graphHash(graph) !== record.sha256) {
+          throw new Error(`${copyPath} does not match the sha256 recorded when the task was created`);
+        }
+        return { graph, version: graph.metadata.version, source: copyPath, verified: true, entry: null };
+      }
+      // Prefer the recorded version, but only a snapshot with the same content counts
+      const candidates = [...this.index.snapshots].sort((a, b) =>
+        (b.version === record.graphVersion) - (a.version === record.graphVersion));
+      for (const entry of candidates) {
+        const graph = this.load(entry);
+        if (graphHash(graph) === record.sha256) {
+          return { graph, version: entry.version, source: path.join(this.historyDir, entry.file), verified: true, entry };
+        }
+      }
+      throw new Error(`${copyPath} is missing and no snapshot of ${this.index.graph} matches the graph the run was given `
+        + `(v${record.graphVersion}, sha256 ${record.sha256.slice(0, 12)})`);
+    }
+
+    let entry;
+    if (record.graphVersion) {
+      entry = this.resolve(record.graphVersion);
+    } else {
+      const taskResult = JSON.parse(fs.readFileSync(taskResultPath, 'utf-8'));
+      const createdAt = taskResult.createdAt || taskResult.startedAt;
+      if (!createdAt) {
+        throw new Error(`${taskResultPath} has no ${RUN_VERSION_FILE} next to it and no createdAt`);
+      }
+      entry = this.resolve(createdAt);
+    }
+    return { graph: this.load(entry), version: entry.version, source: path.join(this.historyDir, entry.file), verified: false, entry };
+  }
+
+  /**
+   * Classify the change between two graphs
+   * @param {Object} oldGraph - Previous snapshot
+   * @param {Object} newGraph - Graph about to be written
+   * @returns {{bump: string|null, diff: Object}} major, minor, patch, or null when nothing changed
+   */
+  classify(oldGraph, newGraph) {
+    const diff = new GraphDiff().diff(oldGraph, newGraph);
+    let bump = null;
+    if (BREAKING_CHANGES.some(key => diff.summary[key] > 0)) {
+      bump = 'major';
+    } else if (ADDITIVE_CHANGES.some(key => diff.summary[key] > 0)) {
+      bump = 'minor';
+    } else if (formatGraphJson(stripVersion(oldGraph)) !== formatGraphJson(stripVersion(newGraph))) {
+      bump = 'patch';
+    }
+    return { bump, diff };
+  }
+
+  /**
+   * Record a snapshot if the graph changed since the last one. Sets
+   * metadata.version and metadata.lastUpdated on the graph in place, so the
+   * caller writes the same bytes that were snapshotted.
+   * @param {Object} graph - Graph about to be written
+   * @param {Object} options - Snapshot options
+   * @param {string} options.reason - What produced this version (shown in history and the changelog)
+   * @param {Date} options.date - Snapshot time, defaults to now
+   * @returns {Object|null} New snapshot entry, or null when nothing changed
+   */
+  record(graph, options = {}) {
+    const { reason = 'update', date = new Date() } = options;
+    const previous = this.latest();
+    let bump = 'initial';
+    let diff = null;
+    let version = graph.metadata.version || '1.0.0';
+
+    if (previous) {
+      const previousGraph = this.load(previous);
+      ({ bump, diff } = this.classify(previousGraph, graph));
+      if (!bump) {
+        graph.metadata.version = previousGraph.metadata.version;
+        graph.metadata.lastUpdated = previousGraph.metadata.lastUpdated;
+        return null;
+      }
+      version = bumpVersion(previous.version, bump);
+      // A version raised by hand beyond the computed bump is kept
+      if (compareVersions(graph.metadata.version, version) > 0) {
+        version = graph.metadata.version;
+      }
+    }
+
+    const timestamp = date.toISOString();
+    graph.metadata.version = version;
+    graph.metadata.lastUpdated = timestamp.slice(0, 10);
+
+    const file = `${version}_${timestamp.replace(/[:.]/g, '-')}.json`;
+    const entry = {
+      version,
+      timestamp,
+      bump,
+      reason,
+      file,
+      summary: diff ? diff.summary : null
+    };
+
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    fs.writeFileSync(path.join(this.historyDir, file), formatGraphJson(graph), 'utf-8');
+    this.index.snapshots.push(entry);
+    fs.writeFileSync(this.indexPath, JSON.stringify(this.index, null, 2) + '\n', 'utf-8');
+    this.appendChangelog(entry, diff, graph);
+    return entry;
+  }
+
+  /**
+   * Record a snapshot and write the graph file
+   * @param {Object} graph - Graph to write
+   * @param {Object} options - Snapshot options (see record())
+   * @returns {Object|null} New snapshot entry, or null when nothing changed
+   */
+  save(graph, options = {}) {
+    const entry = this.record(graph, options);
+    this.write(graph);
+    return entry;
+  }
+
+  /**
+   * Write the graph file without recording a snapshot
+   * @param {Object} graph - Graph to write
+   */
+  write(graph) {
+    fs.mkdirSync(path.dirname(this.graphPath), { recursive: true });
+    fs.writeFileSync(this.graphPath, formatGraphJson(graph), 'utf-8');
+  }
+
+  /**
+   * Add an entry to the top of CHANGELOG.md (newest first)
+   * @param {Object} entry - Snapshot entry
+   * @param {Object|null} diff - GraphDiff result against the previous snapshot
+   * @param {Object} graph - Snapshotted graph
+   */
+  appendChangelog(entry, diff, graph) {
+    const header = `# Changelog: ${graph.metadata.name || this.index.graph}\n\n`
+      + `Generated from graph snapshots in this directory. Check out any version with\n`
+      + '`node explore-graph.js checkout <version>`.\n\n';
+    const previous = fs.existsSync(this.changelogPath) ? fs.readFileSync(this.changelogPath, 'utf-8') : '';
+    const existing = previous.includes('\n## ') ? previous.slice(previous.indexOf('\n## ') + 1) : '';
+    fs.writeFileSync(this.changelogPath, header + this.formatChangelogEntry(entry, diff) + existing, 'utf-8');
+  }
+
+  /**
+   * Render one changelog entry
+   * @param {Object} entry - Snapshot entry
+   * @param {Object|null} diff - GraphDiff result against the previous snapshot
+   * @returns {string} Markdown section
+   */
+  formatChangelogEntry(entry, diff) {
+    let text = `## ${entry.version} (${entry.timestamp.slice(0, 10)})\n\n`;
+    text += `${BUMP_LABELS[entry.bump]}: ${entry.reason}\n\n`;
+    if (!diff) {
+      return text;
+    }
+
+    const section = (title, lines) => {
+      if (lines.length === 0) return;
+      text += `### ${title}\n\n`;
+      lines.forEach(line => {
+        text += `- ${line}\n`;
+      });
+      text += '\n';
+    };
+
+    section('Breaking', [
+      ...diff.pages.removed.map(page => `Removed page \`${page.id}\` (${page.route})`),
+      ...diff.pages.renamed.map(rename => `Renamed page \`${rename.from}\` → \`${rename.to}\` (${rename.route})`),
+      ...diff.components.removed.map(component => `Removed component \`${component.id}\``),
+      ...diff.routes.map(change => `Route of \`${change.id}\`: ${change.from} → ${change.to}`),
+      ...diff.auth.map(flip => `\`${flip.id}\` ${flip.to ? 'now requires auth' : 'no longer requires auth'}`),
+      ...diff.elements.removed.map(el => `Removed \`${el.node}/${el.element}\` (\`${el.selector}\`)`),
+      ...diff.elements.selectorChanged.map(change =>
+        `Selector of \`${change.node}/${change.element}\`: \`${change.from}\` → \`${change.to}\``
+      ),
+      ...diff.edges.removed.map(edge => `Dropped edge ${edge.from} → ${edge.to} [${edge.type}] (${edge.trigger})`)
+    ]);
+    section('Added', [
+      ...diff.pages.added.map(page => `Page \`${page.id}\` (${page.route})`),
+      ...diff.components.added.map(component => `Component \`${component.id}\``),
+      ...diff.elements.added.map(el => `\`${el.node}/${el.element}\` (\`${el.selector}\`)`),
+      ...diff.edges.added.map(edge => `Edge ${edge.from} → ${edge.to} [${edge.type}] (${edge.trigger})`)
+    ]);
+    if (entry.bump === 'patch') {
+      section('Changed', ['Descriptions, states, patterns or metadata (no selector, page or edge changes)']);
+    }
+    return text;
+  }
+
+  /**
+   * Render the snapshot list, newest first
+   * @param {string} currentVersion - Version of the graph file, marked in the list
+   * @returns {string} Text listing
+   */
+  formatText(currentVersion = null) {
+    const snapshots = this.index.snapshots;
+    if (snapshots.length === 0) {
+      return `No snapshots recorded for ${this.index.graph} yet.\n`;
+    }
+
+    let text = '';
+    snapshots.slice().reverse().forEach(entry => {
+      const marker = entry.version === currentVersion ? '*' : ' ';
+      const when = entry.timestamp.slice(0, 16).replace('T', ' ');
+      text += `${marker} v${entry.version.padEnd(9)} ${when}  ${entry.bump.padEnd(7)}  ${entry.reason}\n`;
+      if (entry.summary) {
+        const changes = Object.entries(entry.summary)
+          .filter(([, count]) => count > 0)
+          .map(([key, count]) => `${count} ${key.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`)}`);
+        if (changes.length > 0) {
+          text += `${' '.repeat(13)}${changes.join(', ')}\n`;
+        }
+      }
+    });
+    return text;
+  }
+}
+
+/**
+ * Content hash of a graph: sha256 of its formatted JSON, so the whitespace
+ * of the file it was read from does not matter
+ * @param {Object} graph - Website graph
+ * @returns {string} Hex digest
+ */
+export function graphHash(graph) {
+  return crypto.createHash('sha256').update(formatGraphJson(graph)).digest('hex');
+}
+
+/**
+ * Bump a semantic version
+ * @param {string} version - Current version (x.y.z)
+ * @param {string} bump - major, minor or patch
+ * @returns {string} Next version
+ */
+export function bumpVersion(version, bump) {
+  const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(part => parseInt(part, 10) || 0);
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+function compareVersions(a, b) {
+  const parse = version => String(version || '0').split('.').map(part => parseInt(part, 10) || 0);
+  const [left, right] = [parse(a), parse(b)];
+  for (let i = 0; i < 3; i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+  }
+  return 0;
+}
+
+function stripVersion(graph) {
+  const { version, lastUpdated, ...metadata } = graph.metadata;
+  return { ...graph, metadata };
+}
+
+export default GraphHistory;
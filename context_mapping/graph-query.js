@@ -0,0 +1,532 @@
+import { resolveComponent } from './graph-validator.js';
+
+// Row sources and the columns shown when a query has no select clause
+const SOURCES = {
+  nodes: ['id', 'type', 'name', 'route'],
+  pages: ['id', 'name', 'route', 'requiresAuth'],
+  components: ['id', 'name', 'appearsOn'],
+  elements: ['owner', 'id', 'type', 'selector'],
+  products: ['page', 'id', 'name', 'price', 'category'],
+  edges: ['from', 'to', 'type', 'trigger']
+};
+const CLAUSES = ['where', 'select', 'sort', 'limit'];
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', '~', 'contains', 'in'];
+const FUNCTIONS = ['count', 'hops'];
+// Table cells longer than this are cut with an ellipsis
+const MAX_CELL_WIDTH = 48;
+
+/**
+ * Graph Query
+ *
+ * Answers ad-hoc questions about the graph with a small query language:
+ *
+ *   <source> [where <condition>] [select <value>, ...] [sort <value> [desc]] [limit <n>]
+ *
+ * Sources are nodes, pages, components, elements, products and edges. A
+ * condition compares a path (owner.requiresAuth) or a function (hops(home),
+ * count(elements)) with a literal using = != < <= > >= ~ (regex) contains
+ * or in [list], combined with and, or, not and parentheses. Paths that pass
+ * through lists match when any value matches, and nodes compare by id, so
+ * `pages where components = chat-assistant` works. Literals on the right
+ * are strings ('..', ".." or bare words), numbers, true, false, null or
+ * /regex/flags.
+ *
+ *   elements where type = button and pages.requiresAuth = true
+ *   elements where selector ~ /\.[\w-]+\.[\w-]+/
+ *   pages where hops(home) <= 2 and components = chat-assistant
+ */
+class GraphQuery {
+  /**
+   * @param {ContextGenerator} generator - Generator holding the graph to query
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.graph = generator.getGraph();
+    this.hopCache = new Map();
+  }
+
+  /**
+   * Parse and run a query
+   * @param {string} text - Query text
+   * @returns {{source: string, columns: Array<string>, rows: Array<Object>}} Rows keyed by column, with nodes reduced to their ids
+   */
+  run(text) {
+    const query = this.parse(text);
+    let rows = this.rows(query.source);
+
+    if (query.where) {
+      rows = rows.filter(row => this.test(query.where, row));
+    }
+    if (query.sort) {
+      const key = row => this.evaluate(query.sort.expression, row)[0];
+      rows = rows
+        .map(row => ({ row, key: key(row) }))
+        .sort((a, b) => compareKeys(a.key, b.key) * (query.sort.descending ? -1 : 1))
+        .map(entry => entry.row);
+    }
+    if (query.limit !== null) {
+      rows = rows.slice(0, query.limit);
+    }
+
+    const select = query.select || SOURCES[query.source].map(field => ({ label: field, expression: { type: 'path', parts: [field] } }));
+    return {
+      source: query.source,
+      columns: select.map(column => column.label),
+      rows: rows.map(row => Object.fromEntries(select.map(column => [
+        column.label,
+        cellValue(this.evaluate(column.expression, row))
+      ])))
+    };
+  }
+
+  /**
+   * Parse a query into its clauses
+   * @param {string} text - Query text
+   * @returns {{source: string, where: Object|null, select: Array|null, sort: Object|null, limit: number|null}}
+   */
+  parse(text) {
+    const parser = new QueryParser(text);
+    return parser.parseQuery();
+  }
+
+  /**
+   * Rows of a source. Nodes are enriched so paths can follow relations:
+   * pages get resolved `components`, components get `pages` (appearsOn),
+   * elements get `owner`, `pages` and `states`, products get `page`, and
+   * edges get node objects in `from` and `to`.
+   */
+  rows(source) {
+    const nodes = this.graph.nodes;
+    const components = nodes.filter(node => node.type === 'component');
+    const pageRow = page => ({
+      ...page,
+      components: [...new Set([
+        ...(page.components || []).map(ref => resolveComponent(ref, components)).filter(Boolean),
+        ...components.filter(component => (component.appearsOn || []).includes(page.id))
+      ])]
+    });
+    const componentRow = component => ({
+      ...component,
+      pages: (component.appearsOn || []).map(id => this.generator.findNode(id)).filter(Boolean)
+    });
+    const nodeRow = node => (node.type === 'page' ? pageRow(node) : componentRow(node));
+
+    switch (source) {
+      case 'nodes':
+        return nodes.map(nodeRow);
+      case 'pages':
+        return nodes.filter(node => node.type === 'page').map(pageRow);
+      case 'components':
+        return components.map(componentRow);
+      case 'elements':
+        return nodes.flatMap(owner => (owner.elements || []).map(element => ({
+          ...element,
+          owner,
+          pages: owner.type === 'page' ? [owner] : componentRow(owner).pages,
+          states: this.generator.getElementStates(owner, element.id)
+        })));
+      case 'products':
+        return nodes.flatMap(page => (page.products || []).map(product => ({ ...product, page })));
+      case 'edges':
+        return this.graph.edges.map(edge => ({
+          ...edge,
+          from: this.generator.findNode(edge.from) || edge.from,
+          to: this.generator.findNode(edge.to) || edge.to
+        }));
+      default:
+        throw new Error(`Unknown source "${source}". Available: ${Object.keys(SOURCES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Whether a condition holds for a row
+   */
+  test(expression, row) {
+    switch (expression.type) {
+      case 'and':
+        return this.test(expression.left, row) && this.test(expression.right, row);
+      case 'or':
+        return this.test(expression.left, row) || this.test(expression.right, row);
+      case 'not':
+        return !this.test(expression.operand, row);
+      case 'compare':
+        return this.compare(expression, row);
+      default:
+        return this.evaluate(expression, row).some(value =>
+          value !== null && value !== undefined && value !== false && value !== 0 && value !== '');
+    }
+  }
+
+  compare({ operator, left, right }, row) {
+    const values = this.evaluate(left, row);
+    const target = right.value;
+    const matches = value => {
+      switch (operator) {
+        case '=':
+          return equals(value, target);
+        case '~':
+          return (target instanceof RegExp ? target : new RegExp(String(target), 'i')).test(String(key(value)));
+        case 'contains':
+          return String(key(value)).toLowerCase().includes(String(target).toLowerCase());
+        case 'in':
+          return target.some(item => equals(value, item));
+        default: {
+          const a = toNumber(key(value));
+          const b = toNumber(target);
+          if (a === null || b === null) return false;
+          return { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[operator];
+        }
+      }
+    };
+    return operator === '!='
+      ? !values.some(value => equals(value, target))
+      : values.some(matches);
+  }
+
+  /**
+   * Evaluate a value expression to the list of values it reaches
+   * @returns {Array} Values (empty when a path is missing)
+   */
+  evaluate(expression, row) {
+    switch (expression.type) {
+      case 'literal':
+        return [expression.value];
+      case 'path':
+        return expression.parts.reduce((values, part) => values.flatMap(value => {
+          if (value === null || typeof value !== 'object') return [];
+          const child = value[part];
+          if (child === undefined) return [];
+          return Array.isArray(child) ? child : [child];
+        }), [row]);
+      case 'call':
+        return this.call(expression, row);
+      default:
+        return [this.test(expression, row)];
+    }
+  }
+
+  call({ name, args }, row) {
+    if (name === 'count') {
+      return [args.reduce((total, arg) => total + this.evaluate(arg, row).length, 0)];
+    }
+    // hops(from): navigation hops from a page to this node row, none when unreachable
+    const from = args[0] && args[0].type === 'path' ? args[0].parts.join('.') : this.evaluate(args[0], row)[0];
+    const hops = this.hopsFrom(String(from)).get(row.id);
+    return hops === undefined || !['page', 'component'].includes(row.type) ? [] : [hops];
+  }
+
+  /**
+   * Navigation hops from a page to every page it reaches
+   * @returns {Map<string, number>}
+   */
+  hopsFrom(pageId) {
+    if (!this.hopCache.has(pageId)) {
+      if (!this.generator.findNode(pageId)) {
+        throw new Error(`hops(): unknown node "${pageId}"`);
+      }
+      const hops = new Map([[pageId, 0]]);
+      this.generator.findNearbyPages([pageId], Infinity).forEach(entry => hops.set(entry.page.id, entry.hops));
+      this.hopCache.set(pageId, hops);
+    }
+    return this.hopCache.get(pageId);
+  }
+
+  /**
+   * Render a result as an aligned text table
+   * @param {Object} result - Result of run()
+   * @returns {string} Table with a row count
+   */
+  formatTable(result) {
+    const cells = result.rows.map(row => result.columns.map(column => formatCell(row[column])));
+    const widths = result.columns.map((column, index) =>
+      Math.max(column.length, ...cells.map(line => line[index].length)));
+    const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    let text = `${line(result.columns)}\n${line(widths.map(width => '-'.repeat(width)))}\n`;
+    cells.forEach(values => {
+      text += `${line(values)}\n`;
+    });
+    text += `\n${result.rows.length} ${result.source.replace(/s$/, '')}${result.rows.length === 1 ? '' : 's'}\n`;
+    return text;
+  }
+}
+
+/**
+ * Recursive-descent parser for the query language (see GraphQuery)
+ */
+class QueryParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  parseQuery() {
+    const source = this.expect('word', 'a source');
+    if (!SOURCES[source.value]) {
+      this.fail(`Unknown source "${source.value}". Available: ${Object.keys(SOURCES).join(', ')}`, source);
+    }
+    const query = { source: source.value, where: null, select: null, sort: null, limit: null };
+
+    while (this.peek()) {
+      const clause = this.expect('word', CLAUSES.join(', '));
+      if (!CLAUSES.includes(clause.value)) {
+        this.fail(`Expected ${CLAUSES.join(', ')} but found "${clause.value}"`, clause);
+      }
+      if (query[clause.value] !== null) {
+        this.fail(`Duplicate ${clause.value} clause`, clause);
+      }
+      if (clause.value === 'where') {
+        query.where = this.parseOr();
+      } else if (clause.value === 'select') {
+        query.select = this.parseSelect();
+      } else if (clause.value === 'sort') {
+        const expression = this.parseValue();
+        const descending = this.acceptWord('desc');
+        if (!descending) this.acceptWord('asc');
+        query.sort = { expression, descending };
+      } else {
+        const limit = this.expect('number', 'a number');
+        query.limit = limit.value;
+      }
+    }
+    return query;
+  }
+
+  parseSelect() {
+    const columns = [];
+    do {
+      const start = this.peek();
+      const expression = this.parseValue();
+      const end = this.tokens[this.index - 1];
+      columns.push({ label: this.text.slice(start.start, end.end), expression });
+    } while (this.accept('punct', ','));
+    return columns;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord('or')) {
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptWord('and')) {
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptWord('not')) {
+      return { type: 'not', operand: this.parseNot() };
+    }
+    if (this.accept('punct', '(')) {
+      const inner = this.parseOr();
+      this.expect('punct', '")"', ')');
+      return inner;
+    }
+
+    const left = this.parseValue();
+    const token = this.peek();
+    const operator = token && (token.type === 'operator' || (token.type === 'word' && OPERATORS.includes(token.value)))
+      ? token.value
+      : null;
+    if (!operator) return left;
+    this.index++;
+    return { type: 'compare', operator, left, right: this.parseLiteral(operator, token) };
+  }
+
+  /**
+   * Left-hand value: a path or a function call
+   */
+  parseValue() {
+    const token = this.expect('word', 'a field or function');
+    if (this.accept('punct', '(')) {
+      if (!FUNCTIONS.includes(token.value)) {
+        this.fail(`Unknown function "${token.value}". Available: ${FUNCTIONS.join(', ')}`, token);
+      }
+      const args = [];
+      if (!this.accept('punct', ')')) {
+        do {
+          args.push(this.parseArgument());
+        } while (this.accept('punct', ','));
+        this.expect('punct', '")"', ')');
+      }
+      if (token.value === 'hops' && args.length !== 1) {
+        this.fail('hops() takes one page id, e.g. hops(home)', token);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+    if (CLAUSES.includes(token.value) || ['and', 'or', 'not'].includes(token.value)) {
+      this.fail(`Expected a field but found "${token.value}"`, token);
+    }
+    return { type: 'path', parts: token.value.split('.') };
+  }
+
+  parseArgument() {
+    const token = this.peek();
+    if (token && token.type === 'word') return this.parseValue();
+    return this.parseLiteral(null, token);
+  }
+
+  /**
+   * Right-hand literal; `in` takes a [list]
+   */
+  parseLiteral(operator, after) {
+    if (operator === 'in') {
+      this.expect('punct', '"["', '[');
+      const items = [];
+      if (!this.accept('punct', ']')) {
+        do {
+          items.push(this.parseLiteral(null, after).value);
+        } while (this.accept('punct', ','));
+        this.expect('punct', '"]"', ']');
+      }
+      return { type: 'literal', value: items };
+    }
+
+    const token = this.peek();
+    if (!token || !['word', 'string', 'number', 'regex'].includes(token.type)) {
+      this.fail(`Expected a value after "${after ? after.value : '('}"`, token);
+    }
+    this.index++;
+    if (token.type === 'word') {
+      const keywords = { true: true, false: false, null: null };
+      return { type: 'literal', value: token.value in keywords ? keywords[token.value] : token.value };
+    }
+    return { type: 'literal', value: token.value };
+  }
+
+  peek() {
+    return this.tokens[this.index] || null;
+  }
+
+  accept(type, value) {
+    const token = this.peek();
+    if (token && token.type === type && token.value === value) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  acceptWord(word) {
+    return this.accept('word', word);
+  }
+
+  expect(type, description, value) {
+    const token = this.peek();
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      this.fail(`Expected ${description}${token ? ` but found "${this.text.slice(token.start, token.end)}"` : ' but the query ended'}`, token);
+    }
+    this.index++;
+    return token;
+  }
+
+  fail(message, token) {
+    const position = token ? token.start + 1 : this.text.length + 1;
+    throw new Error(`${message} (query position ${position})`);
+  }
+}
+
+/**
+ * Split a query into words (paths and ids may contain . and -), strings,
+ * numbers, regexes, operators and punctuation
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  while (pos < text.length) {
+    const rest = text.slice(pos);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      pos += space[0].length;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    let match;
+    let token;
+    if (rest[0] === '/' && previous && previous.value === '~') {
+      match = rest.match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+      if (!match) throw new Error(`Unterminated regex (query position ${pos + 1})`);
+      try {
+        token = { type: 'regex', value: new RegExp(match[1], match[2]) };
+      } catch (error) {
+        throw new Error(`${error.message} (query position ${pos + 1})`);
+      }
+    } else if ((match = rest.match(/^(['"])((?:\\.|(?!\1).)*)\1/))) {
+      token = { type: 'string', value: match[2].replace(/\\(.)/g, '$1') };
+    } else if ((match = rest.match(/^-?\d+(\.\d+)?(?![\w-])/))) {
+      token = { type: 'number', value: parseFloat(match[0]) };
+    } else if ((match = rest.match(/^[A-Za-z_$][\w$.-]*/))) {
+      token = { type: 'word', value: match[0] };
+    } else if ((match = rest.match(/^(!=|<=|>=|==|=|<|>|~)/))) {
+      token = { type: 'operator', value: match[0] === '==' ? '=' : match[0] };
+    } else if ((match = rest.match(/^[(),[\]]/))) {
+      token = { type: 'punct', value: match[0] };
+    } else {
+      throw new Error(`Unexpected "${rest[0]}" (query position ${pos + 1})`);
+    }
+    tokens.push({ ...token, start: pos, end: pos + match[0].length });
+    pos += match[0].length;
+  }
+  return tokens;
+}
+
+// Nodes and other objects with an id compare and print as that id
+function key(value) {
+  return value && typeof value === 'object' && 'id' in value ? value.id : value;
+}
+
+function equals(value, target) {
+  const actual = key(value);
+  if (typeof target === 'string') return String(actual) === target;
+  return actual === target;
+}
+
+// Numbers, and strings such as "$1,299" or "42", compare numerically
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !/\d/.test(value)) return null;
+  const number = Number(value.replace(/^[^\d-]+|,/g, ''));
+  return Number.isNaN(number) ? null : number;
+}
+
+function cellValue(values) {
+  const plain = values.map(value => {
+    const reduced = key(value);
+    return reduced && typeof reduced === 'object' ? JSON.parse(JSON.stringify(reduced)) : reduced;
+  });
+  if (plain.length === 0) return null;
+  return plain.length === 1 ? plain[0] : plain;
+}
+
+function formatCell(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (Array.isArray(value)) {
+    text = value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(', ');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return text.length > MAX_CELL_WIDTH ? `${text.slice(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
+
+function compareKeys(a, b) {
+  const missing = value => value === null || value === undefined;
+  if (missing(a) || missing(b)) return missing(a) - missing(b);
+  const ka = key(a);
+  const kb = key(b);
+  if (toNumber(ka) !== null && toNumber(kb) !== null) return toNumber(ka) - toNumber(kb);
+  return String(ka).localeCompare(String(kb), undefined, { numeric: true });
+}
+
+export default GraphQuery;
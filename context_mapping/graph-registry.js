@@ -0,0 +1,175 @@
+import ContextGenerator from './context-generator.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Graph Registry
+ *
+ * Keeps several named site graphs in one directory. `sites/index.json` maps
+ * each site name to its graph file, display name and baseUrl so tools can
+ * pick a graph with `--site style-scout` or `--site http://localhost:8080`.
+ * Generated files for a site go to `output/<site>/`.
+ */
+class GraphRegistry {
+  /**
+   * @param {string} registryDir - Directory holding index.json and the site graphs
+   */
+  constructor(registryDir = null) {
+    this.registryDir = registryDir || path.join(__dirname, 'sites');
+    this.indexPath = path.join(this.registryDir, 'index.json');
+    this.index = fs.existsSync(this.indexPath)
+      ? JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'))
+      : { default: null, sites: {} };
+  }
+
+  /**
+   * List registered sites
+   * @returns {Array<{site: string, name: string, baseUrl: string, graph: string, isDefault: boolean}>}
+   */
+  list() {
+    return Object.keys(this.index.sites).map(site => this.entry(site));
+  }
+
+  entry(site) {
+    const entry = this.index.sites[site];
+    return {
+      site,
+      name: entry.name,
+      baseUrl: entry.baseUrl,
+      graph: path.resolve(this.registryDir, entry.graph),
+      isDefault: this.index.default === site
+    };
+  }
+
+  /**
+   * Find a site by name or by baseUrl (any URL on the same origin matches)
+   * @param {string} siteOrUrl - Site name or URL
+   * @returns {Object} Registry entry (see list())
+   */
+  resolve(siteOrUrl) {
+    if (this.index.sites[siteOrUrl]) {
+      return this.entry(siteOrUrl);
+    }
+
+    if (/^https?:\/\//.test(siteOrUrl)) {
+      const origin = new URL(siteOrUrl).origin;
+      const site = Object.keys(this.index.sites).find(key =>
+        new URL(this.index.sites[key].baseUrl).origin === origin
+      );
+      if (site) return this.entry(site);
+    }
+
+    const known = Object.keys(this.index.sites).join(', ') || 'none';
+    throw new Error(`Unknown site "${siteOrUrl}". Registered sites: ${known}`);
+  }
+
+  /**
+   * Create a ContextGenerator for a registered site
+   * @param {string} siteOrUrl - Site name or URL, defaults to the registry default
+   * @param {Object} options - ContextGenerator options (e.g. environment)
+   * @returns {ContextGenerator} Generator for the site graph
+   */
+  createGenerator(siteOrUrl = null, options = {}) {
+    const site = siteOrUrl || this.index.default;
+    return new ContextGenerator(site ? this.resolve(site).graph : null, options);
+  }
+
+  /**
+   * Output directory for a site's generated files (output/<site>)
+   * @param {string} siteOrUrl - Site name or URL
+   * @returns {string} Absolute directory path
+   */
+  outputDir(siteOrUrl) {
+    return path.join(__dirname, 'output', this.resolve(siteOrUrl).site);
+  }
+
+  /**
+   * Copy a graph file into the registry and index it under a site name
+   * @param {string} site - Site name (lowercase letters, digits and dashes)
+   * @param {string} graphFile - Graph JSON file to register
+   * @param {Object} options - Options
+   * @param {boolean} options.makeDefault - Use this site when no --site is given
+   * @returns {Object} Registry entry (see list())
+   */
+  register(site, graphFile, options = {}) {
+    const { makeDefault = false } = options;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(site)) {
+      throw new Error(`Invalid site name "${site}": use lowercase letters, digits and dashes`);
+    }
+
+    const graph = JSON.parse(fs.readFileSync(graphFile, 'utf-8'));
+    if (!graph.metadata || !graph.metadata.baseUrl) {
+      throw new Error(`${graphFile} has no metadata.baseUrl`);
+    }
+
+    const siteDir = path.join(this.registryDir, site);
+    fs.mkdirSync(siteDir, { recursive: true });
+    fs.writeFileSync(path.join(siteDir, 'website-graph.json'), JSON.stringify(graph, null, 2) + '\n', 'utf-8');
+
+    this.index.sites[site] = {
+      name: graph.metadata.name,
+      baseUrl: graph.metadata.baseUrl,
+      graph: `${site}/website-graph.json`
+    };
+    if (makeDefault || !this.index.default) {
+      this.index.default = site;
+    }
+    this.save();
+    return this.entry(site);
+  }
+
+  /**
+   * Remove a site from the index (its graph file is kept)
+   * @param {string} site - Site name
+   */
+  unregister(site) {
+    this.resolve(site);
+    delete this.index.sites[site];
+    if (this.index.default === site) {
+      this.index.default = Object.keys(this.index.sites)[0] || null;
+    }
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(this.registryDir, { recursive: true });
+    fs.writeFileSync(this.indexPath, JSON.stringify(this.index, null, 2) + '\n', 'utf-8');
+  }
+}
+
+/**
+ * Pull a `--name <value>` (or `--name=<value>`) flag out of CLI arguments
+ * @param {Array<string>} argv - CLI arguments
+ * @param {string} name - Flag name without dashes
+ * @returns {{value: string|null, args: Array<string>}} Flag value and the remaining arguments
+ */
+export function extractFlag(argv, name) {
+  const args = [];
+  let value = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === `--${name}` && argv[i + 1] !== undefined) {
+      value = argv[++i];
+    } else if (argv[i].startsWith(`--${name}=`)) {
+      value = argv[i].slice(`--${name}=`.length);
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { value, args };
+}
+
+/**
+ * Pull the `--site <name>` flag out of CLI arguments
+ * @param {Array<string>} argv - CLI arguments
+ * @returns {{site: string|null, args: Array<string>}} Site and the remaining arguments
+ */
+export function extractSiteFlag(argv) {
+  const { value, args } = extractFlag(argv, 'site');
+  return { site: value, args };
+}
+
+export default GraphRegistry;
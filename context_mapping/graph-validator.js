@@ -0,0 +1,304 @@
+import Ajv from 'ajv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Graph Validator
+ *
+ * Checks a website graph against website-graph.schema.json and verifies
+ * cross-references between nodes, edges, authentication and patterns.
+ * Every error carries a JSON path (e.g. `$.edges[3].to`) and a rule name.
+ */
+class GraphValidator {
+  constructor(schemaPath = null) {
+    const schemaFilePath = schemaPath || path.join(__dirname, 'website-graph.schema.json');
+    this.schema = JSON.parse(fs.readFileSync(schemaFilePath, 'utf-8'));
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validateSchema = this.ajv.compile(this.schema);
+  }
+
+  /**
+   * Validate a graph file
+   * @param {string} graphPath - Path to a website graph JSON file
+   * @returns {{valid: boolean, errors: Array<{path: string, rule: string, message: string}>}}
+   */
+  validateFile(graphPath) {
+    let graph;
+    try {
+      graph = JSON.parse(fs.readFileSync(graphPath, 'utf-8'));
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [{ path: '$', rule: 'parse', message: error.message }]
+      };
+    }
+    return this.validate(graph);
+  }
+
+  /**
+   * Validate a graph object
+   * @param {Object} graph - Website graph
+   * @returns {{valid: boolean, errors: Array<{path: string, rule: string, message: string}>}}
+   */
+  validate(graph) {
+    const errors = this.checkSchema(graph);
+
+    // Reference checks need the basic shape to be walkable
+    if (graph && Array.isArray(graph.nodes) && Array.isArray(graph.edges)) {
+      errors.push(...this.checkReferences(graph));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  checkSchema(graph) {
+    if (this.validateSchema(graph)) {
+      return [];
+    }
+    return this.validateSchema.errors
+      // if/then failures are already reported by the nested required error
+      .filter(error => error.keyword !== 'if')
+      .map(error => {
+        let jsonPath = toJsonPath(error.instancePath);
+        if (error.keyword === 'required') {
+          jsonPath += `.${error.params.missingProperty}`;
+        }
+        return {
+          path: jsonPath,
+          rule: `schema/${error.keyword}`,
+          message: error.message
+        };
+      });
+  }
+
+  checkReferences(graph) {
+    const errors = [];
+    const error = (jsonPath, rule, message) => errors.push({ path: jsonPath, rule, message });
+
+    const nodeIds = new Map();
+    graph.nodes.forEach((node, index) => {
+      if (!node || !node.id) return;
+      if (nodeIds.has(node.id)) {
+        error(`$.nodes[${index}].id`, 'unique-node-id', `Duplicate node id "${node.id}" (first used at $.nodes[${nodeIds.get(node.id)}])`);
+      } else {
+        nodeIds.set(node.id, index);
+      }
+
+      const elementIds = new Set();
+      (node.elements || []).forEach((element, elementIndex) => {
+        if (!element || !element.id) return;
+        if (elementIds.has(element.id)) {
+          error(`$.nodes[${index}].elements[${elementIndex}].id`, 'unique-element-id', `Duplicate element id "${element.id}" in node "${node.id}"`);
+        }
+        elementIds.add(element.id);
+      });
+    });
+
+    const nodeById = id => graph.nodes.find(node => node && node.id === id);
+    const pages = graph.nodes.filter(node => node && node.type === 'page');
+    const components = graph.nodes.filter(node => node && node.type === 'component');
+
+    graph.edges.forEach((edge, index) => {
+      if (!edge) return;
+      ['from', 'to'].forEach(end => {
+        if (edge[end] !== undefined && !nodeIds.has(edge[end])) {
+          error(`$.edges[${index}].${end}`, 'edge-endpoint', `Edge ${end} "${edge[end]}" does not match any node id`);
+        }
+      });
+      if (edge.type === 'navigation' && nodeById(edge.to)?.type === 'component') {
+        error(`$.edges[${index}].to`, 'edge-endpoint', `Navigation edge points to component "${edge.to}" instead of a page`);
+      }
+    });
+
+    graph.nodes.forEach((node, index) => {
+      if (!node) return;
+
+      (node.appearsOn || []).forEach((pageId, refIndex) => {
+        const target = nodeById(pageId);
+        if (!target) {
+          error(`$.nodes[${index}].appearsOn[${refIndex}]`, 'appears-on', `appearsOn "${pageId}" does not match any node id`);
+        } else if (target.type !== 'page') {
+          error(`$.nodes[${index}].appearsOn[${refIndex}]`, 'appears-on', `appearsOn "${pageId}" is a ${target.type}, not a page`);
+        }
+      });
+
+      // Component references may use the id ("chat-assistant") or the code name ("ChatAssistant")
+      (node.components || []).forEach((ref, refIndex) => {
+        if (!resolveComponent(ref, components)) {
+          error(`$.nodes[${index}].components[${refIndex}]`, 'component-ref', `Component "${ref}" does not match any component node`);
+        }
+      });
+
+      ((node.userFlow && node.userFlow.nextSteps) || []).forEach((nextId, refIndex) => {
+        if (!nodeIds.has(nextId)) {
+          error(`$.nodes[${index}].userFlow.nextSteps[${refIndex}]`, 'next-step', `Next step "${nextId}" does not match any node id`);
+        }
+      });
+
+      checkStates(node, index, error);
+
+      if (node.type === 'page' && node.isPublic !== undefined && node.requiresAuth !== undefined
+        && node.isPublic === node.requiresAuth) {
+        error(`$.nodes[${index}].isPublic`, 'auth-consistency', `Page "${node.id}" has isPublic=${node.isPublic} and requiresAuth=${node.requiresAuth}`);
+      }
+    });
+
+    if (graph.authentication) {
+      const auth = graph.authentication;
+      [['publicPages', false], ['protectedPages', true]].forEach(([key, expectedAuth]) => {
+        (auth[key] || []).forEach((pageId, refIndex) => {
+          const jsonPath = `$.authentication.${key}[${refIndex}]`;
+          const page = nodeById(pageId);
+          if (!page) {
+            error(jsonPath, 'auth-pages', `"${pageId}" does not match any node id`);
+          } else if (page.type !== 'page') {
+            error(jsonPath, 'auth-pages', `"${pageId}" is a ${page.type}, not a page`);
+          } else if (page.requiresAuth !== expectedAuth) {
+            error(jsonPath, 'auth-consistency', `"${pageId}" is listed in ${key} but has requiresAuth=${page.requiresAuth}`);
+          }
+        });
+      });
+
+      pages.forEach(page => {
+        const listed = (auth.publicPages || []).includes(page.id) || (auth.protectedPages || []).includes(page.id);
+        if (!listed) {
+          error(`$.nodes[${nodeIds.get(page.id)}].id`, 'auth-pages', `Page "${page.id}" is in neither authentication.publicPages nor protectedPages`);
+        }
+      });
+
+      // Plaintext credentials end up in generated context and agent prompts
+      Object.entries(auth.defaultCredentials || {}).forEach(([key, value]) => {
+        if (typeof value === 'string') {
+          error(`$.authentication.defaultCredentials.${key}`, 'plaintext-credential', `Credential "${key}" is stored in plaintext; use {"env": "NAME"} or {"secret": "key"}`);
+        }
+      });
+
+      if (auth.required === false && pages.some(page => page.requiresAuth)) {
+        error('$.authentication.required', 'auth-consistency', 'authentication.required is false but some pages require auth');
+      }
+    }
+
+    const metadata = graph.metadata || {};
+    if (metadata.defaultEnvironment && !(metadata.environments || {})[metadata.defaultEnvironment]) {
+      error('$.metadata.defaultEnvironment', 'environment', `Default environment "${metadata.defaultEnvironment}" is not declared in metadata.environments`);
+    }
+
+    const routes = new Set(pages.map(page => page.route));
+    (graph.commonPatterns || []).forEach((pattern, index) => {
+      ((pattern && pattern.steps) || []).forEach((step, stepIndex) => {
+        extractRoutes(step).forEach(route => {
+          if (!routes.has(route)) {
+            error(`$.commonPatterns[${index}].steps[${stepIndex}]`, 'pattern-route', `Step mentions route "${route}" which no page declares`);
+          }
+        });
+      });
+    });
+
+    return errors;
+  }
+}
+
+/**
+ * Check that a node's states, state transitions and persisted values refer
+ * to its own elements and states, and that every state can be reached
+ */
+function checkStates(node, index, error) {
+  const states = Array.isArray(node.states) ? node.states.filter(Boolean) : [];
+  const transitions = Array.isArray(node.stateTransitions) ? node.stateTransitions : [];
+  const nodePath = `$.nodes[${index}]`;
+  if (states.length === 0) {
+    if (transitions.length > 0 || node.statePersistence) {
+      error(`${nodePath}.states`, 'state-ref', `Node "${node.id}" has stateTransitions or statePersistence but no states`);
+    }
+    return;
+  }
+
+  const elementIds = new Set((node.elements || []).map(element => element && element.id));
+  const stateIds = new Set();
+  states.forEach((state, stateIndex) => {
+    if (stateIds.has(state.id)) {
+      error(`${nodePath}.states[${stateIndex}].id`, 'unique-state-id', `Duplicate state id "${state.id}" in node "${node.id}"`);
+    }
+    stateIds.add(state.id);
+    (state.elements || []).forEach((elementId, refIndex) => {
+      if (!elementIds.has(elementId)) {
+        error(`${nodePath}.states[${stateIndex}].elements[${refIndex}]`, 'state-element', `Element "${elementId}" is not an element of "${node.id}"`);
+      }
+    });
+  });
+
+  const defaults = states.filter(state => state.default);
+  if (defaults.length > 1) {
+    error(`${nodePath}.states`, 'state-default', `Node "${node.id}" has ${defaults.length} default states (${defaults.map(state => state.id).join(', ')})`);
+  }
+
+  transitions.forEach((transition, transitionIndex) => {
+    if (!transition) return;
+    const transitionPath = `${nodePath}.stateTransitions[${transitionIndex}]`;
+    ['from', 'to'].forEach(end => {
+      if (transition[end] !== undefined && !stateIds.has(transition[end])) {
+        error(`${transitionPath}.${end}`, 'state-ref', `State "${transition[end]}" is not a state of "${node.id}"`);
+      }
+    });
+    if (transition.element !== undefined && !elementIds.has(transition.element)) {
+      error(`${transitionPath}.element`, 'state-element', `Element "${transition.element}" is not an element of "${node.id}"`);
+    }
+  });
+
+  // Hints like "open the chat first" need a transition into every other state
+  const initial = defaults[0] || states[0];
+  states.forEach((state, stateIndex) => {
+    if (state === initial || transitions.some(transition => transition && transition.to === state.id)) return;
+    error(`${nodePath}.states[${stateIndex}].id`, 'state-unreachable', `State "${state.id}" of "${node.id}" has no stateTransitions entry leading to it`);
+  });
+
+  Object.entries((node.statePersistence && node.statePersistence.values) || {}).forEach(([value, stateId]) => {
+    if (!stateIds.has(stateId)) {
+      error(`${nodePath}.statePersistence.values.${value}`, 'state-ref', `State "${stateId}" is not a state of "${node.id}"`);
+    }
+  });
+}
+
+/**
+ * Convert an Ajv instance path (/edges/3/to) into a JSON path ($.edges[3].to)
+ */
+function toJsonPath(instancePath) {
+  return '$' + instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment.replace(/~1/g, '/').replace(/~0/g, '~')}`))
+    .join('');
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Find a component node by id or by its code name
+ * @param {string} ref - Component reference from a page's `components` list
+ * @param {Array} components - Component nodes
+ * @returns {Object|null} Component node or null
+ */
+export function resolveComponent(ref, components) {
+  const normalized = normalizeName(ref);
+  return components.find(component =>
+    component.id === ref
+    || normalizeName(component.id) === normalized
+    || normalizeName(component.name) === normalized
+  ) || null;
+}
+
+/**
+ * Extract absolute routes ("/men", "/login") mentioned in free text
+ */
+export function extractRoutes(text) {
+  const matches = String(text).match(/(^|\s)\/[\w\-/]*/g) || [];
+  return matches.map(match => match.trim().replace(/(.)\/$/, '$1'));
+}
+
+export default GraphValidator;
@@ -0,0 +1,256 @@
+// Structured properties of the schema, decoded even when an editor drops <desc>
+const JSON_PROPERTIES = new Set([
+  'metadata', 'authentication', 'commonPatterns',
+  'elements', 'products', 'userFlow', 'components', 'appearsOn',
+  'states', 'stateTransitions', 'statePersistence', 'observed'
+]);
+
+/**
+ * GraphML Format
+ *
+ * Converts a website graph to GraphML for yEd and Gephi, and back.
+ * Every node and edge property becomes a <data> entry. Strings, booleans and
+ * numbers keep their GraphML attr.type. Nested values (elements, products,
+ * userFlow, appearsOn...) are stored as JSON text and their <key> carries
+ * <desc>json</desc>; schema properties are decoded by name as well, because
+ * yEd drops <desc> when it saves. metadata, authentication and commonPatterns
+ * are graph-level data. A `label` attribute (Gephi) and a yEd ShapeNode label
+ * are added for display and ignored on import.
+ */
+class GraphMLFormat {
+  constructor() {
+    this.name = 'graphml';
+    this.extension = '.graphml';
+  }
+
+  /**
+   * Serialize a graph to GraphML
+   * @param {Object} graph - Website graph
+   * @returns {string} GraphML document
+   */
+  serialize(graph) {
+    const nodeKeys = collectKeys(graph.nodes, 'n');
+    const edgeKeys = collectKeys(graph.edges, 'e');
+    const graphData = Object.entries(graph).filter(([key]) => key !== 'nodes' && key !== 'edges');
+    const graphKeys = collectKeys([Object.fromEntries(graphData)], 'g');
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+      '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+      '         xmlns:y="http://www.yworks.com/xml/graphml"',
+      '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://www.yworks.com/xml/schema/graphml/1.1/ygraphml.xsd">',
+      '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+      '  <key id="graphics" for="node" yfiles.type="nodegraphics"/>'
+    ];
+    [[graphKeys, 'graph'], [nodeKeys, 'node'], [edgeKeys, 'edge']].forEach(([keys, target]) => {
+      keys.forEach(key => lines.push(keyElement(key, target)));
+    });
+
+    lines.push('  <graph id="website" edgedefault="directed">');
+    graphData.forEach(([name, value]) => lines.push(dataElement(graphKeys.get(name), value, '    ')));
+
+    graph.nodes.forEach(node => {
+      lines.push(`    <node id="${escapeXml(node.id)}">`);
+      lines.push(`      <data key="label">${escapeXml(node.name || node.id)}</data>`);
+      lines.push(`      <data key="graphics"><y:ShapeNode><y:Shape type="${node.type === 'page' ? 'roundrectangle' : 'ellipse'}"/><y:NodeLabel>${escapeXml(node.name || node.id)}</y:NodeLabel></y:ShapeNode></data>`);
+      Object.entries(node).forEach(([name, value]) => lines.push(dataElement(nodeKeys.get(name), value, '      ')));
+      lines.push('    </node>');
+    });
+
+    graph.edges.forEach((edge, index) => {
+      lines.push(`    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">`);
+      Object.entries(edge)
+        .filter(([name]) => name !== 'from' && name !== 'to')
+        .forEach(([name, value]) => lines.push(dataElement(edgeKeys.get(name), value, '      ')));
+      lines.push('    </edge>');
+    });
+
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Parse a GraphML document back into a website graph
+   * @param {string} text - GraphML document
+   * @returns {Object} Website graph
+   */
+  parse(text) {
+    const root = parseXml(text);
+    if (root.name !== 'graphml') {
+      throw new Error(`Not a GraphML document (root element <${root.name}>)`);
+    }
+    const graphElement = root.children.find(child => child.name === 'graph');
+    if (!graphElement) {
+      throw new Error('GraphML document has no <graph> element');
+    }
+
+    // Keys without attr.name (yEd graphics, Gephi viz) carry display data only
+    const keys = new Map();
+    root.children.filter(child => child.name === 'key').forEach(key => {
+      const desc = key.children.find(child => child.name === 'desc');
+      keys.set(key.attributes.id, {
+        name: key.attributes['attr.name'],
+        type: key.attributes['attr.type'] || 'string',
+        json: (!!desc && textContent(desc).trim() === 'json') || JSON_PROPERTIES.has(key.attributes['attr.name'])
+      });
+    });
+
+    const readData = (element, target = {}) => {
+      element.children.filter(child => child.name === 'data').forEach(data => {
+        const key = keys.get(data.attributes.key);
+        if (!key || !key.name || key.name === 'label') return;
+        target[key.name] = decodeValue(textContent(data), key);
+      });
+      return target;
+    };
+
+    const graphData = readData(graphElement);
+    const nodes = graphElement.children.filter(child => child.name === 'node').map(element => {
+      const node = readData(element, { id: element.attributes.id });
+      if (node.name === undefined) {
+        // Nodes added in the editor may only have a display label
+        const label = element.children.find(child => child.name === 'data' && child.attributes.key === 'label');
+        if (label) node.name = textContent(label);
+      }
+      return node;
+    });
+    const edges = graphElement.children.filter(child => child.name === 'edge').map(element =>
+      readData(element, { from: element.attributes.source, to: element.attributes.target })
+    );
+
+    const { metadata, ...rest } = graphData;
+    return { metadata, nodes, edges, ...rest };
+  }
+}
+
+/**
+ * Assign a GraphML key to every property name, typed by the values it holds
+ */
+function collectKeys(items, prefix) {
+  const keys = new Map();
+  items.forEach(item => {
+    Object.entries(item).forEach(([name, value]) => {
+      if (prefix === 'e' && (name === 'from' || name === 'to')) return;
+      const type = valueType(value);
+      const key = keys.get(name);
+      if (!key) {
+        keys.set(name, { id: `${prefix}_${name}`, name, type });
+      } else if (key.type !== type) {
+        key.type = 'json';
+      }
+    });
+  });
+  return keys;
+}
+
+function valueType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'long' : 'double';
+  if (typeof value === 'string') return 'string';
+  return 'json';
+}
+
+function keyElement(key, target) {
+  const attrType = key.type === 'json' ? 'string' : key.type;
+  const open = `  <key id="${escapeXml(key.id)}" for="${target}" attr.name="${escapeXml(key.name)}" attr.type="${attrType}"`;
+  return key.type === 'json' ? `${open}><desc>json</desc></key>` : `${open}/>`;
+}
+
+function dataElement(key, value, indent) {
+  const text = key.type === 'json' ? JSON.stringify(value) : String(value);
+  return `${indent}<data key="${escapeXml(key.id)}">${escapeXml(text)}</data>`;
+}
+
+function decodeValue(text, key) {
+  if (key.json) return JSON.parse(text);
+  switch (key.type) {
+    case 'boolean':
+      return text.trim() === 'true';
+    case 'int':
+    case 'long':
+    case 'float':
+    case 'double':
+      return Number(text);
+    default:
+      return text;
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity];
+  });
+}
+
+function textContent(element) {
+  return element.children.map(child => typeof child === 'string' ? child : textContent(child)).join('');
+}
+
+/**
+ * Minimal XML parser: elements, attributes, text, CDATA and entities.
+ * Namespace prefixes are stripped from element names.
+ * @returns {{name: string, attributes: Object, children: Array}} Root element
+ */
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let position = 0;
+  let match;
+
+  while ((match = tagPattern.exec(text)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > position) {
+      current.children.push(decodeEntities(text.slice(position, match.index)));
+    }
+    position = tagPattern.lastIndex;
+
+    const [, cdata, closing, rawName, rawAttributes = '', selfClosing] = match;
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+      continue;
+    }
+    if (!rawName) continue;
+
+    const name = rawName.includes(':') ? rawName.split(':').pop() : rawName;
+    if (closing) {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Malformed XML: unexpected </${rawName}> at offset ${match.index}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const element = { name, attributes: {}, children: [] };
+    const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attribute;
+    while ((attribute = attributePattern.exec(rawAttributes)) !== null) {
+      element.attributes[attribute[1]] = decodeEntities(attribute[2] ?? attribute[3]);
+    }
+    current.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  const documentElement = root.children.find(child => typeof child !== 'string');
+  if (!documentElement) {
+    throw new Error('Malformed XML: no root element');
+  }
+  return documentElement;
+}
+
+export default GraphMLFormat;
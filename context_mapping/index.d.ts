@@ -0,0 +1,833 @@
+// Type declarations for the context-mapping library (index.js)
+
+import type { Page } from 'playwright';
+
+// ---------------------------------------------------------------------------
+// Website graph (website-graph.schema.json)
+// ---------------------------------------------------------------------------
+
+export type CredentialReference = string | { env: string } | { secret: string };
+
+export interface EnvironmentProfile {
+  baseUrl?: string;
+  baseUrlEnv?: string;
+  description?: string;
+}
+
+export interface GraphMetadata {
+  name: string;
+  version: string;
+  description?: string;
+  baseUrl: string;
+  defaultEnvironment?: string;
+  environments?: Record<string, EnvironmentProfile>;
+  lastUpdated?: string;
+  [key: string]: unknown;
+}
+
+export interface GraphElement {
+  id: string;
+  type: string;
+  selector?: string;
+  description: string;
+  [key: string]: unknown;
+}
+
+export interface GraphProduct {
+  id: number | string;
+  name: string;
+  price?: string;
+  category?: string;
+}
+
+export interface ComponentState {
+  id: string;
+  description: string;
+  default?: boolean;
+  elements?: string[];
+}
+
+export interface StateTransition {
+  from: string;
+  to: string;
+  trigger: string;
+  element?: string;
+  action?: string;
+  description?: string;
+}
+
+export interface StatePersistence {
+  storage: 'localStorage' | 'sessionStorage' | 'cookie' | 'url';
+  key: string;
+  values?: Record<string, string>;
+  description?: string;
+}
+
+export interface GraphNode {
+  id: string;
+  type: 'page' | 'component';
+  name: string;
+  description: string;
+  route?: string;
+  isPublic?: boolean;
+  requiresAuth?: boolean;
+  components?: string[];
+  appearsOn?: string[];
+  elements?: GraphElement[];
+  products?: GraphProduct[];
+  userFlow?: { entryPoint?: boolean; nextSteps?: string[]; actions?: string[] };
+  states?: ComponentState[];
+  stateTransitions?: StateTransition[];
+  statePersistence?: StatePersistence;
+  [key: string]: unknown;
+}
+
+export interface GraphEdge {
+  from: string;
+  to: string;
+  type: 'navigation' | 'interaction';
+  trigger: string;
+  selector?: string;
+  description?: string;
+  observed?: EdgeObservation;
+  [key: string]: unknown;
+}
+
+/** What recorded agent runs did with an edge (see RunLearner) */
+export interface EdgeObservation {
+  attempts: number;
+  successRate: number;
+  avgSteps?: number;
+  failures?: number;
+  runs: number;
+  lastSeen?: string;
+  lastFailure?: string;
+}
+
+export interface GraphAuthentication {
+  required: boolean;
+  publicPages: string[];
+  protectedPages: string[];
+  defaultCredentials?: { username: CredentialReference; password: CredentialReference; [key: string]: CredentialReference };
+  sessionStorage?: string;
+  redirectBehavior?: string;
+}
+
+export interface CommonPattern {
+  name: string;
+  steps: string[];
+}
+
+export interface WebsiteGraph {
+  metadata: GraphMetadata;
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  authentication?: GraphAuthentication;
+  commonPatterns?: CommonPattern[];
+}
+
+// ---------------------------------------------------------------------------
+// Context generation
+// ---------------------------------------------------------------------------
+
+export function estimateTokens(text: string): number;
+export function tokenize(text: string): string[];
+export function matchesRoute(pathname: string, route: string): boolean;
+
+export interface CredentialOptions {
+  /** Secrets file for {secret} references */
+  secretsFile?: string;
+}
+
+export interface FullContextOptions {
+  includeAuth?: boolean;
+  includeComponents?: boolean;
+  includeFlows?: boolean;
+  /** Token budget; lower-priority sections are summarised or dropped to fit */
+  maxTokens?: number;
+  /** Task description used to prioritise pages when pruning */
+  task?: string;
+  countTokens?: (text: string) => number;
+}
+
+export interface BudgetedContext {
+  context: string;
+  tokens: number;
+  maxTokens: number | null;
+  summarized: string[];
+  dropped: string[];
+}
+
+export interface RouteStep {
+  step: number;
+  action: string;
+  from: string | null;
+  to: string;
+  trigger: string;
+  selector: string | null;
+  expectedUrl: string;
+  description: string;
+  [key: string]: unknown;
+}
+
+export interface RoutePlan {
+  from: string;
+  to: string;
+  requiresLogin: boolean;
+  hops: number;
+  steps: RouteStep[];
+}
+
+export interface StateHint {
+  state: string;
+  hint: string;
+  selector: string | null;
+}
+
+export interface ContextModelElement {
+  id: string;
+  type: string;
+  description: string;
+  selector: string | null;
+  text: string | null;
+  placeholder: string | null;
+  /** States the element is rendered in; empty when always rendered */
+  states: string[];
+}
+
+export interface ContextModel {
+  site: { name: string; description: string | null; baseUrl: string; version: string; environment: string | null };
+  task: string | null;
+  auth: {
+    loginUrl: string;
+    publicPages: string[];
+    protectedPages: string[];
+    credentials: { username: string; password: string } | null;
+  } | null;
+  pages: Array<{
+    id: string;
+    name: string;
+    route: string;
+    url: string;
+    description: string;
+    requiresAuth: boolean;
+    actions: string[];
+    elements: ContextModelElement[];
+    products: Array<{ name: string; price: string; category: string }>;
+    links: Array<{ to: string; route: string | null; trigger: string; description: string }>;
+  }>;
+  components: Array<{
+    id: string;
+    name: string;
+    description: string;
+    position: string | null;
+    appearsOn: string[];
+    elements: ContextModelElement[];
+    defaultState: string | null;
+    states: Array<{ id: string; description: string }>;
+    persistence: StatePersistence | null;
+    hints: StateHint[];
+  }>;
+  reachable: Array<{ id: string; name: string; route: string; hops: number; from: string; trigger: string }>;
+  flows: CommonPattern[];
+}
+
+export type RenderMode = 'full' | 'task' | 'quick';
+
+export interface RenderOptions extends FullContextOptions {
+  /** Defaults to task when task is set, else full */
+  mode?: RenderMode;
+  maxPages?: number;
+  maxHops?: number;
+}
+
+export interface ContextRenderer {
+  name: string;
+  extension?: string;
+  description?: string;
+  renderFull(generator: ContextGenerator, options?: RenderOptions): string;
+  renderTask(generator: ContextGenerator, taskDescription: string, options?: RenderOptions): string;
+  renderQuickReference(generator: ContextGenerator, options?: RenderOptions): string;
+}
+
+export function listContextRenderers(): Array<{ name: string; extension: string; description: string }>;
+export function getContextRenderer(name: string): ContextRenderer;
+export function registerContextRenderer(renderer: ContextRenderer, options?: { replace?: boolean }): ContextRenderer;
+export function loadContextRendererPlugin(modulePath: string): Promise<string[]>;
+
+export class BrowserUseRenderer implements ContextRenderer {
+  name: 'browser-use';
+  extension: string;
+  description: string;
+  renderFull(generator: ContextGenerator, options?: RenderOptions): string;
+  renderTask(generator: ContextGenerator, taskDescription: string, options?: RenderOptions): string;
+  renderQuickReference(generator: ContextGenerator): string;
+}
+
+export class SitemapRenderer implements ContextRenderer {
+  name: 'agent-sitemap';
+  extension: string;
+  description: string;
+  renderFull(generator: ContextGenerator, options?: RenderOptions): string;
+  renderTask(generator: ContextGenerator, taskDescription: string, options?: RenderOptions): string;
+  renderQuickReference(generator: ContextGenerator, options?: RenderOptions): string;
+  render(model: ContextModel, options?: { quick?: boolean }): string;
+}
+
+export function toYaml(value: unknown, indent?: number): string;
+
+export class PlaywrightMcpRenderer implements ContextRenderer {
+  name: 'playwright-mcp';
+  extension: string;
+  description: string;
+  renderFull(generator: ContextGenerator, options?: RenderOptions): string;
+  renderTask(generator: ContextGenerator, taskDescription: string, options?: RenderOptions): string;
+  renderQuickReference(generator: ContextGenerator, options?: RenderOptions): string;
+  render(model: ContextModel, options?: { quick?: boolean }): string;
+}
+
+export class ComputerUseRenderer implements ContextRenderer {
+  name: 'computer-use';
+  extension: string;
+  description: string;
+  renderFull(generator: ContextGenerator, options?: RenderOptions): string;
+  renderTask(generator: ContextGenerator, taskDescription: string, options?: RenderOptions): string;
+  renderQuickReference(generator: ContextGenerator, options?: RenderOptions): string;
+  render(model: ContextModel, options?: { quick?: boolean }): string;
+}
+
+export class ContextGenerator {
+  constructor(graphPath?: string | null, options?: { environment?: string | null });
+  graph: WebsiteGraph;
+  environment: string | null;
+
+  listEnvironments(): Array<{ name: string; baseUrl: string | null; baseUrlEnv: string | null; description: string }>;
+  getBaseUrl(): string;
+  setEnvironment(environment: string | null): void;
+
+  generateFullContext(options?: FullContextOptions): string;
+  generateBudgetedContext(options?: FullContextOptions): BudgetedContext;
+  generateTaskContext(taskDescription: string, options?: { maxPages?: number; maxHops?: number }): string;
+  generateQuickReference(): string;
+  generateToolDefinitions(options?: { format?: ToolFormat }): object[];
+  renderContext(rendererName?: string, options?: RenderOptions): string;
+  buildContextModel(options?: { task?: string | null; maxPages?: number; maxHops?: number }): ContextModel;
+  taskNeedsAuth(pages: GraphNode[], nearbyPages: GraphNode[], components: GraphNode[]): boolean;
+
+  rankNodes(taskDescription: string): Array<{ node: GraphNode; score: number }>;
+  findRelevantPages(taskDescription: string, options?: { maxPages?: number }): GraphNode[];
+  findRelevantComponents(taskDescription: string): GraphNode[];
+  findNearbyPages(pageIds: string[], maxHops?: number): Array<{ page: GraphNode; hops: number; via: GraphEdge }>;
+
+  getGraph(): WebsiteGraph;
+  findNode(nodeId: string): GraphNode | null;
+  findLoginPage(): GraphNode | null;
+  getNavigationPaths(nodeId: string): GraphEdge[];
+
+  getDefaultState(node: GraphNode): ComponentState | null;
+  getElementStates(node: GraphNode, elementId: string): string[];
+  getStateHints(node: GraphNode): StateHint[];
+
+  describeCredentials(): Record<string, string> | null;
+  resolveCredentials(options?: CredentialOptions): Record<string, string> | null;
+  fillCredentials(text: string, options?: CredentialOptions): string;
+  redact(text: string, options?: CredentialOptions): string;
+
+  planRoute(fromId: string, toId: string, options?: { authenticated?: boolean }): RoutePlan | null;
+  findEdgeElement(edge: GraphEdge): GraphElement | null;
+  resolveUrl(route: string): string;
+  matchRoute(url: string): GraphNode | null;
+  formatRoutePlan(plan: RoutePlan): string;
+}
+
+export interface SiteOptions {
+  /** Registered site name or URL; generated files go to output/<site>/ */
+  site?: string | null;
+  /** Environment profile from metadata.environments */
+  environment?: string | null;
+}
+
+export class ContextFileGenerator {
+  constructor(options?: SiteOptions);
+  graphPath: string;
+  generator: ContextGenerator;
+  outputDir: string;
+  generateAll(): void;
+  generateRendererContexts(names: string[], options?: { task?: string | null }): string[];
+  generateTreeStructure(): string;
+  generateHTMLTreeMap(): string;
+}
+
+export class GraphExplorer {
+  constructor(options?: SiteOptions);
+  graphPath: string;
+  outputDir: string;
+  generator: ContextGenerator;
+  registry: GraphRegistry;
+
+  displayFullGraph(): void;
+  listPages(): void;
+  displayPageDetails(pageId: string): void;
+  displayNavigationPaths(pageId: string): boolean;
+  displayRoute(fromId: string, toId: string, options?: { json?: boolean; authenticated?: boolean }): boolean;
+  runQuery(text: string, options?: { json?: boolean }): QueryResult;
+  generateBrowserUseContext(outputPath?: string | null): void;
+  generateTaskContext(taskDescription: string, outputPath?: string | null, renderer?: string): void;
+  listRenderers(): void;
+  crawlSite(startUrl: string, options?: SiteCrawlerOptions & { output?: string }): Promise<void>;
+  analyzeSource(srcDir?: string | null, options?: SourceAnalyzerOptions & { output?: string; dryRun?: boolean; json?: boolean }): boolean;
+  validateGraph(graphPath?: string | null, options?: { json?: boolean }): boolean;
+  displayGraphDiff(oldPath: string, newPath: string, options?: { json?: boolean }): void;
+  displayHistory(options?: { json?: boolean }): void;
+  checkoutVersion(ref: string, outputPath?: string | null): GraphSnapshot | RunGraph;
+  snapshotGraph(reason?: string): GraphSnapshot | null;
+  formatSnapshot(snapshot: GraphSnapshot | null, graph: WebsiteGraph): string;
+  verifySelectors(options?: SelectorVerifierOptions & { pages?: string[] | null; json?: boolean }): Promise<boolean>;
+  displayCoverage(sources?: string[], options?: { json?: boolean }): CoverageReport;
+  exportGraph(formatName: string, outputPath?: string | null): string;
+  exportAgentTools(format?: ToolFormat, outputPath?: string | null): string;
+  importGraph(inputPath: string, options?: { format?: string; output?: string }): boolean;
+  generatePageObjects(outputDir?: string | null): string[];
+  generateFlowTests(outputDir?: string | null): CompiledFlow[];
+  listSites(): void;
+  registerSite(site: string, graphFile: string, options?: { makeDefault?: boolean }): void;
+}
+
+export interface QueryResult {
+  source: 'nodes' | 'pages' | 'components' | 'elements' | 'products' | 'edges';
+  columns: string[];
+  /** Rows keyed by column; nodes are reduced to their ids */
+  rows: Array<Record<string, unknown>>;
+}
+
+export class GraphQuery {
+  constructor(generator: ContextGenerator);
+  run(text: string): QueryResult;
+  parse(text: string): { source: string; where: object | null; select: object[] | null; sort: object | null; limit: number | null };
+  formatTable(result: QueryResult): string;
+}
+
+export interface RegistryEntry {
+  site: string;
+  name: string;
+  baseUrl: string;
+  graph: string;
+  isDefault: boolean;
+}
+
+export class GraphRegistry {
+  constructor(registryDir?: string | null);
+  registryDir: string;
+  list(): RegistryEntry[];
+  resolve(siteOrUrl: string): RegistryEntry;
+  createGenerator(siteOrUrl?: string | null, options?: { environment?: string | null }): ContextGenerator;
+  outputDir(siteOrUrl: string): string;
+  register(site: string, graphFile: string, options?: { makeDefault?: boolean }): RegistryEntry;
+  unregister(site: string): void;
+  save(): void;
+}
+
+export function extractFlag(argv: string[], name: string): { value: string | null; args: string[] };
+export function extractSiteFlag(argv: string[]): { site: string | null; args: string[] };
+
+export function defaultSecretsFile(): string;
+export function isSecretReference(value: unknown): boolean;
+export function credentialPlaceholder(key: string): string;
+export function describeCredential(value: CredentialReference): string;
+export function resolveCredential(value: CredentialReference, options?: CredentialOptions): string;
+export function fillCredentials(text: string, credentials: Record<string, string>): string;
+export function redactCredentials(text: string, credentials: Record<string, string>): string;
+
+// ---------------------------------------------------------------------------
+// Building and checking graphs
+// ---------------------------------------------------------------------------
+
+export interface ValidationError {
+  path: string;
+  rule: string;
+  message: string;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: ValidationError[];
+}
+
+export class GraphValidator {
+  constructor(schemaPath?: string | null);
+  validateFile(graphPath: string): ValidationResult;
+  validate(graph: WebsiteGraph): ValidationResult;
+}
+
+export function resolveComponent(ref: string, components: GraphNode[]): GraphNode | null;
+export function extractRoutes(text: string): string[];
+
+export class GraphDiff {
+  diff(oldGraph: WebsiteGraph, newGraph: WebsiteGraph): { hasChanges: boolean; summary: Record<string, number>; [key: string]: unknown };
+  formatText(result: ReturnType<GraphDiff['diff']>): string;
+}
+
+export type VersionBump = 'initial' | 'major' | 'minor' | 'patch';
+
+export interface GraphSnapshot {
+  version: string;
+  timestamp: string;
+  bump: VersionBump;
+  reason: string;
+  file: string;
+  summary: Record<string, number> | null;
+}
+
+export interface RunGraphRecord {
+  graphVersion: string;
+  sha256: string;
+  file: string;
+}
+
+export interface RunGraph {
+  graph: WebsiteGraph;
+  version: string;
+  source: string;
+  verified: boolean;
+  entry: GraphSnapshot | null;
+}
+
+export class GraphHistory {
+  constructor(graphPath: string, options?: { historyDir?: string });
+  graphPath: string;
+  historyDir: string;
+  indexPath: string;
+  changelogPath: string;
+  list(): GraphSnapshot[];
+  latest(): GraphSnapshot | null;
+  load(entry: GraphSnapshot): WebsiteGraph;
+  resolve(ref: string): GraphSnapshot;
+  static recordRun(runDir: string, graph: WebsiteGraph): RunGraphRecord;
+  loadRun(taskResultPath: string): RunGraph;
+  classify(oldGraph: WebsiteGraph, newGraph: WebsiteGraph): { bump: Exclude<VersionBump, 'initial'> | null; diff: ReturnType<GraphDiff['diff']> };
+  record(graph: WebsiteGraph, options?: { reason?: string; date?: Date }): GraphSnapshot | null;
+  save(graph: WebsiteGraph, options?: { reason?: string; date?: Date }): GraphSnapshot | null;
+  write(graph: WebsiteGraph): void;
+  appendChangelog(entry: GraphSnapshot, diff: ReturnType<GraphDiff['diff']> | null, graph: WebsiteGraph): void;
+  formatChangelogEntry(entry: GraphSnapshot, diff: ReturnType<GraphDiff['diff']> | null): string;
+  formatText(currentVersion?: string | null): string;
+}
+
+export function bumpVersion(version: string, bump: 'major' | 'minor' | 'patch'): string;
+export function graphHash(graph: WebsiteGraph): string;
+
+export interface SiteCrawlerOptions {
+  seedGraph?: WebsiteGraph;
+  maxPages?: number;
+  headless?: boolean;
+  probeButtons?: boolean;
+  timeout?: number;
+}
+
+export class SiteCrawler {
+  constructor(options?: SiteCrawlerOptions);
+  crawl(startUrl: string): Promise<WebsiteGraph>;
+}
+
+export function slugify(text: string): string;
+
+export interface SourceAnalyzerOptions {
+  srcDir?: string;
+  entry?: string;
+  guards?: string[];
+  ignore?: string[];
+}
+
+export interface SourceExtraction {
+  srcDir: string;
+  entry: string;
+  loginRoute: string | null;
+  pages: object[];
+  components: object[];
+  edges: object[];
+  skipped: object[];
+}
+
+export interface SourceMergeResult {
+  graph: WebsiteGraph;
+  changes: Array<{ target: string; message: string }>;
+  warnings: string[];
+}
+
+export class SourceAnalyzer {
+  constructor(options?: SourceAnalyzerOptions);
+  analyze(): SourceExtraction;
+  merge(graph: WebsiteGraph, extraction: SourceExtraction): SourceMergeResult;
+  formatText(extraction: SourceExtraction, result: SourceMergeResult): string;
+}
+
+export function formatGraphJson(graph: WebsiteGraph): string;
+
+export interface TsxProgram {
+  type: 'Program';
+  /** The File node returned by @babel/parser */
+  ast: object;
+  imports: object[];
+  jsx: object[];
+  calls: object[];
+  declarations: object[];
+  /** Name of the enclosing function for each JSX element and call */
+  scopes: Map<object, string | null>;
+}
+
+export function parseModule(source: string, fileName?: string): TsxProgram;
+export function walkJsx(nodes: object | object[], visit: (element: any, ancestors: any[]) => void, ancestors?: any[]): void;
+export function jsxName(node: object | null | undefined): string | null;
+export function jsxAttribute(element: object, name: string): unknown;
+export function jsxText(element: object): string;
+export function literalValue(node: object | null | undefined): string | undefined;
+
+export interface SelectorVerifierOptions {
+  baseUrl?: string | null;
+  headless?: boolean;
+  timeout?: number;
+}
+
+export interface SelectorReport {
+  baseUrl: string;
+  checkedAt: string;
+  login?: { loggedIn: boolean; selector?: string; error?: string };
+  pages: Array<{ id: string; route: string; url: string; reachable: boolean; elements: object[]; [key: string]: unknown }>;
+  summary: {
+    checked: number;
+    unique: number;
+    ambiguous: number;
+    missing: number;
+    invalid: number;
+    unreached: number;
+    hidden: number;
+    unreachablePages: number;
+    loginFailed: boolean;
+    healthy: boolean;
+  };
+}
+
+export class SelectorVerifier {
+  constructor(generator: ContextGenerator, options?: SelectorVerifierOptions);
+  verify(pageIds?: string[] | null): Promise<SelectorReport>;
+  formatText(report: SelectorReport): string;
+}
+
+export interface CoverageReport {
+  runs: object[];
+  summary: { pages: object; elements: object; edges: object };
+  pages: object[];
+  elements: object[];
+  edges: object[];
+  gaps: object;
+}
+
+export class CoverageAnalyzer {
+  constructor(generator: ContextGenerator);
+  findRunFiles(sources?: string[]): string[];
+  analyze(sources?: string[]): CoverageReport;
+  formatText(report: CoverageReport): string;
+  formatHtml(report: CoverageReport): string;
+}
+
+export interface LearnedEdgeFailure {
+  from: string;
+  to: string;
+  trigger: string;
+  run: string;
+  step: number;
+  outcome: string;
+  reason: string | null;
+}
+
+export interface LearningReport {
+  graph: string;
+  version: string;
+  generatedAt: string;
+  runs: object[];
+  summary: {
+    runs: number;
+    transitions: number;
+    directNavigations: number;
+    observedEdges: number;
+    proposedEdges: number;
+    flaggedEdges: number;
+  };
+  edges: Array<{ from: string; to: string; type: GraphEdge['type']; trigger: string; observed: EdgeObservation }>;
+  proposals: Array<{ edge: GraphEdge; evidence: Array<{ run: string; step: number; goal: string | null }> }>;
+  failures: LearnedEdgeFailure[];
+}
+
+export class RunLearner {
+  constructor(generator: ContextGenerator);
+  learn(sources?: string[]): LearningReport;
+  buildGraph(report: LearningReport): WebsiteGraph;
+  formatText(report: LearningReport): string;
+}
+
+export function unifiedDiff(
+  oldText: string,
+  newText: string,
+  options?: { fromFile?: string; toFile?: string; context?: number }
+): string;
+
+// ---------------------------------------------------------------------------
+// Exchange formats
+// ---------------------------------------------------------------------------
+
+export interface GraphFormat {
+  name: string;
+  extension: string;
+  serialize(graph: WebsiteGraph): string;
+  parse(text: string): WebsiteGraph;
+}
+
+export function listGraphFormats(): Array<{ name: string; extension: string }>;
+export function getGraphFormat(name: string): GraphFormat;
+export function detectGraphFormat(filePath: string): GraphFormat;
+
+export class GraphMLFormat implements GraphFormat {
+  name: string;
+  extension: string;
+  serialize(graph: WebsiteGraph): string;
+  parse(text: string): WebsiteGraph;
+}
+
+export class CypherFormat implements GraphFormat {
+  name: string;
+  extension: string;
+  serialize(graph: WebsiteGraph): string;
+  parse(text: string): WebsiteGraph;
+}
+
+export class JsonLdFormat implements GraphFormat {
+  name: string;
+  extension: string;
+  serialize(graph: WebsiteGraph): string;
+  parse(text: string): WebsiteGraph;
+}
+
+// ---------------------------------------------------------------------------
+// Code and agent tooling
+// ---------------------------------------------------------------------------
+
+export interface GeneratedFile {
+  file: string;
+  content: string;
+}
+
+export class PageObjectGenerator {
+  constructor(generator: ContextGenerator);
+  generate(): GeneratedFile[];
+  generatePage(page: GraphNode): string;
+  generateComponent(component: GraphNode): string;
+}
+
+export function pascalCase(text: string): string;
+export function camelCase(text: string): string;
+export function actionVerb(element: GraphElement): string | null;
+
+export interface CompiledFlow {
+  name: string;
+  file?: string;
+  steps: Array<{ number: number; text: string; resolved: boolean; reason?: string; [key: string]: unknown }>;
+}
+
+export class FlowTestGenerator {
+  constructor(generator: ContextGenerator);
+  generate(outputDir: string): { files: GeneratedFile[]; flows: CompiledFlow[] };
+  compile(pattern: CommonPattern): CompiledFlow;
+}
+
+export type ToolFormat = 'openai' | 'anthropic';
+
+export const TOOL_FORMATS: ToolFormat[];
+
+export interface AgentTool {
+  name: 'navigate_to' | 'click' | 'fill' | 'open_component';
+  description: string;
+  /** JSON Schema of the arguments */
+  parameters: object;
+}
+
+export interface ToolTargets {
+  pages: Map<string, GraphNode>;
+  elements: Map<string, { owner: GraphNode; element: GraphElement }>;
+  components: Map<string, StateHint & { node: GraphNode }>;
+}
+
+export function collectToolTargets(generator: ContextGenerator): ToolTargets;
+export function buildAgentTools(generator: ContextGenerator): AgentTool[];
+export function formatTools(tools: AgentTool[], format?: ToolFormat): object[];
+
+export type ToolResult =
+  | { ok: true; message: string; page: string | null; url: string }
+  | { ok: false; error: string; page: string | null; url: string };
+
+export class ToolExecutor {
+  constructor(generator: ContextGenerator, page: Page, options?: { baseUrl?: string | null; timeout?: number; secretsFile?: string });
+  /** OpenAI tool call ({ function: { name, arguments } }) or Anthropic tool_use block ({ name, input }) */
+  executeCall(call: { function: { name: string; arguments?: string } } | { name: string; input?: object }): Promise<ToolResult>;
+  execute(name: string, args?: Record<string, unknown>): Promise<ToolResult>;
+  currentPage(): GraphNode | null;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+export class VisualGraphGenerator {
+  constructor(options?: { site?: string | null; environment?: string | null });
+  generateMermaidDiagram(): string;
+  generateDotFormat(): string;
+  generateSvg(): string;
+  generateTextTree(): string;
+  saveAllFormats(): void;
+}
+
+export class PNGVisualizationGenerator {
+  constructor(options?: { site?: string | null; environment?: string | null; scale?: number; engine?: 'auto' | 'resvg' | 'builtin' });
+  generateSourceFiles(): void;
+  generateBuiltin(): Promise<boolean>;
+  generateAll(): Promise<void>;
+}
+
+export class TreeRenderer {
+  render(graph: WebsiteGraph, options?: { startId?: string; indent?: string }): string;
+  buildTree(graph: WebsiteGraph, options?: { startId?: string }): object[];
+}
+
+export class TreeMapRenderer {
+  render(graph: WebsiteGraph, options?: { baseUrl?: string; coverage?: CoverageReport | null }): string;
+  buildData(graph: WebsiteGraph, coverage?: CoverageReport | null): { nodes: object[]; edges: object[]; coverage: boolean };
+  applyCoverage(nodes: object[], edges: object[], coverage: CoverageReport): void;
+}
+
+export interface SvgScene {
+  width: number;
+  height: number;
+  background: string;
+  shapes: object[];
+}
+
+export class SvgGraphRenderer {
+  render(graph: WebsiteGraph): string;
+  layout(graph: WebsiteGraph): SvgScene;
+  toSvg(scene: SvgScene): string;
+}
+
+export function textWidth(text: string, size: number): number;
+export function quadraticPoint(points: number[][], t: number): number[];
+
+export class PngRasterizer {
+  constructor(options?: { scale?: number; engine?: 'auto' | 'resvg' | 'builtin' });
+  rasterize(scene: SvgScene, svg: string): Promise<{ png: Buffer; engine: string }>;
+  drawScene(scene: SvgScene): Buffer;
+}
+
+// ---------------------------------------------------------------------------
+// Command line
+// ---------------------------------------------------------------------------
+
+/** Run the context-map CLI in-process; resolves to the exit code */
+export function runCli(argv: string[]): Promise<number>;
@@ -0,0 +1,73 @@
+/**
+ * Context Mapping library
+ *
+ * Single entry point for using the website graph in-process. Importing it,
+ * or any module it re-exports, reads, writes and prints nothing; files are
+ * only touched when a method is called. The command line lives in cli.js
+ * (the context-map binary), and runCli() runs it in-process.
+ */
+
+// Graph and context
+export { default as ContextGenerator, estimateTokens, matchesRoute, tokenize } from './context-generator.js';
+export { default as ContextFileGenerator } from './generate-context.js';
+export { default as GraphExplorer } from './explore-graph.js';
+export { default as GraphRegistry, extractFlag, extractSiteFlag } from './graph-registry.js';
+export { default as GraphQuery } from './graph-query.js';
+export {
+  getContextRenderer,
+  listContextRenderers,
+  loadContextRendererPlugin,
+  registerContextRenderer
+} from './context-renderers.js';
+export { default as BrowserUseRenderer } from './browser-use-renderer.js';
+export { default as SitemapRenderer, toYaml } from './sitemap-renderer.js';
+export { default as PlaywrightMcpRenderer } from './playwright-mcp-renderer.js';
+export { default as ComputerUseRenderer } from './computer-use-renderer.js';
+export {
+  credentialPlaceholder,
+  defaultSecretsFile,
+  describeCredential,
+  fillCredentials,
+  isSecretReference,
+  redactCredentials,
+  resolveCredential
+} from './credentials.js';
+
+// Building and checking graphs
+export { default as GraphValidator, resolveComponent, extractRoutes } from './graph-validator.js';
+export { default as GraphDiff } from './graph-diff.js';
+export { default as GraphHistory, bumpVersion, graphHash } from './graph-history.js';
+export { default as SiteCrawler, slugify } from './site-crawler.js';
+export { default as SourceAnalyzer, formatGraphJson } from './source-analyzer.js';
+export { parseModule, walkJsx, jsxName, jsxAttribute, jsxText, literalValue } from './tsx-parser.js';
+export { default as SelectorVerifier } from './selector-verifier.js';
+export { default as CoverageAnalyzer } from './coverage-analyzer.js';
+export { default as RunLearner, unifiedDiff } from './run-learner.js';
+
+// Exchange formats
+export { getGraphFormat, detectGraphFormat, listGraphFormats } from './graph-formats.js';
+export { default as GraphMLFormat } from './graphml-format.js';
+export { default as CypherFormat } from './cypher-format.js';
+export { default as JsonLdFormat } from './jsonld-format.js';
+
+// Code and agent tooling
+export { default as PageObjectGenerator, pascalCase, camelCase, actionVerb } from './page-object-generator.js';
+export { default as FlowTestGenerator } from './flow-test-generator.js';
+export {
+  default as ToolExecutor,
+  TOOL_FORMATS,
+  buildAgentTools,
+  collectToolTargets,
+  formatTools
+} from './agent-tools.js';
+
+// Rendering
+export { default as VisualGraphGenerator } from './generate-visual.js';
+export { default as PNGVisualizationGenerator } from './generate-png-visualization.js';
+export { default as TreeRenderer } from './tree-renderer.js';
+export { default as TreeMapRenderer } from './tree-map-renderer.js';
+export { default as SvgGraphRenderer, textWidth, quadraticPoint } from './svg-renderer.js';
+export { default as PngRasterizer } from './png-rasterizer.js';
+
+// Command line
+export { run as runCli } from './cli.js';
@@ -0,0 +1,222 @@
+const SCHEMA_ORG = 'https://schema.org/';
+const GRAPH_VOCABULARY = 'urn:website-graph:';
+
+// Graph keys with a schema.org (or fixed vocabulary) term; everything else
+// becomes a term of its own name in the website-graph vocabulary
+const METADATA_TERMS = { name: 'name', version: 'version', description: 'description', baseUrl: 'url', lastUpdated: 'dateModified' };
+const NODE_TERMS = { id: 'identifier', type: 'nodeType', name: 'name', description: 'description', route: 'route', requiresAuth: 'requiresAuth' };
+const ELEMENT_TERMS = { id: 'identifier', type: 'elementType', selector: 'cssSelector', description: 'description', text: 'text' };
+const PRODUCT_TERMS = { id: 'identifier', name: 'name', category: 'category' };
+const EDGE_TERMS = { from: 'source', to: 'target', type: 'edgeType', trigger: 'trigger', description: 'description' };
+
+// Terms resolved through @vocab (schema.org) or defined in buildContext
+const SCHEMA_TERMS = new Set([
+  'name', 'version', 'description', 'url', 'dateModified', 'identifier', 'cssSelector', 'text',
+  'category', 'hasPart', 'mainEntity', 'itemListElement', 'offers', 'price', 'links', 'source', 'target'
+]);
+
+/**
+ * JSON-LD Format
+ *
+ * Converts a website graph to JSON-LD using the schema.org vocabulary, and
+ * back. The document is a `WebSite` built from metadata. Its `hasPart` list
+ * holds one `WebPage` per page and one `WebPageElement` per component.
+ * Page elements are `WebPageElement`s with a `cssSelector`, and products are
+ * `Product`s with an `Offer` in the page's `mainEntity` ItemList. Edges are
+ * `Edge` entries in `links`, whose source and target point at node @ids.
+ * Graph properties with no schema.org equivalent (route, requiresAuth,
+ * userFlow...) are terms of the website-graph vocabulary. Nested values are
+ * typed @json so their exact shape survives. Top-level sections
+ * (authentication, commonPatterns) are named in `graphSections`.
+ *
+ * The importer reads the compacted form written here. Documents from other
+ * JSON-LD tools should be compacted with the same @context first.
+ */
+class JsonLdFormat {
+  constructor() {
+    this.name = 'jsonld';
+    this.extension = '.jsonld';
+  }
+
+  /**
+   * Serialize a graph to a JSON-LD document
+   * @param {Object} graph - Website graph
+   * @returns {string} JSON-LD document
+   */
+  serialize(graph) {
+    const { metadata = {}, nodes, edges, ...sections } = graph;
+    const customTerms = new Map();
+    const baseUrl = (metadata.baseUrl || '').replace(/\/$/, '');
+    const nodeIri = id => `${baseUrl}/#${encodeURIComponent(id)}`;
+
+    const nodeParts = nodes.map(node => {
+      const isPage = node.type === 'page';
+      const part = {
+        '@type': isPage ? 'WebPage' : 'WebPageElement',
+        '@id': nodeIri(node.id)
+      };
+      if (isPage && node.route !== undefined) {
+        part.url = baseUrl + node.route;
+      }
+      return mapObject(node, NODE_TERMS, customTerms, part, (key, value) => {
+        if (key === 'elements' && Array.isArray(value)) {
+          return ['hasPart', value.map(element =>
+            mapObject(element, ELEMENT_TERMS, customTerms, { '@type': 'WebPageElement' }))];
+        }
+        if (key === 'products' && Array.isArray(value)) {
+          return ['mainEntity', {
+            '@type': 'ItemList',
+            itemListElement: value.map(product => mapObject(product, PRODUCT_TERMS, customTerms, { '@type': 'Product' },
+              (productKey, price) => productKey === 'price' ? ['offers', { '@type': 'Offer', price }] : null))
+          }];
+        }
+        return null;
+      });
+    });
+
+    const links = edges.map(edge => mapObject(edge, EDGE_TERMS, customTerms, { '@type': 'Edge' }, (key, value) =>
+      key === 'from' || key === 'to' ? [EDGE_TERMS[key], nodeIri(value)] : null
+    ));
+
+    const site = mapObject(metadata, METADATA_TERMS, customTerms, {
+      '@type': 'WebSite',
+      '@id': `${baseUrl}/`
+    });
+    site.hasPart = nodeParts;
+    site.links = links;
+    Object.entries(sections).forEach(([key, value]) => {
+      registerTerm(customTerms, key, value);
+      site[key] = value;
+    });
+    const sectionNames = Object.keys(sections);
+    if (sectionNames.length > 0) {
+      registerTerm(customTerms, 'graphSections', sectionNames);
+      site.graphSections = sectionNames;
+    }
+
+    return JSON.stringify({ '@context': buildContext(customTerms), ...site }, null, 2) + '\n';
+  }
+
+  /**
+   * Parse a JSON-LD document back into a website graph
+   * @param {string} text - JSON-LD document
+   * @returns {Object} Website graph
+   */
+  parse(text) {
+    const document = JSON.parse(text);
+    if (document['@type'] !== 'WebSite') {
+      throw new Error(`Expected a WebSite document, found @type ${JSON.stringify(document['@type'])}`);
+    }
+
+    const { hasPart = [], links = [], graphSections = [], ...siteProperties } = document;
+    const sections = {};
+    const metadataProperties = {};
+    Object.entries(siteProperties).forEach(([key, value]) => {
+      if (graphSections.includes(key)) {
+        sections[key] = value;
+      } else {
+        metadataProperties[key] = value;
+      }
+    });
+
+    const idsByIri = new Map();
+    const nodes = hasPart.map(part => {
+      const node = unmapObject(part, NODE_TERMS, ['url'], (term, value) => {
+        if (term === 'hasPart') {
+          return ['elements', value.map(element => unmapObject(element, ELEMENT_TERMS))];
+        }
+        if (term === 'mainEntity') {
+          return ['products', (value.itemListElement || []).map(product => unmapObject(product, PRODUCT_TERMS, [],
+            (productTerm, offer) => productTerm === 'offers' ? ['price', offer.price] : null))];
+        }
+        return null;
+      });
+      if (node.id === undefined) {
+        throw new Error(`${part['@type']} ${part['@id'] || ''} has no identifier`);
+      }
+      if (node.type === undefined) {
+        node.type = part['@type'] === 'WebPage' ? 'page' : 'component';
+      }
+      idsByIri.set(part['@id'], node.id);
+      return node;
+    });
+
+    const edges = links.map(link => unmapObject(link, EDGE_TERMS, [], (term, value) => {
+      if (term !== 'source' && term !== 'target') return null;
+      const iri = typeof value === 'object' && value !== null ? value['@id'] : value;
+      if (!idsByIri.has(iri)) {
+        throw new Error(`Edge ${term} ${iri} does not match any node @id`);
+      }
+      return [term === 'source' ? 'from' : 'to', idsByIri.get(iri)];
+    }));
+
+    return { metadata: unmapObject(metadataProperties, METADATA_TERMS), nodes, edges, ...sections };
+  }
+}
+
+/**
+ * Copy an object's properties under their JSON-LD terms, in the same order.
+ * `convert(key, value)` may return [term, value] for a special case.
+ */
+function mapObject(object, terms, customTerms, target = {}, convert = () => null) {
+  Object.entries(object).forEach(([key, value]) => {
+    const converted = convert(key, value);
+    if (converted) {
+      target[converted[0]] = converted[1];
+    } else if (terms[key]) {
+      registerTerm(customTerms, terms[key], value);
+      target[terms[key]] = value;
+    } else {
+      registerTerm(customTerms, key, value);
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Inverse of mapObject; @type, @id and the listed derived terms are dropped
+ */
+function unmapObject(object, terms, derived = [], convert = () => null) {
+  const keysByTerm = Object.fromEntries(Object.entries(terms).map(([key, term]) => [term, key]));
+  const result = {};
+  Object.entries(object).forEach(([term, value]) => {
+    if (term.startsWith('@') || derived.includes(term)) return;
+    const converted = convert(term, value);
+    if (converted) {
+      result[converted[0]] = converted[1];
+    } else {
+      result[keysByTerm[term] || term] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Remember a term that is not schema.org, and whether it needs @json
+ */
+function registerTerm(customTerms, term, value) {
+  if (SCHEMA_TERMS.has(term)) return;
+  const nested = value !== null && typeof value === 'object';
+  customTerms.set(term, customTerms.get(term) || nested);
+}
+
+function buildContext(customTerms) {
+  const context = {
+    '@vocab': SCHEMA_ORG,
+    wg: GRAPH_VOCABULARY,
+    Edge: 'wg:Edge',
+    hasPart: { '@container': '@list' },
+    itemListElement: { '@container': '@list' },
+    links: { '@id': 'wg:links', '@container': '@list' },
+    source: { '@id': 'wg:source', '@type': '@id' },
+    target: { '@id': 'wg:target', '@type': '@id' }
+  };
+  customTerms.forEach((nested, term) => {
+    if (context[term]) return;
+    context[term] = nested ? { '@id': `wg:${term}`, '@type': '@json' } : `wg:${term}`;
+  });
+  return context;
+}
+
+export default JsonLdFormat;
@@ -0,0 +1,438 @@
+import { matchesRoute } from './context-generator.js';
+
+// Element types that get an action method besides their locator getter
+const CLICKABLE_TYPES = ['button', 'link', 'checkbox', 'radio', 'tab'];
+const FILLABLE_TYPES = ['input', 'textarea'];
+
+// Verbs looked up in an element's description to name its action method
+// ("Floating button to open chat" → open()); ids are the fallback
+const ACTION_VERBS = [
+  'open', 'close', 'send', 'submit', 'search', 'add', 'remove', 'delete', 'save', 'cancel',
+  'toggle', 'login', 'logout', 'select', 'expand', 'collapse', 'next', 'previous'
+];
+// Buttons with these verbs type their text first when the owner has one input
+const TEXT_ACTIONS = ['send', 'search'];
+
+/**
+ * Page Object Generator
+ *
+ * Generates Playwright page-object modules from the website graph:
+ *   - one class per page (LoginPage) with `static route`, a locator getter
+ *     per element (usernameInput), fill and click methods (fillUsername,
+ *     submit), an accessor per component shown on the page (chatAssistant)
+ *     and one method per navigation edge that performs the edge and returns
+ *     the target page object once its route is reached (login(username,
+ *     password) → HomePage, goToMen() → MenPage, logout() → LoginPage)
+ *   - one class per component (ChatAssistant) with the same getters and
+ *     methods; a send/search button next to the component's only input
+ *     becomes send(text)
+ * Edge steps come from ContextGenerator.buildRouteSteps, so the code clicks
+ * the same selectors that route plans give to agents.
+ */
+class PageObjectGenerator {
+  /**
+   * @param {ContextGenerator} generator - Generator for the graph to compile
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.graph = generator.getGraph();
+    this.classNames = new Map(this.graph.nodes.map(node => [
+      node.id,
+      node.type === 'page' ? `${pascalCase(node.id)}Page` : pascalCase(node.id)
+    ]));
+  }
+
+  /**
+   * Generate every module
+   * @returns {Array<{file: string, content: string}>} Files relative to the output directory
+   */
+  generate() {
+    const pages = this.graph.nodes.filter(node => node.type === 'page');
+    const components = this.graph.nodes.filter(node => node.type !== 'page');
+    return [
+      { file: 'base-page.js', content: this.generateBasePage() },
+      { file: 'base-component.js', content: this.generateBaseComponent() },
+      ...pages.map(page => ({ file: this.fileName(page.id), content: this.generatePage(page) })),
+      ...components.map(component => ({ file: this.fileName(component.id), content: this.generateComponent(component) })),
+      { file: 'index.js', content: this.generateIndex() }
+    ];
+  }
+
+  fileName(nodeId) {
+    return `${kebabCase(this.classNames.get(nodeId))}.js`;
+  }
+
+  header() {
+    const { name, version } = this.graph.metadata;
+    return [
+      `// Generated by \`npm run codegen\` from ${name} v${version}.`,
+      '// Do not edit: change website-graph.json and regenerate.'
+    ].join('\n');
+  }
+
+  generateBasePage() {
+    return `${this.header()}
+
+export const BASE_URL = ${JSON.stringify(this.generator.getBaseUrl())};
+
+/**
+ * Base class of the generated page objects
+ */
+export default class BasePage {
+  static id = null;
+  static route = '/';
+
+  /**
+   * @param {import('playwright').Page} page - Playwright page
+   * @param {string} baseUrl - Site origin, defaults to the graph's base URL
+   */
+  constructor(page, baseUrl = BASE_URL) {
+    this.page = page;
+    this.baseUrl = baseUrl.replace(/\\/$/, '');
+  }
+
+  /**
+   * Open this page by URL
+   * @param {Object} params - Values for :param segments of the route
+   * @returns {Promise<this>}
+   */
+  async goto(params = {}) {
+    const route = this.constructor.route.replace(/:(\\w+)/g, (match, name) =>
+      params[name] !== undefined ? encodeURIComponent(params[name]) : match);
+    await this.page.goto(this.baseUrl + route);
+    return this;
+  }
+
+  /**
+   * Wait until the browser shows this page's route
+   * @param {Object} options - Options for page.waitForURL (e.g. timeout)
+   * @returns {Promise<this>}
+   */
+  async waitForRoute(options = {}) {
+    await this.page.waitForURL(url => this.constructor.matchesRoute(url.pathname), options);
+    return this;
+  }
+
+  /**
+   * Whether a URL path belongs to this page (:param segments match any value)
+   * @param {string} pathname - URL path
+   * @returns {boolean}
+   */
+  static matchesRoute(pathname) {
+    return matchesRoute(pathname, this.route);
+  }
+}
+
+${matchesRoute}
+`;
+  }
+
+  generateBaseComponent() {
+    return `${this.header()}
+
+/**
+ * Base class of the generated component objects
+ */
+export default class BaseComponent {
+  static id = null;
+
+  /**
+   * @param {import('playwright').Page} page - Playwright page
+   * @param {import('playwright').Locator} root - Scope for the locators, e.g. one card of a grid (defaults to the whole page)
+   */
+  constructor(page, root = null) {
+    this.page = page;
+    this.root = root || page;
+  }
+
+  locator(selector) {
+    return this.root.locator(selector);
+  }
+}
+`;
+  }
+
+  /**
+   * Generate the module for one page node
+   * @param {Object} page - Page node
+   * @returns {string} Module source
+   */
+  generatePage(page) {
+    const className = this.classNames.get(page.id);
+    const used = new Set();
+    const imports = new Set();
+    const edgeElements = new Set();
+    const members = [];
+
+    members.push(...this.componentAccessors(page, used, imports));
+
+    // Edges first, so elements whose click is the whole edge get no extra method
+    const edgeMethods = this.generator.getNavigationPaths(page.id)
+      .filter(edge => this.graph.nodes.some(node => node.id === edge.to && node.type === 'page'))
+      .map(edge => this.edgeMethod(page, edge, used, imports, edgeElements));
+
+    members.push(...this.elementMembers(page, 'this.page.locator', used, edgeElements));
+    members.push(...edgeMethods);
+
+    const importLines = [`import BasePage from './base-page.js';`];
+    [...imports].filter(id => id !== page.id).forEach(id => {
+      importLines.push(`import ${this.classNames.get(id)} from './${this.fileName(id)}';`);
+    });
+
+    return `${this.header()}
+
+${importLines.join('\n')}
+
+/**
+ * ${docText(page.name)} (${page.route})
+ *
+ * ${docText(page.description || '')}
+ */
+export default class ${className} extends BasePage {
+  static id = ${JSON.stringify(page.id)};
+  static route = ${JSON.stringify(page.route)};
+
+${members.join('\n\n')}
+}
+`;
+  }
+
+  /**
+   * Generate the module for one component node
+   * @param {Object} component - Component node
+   * @returns {string} Module source
+   */
+  generateComponent(component) {
+    const className = this.classNames.get(component.id);
+    const members = this.elementMembers(component, 'this.locator', new Set(), new Set());
+    const appearsOn = (component.appearsOn || []).join(', ');
+
+    return `${this.header()}
+
+import BaseComponent from './base-component.js';
+
+/**
+ * ${docText(component.name)}${appearsOn ? ` (on ${appearsOn})` : ''}
+ *
+ * ${docText(component.description || '')}
+ */
+export default class ${className} extends BaseComponent {
+  static id = ${JSON.stringify(component.id)};
+${members.length > 0 ? `\n${members.join('\n\n')}\n` : ''}}
+`;
+  }
+
+  generateIndex() {
+    const lines = [this.header(), '', `export { default as BasePage, BASE_URL } from './base-page.js';`,
+      `export { default as BaseComponent } from './base-component.js';`];
+    this.graph.nodes.forEach(node => {
+      lines.push(`export { default as ${this.classNames.get(node.id)} } from './${this.fileName(node.id)}';`);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Accessors for the components shown on a page (appearsOn)
+   */
+  componentAccessors(page, used, imports) {
+    return this.graph.nodes
+      .filter(node => node.type !== 'page' && (node.appearsOn || []).includes(page.id))
+      .map(component => {
+        const className = this.classNames.get(component.id);
+        imports.add(component.id);
+        const name = uniqueName(used, camelCase(component.id));
+        return [
+          `  /** ${docText(component.name)} */`,
+          `  get ${name}() {`,
+          `    return new ${className}(this.page);`,
+          '  }'
+        ].join('\n');
+      });
+  }
+
+  /**
+   * Locator getters plus fill/click methods for a node's elements
+   * @param {Object} node - Page or component node
+   * @param {string} locate - Expression that turns a selector into a locator
+   * @param {Set<string>} used - Member names taken so far
+   * @param {Set<Object>} edgeElements - Elements whose click is a whole edge method
+   * @returns {Array<string>} Class members
+   */
+  elementMembers(node, locate, used, edgeElements) {
+    const elements = (node.elements || []).filter(element => element.selector);
+    const getters = new Map();
+    const members = elements.map(element => {
+      const name = uniqueName(used, camelCase(element.id));
+      getters.set(element, name);
+      return [
+        `  /** ${docText(element.description || element.id)} */`,
+        `  get ${name}() {`,
+        `    return ${locate}(${JSON.stringify(element.selector)});`,
+        '  }'
+      ].join('\n');
+    });
+
+    const inputs = elements.filter(element => FILLABLE_TYPES.includes(element.type));
+    elements.forEach(element => {
+      const getter = getters.get(element);
+      if (FILLABLE_TYPES.includes(element.type)) {
+        const name = uniqueName(used, camelCase(`fill-${element.id.replace(/-(input|field|textarea)$/, '')}`));
+        members.push([
+          '  /**',
+          `   * Fill the ${docText(lowerFirst(element.description || element.id))}`,
+          '   * @param {string} value - Text to type',
+          '   */',
+          `  async ${name}(value) {`,
+          `    await this.${getter}.fill(value);`,
+          '  }'
+        ].join('\n'));
+      } else if (element.type === 'select') {
+        const name = uniqueName(used, camelCase(`select-${element.id.replace(/-select$/, '')}`));
+        members.push([
+          '  /**',
+          `   * Choose an option in the ${docText(lowerFirst(element.description || element.id))}`,
+          '   * @param {string} value - Option value or label',
+          '   */',
+          `  async ${name}(value) {`,
+          `    await this.${getter}.selectOption(value);`,
+          '  }'
+        ].join('\n'));
+      } else if (CLICKABLE_TYPES.includes(element.type) && !edgeElements.has(element)) {
+        const verb = actionVerb(element);
+        const name = uniqueName(used, verb || camelCase(`click-${element.id.replace(/-(button|link)$/, '')}`));
+        if (TEXT_ACTIONS.includes(verb) && inputs.length === 1) {
+          members.push([
+            '  /**',
+            `   * Type into the ${docText(lowerFirst(inputs[0].description || inputs[0].id))}, then click the ${docText(lowerFirst(element.description || element.id))}`,
+            '   * @param {string} text - Text to send',
+            '   */',
+            `  async ${name}(text) {`,
+            `    await this.${getters.get(inputs[0])}.fill(text);`,
+            `    await this.${getter}.click();`,
+            '  }'
+          ].join('\n'));
+        } else {
+          members.push([
+            `  /** Click the ${docText(lowerFirst(element.description || element.id))} */`,
+            `  async ${name}() {`,
+            `    await this.${getter}.click();`,
+            '  }'
+          ].join('\n'));
+        }
+      }
+    });
+    return members;
+  }
+
+  /**
+   * Method that follows a navigation edge and returns the target page object.
+   * Fill steps (the login form) become parameters.
+   */
+  edgeMethod(page, edge, used, imports, edgeElements) {
+    const target = this.generator.findNode(edge.to);
+    const targetClass = this.classNames.get(target.id);
+    imports.add(target.id);
+
+    const steps = this.generator.buildRouteSteps({ edge, nodeId: edge.to, fromId: page.id });
+    const fills = steps.filter(step => step.action === 'fill');
+    const params = fills.map(step => camelCase(step.trigger.replace(/^enter_/, '')));
+
+    let baseName = `goTo${targetClass.replace(/Page$/, '')}`;
+    if (edge.trigger === 'successful_login') baseName = 'login';
+    if (edge.trigger === 'logout') baseName = 'logout';
+    const name = uniqueName(used, used.has(baseName) ? `${baseName}Via${pascalCase(edge.trigger)}` : baseName);
+
+    if (fills.length === 0 && steps.length === 1) {
+      const element = this.generator.findEdgeElement(edge);
+      if (element && (page.elements || []).includes(element)) edgeElements.add(element);
+    }
+
+    const body = [];
+    steps.forEach(step => {
+      if (!step.selector) {
+        body.push(`    throw new Error(${JSON.stringify(`No element in the graph triggers "${edge.trigger}" on ${page.id}; add a selector to the edge`)});`);
+        return;
+      }
+      const locator = this.locatorExpression(page, step.selector);
+      if (step.action === 'fill') {
+        body.push(`    await ${locator}.fill(${params[fills.indexOf(step)]});`);
+      } else {
+        body.push(`    await ${locator}.click();`);
+      }
+    });
+    if (!body.some(line => line.includes('throw new Error'))) {
+      body.push(`    return new ${targetClass}(this.page, this.baseUrl).waitForRoute();`);
+    }
+
+    const doc = ['  /**', `   * ${docText(edge.description || `Go to ${target.name}`)}`];
+    fills.forEach((step, index) => doc.push(`   * @param {string} ${params[index]} - ${docText(step.description)}`));
+    doc.push(`   * @returns {Promise<${targetClass}>}`, '   */');
+    return [...doc, `  async ${name}(${params.join(', ')}) {`, ...body, '  }'].join('\n');
+  }
+
+  /**
+   * Prefer the page's own getter for a selector, then the getter of a
+   * component on the page (this.navigation.logo), else a raw page locator
+   */
+  locatorExpression(page, selector) {
+    const element = (page.elements || []).find(candidate => candidate.selector === selector);
+    if (element) {
+      return `this.${camelCase(element.id)}`;
+    }
+    for (const component of this.graph.nodes.filter(node => node.type !== 'page' && (node.appearsOn || []).includes(page.id))) {
+      const componentElement = (component.elements || []).find(candidate => candidate.selector === selector);
+      if (componentElement) {
+        return `this.${camelCase(component.id)}.${camelCase(componentElement.id)}`;
+      }
+    }
+    return `this.page.locator(${JSON.stringify(selector)})`;
+  }
+}
+
+function words(text) {
+  return String(text).split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+export function pascalCase(text) {
+  const name = words(text).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+export function camelCase(text) {
+  const name = pascalCase(text);
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function kebabCase(className) {
+  return className.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+// "Send message button" → "send message button"; names such as "Sign In" or "LUXE" keep their case
+function lowerFirst(text) {
+  const [first, second = ''] = text.split(' ');
+  if (/^[A-Z][a-z]*$/.test(first) && !/^[A-Z]/.test(second)) {
+    return text.charAt(0).toLowerCase() + text.slice(1);
+  }
+  return text;
+}
+
+function docText(text) {
+  return String(text).replace(/\*\//g, '* /').replace(/\s+/g, ' ').trim();
+}
+
+export function actionVerb(element) {
+  const found = words(element.description || '').map(word => word.toLowerCase())
+    .find(word => ACTION_VERBS.includes(word));
+  return found || null;
+}
+
+function uniqueName(used, name) {
+  let candidate = name;
+  for (let index = 2; used.has(candidate); index++) {
+    candidate = `${name}${index}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+export default PageObjectGenerator;
@@ -0,0 +1,152 @@
+// Accessibility roles Playwright MCP reports in browser_snapshot, by element type
+const ROLES = {
+  button: 'button',
+  link: 'link',
+  input: 'textbox',
+  heading: 'heading',
+  image: 'img',
+  text: 'text',
+  container: 'generic'
+};
+// The tool that acts on each role; other roles are only read from the snapshot
+const TOOLS = {
+  button: 'browser_click',
+  link: 'browser_click',
+  textbox: 'browser_type'
+};
+
+/**
+ * Playwright MCP renderer
+ *
+ * Hints for agents driving the Playwright MCP server. Its tools act on
+ * element refs from the accessibility snapshot rather than CSS selectors,
+ * so every element is listed by role and accessible name together with the
+ * tool that acts on it; selectors are kept only to tell similar elements apart.
+ */
+class PlaywrightMcpRenderer {
+  constructor() {
+    this.name = 'playwright-mcp';
+    this.extension = '.md';
+    this.description = 'Role, name and tool hints for the Playwright MCP server';
+  }
+
+  renderFull(generator, options = {}) {
+    return this.render(generator.buildContextModel(options));
+  }
+
+  renderTask(generator, taskDescription, options = {}) {
+    return this.render(generator.buildContextModel({ ...options, task: taskDescription }));
+  }
+
+  renderQuickReference(generator, options = {}) {
+    return this.render(generator.buildContextModel(options), { quick: true });
+  }
+
+  /**
+   * Render a context model (see ContextGenerator.buildContextModel())
+   * @param {Object} model - Context model
+   * @param {Object} options - Render options
+   * @param {boolean} options.quick - Only actionable elements, no descriptions or flows
+   * @returns {string} Markdown hints
+   */
+  render(model, options = {}) {
+    const { quick = false } = options;
+    let text = `# Playwright MCP Hints: ${model.site.name}\n\n`;
+    text += `Base URL: ${model.site.baseUrl}\n`;
+    text += `Version: ${model.site.version}\n\n`;
+    if (model.task) {
+      text += `**Task**: ${model.task}\n\n`;
+    }
+
+    text += `## How to Act\n\n`;
+    text += `1. \`browser_navigate\` to a page URL listed below.\n`;
+    text += `2. \`browser_snapshot\`, then find the element by the role and name given here.\n`;
+    text += `3. \`browser_click\` or \`browser_type\` with that element's \`ref\` from the snapshot.\n`;
+    text += `4. Take a new snapshot after every navigation or state change; refs do not survive them.\n\n`;
+    text += `Selectors in parentheses only tell similar elements apart; the tools take refs, not selectors.\n\n`;
+
+    if (model.auth) {
+      text += `## Authentication\n\n`;
+      text += `- Protected pages: ${model.auth.protectedPages.join(', ')}\n`;
+      if (model.auth.credentials) {
+        text += `- \`browser_navigate\` to ${model.auth.loginUrl}, \`browser_type\` ${model.auth.credentials.username} `;
+        text += `and ${model.auth.credentials.password} into the username and password textboxes, then \`browser_click\` the submit button\n`;
+      }
+      text += `\n`;
+    }
+
+    text += `## Pages\n\n`;
+    model.pages.forEach(page => {
+      text += `### ${page.name}: \`browser_navigate\` ${page.url}\n`;
+      if (!quick) {
+        text += `${page.description}${page.requiresAuth ? ' (requires login)' : ''}\n`;
+      }
+      text += this.elements(page.elements, quick);
+      if (!quick && page.links.length > 0) {
+        text += `- Leads to: ${page.links.map(link => `${link.to} (${link.trigger})`).join(', ')}\n`;
+      }
+      text += `\n`;
+    });
+
+    if (model.components.length > 0) {
+      text += `## Components\n\n`;
+      model.components.forEach(component => {
+        text += `### ${component.name}${component.appearsOn.length > 0 ? ` (on ${component.appearsOn.join(', ')})` : ''}\n`;
+        if (!quick) {
+          text += `${component.description}\n`;
+        }
+        component.hints.forEach(({ hint, selector }) => {
+          const toggle = component.elements.find(element => element.selector === selector);
+          text += `- **Before use**: ${hint}${toggle ? `: \`browser_click\` ${this.describe(toggle)}` : ''}\n`;
+        });
+        text += this.elements(component.elements, quick);
+        text += `\n`;
+      });
+    }
+
+    if (model.reachable.length > 0) {
+      text += `## Reachable From Here\n\n`;
+      model.reachable.forEach(page => {
+        text += `- ${page.name} (${page.route}): ${page.hops} hop${page.hops > 1 ? 's' : ''} from ${page.from} via ${page.trigger}\n`;
+      });
+      text += `\n`;
+    }
+
+    if (!quick && model.flows.length > 0) {
+      text += `## Common Flows\n\n`;
+      model.flows.forEach(flow => {
+        text += `- **${flow.name}**: ${flow.steps.join(' → ')}\n`;
+      });
+      text += `\n`;
+    }
+
+    return text;
+  }
+
+  /**
+   * One line per element: tool, role and name, selector, and the states it is rendered in
+   */
+  elements(elements, quick) {
+    return elements
+      .filter(element => !quick || TOOLS[ROLES[element.type]])
+      .map(element => {
+        const tool = TOOLS[ROLES[element.type]];
+        const states = element.states.length > 0 ? ` (when ${element.states.join(' or ')})` : '';
+        const selector = element.selector ? ` (\`${element.selector}\`)` : '';
+        return `- ${tool ? `\`${tool}\` ` : ''}${this.describe(element)}${states}${selector}\n`;
+      })
+      .join('');
+  }
+
+  /**
+   * Role and accessible name as they appear in the snapshot, e.g. `button "Sign In"`;
+   * unnamed elements (icon buttons, containers) are described instead
+   */
+  describe(element) {
+    const role = ROLES[element.type] || 'generic';
+    const name = element.text || element.placeholder;
+    return name ? `${role} "${name}"` : `${role} [${element.description}]`;
+  }
+}
+
+export default PlaywrightMcpRenderer;
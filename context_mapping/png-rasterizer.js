@@ -0,0 +1,338 @@
+import zlib from 'zlib';
+import { quadraticPoint } from './svg-renderer.js';
+
+/**
+ * PNG Rasterizer
+ *
+ * Turns an SvgGraphRenderer scene into a PNG. When the optional
+ * `@resvg/resvg-js` package is installed the SVG is rendered with it
+ * (anti-aliased, real fonts). Otherwise the scene is drawn by the built-in
+ * rasterizer below: plain pixel fills, a 5x7 bitmap font and zlib from Node
+ * itself, so a PNG can always be produced without system packages.
+ */
+class PngRasterizer {
+  /**
+   * @param {Object} options - Rasterizer options
+   * @param {number} options.scale - Pixels per SVG unit (default 2)
+   * @param {string} options.engine - 'auto' (resvg when installed), 'resvg' or 'builtin'
+   */
+  constructor(options = {}) {
+    const { scale = 2, engine = 'auto' } = options;
+    this.scale = scale;
+    this.engine = engine;
+  }
+
+  /**
+   * Rasterize a scene
+   * @param {Object} scene - Result of SvgGraphRenderer.layout()
+   * @param {string} svg - The same scene as SVG, used by resvg
+   * @returns {Promise<{png: Buffer, engine: string}>} PNG data and the engine that drew it
+   */
+  async rasterize(scene, svg) {
+    if (this.engine !== 'builtin') {
+      try {
+        const { Resvg } = await import('@resvg/resvg-js');
+        const png = new Resvg(svg, { fitTo: { mode: 'zoom', value: this.scale } }).render().asPng();
+        return { png: Buffer.from(png), engine: 'resvg' };
+      } catch (error) {
+        if (this.engine === 'resvg') {
+          throw new Error(`resvg rendering failed: ${error.message}. Install it with: npm install @resvg/resvg-js`);
+        }
+      }
+    }
+    return { png: this.drawScene(scene), engine: 'builtin' };
+  }
+
+  /**
+   * Draw a scene with the built-in rasterizer
+   * @param {Object} scene - Result of SvgGraphRenderer.layout()
+   * @returns {Buffer} PNG data
+   */
+  drawScene(scene) {
+    const canvas = new Canvas(Math.ceil(scene.width * this.scale), Math.ceil(scene.height * this.scale), parseColor(scene.background));
+    const s = this.scale;
+
+    scene.shapes.forEach(shape => {
+      switch (shape.kind) {
+        case 'rect': {
+          const fill = parseColor(shape.fill, shape.opacity);
+          canvas.fillRoundRect(shape.x * s, shape.y * s, shape.width * s, shape.height * s, (shape.radius || 0) * s, fill);
+          if (shape.stroke) {
+            const stroke = parseColor(shape.stroke);
+            const inset = shape.strokeWidth * s;
+            canvas.strokeRoundRect(shape.x * s, shape.y * s, shape.width * s, shape.height * s, (shape.radius || 0) * s, inset, stroke);
+          }
+          break;
+        }
+        case 'curve': {
+          const points = [];
+          for (let i = 0; i <= 32; i++) {
+            const [x, y] = quadraticPoint(shape.points, i / 32);
+            points.push([x * s, y * s]);
+          }
+          canvas.polyline(points, shape.width * s, parseColor(shape.color), shape.dash ? shape.dash.map(length => length * s) : null);
+          break;
+        }
+        case 'polygon':
+          canvas.fillPolygon(shape.points.map(([x, y]) => [x * s, y * s]), parseColor(shape.color));
+          break;
+        case 'text':
+          canvas.text(shape.text, shape.x * s, shape.y * s, shape.size * s, parseColor(shape.color), shape.anchor, shape.weight === 'bold');
+          break;
+        default:
+          break;
+      }
+    });
+
+    return canvas.toPng();
+  }
+}
+
+/**
+ * RGBA pixel buffer with the handful of primitives the scene needs
+ */
+class Canvas {
+  constructor(width, height, background) {
+    this.width = width;
+    this.height = height;
+    this.pixels = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      this.pixels.set(background.slice(0, 3), i * 4);
+      this.pixels[i * 4 + 3] = 255;
+    }
+  }
+
+  blend(x, y, color) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 4;
+    const alpha = color[3];
+    for (let channel = 0; channel < 3; channel++) {
+      this.pixels[offset + channel] = Math.round(color[channel] * alpha + this.pixels[offset + channel] * (1 - alpha));
+    }
+  }
+
+  fillRoundRect(x, y, width, height, radius, color) {
+    const x0 = Math.round(x);
+    const y0 = Math.round(y);
+    const x1 = Math.round(x + width);
+    const y1 = Math.round(y + height);
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        if (insideRoundRect(px + 0.5, py + 0.5, x, y, width, height, radius)) this.blend(px, py, color);
+      }
+    }
+  }
+
+  strokeRoundRect(x, y, width, height, radius, lineWidth, color) {
+    const x0 = Math.round(x);
+    const y0 = Math.round(y);
+    for (let py = y0; py < Math.round(y + height); py++) {
+      for (let px = x0; px < Math.round(x + width); px++) {
+        const cx = px + 0.5;
+        const cy = py + 0.5;
+        if (insideRoundRect(cx, cy, x, y, width, height, radius)
+          && !insideRoundRect(cx, cy, x + lineWidth, y + lineWidth, width - lineWidth * 2, height - lineWidth * 2, Math.max(0, radius - lineWidth))) {
+          this.blend(px, py, color);
+        }
+      }
+    }
+  }
+
+  /**
+   * Thick polyline drawn by stamping discs along each segment; dash lengths alternate on/off
+   */
+  polyline(points, lineWidth, color, dash) {
+    const radius = Math.max(0.5, lineWidth / 2);
+    const painted = new Set();
+    let travelled = 0;
+    for (let i = 1; i < points.length; i++) {
+      const [ax, ay] = points[i - 1];
+      const [bx, by] = points[i];
+      const length = Math.hypot(bx - ax, by - ay);
+      const steps = Math.max(1, Math.ceil(length / 0.5));
+      for (let step = 0; step <= steps; step++) {
+        const distance = travelled + (length * step) / steps;
+        if (dash && !dashOn(distance, dash)) continue;
+        const px = ax + ((bx - ax) * step) / steps;
+        const py = ay + ((by - ay) * step) / steps;
+        for (let dy = -Math.ceil(radius); dy <= Math.ceil(radius); dy++) {
+          for (let dx = -Math.ceil(radius); dx <= Math.ceil(radius); dx++) {
+            if (dx * dx + dy * dy > radius * radius) continue;
+            const x = Math.round(px + dx);
+            const y = Math.round(py + dy);
+            const key = y * this.width + x;
+            if (painted.has(key)) continue;
+            painted.add(key);
+            this.blend(x, y, color);
+          }
+        }
+      }
+      travelled += length;
+    }
+  }
+
+  /**
+   * Even-odd scanline fill
+   */
+  fillPolygon(points, color) {
+    const ys = points.map(point => point[1]);
+    for (let y = Math.floor(Math.min(...ys)); y <= Math.ceil(Math.max(...ys)); y++) {
+      const scan = y + 0.5;
+      const crossings = [];
+      points.forEach((point, index) => {
+        const next = points[(index + 1) % points.length];
+        if ((point[1] <= scan && next[1] > scan) || (next[1] <= scan && point[1] > scan)) {
+          crossings.push(point[0] + ((scan - point[1]) / (next[1] - point[1])) * (next[0] - point[0]));
+        }
+      });
+      crossings.sort((a, b) => a - b);
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        for (let x = Math.round(crossings[i]); x < Math.round(crossings[i + 1]); x++) this.blend(x, y, color);
+      }
+    }
+  }
+
+  /**
+   * Bitmap text. `y` is the baseline, as in SVG.
+   */
+  text(value, x, y, size, color, anchor, bold) {
+    const glyphs = [...toAscii(value)];
+    const pixel = Math.max(1, Math.round(size / 9));
+    const advance = 6 * pixel;
+    const width = glyphs.length * advance - pixel;
+    let left = x;
+    if (anchor === 'middle') left = x - width / 2;
+    if (anchor === 'end') left = x - width;
+    const top = Math.round(y - 7 * pixel);
+
+    glyphs.forEach((character, index) => {
+      const columns = FONT[character.charCodeAt(0) - 32] || FONT[31];
+      const originX = Math.round(left + index * advance);
+      columns.forEach((bits, column) => {
+        for (let row = 0; row < 8; row++) {
+          if (!(bits & (1 << row))) continue;
+          for (let dy = 0; dy < pixel; dy++) {
+            for (let dx = 0; dx < pixel + (bold ? 1 : 0); dx++) {
+              this.blend(originX + column * pixel + dx, top + row * pixel + dy, color);
+            }
+          }
+        }
+      });
+    });
+  }
+
+  /**
+   * Encode as an 8-bit RGBA PNG
+   */
+  toPng() {
+    const rowLength = this.width * 4 + 1;
+    const raw = Buffer.alloc(rowLength * this.height);
+    for (let y = 0; y < this.height; y++) {
+      raw[y * rowLength] = 0;
+      this.pixels.copy(raw, y * rowLength + 1, y * this.width * 4, (y + 1) * this.width * 4);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+function insideRoundRect(px, py, x, y, width, height, radius) {
+  if (px < x || py < y || px > x + width || py > y + height) return false;
+  const r = Math.min(radius, width / 2, height / 2);
+  const cx = Math.min(Math.max(px, x + r), x + width - r);
+  const cy = Math.min(Math.max(py, y + r), y + height - r);
+  return (px - cx) ** 2 + (py - cy) ** 2 <= r * r;
+}
+
+function dashOn(distance, dash) {
+  const period = dash.reduce((sum, length) => sum + length, 0);
+  let position = distance % period;
+  for (let i = 0; i < dash.length; i++) {
+    if (position < dash[i]) return i % 2 === 0;
+    position -= dash[i];
+  }
+  return true;
+}
+
+/**
+ * '#rrggbb' → [r, g, b, alpha]
+ */
+function parseColor(hex, opacity = 1) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255, opacity];
+}
+
+/**
+ * The bitmap font only covers printable ASCII
+ */
+function toAscii(text) {
+  return String(text)
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[→↔]/g, '>')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Classic 5x7 font for ASCII 32-126: five columns per glyph, least significant bit at the top.
+// Row 8 (0x80) holds the descenders of g, j, p, q and y, below the baseline.
+const FONT = [
+  [0x00, 0x00, 0x00, 0x00, 0x00], [0x00, 0x00, 0x5f, 0x00, 0x00], [0x00, 0x07, 0x00, 0x07, 0x00], [0x14, 0x7f, 0x14, 0x7f, 0x14],
+  [0x24, 0x2a, 0x7f, 0x2a, 0x12], [0x23, 0x13, 0x08, 0x64, 0x62], [0x36, 0x49, 0x55, 0x22, 0x50], [0x00, 0x05, 0x03, 0x00, 0x00],
+  [0x00, 0x1c, 0x22, 0x41, 0x00], [0x00, 0x41, 0x22, 0x1c, 0x00], [0x14, 0x08, 0x3e, 0x08, 0x14], [0x08, 0x08, 0x3e, 0x08, 0x08],
+  [0x00, 0x50, 0x30, 0x00, 0x00], [0x08, 0x08, 0x08, 0x08, 0x08], [0x00, 0x60, 0x60, 0x00, 0x00], [0x20, 0x10, 0x08, 0x04, 0x02],
+  [0x3e, 0x51, 0x49, 0x45, 0x3e], [0x00, 0x42, 0x7f, 0x40, 0x00], [0x42, 0x61, 0x51, 0x49, 0x46], [0x21, 0x41, 0x45, 0x4b, 0x31],
+  [0x18, 0x14, 0x12, 0x7f, 0x10], [0x27, 0x45, 0x45, 0x45, 0x39], [0x3c, 0x4a, 0x49, 0x49, 0x30], [0x01, 0x71, 0x09, 0x05, 0x03],
+  [0x36, 0x49, 0x49, 0x49, 0x36], [0x06, 0x49, 0x49, 0x29, 0x1e], [0x00, 0x36, 0x36, 0x00, 0x00], [0x00, 0x56, 0x36, 0x00, 0x00],
+  [0x08, 0x14, 0x22, 0x41, 0x00], [0x14, 0x14, 0x14, 0x14, 0x14], [0x00, 0x41, 0x22, 0x14, 0x08], [0x02, 0x01, 0x51, 0x09, 0x06],
+  [0x32, 0x49, 0x79, 0x41, 0x3e], [0x7e, 0x11, 0x11, 0x11, 0x7e], [0x7f, 0x49, 0x49, 0x49, 0x36], [0x3e, 0x41, 0x41, 0x41, 0x22],
+  [0x7f, 0x41, 0x41, 0x22, 0x1c], [0x7f, 0x49, 0x49, 0x49, 0x41], [0x7f, 0x09, 0x09, 0x01, 0x01], [0x3e, 0x41, 0x41, 0x51, 0x32],
+  [0x7f, 0x08, 0x08, 0x08, 0x7f], [0x00, 0x41, 0x7f, 0x41, 0x00], [0x20, 0x40, 0x41, 0x3f, 0x01], [0x7f, 0x08, 0x14, 0x22, 0x41],
+  [0x7f, 0x40, 0x40, 0x40, 0x40], [0x7f, 0x02, 0x04, 0x02, 0x7f], [0x7f, 0x04, 0x08, 0x10, 0x7f], [0x3e, 0x41, 0x41, 0x41, 0x3e],
+  [0x7f, 0x09, 0x09, 0x09, 0x06], [0x3e, 0x41, 0x51, 0x21, 0x5e], [0x7f, 0x09, 0x19, 0x29, 0x46], [0x46, 0x49, 0x49, 0x49, 0x31],
+  [0x01, 0x01, 0x7f, 0x01, 0x01], [0x3f, 0x40, 0x40, 0x40, 0x3f], [0x1f, 0x20, 0x40, 0x20, 0x1f], [0x7f, 0x20, 0x18, 0x20, 0x7f],
+  [0x63, 0x14, 0x08, 0x14, 0x63], [0x03, 0x04, 0x78, 0x04, 0x03], [0x61, 0x51, 0x49, 0x45, 0x43], [0x00, 0x7f, 0x41, 0x41, 0x00],
+  [0x02, 0x04, 0x08, 0x10, 0x20], [0x00, 0x41, 0x41, 0x7f, 0x00], [0x04, 0x02, 0x01, 0x02, 0x04], [0x40, 0x40, 0x40, 0x40, 0x40],
+  [0x00, 0x01, 0x02, 0x04, 0x00], [0x20, 0x54, 0x54, 0x54, 0x78], [0x7f, 0x48, 0x44, 0x44, 0x38], [0x38, 0x44, 0x44, 0x44, 0x20],
+  [0x38, 0x44, 0x44, 0x48, 0x7f], [0x38, 0x54, 0x54, 0x54, 0x18], [0x08, 0x7e, 0x09, 0x01, 0x02], [0x18, 0xa4, 0xa4, 0xa4, 0x7c],
+  [0x7f, 0x08, 0x04, 0x04, 0x78], [0x00, 0x44, 0x7d, 0x40, 0x00], [0x40, 0x80, 0x84, 0x7d, 0x00], [0x7f, 0x10, 0x28, 0x44, 0x00],
+  [0x00, 0x41, 0x7f, 0x40, 0x00], [0x7c, 0x04, 0x18, 0x04, 0x78], [0x7c, 0x08, 0x04, 0x04, 0x78], [0x38, 0x44, 0x44, 0x44, 0x38],
+  [0xfc, 0x24, 0x24, 0x24, 0x18], [0x18, 0x24, 0x24, 0x18, 0xfc], [0x7c, 0x08, 0x04, 0x04, 0x08], [0x48, 0x54, 0x54, 0x54, 0x20],
+  [0x04, 0x3f, 0x44, 0x40, 0x20], [0x3c, 0x40, 0x40, 0x20, 0x7c], [0x1c, 0x20, 0x40, 0x20, 0x1c], [0x3c, 0x40, 0x30, 0x40, 0x3c],
+  [0x44, 0x28, 0x10, 0x28, 0x44], [0x1c, 0xa0, 0xa0, 0xa0, 0x7c], [0x44, 0x64, 0x54, 0x4c, 0x44], [0x00, 0x08, 0x36, 0x41, 0x00],
+  [0x00, 0x00, 0x7f, 0x00, 0x00], [0x00, 0x41, 0x36, 0x08, 0x00], [0x08, 0x04, 0x08, 0x10, 0x08]
+];
+
+export default PngRasterizer;
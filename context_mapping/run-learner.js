@@ -0,0 +1,423 @@
+import CoverageAnalyzer from './coverage-analyzer.js';
+import fs from 'fs';
+import path from 'path';
+
+// browser-use judges the previous step at the start of the next one:
+// evaluationPreviousGoal ends in "Verdict: Success", "Verdict: Failure (...)" or "Verdict: Uncertain"
+const VERDICT = /\s*Verdict:\s*(success|failure|uncertain)\b.*$/is;
+// Triggers for proposed edges whose clicked element could not be identified
+const UNIDENTIFIED_TRIGGERS = {
+  click: 'unidentified_click',
+  send_keys: 'submit_form',
+  none: 'redirect'
+};
+const MAX_REASON_LENGTH = 160;
+const PATCH_CONTEXT = 3;
+
+/**
+ * Run Learner
+ *
+ * Mines browser-use run artifacts (downloads/<taskId>/task-result.json) for
+ * what the graph is missing or gets wrong, so the map improves with every run:
+ *   - a page change no edge explains, or one made by clicking an element that
+ *     triggers no edge between the two pages (the navigation bar's "Men" link
+ *     when the graph only knows the "Shop Men" button), becomes a proposed
+ *     navigation edge
+ *   - every use of an existing edge counts towards its `observed` stats:
+ *     attempts, success rate and how many steps agents spent on the source
+ *     page before leaving through it
+ *   - a click on an edge's trigger element that left the agent on the same
+ *     page or took it elsewhere, or a traversal the next step judged a
+ *     failure ("Verdict: Failure"), is a failed attempt; edges with failed
+ *     attempts are flagged for review
+ * Pages and clicked elements are matched the way CoverageAnalyzer matches
+ * them, and `navigate` actions are direct navigations that teach nothing
+ * about edges. Stats are recomputed from the runs given and replace an
+ * edge's previous stats; edges those runs never used keep theirs.
+ */
+class RunLearner {
+  /**
+   * @param {ContextGenerator} generator - Generator for the graph to improve
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.graph = generator.getGraph();
+    this.coverage = new CoverageAnalyzer(generator);
+  }
+
+  /**
+   * Learn from a set of runs
+   * @param {Array<string>} sources - Run directories, directories of runs or task-result.json files
+   *                                  (defaults to browser_use/downloads)
+   * @returns {Object} Learning report: observed edges, proposed edges and failed attempts
+   */
+  learn(sources = []) {
+    const files = this.coverage.findRunFiles(sources);
+    if (files.length === 0) {
+      throw new Error(`No task-result.json files found${sources.length > 0 ? ` in ${sources.join(', ')}` : ''}`);
+    }
+
+    const learned = { observations: new Map(), proposals: new Map(), failures: [], transitions: 0, directNavigations: 0 };
+    const runs = files.map(file => {
+      const result = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const run = {
+        id: result.id || path.basename(path.dirname(file)),
+        file: path.relative(process.cwd(), file),
+        status: result.status || null,
+        isSuccess: result.isSuccess ?? null,
+        createdAt: result.createdAt || null,
+        steps: (result.steps || []).length
+      };
+      this.learnRun(run, result.steps || [], learned);
+      return run;
+    });
+
+    return this.buildReport(runs, learned);
+  }
+
+  /**
+   * Walk one run's steps and record every edge it used, tried or was missing
+   */
+  learnRun(run, steps, learned) {
+    const ordered = steps.slice().sort((a, b) => a.number - b.number);
+    const state = { run, resolvedIndices: new Map(), inputOrder: new Map() };
+    // Position of the first step on the current page, for step counts
+    let arrivedAt = 0;
+
+    ordered.forEach((step, position) => {
+      const next = ordered[position + 1];
+      const page = this.generator.matchRoute(step.url);
+      const nextPage = next ? this.generator.matchRoute(next.url) : null;
+      const spent = position - arrivedAt + 1;
+      if (!page || !next || !nextPage || nextPage.id !== page.id) {
+        arrivedAt = position + 1;
+      }
+      if (!page || !next) return;
+
+      const actions = this.coverage.parseActions(step.actions);
+      if (actions.some(action => action.type === 'navigate')) {
+        if (nextPage && nextPage.id !== page.id) learned.directNavigations++;
+        return;
+      }
+
+      const verdict = this.verdict(next);
+      const attempt = {
+        run: run.id,
+        step: step.number,
+        date: run.createdAt ? run.createdAt.slice(0, 10) : null,
+        reason: verdict.reason
+      };
+      const clicked = actions
+        .filter(action => action.type === 'click' && action.params.index !== undefined)
+        .map(action => this.coverage.resolveTarget(page, action, step.nextGoal, state))
+        .filter(Boolean);
+      // Edges whose trigger element was clicked in this step
+      const tried = this.graph.edges.filter(edge => edge.type === 'navigation' && edge.from === page.id
+        && clicked.some(target => target.element === this.generator.findEdgeElement(edge)));
+
+      if (nextPage && nextPage.id !== page.id) {
+        learned.transitions++;
+        const succeeded = verdict.outcome !== 'failure';
+        const edge = this.coverage.findTransitionEdge(page.id, nextPage.id, step.nextGoal, clicked);
+        if (edge) {
+          this.observe(learned.observations, this.coverage.edgeKey(edge), { ...attempt, succeeded, steps: spent });
+        } else {
+          const proposal = this.propose(learned.proposals, page, nextPage, clicked[clicked.length - 1] || null, actions, step.nextGoal);
+          this.observe(proposal.observations, 'proposal', { ...attempt, succeeded, steps: spent });
+          proposal.evidence.push({ run: run.id, step: step.number, goal: step.nextGoal || null });
+        }
+        if (edge && !succeeded) {
+          learned.failures.push(this.failure(edge, attempt, `reached ${nextPage.id}, judged a failure`));
+        }
+      }
+
+      tried
+        .filter(edge => !nextPage || edge.to !== nextPage.id)
+        .forEach(edge => {
+          const outcome = !nextPage ? `left for ${next.url}` : nextPage.id === page.id ? `stayed on ${page.id}` : `went to ${nextPage.id}`;
+          this.observe(learned.observations, this.coverage.edgeKey(edge), { ...attempt, succeeded: false });
+          learned.failures.push(this.failure(edge, attempt, outcome));
+        });
+    });
+  }
+
+  /**
+   * Proposed edge for a transition the graph does not explain, named after
+   * the clicked element or, when none was identified, after the kind of step
+   */
+  propose(proposals, page, nextPage, target, actions, goal) {
+    let edge;
+    if (target) {
+      edge = {
+        from: page.id,
+        to: nextPage.id,
+        type: 'navigation',
+        trigger: `click_${target.element.id.replace(/-/g, '_')}`
+      };
+      // Name the selector when the trigger alone would find another element
+      if (this.generator.findEdgeElement(edge) !== target.element) {
+        edge.selector = target.element.selector;
+      }
+      const label = target.element.text ? `'${target.element.text}' ${target.element.type}` : target.element.description;
+      edge.description = `Clicking ${label} navigates to ${nextPage.name}`;
+    } else {
+      const kind = ['click', 'send_keys'].find(type => actions.some(action => action.type === type)) || 'none';
+      edge = {
+        from: page.id,
+        to: nextPage.id,
+        type: 'navigation',
+        trigger: UNIDENTIFIED_TRIGGERS[kind],
+        description: `Observed in agent runs: ${truncate(goal || `${page.name} led to ${nextPage.name}`)}`
+      };
+    }
+
+    const key = `${edge.from}|${edge.to}|${edge.trigger}`;
+    if (!proposals.has(key)) {
+      proposals.set(key, { edge, observations: new Map(), evidence: [] });
+    }
+    return proposals.get(key);
+  }
+
+  /**
+   * Verdict the given step passed on the step before it
+   * @returns {{outcome: string|null, reason: string|null}} success, failure, uncertain or null
+   */
+  verdict(step) {
+    const evaluation = step.evaluationPreviousGoal || '';
+    const match = evaluation.match(VERDICT);
+    return {
+      outcome: match ? match[1].toLowerCase() : null,
+      reason: truncate(evaluation.replace(VERDICT, '').trim()) || null
+    };
+  }
+
+  observe(map, key, attempt) {
+    const entry = map.get(key) || { attempts: [], runs: new Set() };
+    entry.attempts.push(attempt);
+    entry.runs.add(attempt.run);
+    map.set(key, entry);
+  }
+
+  failure(edge, attempt, outcome) {
+    return { from: edge.from, to: edge.to, trigger: edge.trigger, run: attempt.run, step: attempt.step, outcome, reason: attempt.reason };
+  }
+
+  /**
+   * Summarize the attempts on one edge as the stats stored in edge.observed
+   * @returns {Object} { attempts, successRate, avgSteps, failures, runs, lastSeen, lastFailure }
+   */
+  summarize(entry) {
+    const successes = entry.attempts.filter(attempt => attempt.succeeded);
+    const failed = entry.attempts.filter(attempt => !attempt.succeeded);
+    const dates = entry.attempts.map(attempt => attempt.date).filter(Boolean).sort();
+    const observed = {
+      attempts: entry.attempts.length,
+      successRate: Math.round((successes.length / entry.attempts.length) * 100) / 100
+    };
+    if (successes.length > 0) {
+      observed.avgSteps = Math.round((successes.reduce((sum, attempt) => sum + attempt.steps, 0) / successes.length) * 10) / 10;
+    }
+    observed.failures = failed.length;
+    observed.runs = entry.runs.size;
+    if (dates.length > 0) {
+      observed.lastSeen = dates[dates.length - 1];
+    }
+    if (failed.length > 0) {
+      const last = failed[failed.length - 1];
+      observed.lastFailure = `run ${last.run}, step ${last.step}: ${last.reason || 'no evaluation recorded'}`;
+    }
+    return observed;
+  }
+
+  /**
+   * Turn the collected maps into a JSON-friendly report
+   */
+  buildReport(runs, learned) {
+    const edges = this.graph.edges
+      .map(edge => ({ edge, entry: learned.observations.get(this.coverage.edgeKey(edge)) }))
+      .filter(({ entry }) => entry)
+      .map(({ edge, entry }) => ({ from: edge.from, to: edge.to, type: edge.type, trigger: edge.trigger, observed: this.summarize(entry) }));
+
+    const proposals = [...learned.proposals.values()].map(proposal => ({
+      edge: { ...proposal.edge, observed: this.summarize(proposal.observations.get('proposal')) },
+      evidence: proposal.evidence
+    }));
+
+    return {
+      graph: this.graph.metadata.name,
+      version: this.graph.metadata.version,
+      generatedAt: new Date().toISOString(),
+      runs,
+      summary: {
+        runs: runs.length,
+        transitions: learned.transitions,
+        directNavigations: learned.directNavigations,
+        observedEdges: edges.length,
+        proposedEdges: proposals.length,
+        flaggedEdges: edges.filter(edge => edge.observed.failures > 0).length
+      },
+      edges,
+      proposals,
+      failures: learned.failures
+    };
+  }
+
+  /**
+   * Apply a report to a copy of the graph: observed stats on the edges it
+   * saw and the proposed edges, each placed after the last edge leaving the
+   * same page
+   * @param {Object} report - Result of learn()
+   * @returns {Object} Learned graph
+   */
+  buildGraph(report) {
+    const graph = JSON.parse(JSON.stringify(this.graph));
+    report.edges.forEach(observed => {
+      const edge = graph.edges.find(candidate => candidate.from === observed.from && candidate.to === observed.to
+        && candidate.type === observed.type && candidate.trigger === observed.trigger);
+      if (edge) edge.observed = observed.observed;
+    });
+
+    report.proposals.forEach(({ edge }) => {
+      let index = -1;
+      graph.edges.forEach((candidate, position) => {
+        if (candidate.type === 'navigation' && candidate.from === edge.from) index = position;
+      });
+      graph.edges.splice(index === -1 ? graph.edges.length : index + 1, 0, { ...edge });
+    });
+    return graph;
+  }
+
+  /**
+   * Render a report as human-readable text
+   * @param {Object} report - Result of learn()
+   * @returns {string} Text report
+   */
+  formatText(report) {
+    let text = '';
+    const section = (title, lines) => {
+      if (lines.length === 0) return;
+      text += `${title}:\n`;
+      lines.forEach(line => {
+        text += `  ${line}\n`;
+      });
+      text += '\n';
+    };
+    const stats = observed => {
+      const steps = observed.avgSteps !== undefined ? `, ${observed.avgSteps} step(s) on average` : '';
+      return `${observed.attempts - observed.failures}/${observed.attempts} succeeded in ${observed.runs} run(s)${steps}`;
+    };
+    const { summary } = report;
+
+    text += `Runs: ${summary.runs} (${report.runs.filter(run => run.isSuccess).length} successful)\n`;
+    text += `Page transitions: ${summary.transitions} (plus ${summary.directNavigations} direct navigation(s), not learned from)\n`;
+    text += `Edges observed: ${summary.observedEdges}, proposed: ${summary.proposedEdges}, flagged: ${summary.flaggedEdges}\n\n`;
+
+    section('Proposed edges', report.proposals.map(({ edge, evidence }) =>
+      `+ ${edge.from} → ${edge.to} (${edge.trigger}) - ${stats(edge.observed)}; first seen in run ${evidence[0].run.slice(0, 8)}, step ${evidence[0].step}`
+    ));
+    section('Observed edges', report.edges.map(edge =>
+      `${edge.observed.failures > 0 ? '⚠️' : '✅'} ${edge.from} → ${edge.to} (${edge.trigger}) - ${stats(edge.observed)}`
+    ));
+    section('Failed attempts', report.failures.map(failure =>
+      `${failure.from} → ${failure.to} (${failure.trigger}): ${failure.outcome} (run ${failure.run.slice(0, 8)}, step ${failure.step})${failure.reason ? ` - ${failure.reason}` : ''}`
+    ));
+
+    if (summary.observedEdges === 0 && summary.proposedEdges === 0) {
+      text += 'The runs used no edges and made no transitions the graph is missing.\n';
+    }
+    return text;
+  }
+}
+
+/**
+ * Line-based unified diff of two texts, readable by `git apply` and `patch -p1`
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Diff options
+ * @param {string} options.fromFile - Label of the original file, e.g. a/website-graph.json
+ * @param {string} options.toFile - Label of the changed file, e.g. b/website-graph.json
+ * @param {number} options.context - Unchanged lines around each change
+ * @returns {string} Patch, or an empty string when the texts are equal
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = PATCH_CONTEXT } = options;
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Only the part between the common head and tail needs the LCS table
+  let head = 0;
+  while (head < oldLines.length && head < newLines.length && oldLines[head] === newLines[head]) head++;
+  let tail = 0;
+  while (tail < oldLines.length - head && tail < newLines.length - head
+    && oldLines[oldLines.length - 1 - tail] === newLines[newLines.length - 1 - tail]) tail++;
+  const a = oldLines.slice(head, oldLines.length - tail);
+  const b = newLines.slice(head, newLines.length - tail);
+  if (a.length === 0 && b.length === 0) return '';
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  // Each operation remembers how many old and new lines precede it
+  const operations = oldLines.slice(0, head).map((line, index) => ({ type: ' ', line, oldLine: index, newLine: index }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    const position = { oldLine: head + i, newLine: head + j };
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push({ type: ' ', line: a[i++], ...position });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', line: a[i++], ...position });
+    } else {
+      operations.push({ type: '+', line: b[j++], ...position });
+    }
+  }
+  oldLines.slice(oldLines.length - tail).forEach((line, index) => {
+    operations.push({ type: ' ', line, oldLine: oldLines.length - tail + index, newLine: newLines.length - tail + index });
+  });
+
+  const hunks = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  let patch = `--- ${fromFile}\n+++ ${toFile}\n`;
+  hunks.forEach(({ start, end }) => {
+    const lines = operations.slice(start, end);
+    const oldCount = lines.filter(operation => operation.type !== '+').length;
+    const newCount = lines.filter(operation => operation.type !== '-').length;
+    // An empty side is numbered by the line before it
+    const oldStart = lines[0].oldLine + (oldCount > 0 ? 1 : 0);
+    const newStart = lines[0].newLine + (newCount > 0 ? 1 : 0);
+    patch += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+    lines.forEach(operation => {
+      patch += `${operation.type}${operation.line}\n`;
+    });
+  });
+  return patch;
+}
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function truncate(text) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > MAX_REASON_LENGTH ? `${value.slice(0, MAX_REASON_LENGTH - 1)}…` : value;
+}
+
+export default RunLearner;
@@ -0,0 +1,407 @@
+/**
+ * Selector Verifier
+ *
+ * Opens every page node of the graph in headless Playwright and checks each
+ * element selector against the live DOM: how many nodes it matches, whether
+ * the match is visible, and which more stable selectors would work instead.
+ * Elements of a stateful component (the chat window) are checked state by
+ * state, opening the component through its stateTransitions first.
+ */
+
+/**
+ * Runs inside the browser page on the first match of a selector. Returns the
+ * attributes we can build alternative selectors from.
+ */
+function describeMatch(el) {
+  const IMPLICIT_ROLES = {
+    a: 'link',
+    button: 'button',
+    h1: 'heading',
+    h2: 'heading',
+    h3: 'heading',
+    img: 'img',
+    select: 'combobox',
+    textarea: 'textbox',
+    nav: 'navigation'
+  };
+  const tag = el.tagName.toLowerCase();
+  let role = el.getAttribute('role') || IMPLICIT_ROLES[tag] || null;
+  if (tag === 'input') {
+    const type = el.getAttribute('type') || 'text';
+    role = { checkbox: 'checkbox', radio: 'radio', submit: 'button', button: 'button' }[type] || 'textbox';
+  }
+  const label = el.labels && el.labels[0] ? el.labels[0].textContent.trim() : null;
+  const text = (el.innerText || '').replace(/\s+/g, ' ').trim();
+  return {
+    tag,
+    id: el.id || null,
+    testId: el.getAttribute('data-testid'),
+    name: el.getAttribute('name'),
+    role,
+    accessibleName: el.getAttribute('aria-label') || label || el.getAttribute('placeholder') || el.getAttribute('alt') || text || null,
+    text: text.length > 0 && text.length <= 50 ? text : null
+  };
+}
+
+class SelectorVerifier {
+  /**
+   * @param {ContextGenerator} generator - Generator holding the graph to verify
+   * @param {Object} options - Verifier options
+   * @param {string} options.baseUrl - Override the generator's environment base URL (e.g. http://localhost:8080)
+   * @param {boolean} options.headless - Run the browser headless
+   * @param {number} options.timeout - Navigation timeout in milliseconds
+   */
+  constructor(generator, options = {}) {
+    const { baseUrl = null, headless = true, timeout = 15000 } = options;
+    this.generator = generator;
+    this.graph = generator.getGraph();
+    this.baseUrl = (baseUrl || generator.getBaseUrl()).replace(/\/$/, '');
+    this.headless = headless;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Verify selectors on every page (or the given pages)
+   * @param {Array<string>} pageIds - Page ids to check, defaults to all pages
+   * @returns {Promise<Object>} Report with per-element results and a summary
+   */
+  async verify(pageIds = null) {
+    let playwright;
+    try {
+      playwright = await import('playwright');
+    } catch (error) {
+      throw new Error('Playwright not installed. Install with: npm install playwright && npx playwright install chromium');
+    }
+
+    const pages = this.graph.nodes.filter(node =>
+      node.type === 'page' && (!pageIds || pageIds.includes(node.id))
+    );
+    const components = this.graph.nodes.filter(node => node.type === 'component');
+
+    const browser = await playwright.chromium.launch({ headless: this.headless });
+    const report = { baseUrl: this.baseUrl, checkedAt: new Date().toISOString(), pages: [] };
+
+    try {
+      const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+      const page = await context.newPage();
+      page.setDefaultTimeout(this.timeout);
+
+      for (const node of pages) {
+        // A failed login is reported once; protected pages are then checked as they render unauthenticated
+        if (node.requiresAuth && !report.login) {
+          report.login = await this.login(page);
+        }
+
+        const url = this.baseUrl + node.route;
+        const pageReport = { id: node.id, route: node.route, url, reachable: true, finalUrl: null, elements: [] };
+        try {
+          await page.goto(url, { waitUntil: 'networkidle' });
+        } catch (error) {
+          pageReport.reachable = false;
+          pageReport.error = error.message;
+          report.pages.push(pageReport);
+          continue;
+        }
+        pageReport.finalUrl = page.url();
+        if (new URL(page.url()).pathname !== node.route) {
+          pageReport.redirected = true;
+        }
+
+        for (const element of node.elements || []) {
+          if (!element.selector) continue;
+          pageReport.elements.push(await this.checkElement(page, node.id, element));
+        }
+        for (const component of components.filter(candidate => (candidate.appearsOn || []).includes(node.id))) {
+          pageReport.elements.push(...await this.checkComponent(page, component));
+        }
+        report.pages.push(pageReport);
+      }
+    } finally {
+      await browser.close();
+    }
+
+    report.summary = this.summarize(report);
+    return report;
+  }
+
+  /**
+   * Log in through the graph's login page using authentication.defaultCredentials.
+   * A login selector that no longer matches does not abort verification: the
+   * login is reported as failed with the selector that broke. Nothing is
+   * printed here; the outcome is part of the report (see formatText()).
+   * @returns {Promise<{loggedIn: boolean, selector?: string, error?: string}>} Login outcome
+   */
+  async login(page) {
+    const loginPage = this.generator.findLoginPage();
+    let credentials;
+    try {
+      credentials = this.generator.resolveCredentials();
+    } catch (error) {
+      return { loggedIn: false, error: error.message };
+    }
+    if (!loginPage || !credentials) {
+      return { loggedIn: false, error: 'No login page or default credentials in graph' };
+    }
+
+    const inputs = (loginPage.elements || []).filter(element => element.type === 'input');
+    const passwordInput = inputs.find(element => element.inputType === 'password');
+    const usernameInput = inputs.find(element => element !== passwordInput);
+    const submitButton = (loginPage.elements || []).find(element => element.type === 'button');
+    if (!usernameInput || !passwordInput) {
+      return { loggedIn: false, error: `Login page "${loginPage.id}" has no username/password elements` };
+    }
+
+    const steps = [
+      [null, () => page.goto(this.baseUrl + loginPage.route, { waitUntil: 'networkidle' })],
+      [usernameInput.selector, () => page.fill(usernameInput.selector, credentials.username)],
+      [passwordInput.selector, () => page.fill(passwordInput.selector, credentials.password)],
+      submitButton
+        ? [submitButton.selector, () => page.click(submitButton.selector)]
+        : [passwordInput.selector, () => page.press(passwordInput.selector, 'Enter')]
+    ];
+    for (const [selector, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        const message = error.message.split('\n')[0];
+        return { loggedIn: false, ...(selector ? { selector } : {}), error: message };
+      }
+    }
+
+    await page.waitForURL(url => new URL(url).pathname !== loginPage.route, { timeout: this.timeout }).catch(() => {});
+    const loggedIn = new URL(page.url()).pathname !== loginPage.route;
+    return loggedIn ? { loggedIn } : { loggedIn, error: `Still on ${loginPage.route} after submitting the login form` };
+  }
+
+  /**
+   * Check a component's elements. Elements of a stateful component are
+   * checked state by state, default state first, after bringing the
+   * component into that state through its stateTransitions. Elements of a
+   * non-default state that cannot be reached are reported as unreached, not
+   * missing; default-state elements are always checked.
+   * The component is put back into its default state afterwards, since the
+   * state may persist across pages.
+   * @returns {Promise<Array<Object>>} Element results (see checkElement())
+   */
+  async checkComponent(page, component) {
+    const elements = (component.elements || []).filter(element => element.selector);
+    const initial = this.generator.getDefaultState(component);
+    const stateful = new Set((component.states || []).flatMap(state => state.elements || []));
+    const results = [];
+
+    for (const element of elements.filter(candidate => !initial || !stateful.has(candidate.id))) {
+      results.push(await this.checkElement(page, component.id, element));
+    }
+    if (!initial) return results;
+
+    for (const state of [initial, ...component.states.filter(candidate => candidate !== initial)]) {
+      const entered = await this.enterState(page, component, state);
+      for (const element of elements.filter(candidate => (state.elements || []).includes(candidate.id))) {
+        if (!entered.reached && state !== initial) {
+          results.push({
+            owner: component.id,
+            id: element.id,
+            selector: element.selector,
+            count: 0,
+            status: 'unreached',
+            visible: false,
+            state: state.id,
+            reason: entered.reason,
+            suggestions: []
+          });
+          continue;
+        }
+        const result = await this.checkElement(page, component.id, element);
+        results.push(state === initial ? result : { ...result, state: state.id });
+      }
+    }
+    await this.enterState(page, component, initial);
+    return results;
+  }
+
+  /**
+   * Bring a component into a state by clicking the element of a transition
+   * leading to it, unless it is already there
+   * @returns {Promise<{reached: boolean, reason?: string}>}
+   */
+  async enterState(page, component, state) {
+    const marker = this.stateMarker(component, state);
+    const isShown = () => (marker ? page.locator(marker.selector).first().isVisible().catch(() => false) : Promise.resolve(false));
+    if (await isShown()) return { reached: true };
+
+    const transitions = (component.stateTransitions || []).filter(transition => transition.to === state.id);
+    // Without a marker there is no telling which state the component is in; assume the default
+    if (!marker && state === this.generator.getDefaultState(component)) return { reached: true };
+    if (transitions.length === 0) {
+      return { reached: false, reason: `no state transition leads to "${state.id}"` };
+    }
+
+    let reason = null;
+    for (const transition of transitions) {
+      const toggle = (component.elements || []).find(element => element.id === transition.element);
+      if (!toggle || !toggle.selector) {
+        reason = `transition ${transition.trigger} names no element with a selector`;
+        continue;
+      }
+      const locator = page.locator(toggle.selector).first();
+      if (!await locator.isVisible().catch(() => false)) {
+        reason = `${toggle.selector} (${toggle.id}) is not visible`;
+        continue;
+      }
+      try {
+        await locator.click();
+        if (!marker) return { reached: true };
+        await page.locator(marker.selector).first().waitFor({ state: 'visible', timeout: this.timeout });
+        return { reached: true };
+      } catch (error) {
+        reason = `clicking ${toggle.selector} did not show ${marker ? marker.selector : `"${state.id}"`}: ${error.message.split('\n')[0]}`;
+      }
+    }
+    return { reached: false, reason };
+  }
+
+  /**
+   * An element with a selector rendered only in the given state, whose
+   * visibility tells that the component is in it
+   */
+  stateMarker(component, state) {
+    const elsewhere = new Set((component.states || [])
+      .filter(candidate => candidate !== state)
+      .flatMap(candidate => candidate.elements || []));
+    return (component.elements || []).find(element => element.selector
+      && (state.elements || []).includes(element.id) && !elsewhere.has(element.id)) || null;
+  }
+
+  async checkElement(page, owner, element) {
+    const result = {
+      owner,
+      id: element.id,
+      selector: element.selector,
+      count: 0,
+      status: 'missing',
+      visible: false,
+      suggestions: []
+    };
+
+    try {
+      result.count = await page.locator(element.selector).count();
+    } catch (error) {
+      result.status = 'invalid';
+      result.error = error.message.split('\n')[0];
+      result.suggestions = await this.suggestFromGraph(page, element);
+      return result;
+    }
+
+    if (result.count === 0) {
+      result.suggestions = await this.suggestFromGraph(page, element);
+      return result;
+    }
+
+    result.status = result.count === 1 ? 'unique' : 'ambiguous';
+    const first = page.locator(element.selector).first();
+    result.visible = await first.isVisible().catch(() => false);
+
+    const match = await first.evaluate(describeMatch).catch(() => null);
+    if (match) {
+      result.suggestions = await this.suggestFromMatch(page, match, element.selector);
+    }
+    return result;
+  }
+
+  /**
+   * Build alternatives from the live element, keeping only unique ones
+   */
+  async suggestFromMatch(page, match, currentSelector) {
+    const candidates = [];
+    if (match.testId) candidates.push(`[data-testid="${match.testId}"]`);
+    if (match.id) candidates.push(`${match.tag}#${match.id}`);
+    if (match.role && match.accessibleName) candidates.push(`role=${match.role}[name="${match.accessibleName}"]`);
+    if (match.name) candidates.push(`${match.tag}[name="${match.name}"]`);
+    if (match.text) candidates.push(`${match.tag}:has-text("${match.text}")`);
+    return this.keepUnique(page, candidates.filter(candidate => candidate !== currentSelector));
+  }
+
+  /**
+   * Build alternatives from what the graph knows about a missing element
+   */
+  async suggestFromGraph(page, element) {
+    const candidates = [];
+    if (element.placeholder) candidates.push(`[placeholder="${element.placeholder}"]`);
+    if (element.text) candidates.push(`text="${element.text}"`);
+    return this.keepUnique(page, candidates);
+  }
+
+  async keepUnique(page, candidates) {
+    const unique = [];
+    for (const candidate of candidates) {
+      const count = await page.locator(candidate).count().catch(() => 0);
+      if (count === 1) unique.push(candidate);
+    }
+    return unique;
+  }
+
+  summarize(report) {
+    const summary = { checked: 0, unique: 0, ambiguous: 0, missing: 0, invalid: 0, unreached: 0, hidden: 0, unreachablePages: 0 };
+    report.pages.forEach(pageReport => {
+      if (!pageReport.reachable) summary.unreachablePages++;
+      pageReport.elements.forEach(element => {
+        summary.checked++;
+        summary[element.status]++;
+        if (element.count > 0 && !element.visible) summary.hidden++;
+      });
+    });
+    summary.loginFailed = !!report.login && !report.login.loggedIn;
+    summary.healthy = summary.missing === 0 && summary.invalid === 0 && summary.unreachablePages === 0 && !summary.loginFailed;
+    return summary;
+  }
+
+  /**
+   * Render a report as text
+   * @param {Object} report - Result of verify()
+   * @returns {string} Text report
+   */
+  formatText(report) {
+    const icons = { unique: '✅', ambiguous: '⚠️ ', missing: '❌', invalid: '❌', unreached: '⏸️ ' };
+    let text = `Selector health for ${report.baseUrl}\n\n`;
+    if (report.login && !report.login.loggedIn) {
+      text += `❌ Login failed${report.login.selector ? ` at ${report.login.selector}` : ''}: ${report.login.error}\n`;
+      text += `   Protected pages were checked as they render without logging in.\n\n`;
+    }
+
+    report.pages.forEach(pageReport => {
+      text += `📄 ${pageReport.id} (${pageReport.route})`;
+      if (!pageReport.reachable) {
+        text += ` - unreachable: ${pageReport.error}\n\n`;
+        return;
+      }
+      text += pageReport.redirected ? ` - redirected to ${pageReport.finalUrl}\n` : '\n';
+
+      pageReport.elements.forEach(element => {
+        if (element.status === 'unreached') {
+          text += `  ${icons.unreached} ${element.owner}/${element.id}: ${element.selector} (not rendered in default state; could not open "${element.state}": ${element.reason})\n`;
+          return;
+        }
+        const matches = element.count === 1 ? '1 match' : `${element.count} matches`;
+        const visibility = element.count > 0 ? (element.visible ? ', visible' : ', hidden') : '';
+        const state = element.state ? `, in ${element.state} state` : '';
+        text += `  ${icons[element.status]} ${element.owner}/${element.id}: ${element.selector} (${matches}${visibility}${state})\n`;
+        if (element.error) {
+          text += `       ${element.error}\n`;
+        }
+        if (element.status !== 'unique' || !element.visible) {
+          element.suggestions.forEach(suggestion => {
+            text += `       → try ${suggestion}\n`;
+          });
+        }
+      });
+      text += '\n';
+    });
+
+    const { summary } = report;
+    text += `Summary: ${summary.checked} checked, ${summary.unique} unique, ${summary.ambiguous} ambiguous, `;
+    text += `${summary.missing} missing, ${summary.invalid} invalid, ${summary.unreached} in unreachable states, ${summary.hidden} hidden\n`;
+    return text;
+  }
+}
+
+export default SelectorVerifier;
@@ -0,0 +1,590 @@
+import { resolveCredential } from './credentials.js';
+
+/**
+ * Site Crawler
+ *
+ * Drives a local Playwright browser from a start URL and builds a website
+ * graph in the same schema as website-graph.json: pages, elements with
+ * stable selectors, components shared across pages and navigation edges.
+ */
+
+/**
+ * Runs inside the browser page. Collects interactive elements with a stable
+ * selector and the region (nav, header, fixed widget...) they belong to.
+ * Must stay self-contained since Playwright serializes it into the page.
+ */
+function extractPageSnapshot() {
+  const REGION_SELECTOR = 'nav, header, footer, aside, [role="navigation"], [role="dialog"]';
+  const ELEMENT_SELECTOR = 'input:not([type="hidden"]), textarea, select, button, a[href], [role="button"], h1, h2';
+
+  const quote = value => String(value).replace(/'/g, "\\'");
+  const isUnique = selector => {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+  const textOf = el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim();
+  const stableClasses = el => Array.from(el.classList)
+    .filter(cls => /^[a-zA-Z][\w-]*$/.test(cls))
+    .slice(0, 4);
+
+  const selectorFor = el => {
+    const tag = el.tagName.toLowerCase();
+    const candidates = [];
+    if (el.id) candidates.push(`${tag}[id='${quote(el.id)}']`);
+    ['data-testid', 'data-test', 'name', 'aria-label', 'placeholder'].forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (value) candidates.push(`${tag}[${attr}='${quote(value)}']`);
+    });
+    if (tag === 'a') candidates.push(`a[href='${quote(el.getAttribute('href'))}']`);
+    if (el.getAttribute('type') === 'submit') candidates.push(`${tag}[type='submit']`);
+
+    const unique = candidates.find(isUnique);
+    if (unique) return unique;
+
+    // Playwright text selectors cannot be checked with querySelectorAll
+    const text = textOf(el);
+    if (tag === 'button' && text && text.length <= 40) {
+      return `button:has-text('${quote(text)}')`;
+    }
+
+    const classSelector = [tag, ...stableClasses(el)].join('.');
+    return candidates[0] || classSelector;
+  };
+
+  const regionFor = el => {
+    let region = el.closest(REGION_SELECTOR);
+    if (!region) {
+      let current = el.parentElement;
+      while (current && current !== document.body) {
+        if (window.getComputedStyle(current).position === 'fixed') {
+          region = current;
+          break;
+        }
+        current = current.parentElement;
+      }
+    }
+    if (!region && window.getComputedStyle(el).position === 'fixed') {
+      region = el;
+    }
+    if (!region) return null;
+
+    const rect = region.getBoundingClientRect();
+    const vertical = rect.top > window.innerHeight / 2 ? 'bottom' : 'top';
+    const horizontal = rect.left > window.innerWidth / 2 ? 'right' : 'left';
+    return {
+      signature: [region.tagName.toLowerCase(), ...stableClasses(region)].join('.'),
+      label: region.getAttribute('aria-label') || region.tagName.toLowerCase(),
+      fixed: window.getComputedStyle(region).position === 'fixed',
+      position: `${vertical} ${horizontal}`
+    };
+  };
+
+  const elements = Array.from(document.querySelectorAll(ELEMENT_SELECTOR))
+    .filter(isVisible)
+    .map(el => {
+      const tag = el.tagName.toLowerCase();
+      const label = el.labels && el.labels[0] ? textOf(el.labels[0]) : null;
+      return {
+        tag,
+        selector: selectorFor(el),
+        text: textOf(el).slice(0, 80) || null,
+        label,
+        placeholder: el.getAttribute('placeholder'),
+        ariaLabel: el.getAttribute('aria-label'),
+        inputType: tag === 'input' ? (el.getAttribute('type') || 'text') : null,
+        required: el.required || false,
+        href: tag === 'a' ? el.href : null,
+        inForm: !!el.closest('form'),
+        region: regionFor(el)
+      };
+    });
+
+  const heading = document.querySelector('h1');
+  return {
+    url: window.location.href,
+    title: document.title,
+    heading: heading ? textOf(heading) : null,
+    hasPasswordField: !!document.querySelector('input[type="password"]'),
+    elements
+  };
+}
+
+/**
+ * Convert free text into a kebab-case identifier
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug
+ */
+export function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+class SiteCrawler {
+  /**
+   * @param {Object} options - Crawler options
+   * @param {Object} options.seedGraph - Existing graph used for metadata, authentication and commonPatterns
+   * @param {number} options.maxPages - Maximum number of distinct routes to visit
+   * @param {boolean} options.headless - Run the browser headless
+   * @param {boolean} options.probeButtons - Click non-form buttons to discover transitions
+   * @param {number} options.timeout - Navigation timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const {
+      seedGraph = null,
+      maxPages = 25,
+      headless = true,
+      probeButtons = true,
+      timeout = 15000
+    } = options;
+
+    this.seedGraph = seedGraph;
+    this.maxPages = maxPages;
+    this.headless = headless;
+    this.probeButtons = probeButtons;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Crawl a site from a start URL and build a website graph
+   * @param {string} startUrl - URL to start crawling from
+   * @returns {Promise<Object>} Graph in the website-graph.json schema
+   */
+  async crawl(startUrl) {
+    const { chromium } = await this.loadPlaywright();
+    const origin = new URL(startUrl).origin;
+
+    const browser = await chromium.launch({ headless: this.headless });
+    try {
+      const context = await browser.newContext({ viewport: { width: 1280, height: 720 } });
+      const page = await context.newPage();
+      page.setDefaultTimeout(this.timeout);
+
+      const snapshots = new Map();
+      const transitions = [];
+      const queue = [new URL(startUrl).pathname];
+      let loginRoute = null;
+      let landingRoute = null;
+
+      while (queue.length > 0 && snapshots.size < this.maxPages) {
+        const route = queue.shift();
+        if (snapshots.has(route)) continue;
+
+        console.log(`🔎 Visiting ${route}`);
+        await this.goto(page, origin + route);
+        const landedOn = new URL(page.url()).pathname;
+        if (landedOn !== route && snapshots.has(landedOn)) continue;
+
+        const snapshot = await page.evaluate(extractPageSnapshot);
+        snapshots.set(landedOn, snapshot);
+
+        // Links are read before logging in, so the login page's own links (sign-up, forgot password) are kept
+        snapshot.elements
+          .filter(el => el.tag === 'a' && el.href && el.href.startsWith(origin))
+          .forEach(el => {
+            const target = new URL(el.href).pathname;
+            transitions.push({ from: landedOn, to: target, trigger: this.triggerFor(el), selector: el.selector });
+            if (!snapshots.has(target) && !queue.includes(target)) queue.push(target);
+          });
+
+        if (snapshot.hasPasswordField && !landingRoute) {
+          loginRoute = landedOn;
+          landingRoute = await this.login(page, snapshot);
+          if (landingRoute) {
+            transitions.push({ from: landedOn, to: landingRoute, trigger: 'successful_login' });
+            if (!snapshots.has(landingRoute)) queue.unshift(landingRoute);
+            // Come back to the route that redirected us once we are logged in
+            if (route !== landedOn && !snapshots.has(route)) queue.push(route);
+          }
+          continue;
+        }
+
+        if (this.probeButtons) {
+          const probed = await this.probePageButtons(page, origin, landedOn, snapshot);
+          snapshots.set(landedOn, probed.snapshot);
+          probed.transitions.forEach(transition => {
+            transitions.push(transition);
+            if (transition.to === loginRoute && landingRoute) return;
+            if (!snapshots.has(transition.to) && !queue.includes(transition.to)) queue.push(transition.to);
+          });
+          if (probed.loggedOut && loginRoute) {
+            await this.goto(page, origin + loginRoute);
+            await this.login(page, await page.evaluate(extractPageSnapshot));
+          }
+        }
+      }
+
+      const protectedRoutes = await this.detectProtectedRoutes(browser, origin, [...snapshots.keys()], loginRoute);
+      return this.buildGraph({ origin, snapshots, transitions, loginRoute, protectedRoutes });
+    } finally {
+      await browser.close();
+    }
+  }
+
+  async loadPlaywright() {
+    try {
+      return await import('playwright');
+    } catch (error) {
+      throw new Error('Playwright not installed. Install with: npm install playwright && npx playwright install chromium');
+    }
+  }
+
+  async goto(page, url) {
+    await page.goto(url, { waitUntil: 'networkidle' }).catch(() => page.waitForLoadState('domcontentloaded'));
+  }
+
+  /**
+   * Log in using the seed graph's authentication block
+   * @returns {Promise<string|null>} Route landed on after login, or null when login failed
+   */
+  async login(page, snapshot) {
+    const references = this.seedGraph?.authentication?.defaultCredentials;
+    if (!references) {
+      console.log('⚠️  Login form found but no authentication.defaultCredentials to use');
+      return null;
+    }
+    let credentials;
+    try {
+      credentials = {
+        username: resolveCredential(references.username),
+        password: resolveCredential(references.password)
+      };
+    } catch (error) {
+      console.log(`⚠️  Login form found but credentials cannot be resolved: ${error.message}`);
+      return null;
+    }
+
+    const inputs = snapshot.elements.filter(el => el.tag === 'input');
+    const passwordField = inputs.find(el => el.inputType === 'password');
+    const usernameField = inputs.find(el => el !== passwordField && ['text', 'email'].includes(el.inputType));
+    const submit = snapshot.elements.find(el => el.tag === 'button' && el.inForm);
+    if (!passwordField || !usernameField) {
+      return null;
+    }
+
+    const before = page.url();
+    await page.fill(usernameField.selector, credentials.username);
+    await page.fill(passwordField.selector, credentials.password);
+    if (submit) {
+      await page.click(submit.selector);
+    } else {
+      await page.press(passwordField.selector, 'Enter');
+    }
+    await page.waitForURL(url => url.toString() !== before, { timeout: this.timeout }).catch(() => {});
+    await page.waitForLoadState('networkidle').catch(() => {});
+
+    const after = page.url();
+    if (after === before) {
+      console.log('⚠️  Login did not navigate away from the login page');
+      return null;
+    }
+    console.log(`🔐 Logged in, landed on ${new URL(after).pathname}`);
+    return new URL(after).pathname;
+  }
+
+  /**
+   * Click every visible button outside forms and record where it leads.
+   * Buttons that keep the URL may reveal new elements (e.g. a chat window);
+   * those are merged into the page snapshot.
+   */
+  async probePageButtons(page, origin, route, snapshot) {
+    const transitions = [];
+    const known = new Set(snapshot.elements.map(el => el.selector));
+    const elements = [...snapshot.elements];
+    let loggedOut = false;
+
+    const buttons = snapshot.elements.filter(el => el.tag === 'button' && !el.inForm);
+    for (const button of buttons) {
+      await this.goto(page, origin + route);
+      if (new URL(page.url()).pathname !== route) {
+        loggedOut = true;
+        break;
+      }
+
+      try {
+        await page.click(button.selector, { timeout: 3000 });
+        await page.waitForLoadState('networkidle').catch(() => {});
+      } catch (error) {
+        continue;
+      }
+
+      const after = new URL(page.url());
+      if (after.origin === origin && after.pathname !== route) {
+        transitions.push({ from: route, to: after.pathname, trigger: this.triggerFor(button), selector: button.selector });
+        if (/log\s*out|sign\s*out/i.test(`${button.text} ${button.ariaLabel}`)) {
+          loggedOut = true;
+        }
+        continue;
+      }
+
+      const revealed = await page.evaluate(extractPageSnapshot);
+      revealed.elements
+        .filter(el => !known.has(el.selector))
+        .forEach(el => {
+          known.add(el.selector);
+          elements.push({ ...el, revealedBy: button.selector, region: el.region || button.region });
+        });
+    }
+
+    return { snapshot: { ...snapshot, elements }, transitions, loggedOut };
+  }
+
+  /**
+   * Open every route in a fresh, unauthenticated context and check
+   * whether it redirects to the login route
+   */
+  async detectProtectedRoutes(browser, origin, routes, loginRoute) {
+    const protectedRoutes = new Set();
+    if (!loginRoute) return protectedRoutes;
+
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    page.setDefaultTimeout(this.timeout);
+    for (const route of routes) {
+      if (route === loginRoute) continue;
+      await this.goto(page, origin + route);
+      if (new URL(page.url()).pathname === loginRoute) {
+        protectedRoutes.add(route);
+      }
+    }
+    await context.close();
+    return protectedRoutes;
+  }
+
+  triggerFor(el) {
+    const label = el.text || el.ariaLabel || el.label || (el.href ? new URL(el.href).pathname : '');
+    const suffix = el.tag === 'a' ? 'link' : 'button';
+    if (/log\s*out|sign\s*out/i.test(label)) return 'logout';
+    return `click_${slugify(label).replace(/-/g, '_') || 'unnamed'}_${suffix}`;
+  }
+
+  /**
+   * Build the website graph from crawl results. Kept free of browser
+   * calls so it can be reused on stored snapshots.
+   * @returns {Object} Graph in the website-graph.json schema
+   */
+  buildGraph({ origin, snapshots, transitions, loginRoute, protectedRoutes }) {
+    const routes = [...snapshots.keys()];
+    const pageIds = new Map(routes.map(route => [route, this.pageIdFor(route)]));
+
+    // Regions seen on more than one page become shared components
+    const regionPages = new Map();
+    routes.forEach(route => {
+      snapshots.get(route).elements.forEach(el => {
+        if (!el.region) return;
+        if (!regionPages.has(el.region.signature)) {
+          regionPages.set(el.region.signature, { region: el.region, routes: new Set(), elements: new Map() });
+        }
+        const entry = regionPages.get(el.region.signature);
+        entry.routes.add(route);
+        if (!entry.elements.has(el.selector)) entry.elements.set(el.selector, el);
+      });
+    });
+    const sharedRegions = [...regionPages.values()].filter(entry => entry.routes.size > 1);
+    const sharedSignatures = new Set(sharedRegions.map(entry => entry.region.signature));
+
+    const usedComponentIds = new Set(routes.map(route => pageIds.get(route)));
+    const components = sharedRegions.map(entry => {
+      const id = this.uniqueId(this.componentIdFor(entry.region), usedComponentIds);
+      const appearsOn = [...entry.routes].map(route => pageIds.get(route));
+      const component = {
+        id,
+        type: 'component',
+        name: this.componentNameFor(entry.region),
+        description: `${this.componentNameFor(entry.region)} shared by ${appearsOn.length} pages`,
+        isGlobal: appearsOn.length === routes.filter(route => route !== loginRoute).length,
+        elements: this.buildElements([...entry.elements.values()]),
+        appearsOn
+      };
+      if (entry.region.fixed) {
+        component.position = `fixed ${entry.region.position}`;
+      }
+      return { signature: entry.region.signature, component };
+    });
+
+    const edges = [];
+    const edgeKeys = new Set();
+    transitions.forEach(transition => {
+      if (!pageIds.has(transition.from) || !pageIds.has(transition.to) || transition.from === transition.to) return;
+      const from = pageIds.get(transition.from);
+      const to = pageIds.get(transition.to);
+      const key = `${from}|${to}|${transition.trigger}`;
+      if (edgeKeys.has(key)) return;
+      edgeKeys.add(key);
+      const edge = {
+        from,
+        to,
+        type: 'navigation',
+        trigger: transition.trigger,
+        description: this.describeTransition(transition, snapshots)
+      };
+      if (transition.selector) edge.selector = transition.selector;
+      edges.push(edge);
+    });
+
+    const pages = routes.map(route => {
+      const snapshot = snapshots.get(route);
+      const id = pageIds.get(route);
+      const requiresAuth = protectedRoutes.has(route);
+      const ownElements = snapshot.elements.filter(el => !el.region || !sharedSignatures.has(el.region.signature));
+      const pageComponents = components
+        .filter(({ component }) => component.appearsOn.includes(id))
+        .map(({ component }) => component.id);
+      const nextSteps = [...new Set(edges.filter(edge => edge.from === id).map(edge => edge.to))];
+
+      const node = {
+        id,
+        type: 'page',
+        route,
+        name: snapshot.heading || snapshot.title || id,
+        description: `Page at ${route}${snapshot.heading ? ` with heading "${snapshot.heading}"` : ''}`,
+        isPublic: !requiresAuth,
+        requiresAuth
+      };
+      if (pageComponents.length > 0) node.components = pageComponents;
+      node.elements = this.buildElements(ownElements);
+      node.userFlow = {
+        entryPoint: route === (loginRoute || routes[0]),
+        nextSteps,
+        actions: this.buildActions(node.elements)
+      };
+      return node;
+    });
+
+    const seed = this.seedGraph || {};
+    const seedMetadata = seed.metadata || {};
+    const loginPage = pages.find(p => p.route === loginRoute);
+
+    const graph = {
+      metadata: {
+        name: seedMetadata.name || `${new URL(origin).hostname} Website Context Map`,
+        version: seedMetadata.version || '1.0.0',
+        description: seedMetadata.description || `Crawled website graph for ${origin}`,
+        baseUrl: origin,
+        lastUpdated: new Date().toISOString().slice(0, 10)
+      },
+      nodes: [...pages, ...components.map(({ component }) => component)],
+      edges
+    };
+
+    graph.authentication = {
+      required: protectedRoutes.size > 0,
+      publicPages: pages.filter(p => !p.requiresAuth).map(p => p.id),
+      protectedPages: pages.filter(p => p.requiresAuth).map(p => p.id)
+    };
+    if (seed.authentication) {
+      ['defaultCredentials', 'sessionStorage', 'redirectBehavior'].forEach(key => {
+        if (seed.authentication[key] !== undefined) graph.authentication[key] = seed.authentication[key];
+      });
+    }
+
+    graph.commonPatterns = seed.commonPatterns
+      ? seed.commonPatterns
+      : (loginPage ? [{ name: 'Login Flow', steps: [`Navigate to ${loginPage.route}`, ...loginPage.userFlow.actions] }] : []);
+
+    return graph;
+  }
+
+  buildElements(rawElements) {
+    const usedIds = new Set();
+    return rawElements.map(el => {
+      const type = this.elementTypeFor(el);
+      const label = el.label || el.placeholder || el.ariaLabel || el.text || el.selector;
+      const element = {
+        id: this.uniqueId(`${slugify(label).slice(0, 40) || 'element'}-${type}`, usedIds),
+        type,
+        selector: el.selector,
+        description: this.describeElement(el, type, label)
+      };
+      if (el.placeholder) element.placeholder = el.placeholder;
+      if (el.text && type !== 'input') element.text = el.text;
+      if (el.required) element.required = true;
+      if (el.inputType && !['text', 'search'].includes(el.inputType)) element.inputType = el.inputType;
+      if (el.revealedBy) element.revealedBy = el.revealedBy;
+      return element;
+    });
+  }
+
+  buildActions(elements) {
+    return elements
+      .filter(el => ['input', 'button', 'link', 'select'].includes(el.type))
+      .map(el => {
+        if (el.type === 'input') {
+          const field = el.description.replace(/ input field$/, '');
+          return `Enter ${field.toLowerCase()} in ${field} field`;
+        }
+        if (el.type === 'select') return `Choose an option in ${el.description}`;
+        return `Click '${el.text || el.description}' ${el.type}`;
+      });
+  }
+
+  elementTypeFor(el) {
+    if (el.tag === 'a') return 'link';
+    if (el.tag === 'button' || el.inputType === 'submit') return 'button';
+    if (el.tag === 'input' || el.tag === 'textarea') return 'input';
+    if (el.tag === 'select') return 'select';
+    if (/^h[1-6]$/.test(el.tag)) return 'heading';
+    return 'button';
+  }
+
+  describeElement(el, type, label) {
+    switch (type) {
+      case 'input':
+        return `${label} input field`;
+      case 'link':
+        return `Link to ${el.href ? new URL(el.href).pathname : label}${el.text ? ` ("${el.text}")` : ''}`;
+      case 'heading':
+        return 'Page heading';
+      default:
+        return `${label} ${type}`;
+    }
+  }
+
+  describeTransition(transition, snapshots) {
+    const target = snapshots.get(transition.to);
+    const targetName = target?.heading || target?.title || transition.to;
+    if (transition.trigger === 'successful_login') {
+      return `After successful login, user is redirected to ${targetName}`;
+    }
+    return `${transition.trigger.replace(/_/g, ' ')} navigates to ${targetName}`;
+  }
+
+  pageIdFor(route) {
+    if (route === '/') return 'home';
+    return slugify(route) || 'home';
+  }
+
+  componentIdFor(region) {
+    if (region.label !== region.signature.split('.')[0]) return slugify(region.label);
+    if (region.label === 'nav' || region.label === 'header') return 'navigation';
+    if (region.fixed) return `floating-widget-${slugify(region.position)}`;
+    return slugify(region.label);
+  }
+
+  componentNameFor(region) {
+    const id = this.componentIdFor(region);
+    return id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  uniqueId(base, used) {
+    let id = base;
+    let counter = 2;
+    while (used.has(id)) {
+      id = `${base}-${counter++}`;
+    }
+    used.add(id);
+    return id;
+  }
+}
+
+export default SiteCrawler;
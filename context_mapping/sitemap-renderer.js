@@ -0,0 +1,162 @@
+// Strings YAML would read as something else (numbers, booleans, null),
+// that start with an indicator character or contain ": " or " #" are
+// double-quoted; inside [flow, lists] commas and brackets are quoted too
+const RESERVED_WORDS = /^(true|false|yes|no|on|off|null|~)$/i;
+const INDICATOR_START = /^[-?:,[\]{}#&*!|>'"%@`\s\d.+]/;
+const FLOW_CHARACTERS = /[,[\]{}]/;
+const MAX_FLOW_WIDTH = 100;
+
+/**
+ * Agent sitemap renderer
+ *
+ * Compact YAML keyed by page and component id: URL, auth, purpose, element
+ * selectors, outgoing links and what to do before using a stateful
+ * component, without the prose, so structured agents can parse it.
+ */
+class SitemapRenderer {
+  constructor() {
+    this.name = 'agent-sitemap';
+    this.extension = '.yaml';
+    this.description = 'Compact YAML sitemap keyed by page and component id';
+  }
+
+  renderFull(generator, options = {}) {
+    return this.render(generator.buildContextModel(options));
+  }
+
+  renderTask(generator, taskDescription, options = {}) {
+    return this.render(generator.buildContextModel({ ...options, task: taskDescription }));
+  }
+
+  renderQuickReference(generator, options = {}) {
+    return this.render(generator.buildContextModel(options), { quick: true });
+  }
+
+  /**
+   * Render a context model (see ContextGenerator.buildContextModel()) as YAML
+   * @param {Object} model - Context model
+   * @param {Object} options - Render options
+   * @param {boolean} options.quick - Only routes, auth and selectors
+   * @returns {string} YAML document
+   */
+  render(model, options = {}) {
+    const { quick = false } = options;
+    const document = {
+      site: { name: model.site.name, base_url: model.site.baseUrl, version: model.site.version }
+    };
+    if (model.task) {
+      document.task = model.task;
+    }
+    if (model.auth) {
+      document.auth = {
+        login: model.auth.loginUrl,
+        ...(model.auth.credentials || {}),
+        protected: model.auth.protectedPages
+      };
+    }
+
+    document.pages = Object.fromEntries(model.pages.map(page => [page.id, compact({
+      url: page.url,
+      auth: page.requiresAuth,
+      about: quick ? null : page.description,
+      do: quick ? null : page.actions,
+      elements: this.elements(page.elements),
+      links: quick ? null : Object.fromEntries(page.links.map(link => [link.to, link.trigger])),
+      products: quick || page.products.length === 0 ? null : {
+        count: page.products.length,
+        categories: [...new Set(page.products.map(product => product.category))]
+      }
+    })]));
+
+    document.components = Object.fromEntries(model.components.map(component => [component.id, compact({
+      about: quick ? null : component.description,
+      appears_on: component.appearsOn,
+      position: quick ? null : component.position,
+      default_state: component.defaultState,
+      before_use: component.hints.map(({ hint, selector }) => (selector ? `${hint} (click ${selector})` : hint)),
+      elements: this.elements(component.elements)
+    })]));
+
+    if (model.reachable.length > 0) {
+      document.reachable = Object.fromEntries(model.reachable.map(page => [page.id, {
+        route: page.route,
+        hops: page.hops,
+        via: `${page.from}:${page.trigger}`
+      }]));
+    }
+    if (!quick && model.flows.length > 0) {
+      document.flows = Object.fromEntries(model.flows.map(flow => [flow.name, flow.steps]));
+    }
+
+    const title = model.task ? `Task sitemap` : quick ? 'Quick sitemap' : 'Agent sitemap';
+    return `# ${title}: ${model.site.name} v${model.site.version}\n${toYaml(document)}`;
+  }
+
+  /**
+   * Element id → selector, or { selector, when } for elements only rendered in some states
+   */
+  elements(elements) {
+    const withSelector = elements.filter(element => element.selector);
+    if (withSelector.length === 0) return null;
+    return Object.fromEntries(withSelector.map(element => [
+      element.id,
+      element.states.length > 0 ? { selector: element.selector, when: element.states.join(' or ') } : element.selector
+    ]));
+  }
+}
+
+/**
+ * Serialize plain data as block-style YAML; short scalar lists use flow style
+ * @param {*} value - Object, array or scalar
+ * @param {number} indent - Current indentation
+ * @returns {string} YAML text ending in a newline
+ */
+export function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    return value.map(item => (isScalar(item)
+      ? `${pad}- ${scalar(item)}\n`
+      : `${pad}-\n${toYaml(item, indent + 2)}`)).join('');
+  }
+
+  return Object.entries(value).map(([key, item]) => {
+    const label = `${pad}${scalar(key)}:`;
+    if (isScalar(item)) {
+      return `${label} ${scalar(item)}\n`;
+    }
+    if (Array.isArray(item) && item.every(isScalar)) {
+      const flow = `[${item.map(entry => scalar(entry, true)).join(', ')}]`;
+      if (label.length + flow.length < MAX_FLOW_WIDTH) {
+        return `${label} ${flow}\n`;
+      }
+    }
+    return `${label}\n${toYaml(item, indent + 2)}`;
+  }).join('');
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function scalar(value, inFlow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  const quote = value === ''
+    || RESERVED_WORDS.test(value)
+    || INDICATOR_START.test(value)
+    || /: |\s#|[:\s]$|\n/.test(value)
+    || (inFlow && FLOW_CHARACTERS.test(value));
+  return quote ? JSON.stringify(value) : value;
+}
+
+/**
+ * Drop null, empty-array and empty-object fields
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null
+    && value !== undefined
+    && !(Array.isArray(value) && value.length === 0)
+    && !(typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)));
+}
+
+export default SitemapRenderer;
@@ -0,0 +1,659 @@
+import { parseModule, walkJsx, jsxName, jsxAttribute, jsxText, literalValue } from './tsx-parser.js';
+import { slugify } from './site-crawler.js';
+import { resolveComponent } from './graph-validator.js';
+import { matchesRoute } from './context-generator.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_SOURCE_DIR = path.join(__dirname, '..', 'style-scout-ai-main', 'src');
+const ENTRY_CANDIDATES = ['App.tsx', 'App.jsx', 'App.js'];
+const MODULE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+const ROUTER_PACKAGES = ['react-router-dom', 'react-router'];
+const LOGOUT_PATTERN = /log\s*out|sign\s*out/i;
+
+/**
+ * Source Analyzer
+ *
+ * Reads a React / React Router app from its source instead of crawling it.
+ * Each module is parsed with @babel/parser (see tsx-parser.js) and the graph
+ * is derived from it:
+ *   - every `<Route path element>` in the entry module (App.tsx) is a page.
+ *     Nested routes join their parent's path. The `*` catch-all is skipped.
+ *   - a page requires authentication when its element, or a parent route's
+ *     element, is wrapped in a guard component (ProtectedRoute)
+ *   - project components rendered by a page, directly or through other
+ *     components, are listed in the page's `components` and get the page
+ *     in their `appearsOn`. Primitives under components/ui and link
+ *     wrappers (a styled NavLink around the router's) are left out.
+ *   - `<Link to>`, `<NavLink to>`, `<a href="/...">` and `navigate('/...')`
+ *     calls become navigation edges from every page that renders them. The
+ *     guard's `<Navigate to>` marks the login route, and navigate() calls
+ *     made from the login page are its `successful_login` edge.
+ *
+ * merge() folds the result into an existing graph: hand-written names,
+ * descriptions, elements and edges are kept, while routes, requiresAuth,
+ * components and appearsOn follow the source.
+ */
+class SourceAnalyzer {
+  /**
+   * @param {Object} options - Analyzer options
+   * @param {string} options.srcDir - App source directory (defaults to style-scout-ai-main/src)
+   * @param {string} options.entry - Module declaring the routes, relative to srcDir (defaults to App.tsx)
+   * @param {Array<string>} options.guards - Components that protect a route
+   * @param {Array<string>} options.ignore - Directories, relative to srcDir, whose components are not graph nodes
+   */
+  constructor(options = {}) {
+    const {
+      srcDir = DEFAULT_SOURCE_DIR,
+      entry = null,
+      guards = ['ProtectedRoute'],
+      ignore = ['components/ui']
+    } = options;
+
+    this.srcDir = path.resolve(srcDir);
+    if (!fs.existsSync(this.srcDir)) {
+      throw new Error(`Source directory not found: ${this.srcDir}`);
+    }
+    this.entry = entry
+      ? path.resolve(this.srcDir, entry)
+      : ENTRY_CANDIDATES.map(candidate => path.join(this.srcDir, candidate)).find(file => fs.existsSync(file));
+    if (!this.entry || !fs.existsSync(this.entry)) {
+      throw new Error(`No ${entry || ENTRY_CANDIDATES.join('/')} found in ${this.srcDir}; pass the module declaring the routes with --entry`);
+    }
+    this.guards = guards;
+    this.ignore = ignore.map(dir => path.join(this.srcDir, dir) + path.sep);
+    this.aliases = loadAliases(this.srcDir);
+    this.modules = new Map();
+  }
+
+  /**
+   * Extract pages, components and navigation edges from the source
+   * @returns {Object} Extraction with routes, pages, components, edges, loginRoute and skipped links
+   */
+  analyze() {
+    const entry = this.loadModule(this.entry);
+    const routes = [];
+    const skipped = [];
+    walkJsx(entry.ast.jsx, (element, ancestors) => {
+      if (!this.isRoute(entry, element) || ancestors.some(ancestor => this.isRoute(entry, ancestor))) return;
+      this.collectRoutes(entry, element, '', false, routes, skipped);
+    });
+    if (routes.length === 0) {
+      throw new Error(`No <Route path element> found in ${this.relative(this.entry)}`);
+    }
+
+    const loginRoute = this.findLoginRoute(entry, routes);
+    const pages = routes.map(route => {
+      const module = this.loadModule(route.file);
+      const components = this.renderedComponents(route.file);
+      const heading = findHeading(module);
+      return {
+        id: route.path === '/' ? 'home' : slugify(route.path) || 'home',
+        route: route.path,
+        component: route.component,
+        file: route.file,
+        name: heading || humanize(route.component),
+        requiresAuth: route.requiresAuth,
+        components
+      };
+    });
+
+    const components = [];
+    pages.forEach(page => {
+      page.components.forEach(({ name, file }) => {
+        let component = components.find(candidate => candidate.file === file);
+        if (!component) {
+          component = { name, file, appearsOn: [] };
+          components.push(component);
+        }
+        component.appearsOn.push(page.id);
+      });
+    });
+
+    const edges = [];
+    const edgeKeys = new Set();
+    pages.forEach(page => {
+      const sources = [
+        ...this.navigationSources(page.file).map(source => ({ ...source, via: null })),
+        ...page.components.flatMap(({ name, file }) => this.navigationSources(file).map(source => ({ ...source, via: name })))
+      ];
+      sources.forEach(source => {
+        const target = pages.find(candidate => matchesRoute(source.to, candidate.route));
+        if (!target) {
+          if (!skipped.some(skip => skip.definedIn === source.definedIn)) {
+            skipped.push({ definedIn: source.definedIn, to: source.to, reason: `no route matches ${source.to}` });
+          }
+          return;
+        }
+        const key = `${page.id}|${target.id}`;
+        if (target === page || edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+
+        const trigger = source.kind === 'navigate' && page.route === loginRoute ? 'successful_login' : source.trigger;
+        edges.push({
+          from: page.id,
+          to: target.id,
+          type: 'navigation',
+          trigger,
+          description: describeSource(source, trigger, page, target),
+          definedIn: source.definedIn
+        });
+      });
+    });
+
+    return {
+      srcDir: this.srcDir,
+      entry: this.relative(this.entry),
+      loginRoute,
+      pages: pages.map(page => ({ ...page, file: this.relative(page.file), components: page.components.map(({ name }) => name) })),
+      components: components.map(component => ({ ...component, file: this.relative(component.file) })),
+      edges,
+      skipped
+    };
+  }
+
+  /**
+   * Merge an extraction into a graph. The graph passed in is not modified.
+   * @param {Object} graph - Existing website graph
+   * @param {Object} extraction - Result of analyze()
+   * @returns {{graph: Object, changes: Array, warnings: Array}} Merged graph, applied changes and
+   *          graph entries the source does not confirm
+   */
+  merge(graph, extraction) {
+    const merged = JSON.parse(JSON.stringify(graph));
+    const changes = [];
+    const warnings = [];
+    const change = (target, message) => changes.push({ target, message });
+    const ids = new Map();
+
+    extraction.pages.forEach(page => {
+      const existing = merged.nodes.find(node => node.type === 'page' && node.route === page.route)
+        || merged.nodes.find(node => node.id === page.id);
+      if (!existing) {
+        const node = {
+          id: uniqueNodeId(page.id, merged.nodes),
+          type: 'page',
+          route: page.route,
+          name: page.name,
+          description: `Page at ${page.route} rendered by ${page.component} (${page.file})`,
+          isPublic: !page.requiresAuth,
+          requiresAuth: page.requiresAuth
+        };
+        if (page.components.length > 0) node.components = page.components;
+        node.userFlow = { entryPoint: page.route === extraction.loginRoute, nextSteps: [] };
+        insertNode(merged.nodes, node);
+        ids.set(page.id, node.id);
+        change(node.id, `added page ${page.route} (${page.component})`);
+        return;
+      }
+
+      ids.set(page.id, existing.id);
+      if (existing.route !== page.route) {
+        change(existing.id, `route ${existing.route} → ${page.route}`);
+        existing.route = page.route;
+      }
+      if (existing.requiresAuth !== page.requiresAuth || existing.isPublic !== !page.requiresAuth) {
+        change(existing.id, `requiresAuth ${existing.requiresAuth} → ${page.requiresAuth}`);
+        existing.requiresAuth = page.requiresAuth;
+        existing.isPublic = !page.requiresAuth;
+      }
+      const components = existing.components || [];
+      if (!sameList(components, page.components)) {
+        change(existing.id, `components [${components.join(', ')}] → [${page.components.join(', ')}]`);
+        if (page.components.length > 0) existing.components = page.components;
+        else delete existing.components;
+      }
+    });
+
+    merged.nodes
+      .filter(node => node.type === 'page' && ![...ids.values()].includes(node.id))
+      .forEach(node => warnings.push({ target: node.id, message: `page ${node.route} has no <Route> in ${extraction.entry}` }));
+
+    extraction.components.forEach(component => {
+      const componentNodes = merged.nodes.filter(node => node.type === 'component');
+      const existing = resolveComponent(component.name, componentNodes);
+      const appearsOn = component.appearsOn.map(id => ids.get(id));
+      if (!existing) {
+        const node = {
+          id: uniqueNodeId(slugify(component.name.replace(/([a-z0-9])([A-Z])/g, '$1-$2')), merged.nodes),
+          type: 'component',
+          name: humanize(component.name),
+          description: `${humanize(component.name)} component (${component.file})`,
+          isGlobal: appearsOn.length > 1 && appearsOn.length === extraction.pages.filter(page => page.route !== extraction.loginRoute).length,
+          appearsOn
+        };
+        insertNode(merged.nodes, node);
+        change(node.id, `added component ${component.name} on ${appearsOn.join(', ')}`);
+        return;
+      }
+      if (!sameList(existing.appearsOn || [], appearsOn)) {
+        change(existing.id, `appearsOn [${(existing.appearsOn || []).join(', ')}] → [${appearsOn.join(', ')}]`);
+        existing.appearsOn = appearsOn;
+      }
+    });
+
+    const confirmed = new Set();
+    extraction.edges.forEach(edge => {
+      const from = ids.get(edge.from);
+      const to = ids.get(edge.to);
+      confirmed.add(`${from}|${to}`);
+      if (merged.edges.some(existing => existing.from === from && existing.to === to)) return;
+
+      merged.edges.push({ ...edge, from, to });
+      change(`${from} → ${to}`, `added edge ${edge.trigger} (${edge.definedIn})`);
+      const fromNode = merged.nodes.find(node => node.id === from);
+      if (fromNode.userFlow && !(fromNode.userFlow.nextSteps || []).includes(to)) {
+        fromNode.userFlow.nextSteps = [...(fromNode.userFlow.nextSteps || []), to];
+      }
+    });
+
+    const pageIds = new Set(merged.nodes.filter(node => node.type === 'page').map(node => node.id));
+    merged.edges
+      .filter(edge => pageIds.has(edge.from) && pageIds.has(edge.to) && !confirmed.has(`${edge.from}|${edge.to}`))
+      .forEach(edge => warnings.push({ target: `${edge.from} → ${edge.to}`, message: `no link or navigate() for ${edge.trigger} found in the source` }));
+
+    if (merged.authentication) {
+      const pages = merged.nodes.filter(node => node.type === 'page');
+      const publicPages = pages.filter(node => !node.requiresAuth).map(node => node.id);
+      const protectedPages = pages.filter(node => node.requiresAuth).map(node => node.id);
+      if (!sameList(merged.authentication.publicPages || [], publicPages) || !sameList(merged.authentication.protectedPages || [], protectedPages)) {
+        change('authentication', `publicPages [${publicPages.join(', ')}], protectedPages [${protectedPages.join(', ')}]`);
+        merged.authentication.publicPages = publicPages;
+        merged.authentication.protectedPages = protectedPages;
+        merged.authentication.required = protectedPages.length > 0;
+      }
+    }
+
+    if (changes.length > 0 && merged.metadata) {
+      merged.metadata.lastUpdated = new Date().toISOString().slice(0, 10);
+    }
+    return { graph: merged, changes, warnings };
+  }
+
+  /**
+   * Format an extraction and its merge result as text
+   * @param {Object} extraction - Result of analyze()
+   * @param {Object} result - Result of merge()
+   * @returns {string} Report
+   */
+  formatText(extraction, result) {
+    let text = `Source: ${extraction.srcDir} (routes in ${extraction.entry})\n\n`;
+
+    text += 'Routes:\n';
+    extraction.pages.forEach(page => {
+      text += `  ${page.requiresAuth ? '🔒' : '🌐'} ${page.route.padEnd(20)} ${page.component} → ${page.id}\n`;
+    });
+    if (extraction.loginRoute) {
+      text += `  Login route: ${extraction.loginRoute}\n`;
+    }
+
+    text += '\nComponents:\n';
+    extraction.components.forEach(component => {
+      text += `  ${component.name.padEnd(20)} on ${component.appearsOn.join(', ')}\n`;
+    });
+
+    text += '\nNavigation:\n';
+    extraction.edges.forEach(edge => {
+      text += `  ${`${edge.from} → ${edge.to}`.padEnd(20)} ${edge.trigger.padEnd(28)} ${edge.definedIn}\n`;
+    });
+    extraction.skipped.forEach(skip => {
+      text += `  ⚠️  ${skip.definedIn}: ${skip.reason}\n`;
+    });
+
+    text += '\n';
+    if (result.changes.length === 0) {
+      text += '✅ The graph already matches the source\n';
+    } else {
+      text += `Changes (${result.changes.length}):\n`;
+      result.changes.forEach(item => {
+        text += `  ~ ${item.target}: ${item.message}\n`;
+      });
+    }
+    if (result.warnings.length > 0) {
+      text += `\nNot found in the source (kept as written):\n`;
+      result.warnings.forEach(item => {
+        text += `  ⚠️  ${item.target}: ${item.message}\n`;
+      });
+    }
+    return text;
+  }
+
+  /**
+   * Collect the pages declared by a <Route> and its nested routes
+   */
+  collectRoutes(module, route, parentPath, parentProtected, routes, skipped) {
+    const pathValue = jsxAttribute(route, 'path');
+    const routePath = jsxAttribute(route, 'index') === true ? parentPath || '/' : joinRoute(parentPath, pathValue);
+    const element = jsxAttribute(route, 'element');
+    const elementTree = element && typeof element === 'object' ? [element] : [];
+    const guarded = parentProtected || this.containsGuard(elementTree);
+    const children = route.children.filter(child => this.isRoute(module, child));
+
+    if (children.length > 0) {
+      children.forEach(child => this.collectRoutes(module, child, routePath, guarded, routes, skipped));
+      return;
+    }
+
+    const definedIn = `${this.relative(module.file)}:${route.loc.start.line}`;
+    if (typeof pathValue === 'string' && pathValue.includes('*')) {
+      skipped.push({ definedIn, to: pathValue, reason: `catch-all route ${pathValue} has no fixed URL` });
+      return;
+    }
+
+    const component = this.findPageComponent(module, elementTree) || componentAttribute(route);
+    const file = component && module.imports.get(component)?.file;
+    if (!file) {
+      skipped.push({ definedIn, to: routePath, reason: `no project component found for route ${routePath}` });
+      return;
+    }
+    routes.push({ path: routePath, component, file, requiresAuth: guarded, definedIn });
+  }
+
+  isRoute(module, element) {
+    return module.router.get(jsxName(element)) === 'Route';
+  }
+
+  containsGuard(tree) {
+    let found = false;
+    walkJsx(tree, element => {
+      if (this.guards.includes(jsxName(element))) found = true;
+    });
+    return found;
+  }
+
+  /**
+   * The page is the first project component in the element that is not a guard
+   */
+  findPageComponent(module, tree) {
+    let component = null;
+    walkJsx(tree, element => {
+      const name = jsxName(element);
+      if (component || this.guards.includes(name)) return;
+      if (module.imports.get(name)?.file) component = name;
+    });
+    return component;
+  }
+
+  /**
+   * The guard's <Navigate to> (or navigate() call) is the login route. Apps
+   * without a guard fall back to the first public page with a password input.
+   */
+  findLoginRoute(entry, routes) {
+    for (const guard of this.guards) {
+      const file = entry.imports.get(guard)?.file;
+      if (!file) continue;
+      const target = this.navigationSources(file).find(source => source.kind === 'redirect' || source.kind === 'navigate');
+      if (target) return target.to;
+    }
+
+    const loginPage = routes.find(route => {
+      if (route.requiresAuth) return false;
+      let hasPassword = false;
+      walkJsx(this.loadModule(route.file).ast.jsx, element => {
+        if (jsxAttribute(element, 'type') === 'password') hasPassword = true;
+      });
+      return hasPassword;
+    });
+    return loginPage ? loginPage.path : null;
+  }
+
+  /**
+   * Project components rendered by a module, directly or through the
+   * components it renders, in render order
+   * @returns {Array<{name: string, file: string}>}
+   */
+  renderedComponents(file, visited = new Set([file])) {
+    const module = this.loadModule(file);
+    const components = [];
+    walkJsx(module.ast.jsx, element => {
+      const name = jsxName(element);
+      const imported = module.imports.get(name);
+      if (!imported?.file || visited.has(imported.file) || this.guards.includes(name)) return;
+      if (this.ignore.some(dir => imported.file.startsWith(dir)) || this.isLinkWrapper(module, name)) return;
+      visited.add(imported.file);
+      components.push({ name, file: imported.file });
+      components.push(...this.renderedComponents(imported.file, visited));
+    });
+    return components;
+  }
+
+  /**
+   * Links, redirects and navigate() calls made by a module itself
+   * @returns {Array<{to: string, kind: string, trigger: string, text: string, scope: string, definedIn: string}>}
+   */
+  navigationSources(file) {
+    const module = this.loadModule(file);
+    const sources = [];
+    const at = line => `${this.relative(file)}:${line}`;
+
+    walkJsx(module.ast.jsx, element => {
+      const name = jsxName(element);
+      const routerName = module.router.get(name);
+      let to = null;
+      let kind = 'link';
+      if (routerName === 'Link' || routerName === 'NavLink' || this.isLinkWrapper(module, name)) {
+        to = jsxAttribute(element, 'to');
+      } else if (routerName === 'Navigate') {
+        to = jsxAttribute(element, 'to');
+        kind = 'redirect';
+      } else if (name === 'a') {
+        to = jsxAttribute(element, 'href');
+      }
+      if (typeof to !== 'string' || !to.startsWith('/') || to.startsWith('//')) return;
+
+      const text = jsxText(element) || jsxAttribute(element, 'aria-label') || '';
+      let suffix = 'link';
+      walkJsx(element.children, child => {
+        if (/button/i.test(jsxName(child))) suffix = 'button';
+      });
+      const trigger = kind === 'redirect' ? 'redirect' : LOGOUT_PATTERN.test(text)
+        ? 'logout'
+        : `click_${snakeCase(text || to) || 'home'}_${suffix}`;
+      sources.push({ to, kind, trigger, text, suffix, scope: module.ast.scopes.get(element), definedIn: at(element.loc.start.line) });
+    });
+
+    const navigateHooks = [...module.router].filter(([, imported]) => imported === 'useNavigate').map(([local]) => local);
+    const navigateFunctions = module.ast.declarations
+      .filter(declaration => declaration.id.type === 'Identifier' && declaration.init?.type === 'CallExpression'
+        && navigateHooks.includes(declaration.init.callee.name))
+      .map(declaration => declaration.id.name);
+    module.ast.calls
+      .filter(call => navigateFunctions.includes(call.callee.name) && typeof literalValue(call.arguments[0]) === 'string')
+      .forEach(call => {
+        const to = literalValue(call.arguments[0]);
+        if (!to.startsWith('/')) return;
+        const scope = module.ast.scopes.get(call);
+        const action = snakeCase(String(scope || '').replace(/^(handle|on)(?=[A-Z])/, ''));
+        const trigger = LOGOUT_PATTERN.test(humanize(scope || '')) ? 'logout' : action || 'navigate';
+        sources.push({ to, kind: 'navigate', trigger, text: '', scope, definedIn: at(call.loc.start.line) });
+      });
+
+    return sources.sort((a, b) => lineOf(a.definedIn) - lineOf(b.definedIn));
+  }
+
+  /**
+   * A project component whose outermost element is a router Link/NavLink
+   * (like a styled NavLink wrapper) is a link itself
+   */
+  isLinkWrapper(module, name) {
+    const file = module.imports.get(name)?.file;
+    if (!file) return false;
+    const wrapper = this.loadModule(file);
+    return wrapper.ast.jsx.some(element => ['Link', 'NavLink'].includes(wrapper.router.get(jsxName(element))));
+  }
+
+  /**
+   * Parse a module once and index its imports: local name → {source, imported, file}.
+   * `router` maps local names to the React Router export they import.
+   */
+  loadModule(file) {
+    if (this.modules.has(file)) {
+      return this.modules.get(file);
+    }
+    const ast = parseModule(fs.readFileSync(file, 'utf-8'), this.relative(file));
+    const imports = new Map();
+    const router = new Map();
+    ast.imports.filter(declaration => declaration.importKind !== 'type').forEach(declaration => {
+      const source = declaration.source.value;
+      const resolved = this.resolveImport(file, source);
+      declaration.specifiers.filter(specifier => specifier.importKind !== 'type').forEach(specifier => {
+        const imported = specifier.type === 'ImportSpecifier'
+          ? specifier.imported.name ?? specifier.imported.value
+          : 'default';
+        imports.set(specifier.local.name, { source, imported, file: resolved });
+        if (ROUTER_PACKAGES.includes(source)) router.set(specifier.local.name, imported);
+      });
+    });
+    const module = { file, ast, imports, router };
+    this.modules.set(file, module);
+    return module;
+  }
+
+  /**
+   * Resolve a relative or aliased import to a source file
+   * @returns {string|null} File path, or null for packages and assets
+   */
+  resolveImport(fromFile, specifier) {
+    let base = null;
+    if (specifier.startsWith('.')) {
+      base = path.resolve(path.dirname(fromFile), specifier);
+    } else {
+      const alias = Object.keys(this.aliases).find(prefix => specifier.startsWith(prefix));
+      if (alias) base = path.join(this.aliases[alias], specifier.slice(alias.length));
+    }
+    if (!base) return null;
+
+    const candidates = [
+      base,
+      ...MODULE_EXTENSIONS.map(extension => base + extension),
+      ...MODULE_EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+    ];
+    return candidates.find(candidate =>
+      MODULE_EXTENSIONS.includes(path.extname(candidate)) && fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+    ) || null;
+  }
+
+  relative(file) {
+    return path.relative(path.dirname(this.srcDir), file).split(path.sep).join('/');
+  }
+}
+
+/**
+ * Read import aliases (`"@/*": ["./src/*"]`) from the nearest tsconfig.json
+ * or jsconfig.json. Without one, `@/` points at the source directory.
+ */
+function loadAliases(srcDir) {
+  let dir = srcDir;
+  for (let level = 0; level < 3; level++) {
+    for (const name of ['tsconfig.json', 'jsconfig.json']) {
+      const file = path.join(dir, name);
+      if (!fs.existsSync(file)) continue;
+      const options = JSON.parse(stripJsonComments(fs.readFileSync(file, 'utf-8'))).compilerOptions || {};
+      if (!options.paths) continue;
+      const baseDir = path.resolve(dir, options.baseUrl || '.');
+      return Object.fromEntries(Object.entries(options.paths)
+        .filter(([pattern, targets]) => pattern.endsWith('/*') && targets[0]?.endsWith('/*'))
+        .map(([pattern, targets]) => [pattern.slice(0, -1), path.resolve(baseDir, targets[0].slice(0, -1))]));
+    }
+    dir = path.dirname(dir);
+  }
+  return { '@/': srcDir };
+}
+
+/**
+ * tsconfig files allow comments and trailing commas
+ */
+function stripJsonComments(text) {
+  return text
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, closing) => string || closing);
+}
+
+function componentAttribute(route) {
+  const value = jsxAttribute(route, 'Component');
+  const expression = value && typeof value === 'object' ? value.expression : null;
+  return expression?.type === 'Identifier' && /^[A-Z]/.test(expression.name) ? expression.name : null;
+}
+
+function findHeading(module) {
+  let heading = null;
+  walkJsx(module.ast.jsx, element => {
+    if (!heading && jsxName(element) === 'h1') heading = jsxText(element) || null;
+  });
+  return heading;
+}
+
+function joinRoute(parentPath, routePath) {
+  if (typeof routePath !== 'string') return parentPath || '/';
+  if (routePath.startsWith('/')) return routePath;
+  return `${(parentPath || '').replace(/\/$/, '')}/${routePath}`;
+}
+
+function describeSource(source, trigger, page, target) {
+  const where = source.via ? ` in ${humanize(source.via)}` : '';
+  if (trigger === 'successful_login') {
+    return `After successful login, user is redirected to ${target.name}`;
+  }
+  if (source.kind === 'navigate') {
+    return `${source.scope || 'navigate'}()${where} navigates to ${target.route}`;
+  }
+  if (source.kind === 'redirect') {
+    return `${page.component} redirects to ${target.route}`;
+  }
+  return `Clicking '${source.text || source.to}' ${source.suffix}${where} navigates to ${target.route}`;
+}
+
+function humanize(name) {
+  return String(name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^\w/, char => char.toUpperCase());
+}
+
+function snakeCase(text) {
+  return slugify(String(text).replace(/([a-z0-9])([A-Z])/g, '$1 $2')).replace(/-/g, '_');
+}
+
+function lineOf(definedIn) {
+  return parseInt(definedIn.split(':').pop(), 10);
+}
+
+/**
+ * Lists hold the same ids; a hand-written order is kept
+ */
+function sameList(a, b) {
+  return a.length === b.length && a.every(value => b.includes(value));
+}
+
+function uniqueNodeId(base, nodes) {
+  let id = base;
+  let counter = 2;
+  while (nodes.some(node => node.id === id)) {
+    id = `${base}-${counter++}`;
+  }
+  return id;
+}
+
+/**
+ * Add a node after the last node of the same type
+ */
+function insertNode(nodes, node) {
+  const last = nodes.map(candidate => candidate.type).lastIndexOf(node.type);
+  nodes.splice(last === -1 ? nodes.length : last + 1, 0, node);
+}
+
+/**
+ * Serialize a graph the way website-graph.json is written by hand: id lists
+ * and single-value objects stay on one line, so a merge only touches the
+ * lines it changes
+ * @param {Object} graph - Website graph
+ * @returns {string} JSON text
+ */
+export function formatGraphJson(graph) {
+  return JSON.stringify(graph, null, 2)
+    .replace(/\[\n\s*((?:"[^"\s]*",?\n\s*)+)\]/g, (match, items) => `[${items.trim().split(/,\n\s*/).join(', ')}]`)
+    .replace(/\{\n\s*("[^"]*": (?:"[^"]*"|[\w.-]+))\n\s*\}/g, '{ $1 }') + '\n';
+}
+
+export default SourceAnalyzer;
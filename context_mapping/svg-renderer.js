@@ -0,0 +1,349 @@
+import TreeRenderer from './tree-renderer.js';
+
+const COLORS = {
+  publicPage: { fill: '#c8e6c9', stroke: '#2e7d32' },
+  protectedPage: { fill: '#fff3e0', stroke: '#e65100' },
+  component: { fill: '#e1f5ff', stroke: '#01579b' },
+  navigation: '#5c6bc0',
+  interaction: '#0277bd',
+  text: '#333333',
+  muted: '#777777',
+  background: '#ffffff'
+};
+
+const LAYER_GAP = 150;
+const NODE_GAP = 120;
+const MARGIN = 40;
+const TITLE_HEIGHT = 50;
+const LEGEND_HEIGHT = 50;
+
+/**
+ * SVG Graph Renderer
+ *
+ * Draws the website graph without Graphviz or Mermaid. Pages are placed in
+ * layers by their distance from the entry page, with components in a band
+ * underneath, and the order within each layer is swept by barycenter to
+ * reduce crossings. Navigation edges are solid, interaction edges dashed;
+ * edges that point back up or run both ways are curved apart.
+ *
+ * layout() returns a scene of plain shapes (rect, curve, polygon, text) that
+ * both toSvg() and PngRasterizer draw, so the SVG and PNG always agree.
+ */
+class SvgGraphRenderer {
+  /**
+   * Render the graph as an SVG document
+   * @param {Object} graph - Website graph
+   * @returns {string} SVG markup
+   */
+  render(graph) {
+    return this.toSvg(this.layout(graph));
+  }
+
+  /**
+   * Lay the graph out as a scene
+   * @param {Object} graph - Website graph
+   * @returns {{width: number, height: number, background: string, shapes: Array<Object>}}
+   */
+  layout(graph) {
+    const layers = this.assignLayers(graph);
+    this.orderLayers(layers, graph);
+
+    const boxes = new Map();
+    layers.forEach((layer, index) => {
+      layer.forEach(node => {
+        const lines = node.type === 'page' ? [node.name, node.route] : [node.name];
+        const width = Math.max(130, ...lines.map(line => textWidth(line, 13) + 30));
+        boxes.set(node.id, { node, width, height: node.type === 'page' ? 50 : 36, layer: index, lines });
+      });
+    });
+
+    const layerWidths = layers.map(layer =>
+      layer.reduce((sum, node) => sum + boxes.get(node.id).width, 0) + NODE_GAP * Math.max(0, layer.length - 1)
+    );
+    const width = Math.max(640, ...layerWidths) + MARGIN * 2;
+    layers.forEach((layer, index) => {
+      let x = (width - layerWidths[index]) / 2;
+      layer.forEach(node => {
+        const box = boxes.get(node.id);
+        box.x = x;
+        box.y = MARGIN + TITLE_HEIGHT + index * LAYER_GAP;
+        x += box.width + NODE_GAP;
+      });
+    });
+    const height = MARGIN * 2 + TITLE_HEIGHT + (layers.length - 1) * LAYER_GAP + 50 + LEGEND_HEIGHT;
+
+    const shapes = [];
+    shapes.push({ kind: 'text', x: width / 2, y: MARGIN + 10, text: graph.metadata.name, size: 18, weight: 'bold', color: COLORS.text, anchor: 'middle' });
+
+    const labels = [];
+    this.routeEdges(graph, boxes).forEach(route => {
+      const color = route.edge.type === 'navigation' ? COLORS.navigation : COLORS.interaction;
+      shapes.push({ kind: 'curve', points: route.points, color, width: 1.6, dash: route.edge.type === 'navigation' ? null : [6, 4] });
+      shapes.push({ kind: 'polygon', points: arrowHead(route.points[1], route.points[2]), color });
+      if (route.edge.trigger) {
+        labels.push(this.placeLabel(route, labels, [...boxes.values()]));
+      }
+    });
+
+    boxes.forEach(box => {
+      const style = box.node.type === 'component'
+        ? COLORS.component
+        : (box.node.requiresAuth ? COLORS.protectedPage : COLORS.publicPage);
+      shapes.push({ kind: 'rect', x: box.x, y: box.y, width: box.width, height: box.height, radius: 8, fill: style.fill, stroke: style.stroke, strokeWidth: 2 });
+      box.lines.forEach((line, index) => {
+        const y = box.lines.length === 1 ? box.y + box.height / 2 + 4 : box.y + 20 + index * 17;
+        shapes.push({ kind: 'text', x: box.x + box.width / 2, y, text: line, size: index === 0 ? 13 : 11, weight: index === 0 ? 'bold' : 'normal', color: index === 0 ? COLORS.text : COLORS.muted, anchor: 'middle' });
+      });
+    });
+
+    // Labels go last with a white backing so lines crossing them stay readable
+    labels.forEach(label => {
+      shapes.push({ kind: 'rect', x: label.x, y: label.y, width: label.width, height: label.height, radius: 3, fill: COLORS.background, stroke: null, opacity: 0.85 });
+      shapes.push({ kind: 'text', x: label.x + label.width / 2, y: label.y + 11, text: label.text, size: 10, weight: 'normal', color: COLORS.muted, anchor: 'middle' });
+    });
+
+    shapes.push(...this.legend(MARGIN, height - MARGIN - 10));
+    return { width, height, background: COLORS.background, shapes };
+  }
+
+  /**
+   * Pages by breadth-first distance from the entry page over navigation
+   * edges (unreached pages start their own layering), components last
+   * @returns {Array<Array<Object>>} Nodes per layer
+   */
+  assignLayers(graph) {
+    const pages = graph.nodes.filter(node => node.type === 'page');
+    const depth = new Map();
+    const entry = new TreeRenderer().findEntryPoint(graph);
+    const roots = entry ? [entry, ...pages.filter(page => page !== entry)] : pages;
+
+    roots.forEach(root => {
+      if (depth.has(root.id)) return;
+      depth.set(root.id, 0);
+      const queue = [root.id];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        graph.edges
+          .filter(edge => edge.type === 'navigation' && edge.from === id)
+          .forEach(edge => {
+            if (depth.has(edge.to) || !pages.some(page => page.id === edge.to)) return;
+            depth.set(edge.to, depth.get(id) + 1);
+            queue.push(edge.to);
+          });
+      }
+    });
+
+    const layers = [];
+    pages.forEach(page => {
+      const layer = depth.get(page.id);
+      (layers[layer] = layers[layer] || []).push(page);
+    });
+    const components = graph.nodes.filter(node => node.type !== 'page');
+    if (components.length > 0) layers.push(components);
+    return layers.filter(Boolean);
+  }
+
+  /**
+   * Reorder each layer by the mean position of its neighbours in the layer
+   * above, then below, a few times over
+   */
+  orderLayers(layers, graph) {
+    const neighbours = new Map();
+    const link = (a, b) => {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      neighbours.get(a).push(b);
+    };
+    graph.edges.forEach(edge => {
+      link(edge.from, edge.to);
+      link(edge.to, edge.from);
+    });
+    graph.nodes.forEach(node => (node.appearsOn || []).forEach(pageId => {
+      link(node.id, pageId);
+      link(pageId, node.id);
+    }));
+
+    const sweep = (layer, reference) => {
+      const positions = new Map(reference.map((node, index) => [node.id, index]));
+      const barycenter = new Map(layer.map((node, index) => {
+        const linked = (neighbours.get(node.id) || []).filter(id => positions.has(id)).map(id => positions.get(id));
+        return [node.id, linked.length > 0 ? linked.reduce((sum, value) => sum + value, 0) / linked.length : index];
+      }));
+      layer.sort((a, b) => barycenter.get(a.id) - barycenter.get(b.id));
+    };
+
+    for (let pass = 0; pass < 4; pass++) {
+      for (let i = 1; i < layers.length; i++) sweep(layers[i], layers[i - 1]);
+      for (let i = layers.length - 2; i >= 0; i--) sweep(layers[i], layers[i + 1]);
+    }
+  }
+
+  /**
+   * Quadratic curve for every edge, clipped to the node boxes
+   * @returns {Array<{edge: Object, points: Array<Array<number>>}>}
+   */
+  routeEdges(graph, boxes) {
+    const seen = new Map();
+    return graph.edges
+      .filter(edge => boxes.has(edge.from) && boxes.has(edge.to) && edge.from !== edge.to)
+      .map(edge => {
+        const from = boxes.get(edge.from);
+        const to = boxes.get(edge.to);
+        const start = center(from);
+        const end = center(to);
+
+        const key = `${edge.from}->${edge.to}`;
+        const repeat = seen.get(key) || 0;
+        seen.set(key, repeat + 1);
+        const hasReverse = graph.edges.some(other => other.from === edge.to && other.to === edge.from);
+        const backwards = to.layer <= from.layer;
+
+        // Bend to the right of the direction of travel, so a pair of opposite edges separates
+        let bend = 0;
+        if (hasReverse || backwards || repeat > 0) {
+          bend = (backwards && !hasReverse ? 60 : 28) * (repeat + 1);
+        }
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const length = Math.hypot(dx, dy) || 1;
+        const control = [(start[0] + end[0]) / 2 - (dy / length) * bend, (start[1] + end[1]) / 2 + (dx / length) * bend];
+
+        return { edge, points: [clipToBox(control, start, from), control, clipToBox(control, end, to)] };
+      });
+  }
+
+  /**
+   * Put an edge label on the first point along its curve that overlaps no
+   * node and no label placed so far (the midpoint if every spot is taken)
+   * @returns {{x: number, y: number, width: number, height: number, text: string}}
+   */
+  placeLabel(route, placed, boxes) {
+    const text = route.edge.trigger;
+    const width = textWidth(text, 10) + 8;
+    const height = 14;
+    const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+    const candidates = [0.5, 0.4, 0.6, 0.3, 0.7, 0.2, 0.8].map(t => {
+      const [x, y] = quadraticPoint(route.points, t);
+      return { x: x - width / 2, y: y - height / 2, width, height, text };
+    });
+    return candidates.find(candidate =>
+      !placed.some(label => overlaps(candidate, label)) && !boxes.some(box => overlaps(candidate, box))
+    ) || candidates[0];
+  }
+
+  legend(x, y) {
+    const shapes = [];
+    const entries = [
+      { label: 'Public page', style: COLORS.publicPage },
+      { label: 'Auth-required page', style: COLORS.protectedPage },
+      { label: 'Component', style: COLORS.component }
+    ];
+    let cursor = x;
+    entries.forEach(entry => {
+      shapes.push({ kind: 'rect', x: cursor, y: y - 11, width: 16, height: 14, radius: 3, fill: entry.style.fill, stroke: entry.style.stroke, strokeWidth: 2 });
+      shapes.push({ kind: 'text', x: cursor + 22, y, text: entry.label, size: 11, weight: 'normal', color: COLORS.text, anchor: 'start' });
+      cursor += 40 + textWidth(entry.label, 11);
+    });
+    [['Navigation', COLORS.navigation, null], ['Interaction', COLORS.interaction, [6, 4]]].forEach(([label, color, dash]) => {
+      shapes.push({ kind: 'curve', points: [[cursor, y - 4], [cursor + 14, y - 4], [cursor + 28, y - 4]], color, width: 1.6, dash });
+      shapes.push({ kind: 'text', x: cursor + 34, y, text: label, size: 11, weight: 'normal', color: COLORS.text, anchor: 'start' });
+      cursor += 50 + textWidth(label, 11);
+    });
+    return shapes;
+  }
+
+  /**
+   * Serialize a scene as SVG
+   * @param {Object} scene - Result of layout()
+   * @returns {string} SVG markup
+   */
+  toSvg(scene) {
+    const round = value => Math.round(value * 10) / 10;
+    const body = scene.shapes.map(shape => {
+      switch (shape.kind) {
+        case 'rect':
+          return `  <rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.width)}" height="${round(shape.height)}" rx="${shape.radius || 0}" fill="${shape.fill}"`
+            + (shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth}"` : '')
+            + (shape.opacity !== undefined ? ` fill-opacity="${shape.opacity}"` : '')
+            + '/>';
+        case 'curve': {
+          const [start, control, end] = shape.points;
+          return `  <path d="M ${round(start[0])} ${round(start[1])} Q ${round(control[0])} ${round(control[1])} ${round(end[0])} ${round(end[1])}" fill="none" stroke="${shape.color}" stroke-width="${shape.width}"`
+            + (shape.dash ? ` stroke-dasharray="${shape.dash.join(' ')}"` : '')
+            + '/>';
+        }
+        case 'polygon':
+          return `  <polygon points="${shape.points.map(point => `${round(point[0])},${round(point[1])}`).join(' ')}" fill="${shape.color}"/>`;
+        case 'text':
+          return `  <text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}" font-weight="${shape.weight}" fill="${shape.color}" text-anchor="${shape.anchor}">${escapeXml(shape.text)}</text>`;
+        default:
+          return '';
+      }
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(scene.width)}" height="${Math.ceil(scene.height)}" viewBox="0 0 ${Math.ceil(scene.width)} ${Math.ceil(scene.height)}" font-family="Helvetica, Arial, sans-serif">
+  <rect width="100%" height="100%" fill="${scene.background}"/>
+${body.join('\n')}
+</svg>
+`;
+  }
+}
+
+/**
+ * Width budget for a label. Generous enough for both SVG fonts and the
+ * rasterizer's bitmap font.
+ */
+export function textWidth(text, size) {
+  return String(text).length * size * 0.68;
+}
+
+/**
+ * Point on a quadratic curve
+ * @param {Array<Array<number>>} points - Start, control and end points
+ * @param {number} t - Position from 0 to 1
+ */
+export function quadraticPoint(points, t) {
+  const [start, control, end] = points;
+  const u = 1 - t;
+  return [
+    u * u * start[0] + 2 * u * t * control[0] + t * t * end[0],
+    u * u * start[1] + 2 * u * t * control[1] + t * t * end[1]
+  ];
+}
+
+function center(box) {
+  return [box.x + box.width / 2, box.y + box.height / 2];
+}
+
+/**
+ * Where the segment from `outside` to the box centre crosses the box border
+ */
+function clipToBox(outside, inside, box) {
+  const dx = outside[0] - inside[0];
+  const dy = outside[1] - inside[1];
+  const scaleX = dx !== 0 ? (box.width / 2) / Math.abs(dx) : Infinity;
+  const scaleY = dy !== 0 ? (box.height / 2) / Math.abs(dy) : Infinity;
+  const scale = Math.min(scaleX, scaleY, 1);
+  return [inside[0] + dx * scale, inside[1] + dy * scale];
+}
+
+function arrowHead(control, tip) {
+  const angle = Math.atan2(tip[1] - control[1], tip[0] - control[0]);
+  const size = 9;
+  return [
+    tip,
+    [tip[0] - size * Math.cos(angle - 0.4), tip[1] - size * Math.sin(angle - 0.4)],
+    [tip[0] - size * Math.cos(angle + 0.4), tip[1] - size * Math.sin(angle + 0.4)]
+  ];
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default SvgGraphRenderer;
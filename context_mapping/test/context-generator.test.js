@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ContextGenerator, { estimateTokens, matchesRoute } from '../context-generator.js';
+
+const generator = new ContextGenerator(null, { environment: 'local' });
+
+test('planRoute logs in on the way to a protected page', () => {
+  const plan = generator.planRoute('login', 'men');
+  assert.equal(plan.hops, 2);
+  assert.equal(plan.requiresLogin, true);
+  assert.deepEqual(plan.steps.map(step => [step.step, step.action, step.to, step.trigger]), [
+    [1, 'navigate', 'login', 'start'],
+    [2, 'fill', 'login', 'enter_username'],
+    [3, 'fill', 'login', 'enter_password'],
+    [4, 'click', 'home', 'successful_login'],
+    [5, 'click', 'men', 'click_shop_men_button']
+  ]);
+  assert.equal(plan.steps[4].expectedUrl, 'http://localhost:8080/men');
+});
+
+test('planRoute takes the shortest path when already logged in', () => {
+  const plan = generator.planRoute('men', 'women');
+  assert.equal(plan.hops, 1);
+  assert.equal(plan.requiresLogin, false);
+  assert.equal(plan.steps[1].trigger, 'click_women_link');
+});
+
+test('planRoute starts logged in on a protected page unless told otherwise', () => {
+  const plan = generator.planRoute('home', 'women');
+  assert.equal(plan.hops, 1);
+  assert.equal(plan.requiresLogin, false);
+
+  const loggedOut = generator.planRoute('home', 'women', { authenticated: false });
+  assert.equal(loggedOut.requiresLogin, true);
+  assert.deepEqual(loggedOut.steps.map(step => step.trigger), [
+    'start', 'logout', 'enter_username', 'enter_password', 'successful_login', 'click_shop_women_button'
+  ]);
+});
+
+test('planRoute throws for unknown pages and components', () => {
+  assert.throws(() => generator.planRoute('checkout', 'men'), /Page with ID "checkout" not found/);
+  assert.throws(() => generator.planRoute('home', 'chat-assistant'), /Page with ID "chat-assistant" not found/);
+});
+
+test('without maxTokens the budgeted context is the full context', () => {
+  const result = generator.generateBudgetedContext();
+  assert.equal(result.maxTokens, null);
+  assert.deepEqual(result.summarized, []);
+  assert.deepEqual(result.dropped, []);
+  assert.equal(result.context, generator.generateFullContext());
+  assert.equal(result.tokens, estimateTokens(result.context));
+});
+
+test('a token budget is met by summarising, then dropping, low-priority blocks', () => {
+  const full = generator.generateBudgetedContext().tokens;
+  const maxTokens = Math.floor(full / 3);
+  const result = generator.generateBudgetedContext({ maxTokens, task: 'open the chat on the men page' });
+
+  assert.ok(result.tokens <= maxTokens, `${result.tokens} tokens for a budget of ${maxTokens}`);
+  assert.equal(result.tokens, estimateTokens(result.context));
+  assert.ok(result.summarized.length + result.dropped.length > 0);
+  assert.match(result.context, new RegExp(`## Pruned to fit ${maxTokens} tokens`));
+  // The task's page outranks unrelated pages
+  assert.ok(!result.dropped.includes('page men'));
+  assert.ok(result.context.includes('/men'));
+});
+
+test('a custom token counter is used for the budget', () => {
+  const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+  const result = generator.generateBudgetedContext({ maxTokens: 200, countTokens });
+  assert.ok(countTokens(result.context) <= 200);
+  assert.equal(result.tokens, countTokens(result.context));
+});
+
+test('matchesRoute matches :param segments and ignores trailing slashes, queries and hashes', () => {
+  assert.equal(matchesRoute('/product/42', '/product/:id'), true);
+  assert.equal(matchesRoute('/product/42/reviews', '/product/:id'), false);
+  assert.equal(matchesRoute('/men/?sort=price#top', '/men'), true);
+  assert.equal(matchesRoute('/men', '/'), false);
+  assert.equal(matchesRoute('/', '/'), true);
+  assert.equal(matchesRoute('/a.b', '/a.b'), true);
+  assert.equal(matchesRoute('/axb', '/a.b'), false);
+});
+
+test('matchRoute finds the page for a URL or path', () => {
+  assert.equal(generator.matchRoute('http://localhost:8080/men/').id, 'men');
+  assert.equal(generator.matchRoute('/login?next=/men').id, 'login');
+  assert.equal(generator.matchRoute('http://localhost:8080/checkout'), null);
+  assert.equal(generator.matchRoute(null), null);
+});
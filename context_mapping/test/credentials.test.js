@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ContextGenerator from '../context-generator.js';
+import { fillCredentials, redactCredentials, resolveCredential } from '../credentials.js';
+
+const credentials = { username: 'admin', password: 'admin-secret' };
+
+test('redactCredentials replaces values with their placeholders', () => {
+  assert.equal(
+    redactCredentials('Typed admin and admin-secret into the form', credentials),
+    'Typed {{credentials.username}} and {{credentials.password}} into the form'
+  );
+});
+
+test('a password containing the username is scrubbed whole', () => {
+  assert.equal(redactCredentials('password: admin-secret', credentials), 'password: {{credentials.password}}');
+});
+
+test('only whole tokens are redacted', () => {
+  assert.equal(redactCredentials('The administrator is admin.', credentials), 'The administrator is {{credentials.username}}.');
+});
+
+test('values with regex characters and empty values are handled', () => {
+  assert.equal(redactCredentials('pw: p@ss.w*rd (x)', { password: 'p@ss.w*rd', username: '' }), 'pw: {{credentials.password}} (x)');
+});
+
+test('fillCredentials and redactCredentials are inverses', () => {
+  const prompt = 'Log in as {{credentials.username}} with {{credentials.password}}; keep {{credentials.otp}}';
+  const filled = fillCredentials(prompt, credentials);
+  assert.equal(filled, 'Log in as admin with admin-secret; keep {{credentials.otp}}');
+  assert.equal(redactCredentials(filled, credentials), prompt);
+});
+
+test('resolveCredential reads env and secrets-file references', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const secretsFile = path.join(dir, 'secrets.json');
+  fs.writeFileSync(secretsFile, JSON.stringify({ 'style-scout': { password: 'from-file' } }));
+
+  process.env.CONTEXT_MAPPING_TEST_USER = 'from-env';
+  t.after(() => delete process.env.CONTEXT_MAPPING_TEST_USER);
+
+  assert.equal(resolveCredential({ env: 'CONTEXT_MAPPING_TEST_USER' }), 'from-env');
+  assert.equal(resolveCredential({ secret: 'style-scout.password' }, { secretsFile }), 'from-file');
+  assert.throws(() => resolveCredential({ env: 'CONTEXT_MAPPING_TEST_UNSET' }), /is not set/);
+  assert.throws(() => resolveCredential({ secret: 'style-scout.username' }, { secretsFile }), /not found in/);
+});
+
+test('ContextGenerator.redact scrubs the credentials the graph resolves', t => {
+  process.env.STYLE_SCOUT_USERNAME = 'shopper';
+  process.env.STYLE_SCOUT_PASSWORD = 'shopper-pass';
+  t.after(() => {
+    delete process.env.STYLE_SCOUT_USERNAME;
+    delete process.env.STYLE_SCOUT_PASSWORD;
+  });
+
+  const generator = new ContextGenerator();
+  assert.equal(
+    generator.redact('Typed shopper / shopper-pass'),
+    'Typed {{credentials.username}} / {{credentials.password}}'
+  );
+});
+
+test('ContextGenerator.redact leaves text alone when credentials cannot be resolved', () => {
+  const generator = new ContextGenerator();
+  assert.equal(generator.redact('nothing to hide', { secretsFile: '/nonexistent' }), 'nothing to hide');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GraphDiff from '../graph-diff.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadGraph = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'website-graph.json'), 'utf-8'));
+const findNode = (graph, id) => graph.nodes.find(node => node.id === id);
+
+test('identical graphs have no changes', () => {
+  const result = new GraphDiff().diff(loadGraph(), loadGraph());
+  assert.equal(result.hasChanges, false);
+  assert.ok(Object.values(result.summary).every(count => count === 0));
+});
+
+test('a page whose id changed but route did not is a rename, not a removal', () => {
+  const before = loadGraph();
+  const after = loadGraph();
+  findNode(after, 'men').id = 'mens';
+  after.edges.forEach(edge => {
+    if (edge.from === 'men') edge.from = 'mens';
+    if (edge.to === 'men') edge.to = 'mens';
+  });
+
+  const result = new GraphDiff().diff(before, after);
+  assert.deepEqual(result.pages.renamed, [{ from: 'men', to: 'mens', route: '/men' }]);
+  assert.deepEqual(result.pages.removed, []);
+  assert.deepEqual(result.pages.added, []);
+  // Edges are compared after the rename, so none of them changed
+  assert.equal(result.summary.edgesAdded + result.summary.edgesRemoved, 0);
+});
+
+test('route, auth and selector changes are reported per node', () => {
+  const before = loadGraph();
+  const after = loadGraph();
+  const women = findNode(after, 'women');
+  women.route = '/ladies';
+  women.requiresAuth = false;
+  const element = women.elements[0];
+  const oldSelector = element.selector;
+  element.selector = '#changed';
+
+  const result = new GraphDiff().diff(before, after);
+  assert.deepEqual(result.routes, [{ id: 'women', from: '/women', to: '/ladies' }]);
+  assert.deepEqual(result.auth, [{ id: 'women', from: true, to: false }]);
+  assert.deepEqual(result.elements.selectorChanged, [
+    { node: 'women', element: element.id, from: oldSelector, to: '#changed' }
+  ]);
+});
+
+test('added and removed elements, components and edges are counted', () => {
+  const before = loadGraph();
+  const after = loadGraph();
+  const home = findNode(after, 'home');
+  const removedElement = home.elements.pop();
+  home.elements.push({ id: 'promo-banner', type: 'link', selector: '.promo', description: 'Promotion banner' });
+  after.nodes.push({ id: 'cart-drawer', type: 'component', name: 'Cart Drawer', description: 'Cart', appearsOn: ['home'] });
+  after.edges = after.edges.filter(edge => !(edge.from === 'men' && edge.to === 'women'));
+
+  const result = new GraphDiff().diff(before, after);
+  assert.deepEqual(result.elements.removed, [{ node: 'home', element: removedElement.id, selector: removedElement.selector }]);
+  assert.deepEqual(result.elements.added, [{ node: 'home', element: 'promo-banner', selector: '.promo' }]);
+  assert.deepEqual(result.components.added, [{ id: 'cart-drawer', name: 'Cart Drawer' }]);
+  assert.equal(result.summary.edgesRemoved, 1);
+  assert.equal(result.edges.removed[0].from, 'men');
+  assert.equal(result.hasChanges, true);
+});
+
+test('formatText lists changes by section', () => {
+  const differ = new GraphDiff();
+  assert.equal(differ.formatText(differ.diff(loadGraph(), loadGraph())), 'No changes between graphs.\n');
+
+  const after = loadGraph();
+  findNode(after, 'women').route = '/ladies';
+  const text = differ.formatText(differ.diff(loadGraph(), after));
+  assert.match(text, /^Routes:\n {2}~ women: \/women → \/ladies\n/m);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectGraphFormat, getGraphFormat, listGraphFormats } from '../graph-formats.js';
+import GraphValidator from '../graph-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadGraph = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'website-graph.json'), 'utf-8'));
+
+for (const { name, extension } of listGraphFormats()) {
+  test(`${name} round trip returns the same graph`, () => {
+    const format = getGraphFormat(name);
+    const graph = loadGraph();
+    const text = format.serialize(graph);
+    assert.deepEqual(format.parse(text), graph);
+    // Serializing the parsed graph again is stable
+    assert.equal(format.serialize(format.parse(text)), text);
+  });
+
+  test(`${name} round trip keeps edits and the result validates`, () => {
+    const format = getGraphFormat(name);
+    const graph = loadGraph();
+    const men = graph.nodes.find(node => node.id === 'men');
+    men.description = 'Quotes "inside", <angle brackets> & ampersands\non two lines';
+    men.elements.push({ id: 'sort-select', type: 'select', selector: "select[name='sort']", description: 'Sort order' });
+
+    const parsed = format.parse(format.serialize(graph));
+    assert.deepEqual(parsed, graph);
+    assert.deepEqual(new GraphValidator().validate(parsed).errors, []);
+  });
+
+  test(`${name} files are detected by the ${extension} extension`, () => {
+    assert.equal(detectGraphFormat(`graph${extension}`).name, name);
+  });
+}
+
+test('unknown formats and extensions are errors', () => {
+  assert.throws(() => getGraphFormat('yaml'), /Unknown format "yaml"/);
+  assert.throws(() => detectGraphFormat('graph.json'), /Cannot tell the format of graph\.json/);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GraphHistory, { bumpVersion, graphHash } from '../graph-history.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const loadGraph = () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'website-graph.json'), 'utf-8'));
+
+/**
+ * History over a graph file in a fresh temporary directory
+ */
+function tempHistory(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new GraphHistory(path.join(dir, 'website-graph.json'));
+}
+
+test('bumpVersion raises one part and resets the lower ones', () => {
+  assert.equal(bumpVersion('1.4.2', 'major'), '2.0.0');
+  assert.equal(bumpVersion('1.4.2', 'minor'), '1.5.0');
+  assert.equal(bumpVersion('1.4.2', 'patch'), '1.4.3');
+  assert.equal(bumpVersion('1', 'minor'), '1.1.0');
+  assert.equal(bumpVersion(undefined, 'patch'), '0.0.1');
+});
+
+test('classify: removals and changes are major, additions minor, anything else patch', t => {
+  const history = tempHistory(t);
+  const base = loadGraph();
+
+  const removed = loadGraph();
+  removed.edges.pop();
+  assert.equal(history.classify(base, removed).bump, 'major');
+
+  const selector = loadGraph();
+  selector.nodes.find(node => node.id === 'home').elements[0].selector = '#moved';
+  assert.equal(history.classify(base, selector).bump, 'major');
+
+  const added = loadGraph();
+  added.nodes.find(node => node.id === 'home').elements.push({ id: 'promo', type: 'link', selector: '.promo', description: 'Promo' });
+  assert.equal(history.classify(base, added).bump, 'minor');
+
+  const described = loadGraph();
+  described.nodes.find(node => node.id === 'home').description = 'Landing page';
+  assert.equal(history.classify(base, described).bump, 'patch');
+
+  const restamped = loadGraph();
+  restamped.metadata.version = '9.9.9';
+  restamped.metadata.lastUpdated = '2000-01-01';
+  assert.equal(history.classify(base, restamped).bump, null);
+});
+
+test('record bumps metadata.version from the previous snapshot', t => {
+  const history = tempHistory(t);
+  const graph = loadGraph();
+  graph.metadata.version = '1.0.0';
+
+  const first = history.record(graph, { date: new Date('2026-01-01T00:00:00Z') });
+  assert.equal(first.bump, 'initial');
+  assert.equal(first.version, '1.0.0');
+  assert.equal(graph.metadata.lastUpdated, '2026-01-01');
+
+  assert.equal(history.record(graph), null, 'an unchanged graph is not snapshotted');
+
+  graph.nodes.find(node => node.id === 'home').elements.push({ id: 'promo', type: 'link', selector: '.promo', description: 'Promo' });
+  const second = history.record(graph, { date: new Date('2026-01-02T00:00:00Z') });
+  assert.equal(second.bump, 'minor');
+  assert.equal(second.version, '1.1.0');
+  assert.equal(graph.metadata.version, '1.1.0');
+  assert.deepEqual(history.list().map(entry => entry.version), ['1.0.0', '1.1.0']);
+  assert.deepEqual(history.load(first).metadata.version, '1.0.0');
+});
+
+test('a version raised by hand beyond the bump is kept', t => {
+  const history = tempHistory(t);
+  const graph = loadGraph();
+  graph.metadata.version = '1.0.0';
+  history.record(graph);
+
+  graph.nodes.find(node => node.id === 'home').description = 'Landing page';
+  graph.metadata.version = '3.0.0';
+  assert.equal(history.record(graph).version, '3.0.0');
+});
+
+test('loadRun returns the graph a run recorded and refuses an edited copy', t => {
+  const history = tempHistory(t);
+  const runDir = path.join(path.dirname(history.graphPath), 'downloads', 'task-1');
+  const graph = loadGraph();
+  GraphHistory.recordRun(runDir, graph);
+
+  const run = history.loadRun(path.join(runDir, 'task-result.json'));
+  assert.equal(run.verified, true);
+  assert.deepEqual(run.graph, graph);
+
+  const copyPath = path.join(runDir, 'graph.json');
+  const edited = JSON.parse(fs.readFileSync(copyPath, 'utf-8'));
+  edited.nodes[0].name = 'Sign in';
+  fs.writeFileSync(copyPath, JSON.stringify(edited));
+  assert.throws(() => history.loadRun(path.join(runDir, 'task-result.json')), /does not match the sha256/);
+});
+
+test('graphHash ignores whitespace but not content', () => {
+  const graph = loadGraph();
+  const reparsed = JSON.parse(JSON.stringify(graph));
+  assert.equal(graphHash(graph), graphHash(reparsed));
+  reparsed.nodes[0].name = 'Sign in';
+  assert.notEqual(graphHash(graph), graphHash(reparsed));
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ContextGenerator from '../context-generator.js';
+import GraphQuery from '../graph-query.js';
+
+const query = new GraphQuery(new ContextGenerator());
+const ids = result => result.rows.map(row => row.id);
+
+test('a source without clauses lists every row with the default columns', () => {
+  const result = query.run('pages');
+  assert.deepEqual(result.columns, ['id', 'name', 'route', 'requiresAuth']);
+  assert.deepEqual(ids(result), ['login', 'home', 'men', 'women']);
+});
+
+test('where, select, sort and limit', () => {
+  const result = query.run('pages where requiresAuth = true select id, route sort route desc limit 2');
+  assert.deepEqual(result.columns, ['id', 'route']);
+  assert.deepEqual(result.rows, [{ id: 'women', route: '/women' }, { id: 'men', route: '/men' }]);
+});
+
+test('and, or, not and parentheses combine conditions', () => {
+  assert.deepEqual(ids(query.run('pages where not requiresAuth = true')), ['login']);
+  assert.deepEqual(ids(query.run('pages where (id = men or id = women) and route ~ /^\\/m/')), ['men']);
+});
+
+test('paths through lists match when any value matches, and nodes compare by id', () => {
+  const result = query.run('pages where components = chat-assistant select id');
+  const chat = new ContextGenerator().findNode('chat-assistant');
+  assert.deepEqual(ids(result).sort(), [...chat.appearsOn].sort());
+});
+
+test('in, contains and the hops() and count() functions', () => {
+  assert.deepEqual(ids(query.run('pages where id in [men, login]')), ['login', 'men']);
+  assert.deepEqual(ids(query.run('components where name contains Chat')), ['chat-assistant']);
+  assert.deepEqual(ids(query.run('pages where hops(login) = 1')), ['home']);
+  assert.deepEqual(ids(query.run('pages where hops(login) <= 2 and hops(login) > 1')).sort(), ['men', 'women']);
+  assert.deepEqual(query.run('pages where count(elements) >= 3 select id, count(elements)').rows, [
+    { id: 'login', 'count(elements)': 4 },
+    { id: 'home', 'count(elements)': 3 }
+  ]);
+});
+
+test('edges and elements rows follow relations', () => {
+  const logouts = query.run('edges where trigger = logout select from');
+  assert.deepEqual(logouts.rows.map(row => row.from).sort(), ['home', 'men', 'women']);
+  const owners = query.run('elements where owner.requiresAuth = false select owner');
+  assert.ok(owners.rows.length > 0);
+  assert.ok(owners.rows.every(row => row.owner === 'login'));
+});
+
+test('errors name what was expected and where', () => {
+  assert.throws(() => query.run('widgets'), /^Error: Unknown source "widgets"/);
+  assert.throws(() => query.run('pages where'), /query ended \(query position 12\)/);
+  assert.throws(() => query.run('pages where id = men limit ten'), /Expected a number but found "ten"/);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import GraphValidator from '../graph-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GRAPH_PATH = path.join(__dirname, '..', 'website-graph.json');
+
+const loadGraph = () => JSON.parse(fs.readFileSync(GRAPH_PATH, 'utf-8'));
+const validator = new GraphValidator();
+const rules = result => result.errors.map(error => error.rule);
+
+test('the shipped graph is valid', () => {
+  const result = validator.validateFile(GRAPH_PATH);
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.valid, true);
+});
+
+test('an unreadable file is a parse error at the root', () => {
+  const result = validator.validateFile(path.join(__dirname, 'missing.json'));
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(error => [error.path, error.rule]), [['$', 'parse']]);
+});
+
+test('duplicate node ids point at the second node', () => {
+  const graph = loadGraph();
+  graph.nodes.push({ ...graph.nodes[1] });
+  const result = validator.validate(graph);
+  const duplicate = result.errors.find(error => error.rule === 'unique-node-id');
+  assert.equal(duplicate.path, `$.nodes[${graph.nodes.length - 1}].id`);
+});
+
+test('edges to unknown nodes are reported with their path', () => {
+  const graph = loadGraph();
+  graph.edges[0].to = 'checkout';
+  const result = validator.validate(graph);
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some(error => error.rule === 'edge-endpoint' && error.path === '$.edges[0].to'));
+});
+
+test('appearsOn and components must name existing nodes', () => {
+  const graph = loadGraph();
+  const component = graph.nodes.find(node => node.type === 'component');
+  component.appearsOn = [...component.appearsOn, 'nowhere'];
+  graph.nodes.find(node => node.id === 'home').components.push('no-such-component');
+  assert.deepEqual(rules(validator.validate(graph)).sort(), ['appears-on', 'component-ref']);
+});
+
+test('a protected page listed as public is inconsistent', () => {
+  const graph = loadGraph();
+  graph.authentication.publicPages.push('men');
+  assert.ok(rules(validator.validate(graph)).includes('auth-consistency'));
+});
+
+test('plaintext credentials are rejected', () => {
+  const graph = loadGraph();
+  graph.authentication.defaultCredentials.password = 'hunter2';
+  const result = validator.validate(graph);
+  assert.ok(result.errors.some(error =>
+    error.rule === 'plaintext-credential' && error.path === '$.authentication.defaultCredentials.password'));
+});
+
+test('schema errors still get a path and rule', () => {
+  const graph = loadGraph();
+  delete graph.metadata;
+  const result = validator.validate(graph);
+  assert.equal(result.valid, false);
+  result.errors.forEach(error => {
+    assert.match(error.path, /^\$/);
+    assert.ok(error.rule);
+  });
+});
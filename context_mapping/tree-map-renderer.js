@@ -0,0 +1,800 @@
+/**
+ * Tree Map Renderer
+ *
+ * Renders the website graph as tree-map.html: a self-contained, offline
+ * force-directed view. Pages and components are draggable nodes, edges are
+ * directed and labelled with their trigger. The page has filters for auth,
+ * edge type and component, search by name or selector, and a side panel
+ * listing a node's elements, products and copyable selectors.
+ *
+ * Given a coverage report (coverage.json from `context-map coverage`), the
+ * page also gets a toggleable coverage layer that colours exercised nodes and
+ * edges green and never-tested ones red. Report entries are matched to the
+ * graph by id (and edges by endpoints, type and trigger), so a report from an
+ * older graph version still lines up with the nodes that remain.
+ *
+ * Everything (graph data, styles and script) is inlined; nothing is loaded
+ * from a CDN. Authentication settings are left out of the embedded data.
+ */
+class TreeMapRenderer {
+  /**
+   * Render the HTML document
+   * @param {Object} graph - Website graph
+   * @param {Object} options - Render options
+   * @param {string} options.baseUrl - Base URL shown in the header
+   * @param {Object} options.coverage - Coverage report to offer as a layer
+   * @returns {string} HTML document
+   */
+  render(graph, options = {}) {
+    const { baseUrl = graph.metadata.baseUrl, coverage = null } = options;
+    const data = this.buildData(graph, coverage);
+    const pages = graph.nodes.filter(node => node.type === 'page');
+    const components = graph.nodes.filter(node => node.type === 'component');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(graph.metadata.name)} - Context Tree Map</title>
+    <style>
+${STYLES}
+    </style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>${escapeHtml(graph.metadata.name)}</h1>
+            <div class="metadata">
+                <strong>Base URL:</strong> ${escapeHtml(baseUrl)} &nbsp;·&nbsp;
+                <strong>Version:</strong> ${escapeHtml(graph.metadata.version)}
+            </div>
+        </div>
+        <div class="stats">
+            <div class="stat"><span class="stat-value">${pages.length}</span> Pages</div>
+            <div class="stat"><span class="stat-value">${components.length}</span> Components</div>
+            <div class="stat"><span class="stat-value">${graph.edges.length}</span> Connections</div>
+            <div class="stat"><span class="stat-value">${pages.filter(page => page.requiresAuth).length}</span> Protected Pages</div>
+        </div>
+    </header>
+    <main>
+        <aside class="controls">
+            <input id="search" type="search" placeholder="Search name, route or selector…" autocomplete="off">
+            <ul id="search-results"></ul>
+
+            <h3>Pages</h3>
+            <label><input type="radio" name="auth" value="all" checked> All</label>
+            <label><input type="radio" name="auth" value="public"> Public only</label>
+            <label><input type="radio" name="auth" value="auth"> Auth required only</label>
+
+            <h3>Edges</h3>
+            <div id="edge-filters"></div>
+
+            <h3>Components</h3>
+            <div id="component-filters"></div>
+${coverage ? `
+            <h3>Coverage</h3>
+            <label><input type="checkbox" id="coverage-toggle"> Show run coverage</label>
+            <p class="hint">${coverage.runs.length} run(s) against graph v${escapeHtml(coverage.version)} · pages ${coverage.summary.pages.percent}%, edges ${coverage.summary.edges.percent}%</p>
+` : ''}
+            <h3>Legend</h3>
+            <div class="legend">
+                <div><span class="swatch public"></span> Public page</div>
+                <div><span class="swatch protected"></span> Auth-required page</div>
+                <div><span class="swatch component"></span> Component</div>
+                <div><span class="line navigation"></span> Navigation</div>
+                <div><span class="line interaction"></span> Interaction</div>
+                <div><span class="line appears-on"></span> Appears on</div>${coverage ? `
+                <div class="coverage-legend"><span class="swatch covered"></span> Exercised by a run</div>
+                <div class="coverage-legend"><span class="swatch uncovered"></span> Never tested</div>` : ''}
+            </div>
+            <p class="hint">Drag nodes to rearrange, drag the background to pan, scroll to zoom. Click a node for details.</p>
+        </aside>
+        <svg id="graph" role="img" aria-label="Website graph">
+            <defs>
+                <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path>
+                </marker>
+            </defs>
+            <g id="viewport">
+                <g id="edges"></g>
+                <g id="nodes"></g>
+            </g>
+        </svg>
+        <aside id="details" class="details">
+            <p class="placeholder">Select a page or component to see its elements, products and selectors.</p>
+        </aside>
+    </main>
+    <script type="application/json" id="graph-data">${serializeForScript(data)}</script>
+    <script>
+(${treeMapClient.toString()})();
+    </script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Graph data embedded in the page. Component placement (appearsOn) becomes
+   * its own edge type so it can be filtered like the others. With a coverage
+   * report, nodes, elements and edges carry a `coverage` entry (null where
+   * the report says nothing, e.g. appears-on edges).
+   * @param {Object} graph - Website graph
+   * @param {Object} coverage - Coverage report, or null
+   * @returns {{nodes: Array<Object>, edges: Array<Object>, coverage: boolean}}
+   */
+  buildData(graph, coverage = null) {
+    const nodes = graph.nodes.map(node => ({
+      id: node.id,
+      type: node.type,
+      name: node.name,
+      route: node.route || null,
+      description: node.description || '',
+      requiresAuth: !!node.requiresAuth,
+      elements: (node.elements || []).map(element => ({
+        id: element.id,
+        type: element.type,
+        selector: element.selector,
+        description: element.description || '',
+        text: element.text || null,
+        coverage: null
+      })),
+      products: (node.products || []).map(product => ({
+        name: product.name,
+        price: product.price || null,
+        category: product.category || null
+      })),
+      appearsOn: node.appearsOn || [],
+      coverage: null
+    }));
+
+    const ids = new Set(nodes.map(node => node.id));
+    const edges = graph.edges
+      .filter(edge => ids.has(edge.from) && ids.has(edge.to))
+      .map(edge => ({
+        from: edge.from,
+        to: edge.to,
+        type: edge.type,
+        trigger: edge.trigger,
+        description: edge.description || '',
+        selector: edge.selector || null,
+        coverage: null
+      }));
+    nodes
+      .filter(node => node.type === 'component')
+      .forEach(component => {
+        component.appearsOn
+          .filter(pageId => ids.has(pageId))
+          .forEach(pageId => edges.push({ from: component.id, to: pageId, type: 'appears-on', trigger: 'appears on', description: '', coverage: null }));
+      });
+
+    if (coverage) {
+      this.applyCoverage(nodes, edges, coverage);
+    }
+    return { nodes, edges, coverage: !!coverage };
+  }
+
+  /**
+   * Attach coverage report entries to the embedded nodes, elements and edges.
+   * Pages use the report's page entries; a component counts as covered when a
+   * run used one of its elements or its interaction edges.
+   */
+  applyCoverage(nodes, edges, coverage) {
+    const edgeKey = edge => [edge.from, edge.to, edge.type, edge.trigger].join('|');
+    const pages = new Map(coverage.pages.map(page => [page.id, page]));
+    const elements = new Map(coverage.elements.map(element => [`${element.owner}/${element.id}`, element]));
+    const edgeReports = new Map(coverage.edges.map(edge => [edgeKey(edge), edge]));
+
+    edges.filter(edge => edge.type !== 'appears-on').forEach(edge => {
+      const report = edgeReports.get(edgeKey(edge));
+      edge.coverage = { covered: !!(report && report.covered), count: report ? report.traversals : 0 };
+    });
+    nodes.forEach(node => {
+      node.elements.forEach(element => {
+        const report = elements.get(`${node.id}/${element.id}`);
+        if (report) element.coverage = { covered: report.covered, count: report.actions };
+      });
+      if (node.type === 'page') {
+        const report = pages.get(node.id);
+        node.coverage = { covered: !!(report && report.covered), count: report ? report.visits : 0, runs: report ? report.runs.length : 0 };
+        return;
+      }
+      const used = node.elements.filter(element => element.coverage && element.coverage.covered).length
+        + edges.filter(edge => edge.from === node.id && edge.coverage && edge.coverage.covered).length;
+      node.coverage = { covered: used > 0, count: used };
+    });
+  }
+}
+
+const STYLES = `        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            color: #333;
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            background: #f4f5fb;
+        }
+        header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 20px;
+            padding: 14px 24px;
+            color: white;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        h1 { font-size: 1.6em; }
+        .metadata { opacity: 0.9; font-size: 0.9em; margin-top: 4px; }
+        .stats { display: flex; gap: 12px; }
+        .stat { background: rgba(255,255,255,0.15); padding: 8px 14px; border-radius: 8px; font-size: 0.85em; white-space: nowrap; }
+        .stat-value { font-size: 1.4em; font-weight: bold; margin-right: 4px; }
+        main { flex: 1; display: flex; min-height: 0; }
+        .controls, .details { background: white; overflow-y: auto; padding: 16px; }
+        .controls { width: 250px; border-right: 1px solid #e1e4ef; }
+        .details { width: 360px; border-left: 1px solid #e1e4ef; }
+        .controls h3 { font-size: 0.8em; text-transform: uppercase; letter-spacing: 0.05em; color: #667eea; margin: 18px 0 6px; }
+        .controls label { display: block; font-size: 0.9em; margin: 4px 0; cursor: pointer; }
+        #search { width: 100%; padding: 8px 10px; border: 1px solid #ccd; border-radius: 6px; font-size: 0.9em; }
+        #search-results { list-style: none; margin-top: 6px; max-height: 200px; overflow-y: auto; }
+        #search-results li { font-size: 0.85em; padding: 4px 6px; border-radius: 4px; cursor: pointer; }
+        #search-results li:hover { background: #eef0fb; }
+        #search-results .match { color: #888; font-family: monospace; font-size: 0.9em; display: block; }
+        .legend div { font-size: 0.85em; margin: 4px 0; display: flex; align-items: center; gap: 8px; }
+        .swatch { width: 14px; height: 14px; border-radius: 50%; display: inline-block; border: 2px solid; }
+        .swatch.public { background: #c8e6c9; border-color: #2e7d32; }
+        .swatch.protected { background: #fff3e0; border-color: #e65100; }
+        .swatch.component { background: #e1f5ff; border-color: #01579b; border-radius: 3px; }
+        .line { width: 24px; border-top: 2px solid #667eea; display: inline-block; }
+        .line.interaction { border-top: 2px dashed #01579b; }
+        .line.appears-on { border-top: 2px dotted #aaa; }
+        .hint { font-size: 0.8em; color: #888; margin-top: 16px; }
+        .swatch.covered { background: #d4edda; border-color: #28a745; }
+        .swatch.uncovered { background: #f8d7da; border-color: #dc3545; }
+        .legend .coverage-legend { display: none; }
+        body.show-coverage .legend .coverage-legend { display: flex; }
+        #graph { flex: 1; min-width: 0; cursor: grab; user-select: none; }
+        #graph.panning { cursor: grabbing; }
+        #arrow path { fill: #888; }
+        .edge path { fill: none; stroke-width: 1.6; }
+        .edge.navigation path { stroke: #667eea; }
+        .edge.interaction path { stroke: #01579b; stroke-dasharray: 6 4; }
+        .edge.appears-on path { stroke: #bbb; stroke-dasharray: 2 4; }
+        .edge text { font-size: 10px; fill: #555; paint-order: stroke; stroke: #f4f5fb; stroke-width: 3px; }
+        .node { cursor: pointer; }
+        .node circle, .node rect { stroke-width: 2.5; }
+        .node.page.public circle { fill: #c8e6c9; stroke: #2e7d32; }
+        .node.page.protected circle { fill: #fff3e0; stroke: #e65100; }
+        .node.component rect { fill: #e1f5ff; stroke: #01579b; }
+        .node text { font-size: 12px; font-weight: 600; text-anchor: middle; pointer-events: none; }
+        .node .route { font-size: 10px; font-weight: normal; fill: #777; }
+        #graph.coverage .node.covered circle, #graph.coverage .node.covered rect { fill: #d4edda; stroke: #28a745; }
+        #graph.coverage .node.uncovered circle, #graph.coverage .node.uncovered rect { fill: #f8d7da; stroke: #dc3545; }
+        #graph.coverage .edge.covered path { stroke: #28a745; stroke-width: 2.4; }
+        #graph.coverage .edge.uncovered path { stroke: #dc3545; }
+        .node.selected circle, .node.selected rect { stroke: #764ba2; stroke-width: 4; }
+        .dimmed { opacity: 0.15; }
+        .hidden { display: none; }
+        .details h2 { font-size: 1.3em; margin-bottom: 6px; }
+        .details h3 { font-size: 0.95em; color: #667eea; margin: 16px 0 6px; }
+        .details p { font-size: 0.9em; color: #555; }
+        .details .placeholder { color: #999; }
+        .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 0.75em; font-weight: 600; margin-right: 4px; }
+        .badge-page { background: #d4edda; color: #155724; }
+        .badge-component { background: #fff3cd; color: #856404; }
+        .badge-auth { background: #f8d7da; color: #721c24; }
+        .element { border: 1px solid #e1e4ef; border-radius: 6px; padding: 8px; margin-bottom: 8px; font-size: 0.85em; }
+        .element-id { font-weight: 600; }
+        .element-type { color: #888; margin-left: 4px; }
+        .selector { display: flex; gap: 6px; align-items: center; margin-top: 4px; }
+        .selector code { flex: 1; background: #f4f5fb; padding: 3px 6px; border-radius: 4px; word-break: break-all; }
+        .copy { border: 1px solid #ccd; background: white; border-radius: 4px; padding: 2px 8px; font-size: 0.8em; cursor: pointer; }
+        .copy.copied { background: #d4edda; border-color: #2e7d32; }
+        .details ul { list-style: none; font-size: 0.85em; }
+        .details li { margin: 3px 0; }
+        .details a { color: #667eea; cursor: pointer; text-decoration: none; }
+        .details a:hover { text-decoration: underline; }
+        .coverage-note { font-size: 0.8em; margin-top: 4px; }
+        .coverage-note.covered { color: #155724; }
+        .coverage-note.uncovered { color: #721c24; }`;
+
+/**
+ * Browser-side script. It is inlined with Function.prototype.toString(), so it
+ * must not reference anything from this module.
+ */
+function treeMapClient() {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const data = JSON.parse(document.getElementById('graph-data').textContent);
+  const svg = document.getElementById('graph');
+  const viewport = document.getElementById('viewport');
+  const edgeLayer = document.getElementById('edges');
+  const nodeLayer = document.getElementById('nodes');
+  const details = document.getElementById('details');
+  const search = document.getElementById('search');
+  const searchResults = document.getElementById('search-results');
+
+  const EDGE_TYPES = [...new Set(data.edges.map(edge => edge.type))];
+  const filters = {
+    auth: 'all',
+    edgeTypes: new Set(EDGE_TYPES.filter(type => type !== 'appears-on')),
+    hiddenComponents: new Set()
+  };
+  const view = { x: 0, y: 0, scale: 1 };
+  let selectedId = null;
+  let alpha = 1;
+
+  function el(tag, attrs, parent) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs || {}).forEach(key => node.setAttribute(key, attrs[key]));
+    if (parent) parent.appendChild(node);
+    return node;
+  }
+
+  function html(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function coverageClass(item) {
+    if (!item.coverage) return '';
+    return item.coverage.covered ? ' covered' : ' uncovered';
+  }
+
+  // Nodes start on a circle so the layout is the same on every load
+  const width = () => svg.clientWidth || 800;
+  const height = () => svg.clientHeight || 600;
+  const nodes = data.nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / data.nodes.length;
+    const radius = Math.min(width(), height()) / 3;
+    return Object.assign({}, node, {
+      x: width() / 2 + radius * Math.cos(angle),
+      y: height() / 2 + radius * Math.sin(angle),
+      vx: 0,
+      vy: 0,
+      fixed: false
+    });
+  });
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const edges = data.edges.map(edge => Object.assign({}, edge, { source: byId.get(edge.from), target: byId.get(edge.to) }));
+  // Edges between the same pair in both directions are bent apart so both stay visible
+  edges.forEach(edge => {
+    edge.curved = edges.some(other => other !== edge && other.from === edge.to && other.to === edge.from);
+  });
+
+  // --- Drawing ---------------------------------------------------------------
+
+  edges.forEach(edge => {
+    edge.group = el('g', { class: `edge ${edge.type}${coverageClass(edge)}` }, edgeLayer);
+    edge.path = el('path', { 'marker-end': 'url(#arrow)' }, edge.group);
+    edge.label = el('text', { 'text-anchor': 'middle' }, edge.group);
+    edge.label.textContent = edge.type === 'appears-on' ? '' : edge.trigger;
+    el('title', {}, edge.group).textContent = edge.description || `${edge.from} → ${edge.to}`;
+  });
+
+  nodes.forEach(node => {
+    const classes = ['node', node.type];
+    if (node.type === 'page') classes.push(node.requiresAuth ? 'protected' : 'public');
+    if (node.coverage) classes.push(node.coverage.covered ? 'covered' : 'uncovered');
+    node.group = el('g', { class: classes.join(' ') }, nodeLayer);
+    if (node.type === 'page') {
+      node.radius = 26;
+      el('circle', { r: node.radius }, node.group);
+    } else {
+      node.radius = 22;
+      el('rect', { x: -22, y: -16, width: 44, height: 32, rx: 6 }, node.group);
+    }
+    el('text', { y: node.radius + 16 }, node.group).textContent = node.name;
+    if (node.route) {
+      el('text', { y: 4, class: 'route' }, node.group).textContent = node.route;
+    }
+    node.group.addEventListener('pointerdown', event => startDrag(event, node));
+    node.group.addEventListener('click', event => {
+      event.stopPropagation();
+      select(node.id);
+    });
+  });
+
+  function draw() {
+    edges.forEach(edge => {
+      const { source, target } = edge;
+      const dx = target.x - source.x;
+      const dy = target.y - source.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const ux = dx / length;
+      const uy = dy / length;
+      const bend = edge.curved ? 30 : 0;
+      const cx = (source.x + target.x) / 2 - uy * bend;
+      const cy = (source.y + target.y) / 2 + ux * bend;
+      // Stop the arrow at the node border
+      const ex = target.x - ((target.x - cx) / (Math.hypot(target.x - cx, target.y - cy) || 1)) * (target.radius + 4);
+      const ey = target.y - ((target.y - cy) / (Math.hypot(target.x - cx, target.y - cy) || 1)) * (target.radius + 4);
+      edge.path.setAttribute('d', `M ${source.x} ${source.y} Q ${cx} ${cy} ${ex} ${ey}`);
+      edge.label.setAttribute('x', (source.x + 2 * cx + target.x) / 4);
+      edge.label.setAttribute('y', (source.y + 2 * cy + target.y) / 4 - 4);
+    });
+    nodes.forEach(node => node.group.setAttribute('transform', `translate(${node.x}, ${node.y})`));
+    viewport.setAttribute('transform', `translate(${view.x}, ${view.y}) scale(${view.scale})`);
+  }
+
+  // --- Force layout ------------------------------------------------------------
+
+  function visibleNodes() {
+    return nodes.filter(node => !node.group.classList.contains('hidden'));
+  }
+
+  function tick() {
+    const active = visibleNodes();
+    const activeSet = new Set(active);
+    // Repulsion between every pair of nodes
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const a = active[i];
+        const b = active[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.hypot(dx, dy);
+        if (distance < 1) {
+          dx = j - i;
+          dy = i - j;
+          distance = Math.hypot(dx, dy);
+        }
+        const force = (9000 / (distance * distance)) * alpha;
+        a.vx -= (dx / distance) * force;
+        a.vy -= (dy / distance) * force;
+        b.vx += (dx / distance) * force;
+        b.vy += (dy / distance) * force;
+      }
+    }
+    // Springs along visible edges
+    edges.forEach(edge => {
+      if (edge.group.classList.contains('hidden') || !activeSet.has(edge.source) || !activeSet.has(edge.target)) return;
+      const dx = edge.target.x - edge.source.x;
+      const dy = edge.target.y - edge.source.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const rest = edge.type === 'appears-on' ? 200 : 170;
+      const force = (distance - rest) * 0.02 * alpha;
+      edge.source.vx += (dx / distance) * force;
+      edge.source.vy += (dy / distance) * force;
+      edge.target.vx -= (dx / distance) * force;
+      edge.target.vy -= (dy / distance) * force;
+    });
+    // Gentle pull to the centre, then move with damping
+    active.forEach(node => {
+      node.vx += (width() / 2 - node.x) * 0.005 * alpha;
+      node.vy += (height() / 2 - node.y) * 0.005 * alpha;
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        return;
+      }
+      node.vx *= 0.6;
+      node.vy *= 0.6;
+      node.x += node.vx;
+      node.y += node.vy;
+    });
+  }
+
+  function animate() {
+    tick();
+    draw();
+    alpha *= 0.985;
+    if (alpha > 0.01) {
+      requestAnimationFrame(animate);
+    }
+  }
+
+  function reheat() {
+    const idle = alpha <= 0.01;
+    alpha = Math.max(alpha, 0.5);
+    if (idle) requestAnimationFrame(animate);
+  }
+
+  // --- Dragging, panning and zooming --------------------------------------------
+
+  function toGraphPoint(event) {
+    const box = svg.getBoundingClientRect();
+    return {
+      x: (event.clientX - box.left - view.x) / view.scale,
+      y: (event.clientY - box.top - view.y) / view.scale
+    };
+  }
+
+  function startDrag(event, node) {
+    event.stopPropagation();
+    node.fixed = true;
+    const move = moveEvent => {
+      const point = toGraphPoint(moveEvent);
+      node.x = point.x;
+      node.y = point.y;
+      reheat();
+      draw();
+    };
+    const end = () => {
+      node.fixed = false;
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', end);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+  }
+
+  svg.addEventListener('pointerdown', event => {
+    const start = { x: event.clientX - view.x, y: event.clientY - view.y };
+    svg.classList.add('panning');
+    const move = moveEvent => {
+      view.x = moveEvent.clientX - start.x;
+      view.y = moveEvent.clientY - start.y;
+      draw();
+    };
+    const end = () => {
+      svg.classList.remove('panning');
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', end);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', end);
+  });
+
+  svg.addEventListener('wheel', event => {
+    event.preventDefault();
+    const box = svg.getBoundingClientRect();
+    const factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+    const scale = Math.min(4, Math.max(0.25, view.scale * factor));
+    const px = event.clientX - box.left;
+    const py = event.clientY - box.top;
+    view.x = px - ((px - view.x) * scale) / view.scale;
+    view.y = py - ((py - view.y) * scale) / view.scale;
+    view.scale = scale;
+    draw();
+  }, { passive: false });
+
+  // --- Filters -----------------------------------------------------------------
+
+  function applyFilters() {
+    nodes.forEach(node => {
+      let hidden = false;
+      if (node.type === 'page' && filters.auth === 'public') hidden = node.requiresAuth;
+      if (node.type === 'page' && filters.auth === 'auth') hidden = !node.requiresAuth;
+      if (node.type === 'component') hidden = filters.hiddenComponents.has(node.id);
+      node.group.classList.toggle('hidden', hidden);
+    });
+    edges.forEach(edge => {
+      const hidden = !filters.edgeTypes.has(edge.type)
+        || edge.source.group.classList.contains('hidden')
+        || edge.target.group.classList.contains('hidden');
+      edge.group.classList.toggle('hidden', hidden);
+    });
+    reheat();
+  }
+
+  document.querySelectorAll('input[name="auth"]').forEach(input => {
+    input.addEventListener('change', () => {
+      filters.auth = input.value;
+      applyFilters();
+    });
+  });
+
+  function checkbox(container, label, checked, onChange) {
+    const wrapper = html('label');
+    const input = html('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+    wrapper.appendChild(input);
+    wrapper.appendChild(document.createTextNode(` ${label}`));
+    container.appendChild(wrapper);
+  }
+
+  EDGE_TYPES.forEach(type => {
+    checkbox(document.getElementById('edge-filters'), type, filters.edgeTypes.has(type), checked => {
+      if (checked) filters.edgeTypes.add(type);
+      else filters.edgeTypes.delete(type);
+      applyFilters();
+    });
+  });
+
+  nodes.filter(node => node.type === 'component').forEach(component => {
+    checkbox(document.getElementById('component-filters'), component.name, true, checked => {
+      if (checked) filters.hiddenComponents.delete(component.id);
+      else filters.hiddenComponents.add(component.id);
+      applyFilters();
+    });
+  });
+
+  // The coverage layer only recolours; filters and layout are unaffected
+  if (data.coverage) {
+    document.getElementById('coverage-toggle').addEventListener('change', event => {
+      svg.classList.toggle('coverage', event.target.checked);
+      document.body.classList.toggle('show-coverage', event.target.checked);
+      if (selectedId) select(selectedId);
+    });
+  }
+
+  // --- Search ------------------------------------------------------------------
+
+  function findMatches(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    const matches = [];
+    nodes.forEach(node => {
+      if ([node.id, node.name, node.route].some(value => value && value.toLowerCase().includes(needle))) {
+        matches.push({ node, label: node.route || node.type });
+      }
+      node.elements.forEach(element => {
+        if ([element.id, element.selector, element.description, element.text].some(value => value && value.toLowerCase().includes(needle))) {
+          matches.push({ node, label: element.selector, elementId: element.id });
+        }
+      });
+    });
+    return matches;
+  }
+
+  search.addEventListener('input', () => {
+    const matches = findMatches(search.value);
+    const matchedIds = new Set(matches.map(match => match.node.id));
+    nodes.forEach(node => node.group.classList.toggle('dimmed', !!search.value.trim() && !matchedIds.has(node.id)));
+    edges.forEach(edge => edge.group.classList.toggle('dimmed', !!search.value.trim()
+      && !(matchedIds.has(edge.from) && matchedIds.has(edge.to))));
+
+    searchResults.innerHTML = '';
+    matches.slice(0, 50).forEach(match => {
+      const item = html('li', '', match.elementId ? `${match.node.name} › ${match.elementId}` : match.node.name);
+      item.appendChild(html('span', 'match', match.label));
+      item.addEventListener('click', () => select(match.node.id, match.elementId));
+      searchResults.appendChild(item);
+    });
+  });
+
+  // --- Side panel --------------------------------------------------------------
+
+  function copy(text, button) {
+    const done = () => {
+      button.textContent = 'Copied';
+      button.classList.add('copied');
+      setTimeout(() => {
+        button.textContent = 'Copy';
+        button.classList.remove('copied');
+      }, 1200);
+    };
+    // file:// pages may not get the async clipboard API, so fall back to execCommand
+    if (navigator.clipboard && window.isSecureContext) {
+      navigator.clipboard.writeText(text).then(done);
+      return;
+    }
+    const area = html('textarea');
+    area.value = text;
+    document.body.appendChild(area);
+    area.select();
+    document.execCommand('copy');
+    area.remove();
+    done();
+  }
+
+  function nodeLink(id) {
+    const link = html('a', '', byId.get(id) ? byId.get(id).name : id);
+    link.addEventListener('click', () => select(id));
+    return link;
+  }
+
+  function renderDetails(node, focusElementId) {
+    details.innerHTML = '';
+    details.appendChild(html('h2', '', node.name));
+    const badges = html('div');
+    badges.appendChild(html('span', `badge badge-${node.type}`, node.type.toUpperCase()));
+    if (node.requiresAuth) badges.appendChild(html('span', 'badge badge-auth', 'AUTH REQUIRED'));
+    details.appendChild(badges);
+    if (node.route) details.appendChild(html('p', '', `Route: ${node.route}`));
+    if (node.description) details.appendChild(html('p', '', node.description));
+    if (showingCoverage() && node.coverage) {
+      const summary = node.type === 'page'
+        ? `${node.coverage.count} step(s) in ${node.coverage.runs} run(s)`
+        : `${node.coverage.count} element(s) or edge(s) used`;
+      details.appendChild(html('p', `coverage-note ${node.coverage.covered ? 'covered' : 'uncovered'}`,
+        node.coverage.covered ? `Exercised: ${summary}` : 'Never tested by a recorded run'));
+    }
+
+    if (node.elements.length > 0) {
+      details.appendChild(html('h3', '', `Elements (${node.elements.length})`));
+      node.elements.forEach(element => {
+        const box = html('div', 'element');
+        box.appendChild(html('span', 'element-id', element.id));
+        box.appendChild(html('span', 'element-type', element.type));
+        if (element.description) box.appendChild(html('p', '', element.description));
+        if (showingCoverage() && element.coverage) {
+          box.appendChild(html('p', `coverage-note ${element.coverage.covered ? 'covered' : 'uncovered'}`,
+            element.coverage.covered ? `Used ${element.coverage.count}x in runs` : 'Never used in a run'));
+        }
+        const selectorRow = html('div', 'selector');
+        selectorRow.appendChild(html('code', '', element.selector));
+        const button = html('button', 'copy', 'Copy');
+        button.addEventListener('click', () => copy(element.selector, button));
+        selectorRow.appendChild(button);
+        box.appendChild(selectorRow);
+        details.appendChild(box);
+        if (element.id === focusElementId) box.scrollIntoView({ block: 'center' });
+      });
+    }
+
+    if (node.products.length > 0) {
+      details.appendChild(html('h3', '', `Products (${node.products.length})`));
+      const list = html('ul');
+      node.products.forEach(product => {
+        list.appendChild(html('li', '', [product.name, product.price, product.category].filter(Boolean).join(' · ')));
+      });
+      details.appendChild(list);
+    }
+
+    const onPage = nodes.filter(other => other.appearsOn.includes(node.id));
+    if (onPage.length > 0) {
+      details.appendChild(html('h3', '', 'Components on this page'));
+      const list = html('ul');
+      onPage.forEach(component => {
+        const item = html('li');
+        item.appendChild(nodeLink(component.id));
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+    }
+    if (node.appearsOn.length > 0) {
+      details.appendChild(html('h3', '', 'Appears on'));
+      const list = html('ul');
+      node.appearsOn.forEach(pageId => {
+        const item = html('li');
+        item.appendChild(nodeLink(pageId));
+        list.appendChild(item);
+      });
+      details.appendChild(list);
+    }
+
+    [['Outgoing', edge => edge.from === node.id, edge => edge.to], ['Incoming', edge => edge.to === node.id, edge => edge.from]]
+      .forEach(([title, matches, other]) => {
+        const connections = data.edges.filter(edge => edge.type !== 'appears-on' && matches(edge));
+        if (connections.length === 0) return;
+        details.appendChild(html('h3', '', `${title} connections`));
+        const list = html('ul');
+        connections.forEach(edge => {
+          const item = html('li', '', `${title === 'Outgoing' ? '→' : '←'} `);
+          item.appendChild(nodeLink(other(edge)));
+          item.appendChild(document.createTextNode(` (${edge.trigger}, ${edge.type})`));
+          if (showingCoverage() && edge.coverage) {
+            item.appendChild(html('span', `coverage-note ${edge.coverage.covered ? 'covered' : 'uncovered'}`,
+              edge.coverage.covered ? ` ×${edge.coverage.count}` : ' never tested'));
+          }
+          list.appendChild(item);
+        });
+        details.appendChild(list);
+      });
+  }
+
+  function showingCoverage() {
+    return svg.classList.contains('coverage');
+  }
+
+  function select(id, focusElementId) {
+    selectedId = id;
+    nodes.forEach(node => node.group.classList.toggle('selected', node.id === selectedId));
+    renderDetails(byId.get(id), focusElementId);
+  }
+
+  applyFilters();
+  requestAnimationFrame(animate);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * JSON that is safe inside a <script> element
+ */
+function serializeForScript(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+export default TreeMapRenderer;
@@ -0,0 +1,135 @@
+/**
+ * Tree Renderer
+ *
+ * Renders the navigation graph as an indented tree starting from an entry
+ * page. Each page is expanded once, under the page that reaches it in the
+ * fewest hops. Every other edge to it is shown as a marker line:
+ *   ↺  back to a page on the current branch (men ↔ women, logo → home)
+ *   ↪  link to a page expanded on another branch
+ * Branches are annotated with the edge trigger and an auth badge.
+ */
+class TreeRenderer {
+  /**
+   * Render the navigation tree
+   * @param {Object} graph - Website graph
+   * @param {Object} options - Render options
+   * @param {string} options.startId - Root page id, defaults to the entry point
+   * @param {string} options.indent - Prefix added to every line
+   * @returns {string} Tree text, one page per line
+   */
+  render(graph, options = {}) {
+    const { indent = '' } = options;
+    const lines = [];
+    const renderBranches = (branches, prefix) => {
+      branches.forEach((branch, index) => {
+        const isLast = index === branches.length - 1;
+        const connector = isLast ? '└── ' : '├── ';
+        if (branch.marker) {
+          const marker = branch.marker === 'back' ? '↺ back to' : '↪ see';
+          lines.push(`${prefix}${connector}${marker} ${branch.page.name} (${branch.page.route}) via ${branch.edge.trigger}`);
+        } else {
+          lines.push(`${prefix}${connector}${this.formatPage(branch.page)} via ${branch.edge.trigger}`);
+          renderBranches(branch.children, prefix + (isLast ? '    ' : '│   '));
+        }
+      });
+    };
+
+    const roots = this.buildTree(graph, options);
+    roots.forEach(root => {
+      lines.push(indent + this.formatPage(root.page));
+      renderBranches(root.children, indent);
+    });
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+
+  /**
+   * Build the navigation tree as data, for renderers other than text
+   * @param {Object} graph - Website graph
+   * @param {Object} options - Options
+   * @param {string} options.startId - Root page id, defaults to the entry point
+   * @returns {Array<Object>} Roots as { page, edge, marker, children }; marker is null, 'back' or 'see'
+   */
+  buildTree(graph, options = {}) {
+    const pages = new Map(graph.nodes.filter(node => node.type === 'page').map(node => [node.id, node]));
+    const startId = options.startId || this.findEntryPoint(graph)?.id;
+    if (!startId || !pages.has(startId)) {
+      return [];
+    }
+
+    const edgesFrom = new Map();
+    graph.edges
+      .filter(edge => edge.type === 'navigation' && pages.has(edge.from) && pages.has(edge.to))
+      .forEach(edge => {
+        if (!edgesFrom.has(edge.from)) edgesFrom.set(edge.from, []);
+        edgesFrom.get(edge.from).push(edge);
+      });
+
+    // Pages the root cannot reach become extra roots, so nothing is hidden
+    const treeEdge = new Map();
+    const roots = [startId];
+    this.assignTreeEdges(startId, edgesFrom, treeEdge);
+    pages.forEach((page, id) => {
+      if (!treeEdge.has(id) && !roots.includes(id)) {
+        const reachedBefore = new Set([...treeEdge.keys(), ...roots]);
+        roots.push(id);
+        this.assignTreeEdges(id, edgesFrom, treeEdge, reachedBefore);
+      }
+    });
+
+    const buildChildren = (nodeId, branch) => (edgesFrom.get(nodeId) || []).map(edge => {
+      const page = pages.get(edge.to);
+      if (treeEdge.get(edge.to) === edge && !roots.includes(edge.to)) {
+        return { page, edge, marker: null, children: buildChildren(edge.to, [...branch, edge.to]) };
+      }
+      return { page, edge, marker: branch.includes(edge.to) ? 'back' : 'see', children: [] };
+    });
+
+    return roots.map(rootId => ({
+      page: pages.get(rootId),
+      edge: null,
+      marker: null,
+      children: buildChildren(rootId, [rootId])
+    }));
+  }
+
+  /**
+   * Breadth-first search from a root; the first edge to reach a page is its tree edge
+   */
+  assignTreeEdges(rootId, edgesFrom, treeEdge, alreadyReached = new Set()) {
+    const seen = new Set([rootId, ...alreadyReached]);
+    const queue = [rootId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      (edgesFrom.get(id) || []).forEach(edge => {
+        if (seen.has(edge.to)) return;
+        seen.add(edge.to);
+        treeEdge.set(edge.to, edge);
+        queue.push(edge.to);
+      });
+    }
+  }
+
+  /**
+   * One-line explanation of the marker symbols
+   */
+  legend() {
+    return '↺ = back to a page higher on the same branch, ↪ = page expanded on another branch\n';
+  }
+
+  formatPage(page) {
+    return `${page.name} (${page.route}) ${page.requiresAuth ? '[auth]' : '[public]'}`;
+  }
+
+  /**
+   * Entry page: the page flagged userFlow.entryPoint, else the first public page
+   */
+  findEntryPoint(graph) {
+    const pages = graph.nodes.filter(node => node.type === 'page');
+    return pages.find(node => node.userFlow && node.userFlow.entryPoint)
+      || pages.find(node => !node.requiresAuth)
+      || pages[0]
+      || null;
+  }
+}
+
+export default TreeRenderer;
@@ -0,0 +1,177 @@
+import { parse } from '@babel/parser';
+
+// Node properties that hold positions or comments rather than child nodes
+const NON_CHILD_KEYS = new Set(['loc', 'start', 'end', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+/**
+ * TSX Parser
+ *
+ * Parses React modules written in JS, JSX, TS or TSX with @babel/parser and
+ * indexes the parts of the AST that describe the structure of a React app:
+ *
+ * - `imports`: ImportDeclaration nodes
+ * - `jsx`: outermost JSXElement / JSXFragment nodes; elements nested in
+ *   attributes and `{...}` expressions are reached with walkJsx()
+ * - `calls`: CallExpression nodes
+ * - `declarations`: VariableDeclarator nodes
+ * - `scopes`: the scope each JSX element and call appears in, i.e. the name
+ *   of the innermost enclosing `const name = () => {}` or `function name() {}`
+ *
+ * All nodes are Babel AST nodes, so lines are at `node.loc.start.line`.
+ *
+ * @param {string} source - Module source
+ * @param {string} fileName - File name; its extension picks the syntax plugins and it prefixes syntax errors
+ * @returns {{type: string, ast: Object, imports: Array, jsx: Array, calls: Array, declarations: Array, scopes: Map}} Indexed module
+ */
+export function parseModule(source, fileName = '<source>') {
+  // `<T>(value)` is a type assertion in .ts files and an element in .tsx, so JSX is off for .ts only
+  const plugins = /\.ts$/.test(fileName) ? ['typescript'] : /\.tsx$/.test(fileName) ? ['typescript', 'jsx'] : ['jsx'];
+  let ast;
+  try {
+    ast = parse(source, { sourceType: 'module', sourceFilename: fileName, plugins });
+  } catch (error) {
+    throw new Error(`${fileName}:${error.loc ? error.loc.line : 1}: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`);
+  }
+
+  const program = { type: 'Program', ast, imports: [], jsx: [], calls: [], declarations: [], scopes: new Map() };
+  const visit = (node, scope, insideJsx) => {
+    if (node.type === 'ImportDeclaration') program.imports.push(node);
+    if (node.type === 'VariableDeclarator') program.declarations.push(node);
+    if (node.type === 'CallExpression') {
+      program.calls.push(node);
+      program.scopes.set(node, scope);
+    }
+    const jsx = isJsx(node);
+    if (jsx) {
+      program.scopes.set(node, scope);
+      if (!insideJsx) program.jsx.push(node);
+    }
+    const innerScope = functionName(node) || scope;
+    childNodes(node).forEach(child => visit(child, innerScope, insideJsx || jsx));
+  };
+  visit(ast.program, null, false);
+  return program;
+}
+
+/**
+ * Visit every JSX element and fragment in a tree, depth first, including
+ * elements nested in attribute and child expressions
+ * @param {Array|Object} nodes - AST node or list of nodes
+ * @param {Function} visit - Called with (element, ancestors)
+ * @param {Array} ancestors - Enclosing elements, outermost first
+ */
+export function walkJsx(nodes, visit, ancestors = []) {
+  (Array.isArray(nodes) ? nodes : [nodes]).forEach(node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (!isJsx(node)) {
+      childNodes(node).forEach(child => walkJsx(child, visit, ancestors));
+      return;
+    }
+    visit(node, ancestors);
+    const inside = [...ancestors, node];
+    childNodes(node).forEach(child => walkJsx(child, visit, inside));
+  });
+}
+
+/**
+ * Name of a JSX element as written (`Route`, `motion.div`, `svg:path`), ''
+ * for a fragment and null for anything else
+ * @param {Object} node - AST node
+ * @returns {string|null} Name
+ */
+export function jsxName(node) {
+  if (!node) return null;
+  if (node.type === 'JSXFragment') return '';
+  if (node.type === 'JSXElement') return jsxName(node.openingElement.name);
+  if (node.type === 'JSXIdentifier') return node.name;
+  if (node.type === 'JSXMemberExpression') return `${jsxName(node.object)}.${jsxName(node.property)}`;
+  if (node.type === 'JSXNamespacedName') return `${node.namespace.name}:${node.name.name}`;
+  return null;
+}
+
+/**
+ * Get an attribute's value: the string for a literal (or `{"..."}`), true
+ * for a bare attribute, the value node for any other expression
+ * @param {Object} element - JSX element
+ * @param {string} name - Attribute name
+ * @returns {*} Value, or undefined when the attribute is missing
+ */
+export function jsxAttribute(element, name) {
+  if (element.type !== 'JSXElement') return undefined;
+  const attribute = element.openingElement.attributes
+    .find(candidate => candidate.type === 'JSXAttribute' && jsxName(candidate.name) === name);
+  if (!attribute) return undefined;
+  if (attribute.value === null) return true;
+  const literal = literalValue(attribute.value.type === 'JSXExpressionContainer' ? attribute.value.expression : attribute.value);
+  return literal !== undefined ? literal : attribute.value;
+}
+
+/**
+ * Text content of an element: its text children and those of nested
+ * elements, whitespace collapsed
+ * @param {Object} element - JSX element
+ * @returns {string} Text
+ */
+export function jsxText(element) {
+  const parts = [];
+  const collect = children => children.forEach(child => {
+    if (child.type === 'JSXText') {
+      parts.push(child.value);
+    } else if (child.type === 'JSXExpressionContainer') {
+      const literal = literalValue(child.expression);
+      if (literal !== undefined) parts.push(literal);
+    } else if (child.children) {
+      collect(child.children);
+    }
+  });
+  collect(element.children || []);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Value of a string literal, or of a template literal without substitutions
+ * @param {Object} node - AST node
+ * @returns {string|undefined} String, or undefined for any other node
+ */
+export function literalValue(node) {
+  if (!node) return undefined;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return undefined;
+}
+
+function isJsx(node) {
+  return node.type === 'JSXElement' || node.type === 'JSXFragment';
+}
+
+/**
+ * Child nodes in source order
+ */
+function childNodes(node) {
+  const children = [];
+  Object.keys(node).forEach(key => {
+    if (NON_CHILD_KEYS.has(key)) return;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (item && typeof item.type === 'string') children.push(item);
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  });
+  return children.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Name a node gives to the code inside it: `function name() {}` or
+ * `const name = () => {}` / `const name = function () {}`
+ */
+function functionName(node) {
+  if (node.type === 'FunctionDeclaration' && node.id) return node.id.name;
+  if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init
+    && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.init.type)) {
+    return node.id.name;
+  }
+  return null;
+}